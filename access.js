@@ -0,0 +1,168 @@
+const { isWithinSchedule } = require('./schedule');
+
+/**
+ * Decides whether a presented credential opens the door and who it belongs to.
+ * Both the keypad and the RFID reader go through this class, so every access
+ * attempt resolves to the same kind of result.
+ *
+ * Credentials are checked for one door, as they can be limited to some doors.
+ * A result has the shape `{ granted, reason, credentialId, user }`, where
+ * `reason` explains a denial and `user` is `{ id, name }` or null for
+ * credentials that are not assigned to anyone. Results of known PINs also
+ * carry `duress`, which is true if the PIN is a duress PIN, and `guest`,
+ * which is true for guest PINs with a use limit or expiry.
+ *
+ * A credential in access groups, directly or through its owner, also needs
+ * an enabled group that allows the door at this time. A disabled group
+ * denies all of its members, even if another group would let them in.
+ *
+ * In lockdown (see DoorMode) only credentials marked as lockdown overrides
+ * are granted, and only if they would be granted otherwise.
+ */
+class AccessControl {
+  /**
+   * @param {PinStore} pinStore - Lookup for keypad PINs
+   * @param {CardStore} cardStore - Lookup for enrolled RFID cards
+   * @param {GroupStore} groupStore - Lookup for the access groups of a credential
+   * @param {DoorMode} doorMode - The system-wide door mode
+   */
+  constructor(pinStore, cardStore, groupStore, doorMode) {
+    this.pinStore = pinStore;
+    this.cardStore = cardStore;
+    this.groupStore = groupStore;
+    this.doorMode = doorMode;
+  }
+
+  /**
+   * Check a PIN entered on the keypad against the stored PINs.
+   * A granted guest PIN uses up one of its uses.
+   * @param {string} pin - The plaintext PIN
+   * @param {number} doorId - The door the keypad belongs to
+   * @param {Object} [options] - Further conditions
+   * @param {?number} [options.userId] - The user the PIN must belong to, e.g. the holder of the card presented
+   *   first under card_then_pin; other PINs are denied with `factor_mismatch` without using up a guest PIN
+   * @returns {Promise<Object>} The access result
+   */
+  async checkPin(pin, doorId, { userId = null } = {}) {
+    const row = await this.pinStore.findByPin(pin);
+
+    if (!row) {
+      return { granted: false, reason: 'unknown_credential', credentialId: null, user: null };
+    }
+
+    const guest = row.max_uses !== null || row.expires_at !== null;
+    if (row.pin_active !== 1) {
+      const user = row.user_id ? { id: row.user_id, name: row.user_name } : null;
+      return { granted: false, reason: 'pin_disabled', credentialId: row.id, user, duress: false, guest };
+    }
+    if (guest && row.expires_at && row.expires_at <= new Date().toISOString()) {
+      return { granted: false, reason: 'expired', credentialId: row.id, user: null, duress: false, guest };
+    }
+    const result = { ...resolveOwner(row.id, row), duress: !guest && row.duress === 1, guest };
+    if (result.granted && !await this.pinStore.opensDoor(row.id, doorId)) {
+      return { ...result, granted: false, reason: 'door_not_permitted' };
+    }
+    if (result.granted) {
+      const reason = resolveGroups(await this.groupStore.forCredential('pin', row.id, row.user_id), doorId);
+      if (reason) {
+        return { ...result, granted: false, reason };
+      }
+    }
+    if (result.granted && this.isLockedDown(row)) {
+      return { ...result, granted: false, reason: 'lockdown' };
+    }
+    if (result.granted && userId !== null && (!result.user || result.user.id !== userId)) {
+      return { ...result, granted: false, reason: 'factor_mismatch' };
+    }
+    // The use is counted atomically, so two entries of a one-time PIN cannot both get in
+    if (guest && result.granted && !await this.pinStore.recordUse(row.id)) {
+      return { ...result, granted: false, reason: 'used_up' };
+    }
+    return result;
+  }
+
+  /**
+   * Check a key read from the RFID reader against the enrolled cards.
+   * The table is queried on every swipe, so changes apply immediately.
+   * @param {string} key - The card key
+   * @param {number} doorId - The door the reader belongs to
+   * @returns {Promise<Object>} The access result
+   */
+  async checkCard(key, doorId) {
+    const row = await this.cardStore.findByKey(key);
+
+    if (!row) {
+      return { granted: false, reason: 'unknown_credential', credentialId: null, user: null };
+    }
+    if (row.card_active !== 1) {
+      const user = row.user_id ? { id: row.user_id, name: row.user_name } : null;
+      return { granted: false, reason: 'card_disabled', credentialId: row.id, user };
+    }
+    const result = resolveOwner(row.id, row);
+    if (result.granted && !await this.cardStore.opensDoor(row.id, doorId)) {
+      return { ...result, granted: false, reason: 'door_not_permitted' };
+    }
+    if (result.granted) {
+      const reason = resolveGroups(await this.groupStore.forCredential('card', row.id, row.user_id), doorId);
+      if (reason) {
+        return { ...result, granted: false, reason };
+      }
+    }
+    if (result.granted && this.isLockedDown(row)) {
+      return { ...result, granted: false, reason: 'lockdown' };
+    }
+    return result;
+  }
+
+  /**
+   * Check whether the lockdown keeps a credential out.
+   * @param {Object} row - The credential row with its lockdown_override column
+   * @returns {boolean}
+   */
+  isLockedDown(row) {
+    return this.doorMode.mode === 'lockdown' && row.lockdown_override !== 1;
+  }
+}
+
+/**
+ * Build the access result for a known credential, denying it if its owner is
+ * inactive or its schedule does not allow access right now.
+ * @param {number} credentialId - The id of the matching credential
+ * @param {Object} row - Row with the owner's user_id, user_name and active columns and the schedule columns
+ * @returns {Object} The access result
+ */
+function resolveOwner(credentialId, row) {
+  const user = row.user_id ? { id: row.user_id, name: row.user_name } : null;
+  if (user && row.active !== 1) {
+    return { granted: false, reason: 'user_inactive', credentialId, user };
+  }
+  if (row.schedule_id && !isWithinSchedule(row)) {
+    return { granted: false, reason: 'outside_schedule', credentialId, user };
+  }
+  return { granted: true, reason: null, credentialId, user };
+}
+
+/**
+ * Check the access groups of a credential for one door.
+ * @param {Object[]} groups - The groups as returned by GroupStore.forCredential
+ * @param {number} doorId - The door
+ * @returns {?string} The reason for a denial, or null if the groups allow access
+ */
+function resolveGroups(groups, doorId) {
+  if (groups.length === 0) {
+    return null;
+  }
+  if (groups.some((group) => !group.active)) {
+    return 'group_disabled';
+  }
+  const atDoor = groups.filter((group) => group.door_ids.length === 0 || group.door_ids.includes(doorId));
+  if (atDoor.length === 0) {
+    return 'door_not_permitted';
+  }
+  if (!atDoor.some((group) => !group.schedule_id || isWithinSchedule(group))) {
+    return 'outside_schedule';
+  }
+  return null;
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,124 @@
+const { run } = require('./database');
+
+/**
+ * The access policies a door can have, with a description for the dashboard.
+ * @type {Object<string, string>}
+ */
+const POLICIES = {
+  either: 'PIN or card',
+  pin_only: 'PIN only',
+  card_only: 'Card only',
+  card_then_pin: 'Card, then the PIN of the same user'
+};
+
+/**
+ * Which credentials open a door, and the card waiting for its PIN there.
+ *
+ * The policy and the time allowed between card and PIN are stored with the
+ * door in the `doors` table, so they survive a restart. Under `card_then_pin` an
+ * accepted card does not open the door itself; it waits here until the PIN of
+ * the same user is entered or the time runs out. The waiting card is only
+ * kept in memory, so a restart drops it.
+ */
+class AccessPolicy {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {number} doorId - The door the policy belongs to
+   * @param {Object} [options] - The saved policy
+   * @param {string} [options.policy='either'] - One of the keys of POLICIES
+   * @param {number} [options.pinWindowSeconds=30] - Seconds allowed between card and PIN
+   */
+  constructor(db, doorId, { policy = 'either', pinWindowSeconds = 30 } = {}) {
+    this.db = db;
+    this.doorId = doorId;
+    this.policy = POLICIES[policy] ? policy : 'either';
+    this.pinWindowSeconds = pinWindowSeconds;
+    this.pendingCard = null;
+  }
+
+  /**
+   * The current policy and whether a card is waiting for its PIN.
+   * @returns {{policy: string, pinWindowSeconds: number, awaitingPin: boolean, pinDueBy: ?string}}
+   */
+  status() {
+    const pending = this.currentPendingCard();
+    return {
+      policy: this.policy,
+      pinWindowSeconds: this.pinWindowSeconds,
+      awaitingPin: pending !== null,
+      pinDueBy: pending ? pending.dueBy : null
+    };
+  }
+
+  /**
+   * Save a new policy. A card waiting for its PIN is dropped.
+   * @param {Object} settings - The new settings
+   * @param {string} settings.policy - One of the keys of POLICIES
+   * @param {number} [settings.pinWindowSeconds] - Seconds allowed between card and PIN
+   * @returns {Promise<Object>} The new status
+   */
+  async update({ policy, pinWindowSeconds = this.pinWindowSeconds }) {
+    await run(this.db, 'UPDATE doors SET access_policy = ?, pin_window_seconds = ? WHERE id = ?', [policy, pinWindowSeconds, this.doorId]);
+    this.policy = policy;
+    this.pinWindowSeconds = pinWindowSeconds;
+    this.pendingCard = null;
+    return this.status();
+  }
+
+  /**
+   * Check whether a credential type may be presented at all under the current policy.
+   * @param {string} factor - 'pin' or 'card'
+   * @returns {boolean}
+   */
+  allows(factor) {
+    return this.policy !== (factor === 'pin' ? 'card_only' : 'pin_only');
+  }
+
+  /**
+   * Remember an accepted card until its PIN is entered. A later card replaces it.
+   * @param {Object} result - The access result of the card
+   * @returns {string} ISO timestamp by which the PIN has to be entered
+   */
+  awaitPin(result) {
+    const dueBy = new Date(Date.now() + this.pinWindowSeconds * 1000).toISOString();
+    this.pendingCard = { result, dueBy };
+    return dueBy;
+  }
+
+  /**
+   * The card waiting for its PIN. It keeps waiting until takePendingCard uses
+   * it up or its time runs out, so a wrong PIN does not discard it.
+   * @returns {?Object} The access result of the card, or null if none is waiting or its time ran out
+   */
+  waitingCard() {
+    const pending = this.currentPendingCard();
+    return pending ? pending.result : null;
+  }
+
+  /**
+   * Use up a waiting card once its PIN opened the door. Each card can only open the door once.
+   * @param {Object} result - The access result of the card, as returned by waitingCard
+   * @returns {boolean} False if the card is no longer waiting, e.g. because it was used up, replaced or its time ran out
+   */
+  takePendingCard(result) {
+    const pending = this.currentPendingCard();
+    if (!pending || pending.result !== result) {
+      return false;
+    }
+    this.pendingCard = null;
+    return true;
+  }
+
+  /**
+   * The waiting card, dropping it once its time has run out.
+   * @returns {?{result: Object, dueBy: string}}
+   */
+  currentPendingCard() {
+    if (this.pendingCard && this.pendingCard.dueBy <= new Date().toISOString()) {
+      this.pendingCard = null;
+    }
+    return this.pendingCard;
+  }
+}
+
+module.exports = { AccessPolicy, POLICIES };
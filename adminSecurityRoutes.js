@@ -0,0 +1,306 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const totp = require('./totp');
+const { permissionsOf } = require('./roles');
+
+/**
+ * Dashboard routes for the security of admin accounts: the logged in admin's
+ * own account and password (`/api/me`), the TOTP second factor, and password
+ * reset tokens issued by an owner and redeemed on the login page.
+ */
+
+/**
+ * Create the router for the admin account security routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit account changes
+ * @param {AdminStore} deps.adminStore - Admin accounts
+ * @param {Function} deps.requireAdmin - Middleware that lets logged in admins through
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @param {Function} deps.loginLimiter - Rate limit shared with the login
+ * @param {PasswordPolicy} deps.passwordPolicy - Rules for new admin passwords
+ * @param {number} deps.saltRounds - bcrypt cost for new admin passwords
+ * @param {number} deps.passwordResetMinutes - How long a password reset token can be used
+ * @param {string} deps.totpIssuer - Issuer shown in authenticator apps
+ * @param {LiveUpdates} deps.live - Dashboard live update streams, closed when an admin's password changes
+ * @returns {express.Router} The router
+ */
+function createAdminSecurityRoutes({
+  logger, eventLog, adminStore, requireAdmin, requirePermission, loginLimiter, passwordPolicy, saltRounds, passwordResetMinutes, totpIssuer, live
+}) {
+  const router = express.Router();
+
+  /**
+   * Handle POST requests to set a new password with a reset token issued by an owner.
+   * The token works once and only until it expires. Rate-limited like the login.
+   * @param {Request} req - Express request object containing the username, token and new password in the body
+   * @param {Response} res - Express response object
+   */
+  router.post('/admin-password-reset', loginLimiter, [
+    body('username').isString().notEmpty().withMessage('Username is required'),
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isString().withMessage('Password is required').bail().custom(passwordPolicy.validator('username')),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, token, password } = req.body;
+
+    try {
+      if (!await adminStore.redeemResetToken(username, token, await bcrypt.hash(password, saltRounds))) {
+        eventLog.record({ source: 'admin', action: 'reset_password', outcome: 'failure', actor: username, clientIp: req.ip, severity: 'warning' });
+        return res.status(400).json({ message: 'Invalid or expired reset token' });
+      }
+      logger.info(`Password reset with token`, {
+        username,
+        action: 'reset_password',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'reset_password', outcome: 'success', actor: username, clientIp: req.ip });
+      live.disconnectAdmin(username);
+      res.json({ message: 'Password reset successfully' });
+    } catch (err) {
+      logger.error(`Failed to reset password`, {
+        error_message: err.message,
+        action: 'reset_password',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests for the currently logged in admin.
+   * Includes whether the admin uses a second factor and the rules for a new password.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/me', requireAdmin, async (req, res) => {
+    try {
+      const row = await adminStore.getCredentials(req.session.username);
+      res.json({
+        username: req.session.username,
+        role: req.adminRole,
+        permissions: permissionsOf(req.adminRole),
+        totpEnabled: row.totp_enabled === 1,
+        passwordPolicy: passwordPolicy.describe()
+      });
+    } catch (err) {
+      logger.error(`Failed to look up admin`, {
+        error_message: err.message,
+        action: 'get_me',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to change the password of the logged in admin.
+   * The current password is required. Other sessions of the admin end; this one stays logged in.
+   * @param {Request} req - Express request object containing the current and the new password in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/me/password', requireAdmin, [
+    body('currentPassword').isString().notEmpty().withMessage('The current password is required'),
+    body('newPassword').isString().withMessage('The new password is required').bail().custom(passwordPolicy.validator())
+        .custom((newPassword, { req }) => newPassword !== req.body.currentPassword).withMessage('The new password must differ from the current one'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.session;
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const row = await adminStore.getCredentials(username);
+      if (!await bcrypt.compare(currentPassword, row.password)) {
+        eventLog.record({ source: 'admin', action: 'change_password', outcome: 'failure', actor: username, clientIp: req.ip, details: { reason: 'wrong_password' } });
+        return res.status(403).json({ message: 'The current password is incorrect' });
+      }
+      req.session.authenticatedAt = await adminStore.setPassword(username, await bcrypt.hash(newPassword, saltRounds));
+      logger.info(`Admin changed their password`, {
+        username,
+        action: 'change_password',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'change_password', outcome: 'success', actor: username, clientIp: req.ip });
+      live.disconnectAdmin(username, req.sessionID);
+      res.json({ message: 'Password changed successfully' });
+    } catch (err) {
+      logger.error(`Failed to change password`, {
+        error_message: err.message,
+        action: 'change_password',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to start enrolling a TOTP second factor for the logged in admin.
+   * Returns a new secret with its otpauth URI and a QR code of the URI as data URL
+   * for authenticator apps. The second factor is turned on once a code is confirmed.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/me/totp', requireAdmin, async (req, res) => {
+    const { username } = req.session;
+    const secret = totp.generateSecret();
+
+    try {
+      if (!await adminStore.startTotpEnrollment(username, secret)) {
+        return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+      }
+      const uri = totp.keyUri(secret, username, totpIssuer);
+      res.json({ secret, uri, qrCode: await QRCode.toDataURL(uri) });
+    } catch (err) {
+      logger.error(`Failed to start two-factor enrollment`, {
+        error_message: err.message,
+        action: 'enroll_totp',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to confirm the TOTP enrollment of the logged in admin with a first code.
+   * From then on the admin needs a code at every login.
+   * @param {Request} req - Express request object containing the code in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/me/totp', requireAdmin, [
+    body('code').isString().matches(/^\d{6}$/).withMessage('The code must have 6 digits'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.session;
+
+    try {
+      const row = await adminStore.getCredentials(username);
+      if (row.totp_enabled === 1 || !row.totp_secret) {
+        return res.status(409).json({ message: 'No two-factor enrollment in progress' });
+      }
+      const step = totp.verify(row.totp_secret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+      await adminStore.enableTotp(username, step);
+      logger.info(`Admin enabled two-factor authentication`, {
+        username,
+        action: 'enable_totp',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'enable_totp', outcome: 'success', actor: username, clientIp: req.ip });
+      res.json({ message: 'Two-factor authentication enabled' });
+    } catch (err) {
+      logger.error(`Failed to enable two-factor authentication`, {
+        error_message: err.message,
+        action: 'enable_totp',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to turn off the second factor of the logged in admin.
+   * The current password is required.
+   * @param {Request} req - Express request object containing the password in the body
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/me/totp', requireAdmin, [
+    body('password').isString().notEmpty().withMessage('The password is required'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.session;
+
+    try {
+      const row = await adminStore.getCredentials(username);
+      if (!await bcrypt.compare(req.body.password, row.password)) {
+        eventLog.record({ source: 'admin', action: 'disable_totp', outcome: 'failure', actor: username, clientIp: req.ip, details: { reason: 'wrong_password' } });
+        return res.status(403).json({ message: 'The password is incorrect' });
+      }
+      await adminStore.disableTotp(username);
+      logger.info(`Admin disabled two-factor authentication`, {
+        username,
+        action: 'disable_totp',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'disable_totp', outcome: 'success', actor: username, clientIp: req.ip, severity: 'warning' });
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      logger.error(`Failed to disable two-factor authentication`, {
+        error_message: err.message,
+        action: 'disable_totp',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to issue a password reset token for an admin who forgot their password.
+   * The token is shown once and lets the admin choose a new password on the login page.
+   * With `resetTotp` the admin's second factor is turned off as well once the token is redeemed, e.g. after losing their phone.
+   * @param {Request} req - Express request object containing the optional resetTotp flag in the body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/admins/:username/password-reset', requirePermission('manage_admins'), [
+    body('resetTotp').optional().isBoolean({ strict: true }).withMessage('resetTotp must be a boolean'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.params;
+    const { resetTotp = false } = req.body;
+
+    try {
+      const reset = await adminStore.createResetToken(username, passwordResetMinutes, { resetTotp });
+      if (!reset) {
+        return res.status(404).json({ message: 'Admin not found' });
+      }
+      logger.info(`Issued password reset token`, {
+        username,
+        resetTotp,
+        action: 'issue_password_reset',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'issue_password_reset', outcome: 'success', actor: req.session.username, clientIp: req.ip, severity: 'warning', details: { username, resetTotp } });
+      res.json({ message: 'Password reset token issued', token: reset.token, expiresAt: reset.expiresAt });
+    } catch (err) {
+      logger.error(`Failed to issue password reset token`, {
+        error_message: err.message,
+        action: 'issue_password_reset',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminSecurityRoutes };
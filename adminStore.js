@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { run, get, all } = require('./database');
+
+/**
+ * SQL condition that holds if an owner other than the bound username exists.
+ * The check is part of the same statement as the change, so two concurrent
+ * requests cannot remove the last two owners.
+ * @type {string}
+ */
+const OTHER_OWNERS_EXIST = "EXISTS (SELECT 1 FROM admin_users WHERE role = 'owner' AND username != ?)";
+
+/**
+ * Data access for admin accounts, their roles, password reset tokens and
+ * TOTP second factors. Changes that would leave no owner behind are refused,
+ * so there is always at least one admin who can manage the others.
+ *
+ * Reset tokens are stored as SHA-256 hashes like API tokens, as they are
+ * random and long enough not to need a slow hash.
+ */
+class AdminStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List all admins with their roles and whether they use a second factor.
+   * @returns {Promise<Object[]>} The admins, ordered by username
+   */
+  async list() {
+    const rows = await all(this.db, 'SELECT username, role, totp_enabled FROM admin_users ORDER BY username COLLATE NOCASE');
+    return rows.map((row) => ({ ...row, totp_enabled: row.totp_enabled === 1 }));
+  }
+
+  /**
+   * Add an admin unless the username is taken.
+   * @param {string} username - The admin's username
+   * @param {string} passwordHash - The bcrypt hash of the password
+   * @param {string} role - The role
+   * @returns {Promise<boolean>} False if an admin with that username already exists
+   */
+  async create(username, passwordHash, role) {
+    const { changes } = await run(
+        this.db,
+        `INSERT INTO admin_users(username, password, role)
+         SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM admin_users WHERE username = ?)`,
+        [username, passwordHash, role, username]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Change the role of an admin.
+   * @param {string} username - The admin's username
+   * @param {string} role - The new role
+   * @returns {Promise<string>} 'updated', 'not_found' or 'last_owner'
+   */
+  async setRole(username, role) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE admin_users SET role = ?
+         WHERE username = ? AND (role != 'owner' OR ? = 'owner' OR ${OTHER_OWNERS_EXIST})`,
+        [role, username, role, username]
+    );
+    return changes > 0 ? 'updated' : this.whyUnchanged(username);
+  }
+
+  /**
+   * Delete an admin.
+   * @param {string} username - The admin's username
+   * @returns {Promise<string>} 'removed', 'not_found' or 'last_owner'
+   */
+  async remove(username) {
+    const { changes } = await run(
+        this.db,
+        `DELETE FROM admin_users WHERE username = ? AND (role != 'owner' OR ${OTHER_OWNERS_EXIST})`,
+        [username, username]
+    );
+    return changes > 0 ? 'removed' : this.whyUnchanged(username);
+  }
+
+  /**
+   * Fetch what is needed to authenticate an admin.
+   * @param {string} username - The admin's username
+   * @returns {Promise<Object|undefined>} The password hash, role and second factor columns, or undefined if there is no such admin
+   */
+  async getCredentials(username) {
+    return get(
+        this.db,
+        `SELECT username, password, role, password_changed_at, totp_secret, totp_enabled, totp_last_step
+         FROM admin_users WHERE username = ?`,
+        [username]
+    );
+  }
+
+  /**
+   * Replace the password of an admin. Any pending reset token is dropped, and
+   * sessions started before the change are no longer accepted.
+   * @param {string} username - The admin's username
+   * @param {string} passwordHash - The bcrypt hash of the new password
+   * @returns {Promise<?string>} The time of the change, or null if there is no such admin
+   */
+  async setPassword(username, passwordHash) {
+    const changedAt = new Date().toISOString();
+    const { changes } = await run(
+        this.db,
+        `UPDATE admin_users SET password = ?, password_changed_at = ?, reset_token_hash = NULL, reset_expires_at = NULL, reset_clears_totp = 0
+         WHERE username = ?`,
+        [passwordHash, changedAt, username]
+    );
+    return changes > 0 ? changedAt : null;
+  }
+
+  /**
+   * Issue a one-time token with which an admin can choose a new password.
+   * It replaces any earlier token of the same admin.
+   * @param {string} username - The admin's username
+   * @param {number} validMinutes - How long the token can be used
+   * @param {Object} [options] - What else the reset does
+   * @param {boolean} [options.resetTotp=false] - Also turn off the admin's second factor when the token is redeemed,
+   *   e.g. after losing their phone; until then, and if the token expires unused, the second factor stays on
+   * @returns {Promise<?{token: string, expiresAt: string}>} The token, which is not returned again, or null if there is no such admin
+   */
+  async createResetToken(username, validMinutes, { resetTotp = false } = {}) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + validMinutes * 60 * 1000).toISOString();
+    const { changes } = await run(
+        this.db,
+        'UPDATE admin_users SET reset_token_hash = ?, reset_expires_at = ?, reset_clears_totp = ? WHERE username = ?',
+        [hashToken(token), expiresAt, resetTotp ? 1 : 0, username]
+    );
+    return changes > 0 ? { token, expiresAt } : null;
+  }
+
+  /**
+   * Set a new password with a reset token. The token works only once. A token
+   * issued with `resetTotp` turns off the admin's second factor in the same statement.
+   * @param {string} username - The admin's username
+   * @param {string} token - The token issued by createResetToken
+   * @param {string} passwordHash - The bcrypt hash of the new password
+   * @returns {Promise<boolean>} False if the token is wrong, used or expired
+   */
+  async redeemResetToken(username, token, passwordHash) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE admin_users SET password = ?, password_changed_at = ?, reset_token_hash = NULL, reset_expires_at = NULL,
+           totp_enabled = CASE WHEN reset_clears_totp THEN 0 ELSE totp_enabled END,
+           totp_secret = CASE WHEN reset_clears_totp THEN NULL ELSE totp_secret END,
+           totp_last_step = CASE WHEN reset_clears_totp THEN NULL ELSE totp_last_step END,
+           reset_clears_totp = 0
+         WHERE username = ? AND reset_token_hash = ? AND reset_expires_at > ?`,
+        [passwordHash, new Date().toISOString(), username, hashToken(token), new Date().toISOString()]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Store a new TOTP secret while the admin enrolls. It is not asked for at
+   * login until enableTotp confirms that the admin's app produces valid codes.
+   * @param {string} username - The admin's username
+   * @param {string} secret - The base32 secret
+   * @returns {Promise<boolean>} False if there is no such admin or their second factor is already on
+   */
+  async startTotpEnrollment(username, secret) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE admin_users SET totp_secret = ?, totp_last_step = NULL WHERE username = ? AND totp_enabled = 0',
+        [secret, username]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Turn on the second factor after the first valid code.
+   * @param {string} username - The admin's username
+   * @param {number} step - The time step of the code, which cannot be used again
+   * @returns {Promise<boolean>} False if there is no enrollment in progress
+   */
+  async enableTotp(username, step) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE admin_users SET totp_enabled = 1, totp_last_step = ? WHERE username = ? AND totp_enabled = 0 AND totp_secret IS NOT NULL',
+        [step, username]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Turn off the second factor and forget its secret.
+   * @param {string} username - The admin's username
+   * @returns {Promise<boolean>} False if there is no such admin
+   */
+  async disableTotp(username) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE admin_users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE username = ?',
+        [username]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Note that a code was used at login. The check and the update are one
+   * statement, so the same code cannot log in twice, even concurrently.
+   * @param {string} username - The admin's username
+   * @param {number} step - The time step of the code
+   * @returns {Promise<boolean>} False if this or a later code was already used
+   */
+  async useTotpStep(username, step) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE admin_users SET totp_last_step = ? WHERE username = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, username, step]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Explain why a guarded update or delete did not touch any row.
+   * @param {string} username - The admin's username
+   * @returns {Promise<string>} 'not_found' or 'last_owner'
+   */
+  async whyUnchanged(username) {
+    const row = await get(this.db, 'SELECT username FROM admin_users WHERE username = ?', [username]);
+    return row ? 'last_owner' : 'not_found';
+  }
+}
+
+/**
+ * Compute the stored hash of a reset token.
+ * @param {string} token - The token as entered by the admin
+ * @returns {string} The hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = AdminStore;
@@ -0,0 +1,56 @@
+/**
+ * Sends alarms, such as a duress PIN being entered, to an external hook.
+ * The hook is an HTTP endpoint that receives each alarm as a JSON POST body,
+ * for example a home automation system or a chat webhook.
+ */
+class AlarmNotifier {
+  /**
+   * @param {?string} url - The hook URL; alarms are only logged if it is empty
+   * @param {winston.Logger} logger - Logger used to report alarms and failed deliveries
+   * @param {number} [timeoutMs=5000] - How long to wait for the hook to answer
+   */
+  constructor(url, logger, timeoutMs = 5000) {
+    this.url = url;
+    this.logger = logger;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Deliver an alarm. Failures are logged but never thrown, and callers
+   * should not wait for the result, so a slow hook cannot delay the door.
+   * @param {Object} alarm - The alarm
+   * @param {string} alarm.type - What happened, e.g. 'duress'
+   * @returns {Promise<boolean>} True if the hook accepted the alarm
+   */
+  async notify(alarm) {
+    const payload = { ...alarm, timestamp: new Date().toISOString() };
+    this.logger.warn(`Alarm raised`, { alarm_type: alarm.type, action: 'alarm', status: 'raised' });
+
+    if (!this.url) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`Hook responded with status ${response.status}`);
+      }
+      return true;
+    } catch (err) {
+      this.logger.error(`Failed to deliver alarm`, {
+        alarm_type: alarm.type,
+        error_message: err.message,
+        action: 'alarm',
+        status: 'failure'
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = AlarmNotifier;
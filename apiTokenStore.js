@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { run, get, all } = require('./database');
+
+/**
+ * Data access for API tokens used by integrations with `/api/v1`.
+ *
+ * A token is a random string shown once when it is issued. Only its SHA-256
+ * hash is stored, which is enough for a secret of this length, together with
+ * the first characters so admins can tell tokens apart. Each token carries a
+ * role like an admin account. Revoked tokens stay in the table for auditing.
+ */
+class ApiTokenStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Compute the stored hash of a token.
+   * @param {string} token - The token as sent by the client
+   * @returns {string} The hex encoded SHA-256 hash
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * List all tokens without their hashes.
+   * @returns {Promise<Object[]>} The tokens, newest first
+   */
+  async list() {
+    return all(this.db, `
+      SELECT id, name, token_prefix, role, created_by, created_at, expires_at, last_used_at, revoked_at
+      FROM api_tokens
+      ORDER BY id DESC`);
+  }
+
+  /**
+   * Issue a new token.
+   * @param {Object} token - The token fields
+   * @param {string} token.name - What the token is for, e.g. "Home Assistant"
+   * @param {string} token.role - The role the token acts with
+   * @param {string} token.createdBy - The admin issuing the token
+   * @param {?string} [token.expiresAt] - ISO timestamp after which the token stops working
+   * @returns {Promise<{id: number, token: string}>} The new id and the token, which is not returned again
+   */
+  async create({ name, role, createdBy, expiresAt = null }) {
+    const token = `kp_${crypto.randomBytes(32).toString('base64url')}`;
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO api_tokens(name, token_hash, token_prefix, role, created_by, created_at, expires_at)
+         VALUES(?, ?, ?, ?, ?, ?, ?)`,
+        [name, this.hash(token), token.slice(0, 8), role, createdBy, new Date().toISOString(), expiresAt]
+    );
+    return { id: lastID, token };
+  }
+
+  /**
+   * Revoke a token so it can no longer be used.
+   * @param {number} id - The token id
+   * @returns {Promise<boolean>} False if there is no unrevoked token with that id
+   */
+  async revoke(id) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Look up a token sent by a client and note its use.
+   * @param {string} token - The token as sent by the client
+   * @returns {Promise<{id: number, name: string, role: string}|null>} The token, or null if it is unknown, revoked or expired
+   */
+  async authenticate(token) {
+    const now = new Date().toISOString();
+    const row = await get(
+        this.db,
+        `SELECT id, name, role FROM api_tokens
+         WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`,
+        [this.hash(token), now]
+    );
+    if (!row) {
+      return null;
+    }
+    await run(this.db, 'UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [now, row.id]);
+    return row;
+  }
+}
+
+module.exports = ApiTokenStore;
@@ -0,0 +1,654 @@
+const path = require('path');
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { body, param, query, validationResult } = require('express-validator');
+const { ROLES, hasPermission } = require('./roles');
+const GroupStore = require('./groupStore');
+const { MODES } = require('./doorMode');
+
+/**
+ * Versioned REST API for integrations, mounted at `/api/v1`.
+ *
+ * Clients authenticate with an API token issued on the dashboard, sent as
+ * `Authorization: Bearer <token>` or `X-API-Key: <token>`; browser sessions
+ * are not accepted. Every error has the same shape:
+ * `{"error": {"code": "not_found", "message": "PIN not found"}}`, plus
+ * `details` with the invalid fields for validation errors.
+ * The OpenAPI description is served without authentication at `/api/v1/openapi.json`.
+ */
+
+/**
+ * Send an error in the shape shared by all `/api/v1` responses.
+ * @param {Response} res - Express response object
+ * @param {number} status - The HTTP status
+ * @param {string} code - Machine-readable error code, e.g. 'not_found'
+ * @param {string} message - Human-readable description
+ * @param {Object[]} [details] - Further information, e.g. the invalid fields
+ */
+function sendError(res, status, code, message, details) {
+  res.status(status).json({ error: details ? { code, message, details } : { code, message } });
+}
+
+/**
+ * Middleware that answers with 400 if the preceding validators found problems.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware in the chain
+ */
+function rejectInvalid(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendError(res, 400, 'validation_failed', 'The request contains invalid fields', errors.array());
+  }
+  next();
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler.
+ * @param {Function} handler - The async route handler
+ * @returns {Function} The wrapped handler
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+/**
+ * Create the error handler for `/api/v1`. Besides errors from the routes it
+ * also catches malformed JSON bodies, so it is mounted separately from the router.
+ * @param {winston.Logger} logger - Logger used to report unexpected errors
+ * @returns {Function} The error-handling middleware
+ */
+function createApiErrorHandler(logger) {
+  return (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+    }
+    logger.error(`API request failed`, {
+      method: req.method,
+      path: req.originalUrl,
+      error_message: err.message,
+      action: 'api_request',
+      status: 'failure'
+    });
+    sendError(res, 500, 'internal_error', 'Internal Server Error');
+  };
+}
+
+/**
+ * Create the router for `/api/v1`.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit API changes
+ * @param {ApiTokenStore} deps.apiTokenStore - Token lookup for authentication
+ * @param {AdminStore} deps.adminStore - Admin accounts
+ * @param {PinStore} deps.pinStore - Keypad PINs
+ * @param {CardStore} deps.cardStore - RFID cards
+ * @param {UserStore} deps.userStore - Named users
+ * @param {ScheduleStore} deps.scheduleStore - Access schedules
+ * @param {GroupStore} deps.groupStore - Access groups and their members
+ * @param {DoorManager} deps.doorManager - The running doors
+ * @param {DoorMode} deps.doorMode - The system-wide door mode
+ * @param {number} deps.saltRounds - bcrypt cost for new admin passwords
+ * @param {PasswordPolicy} deps.passwordPolicy - Rules for new admin passwords
+ * @param {number} deps.passwordResetMinutes - How long a password reset token can be used
+ * @param {LiveUpdates} deps.live - Dashboard live update streams, closed when an admin's role changes or the admin is removed
+ * @returns {express.Router} The router
+ */
+function createApiV1({
+  logger, eventLog, apiTokenStore, adminStore, pinStore, cardStore, userStore, scheduleStore, groupStore, doorManager, doorMode,
+  saltRounds, passwordPolicy, passwordResetMinutes, live
+}) {
+  const router = express.Router();
+
+  /**
+   * Record a change made through the API in the access history.
+   * @param {Request} req - The request that made the change
+   * @param {Object} event - The event fields, as for EventLog.record
+   */
+  function audit(req, event) {
+    eventLog.record({ source: 'admin', outcome: 'success', actor: `api:${req.apiToken.name}`, clientIp: req.ip, ...event });
+  }
+
+  /**
+   * Create middleware that only lets tokens whose role grants a permission through.
+   * @param {string} permission - The required permission, see roles.js
+   * @returns {Function} The middleware
+   */
+  function requireTokenPermission(permission) {
+    return (req, res, next) => {
+      if (!hasPermission(req.apiToken.role, permission)) {
+        return sendError(res, 403, 'forbidden', 'The token\'s role does not allow this');
+      }
+      next();
+    };
+  }
+
+  /**
+   * Answer 404 if a referenced user or schedule does not exist.
+   * @param {Response} res - Express response object
+   * @param {?number} userId - The referenced user, if any
+   * @param {?number} scheduleId - The referenced schedule, if any
+   * @returns {Promise<boolean>} True if an error was sent
+   */
+  async function rejectMissingReferences(res, userId, scheduleId) {
+    if (userId && !await userStore.get(userId)) {
+      sendError(res, 404, 'not_found', 'User not found');
+      return true;
+    }
+    if (scheduleId && !await scheduleStore.get(scheduleId)) {
+      sendError(res, 404, 'not_found', 'Schedule not found');
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Middleware that finds the door in the `id` parameter, or the main door for
+   * the `/door` routes, and stores it in `req.doorEntry`. Answers 404 for unknown doors.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Next middleware in the chain
+   */
+  function findDoor(req, res, next) {
+    const entry = req.params.id === undefined ? doorManager.main : doorManager.get(Number(req.params.id));
+    if (!entry) {
+      return sendError(res, 404, 'not_found', 'Door not found');
+    }
+    req.doorEntry = entry;
+    next();
+  }
+
+  /**
+   * Validators for a list of doors a credential or group is limited to.
+   * @type {ValidationChain[]}
+   */
+  const doorIdsValidators = [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('doorIds').isArray().withMessage('doorIds must be an array of door ids'),
+    body('doorIds.*').isInt({ min: 1 }).withMessage('doorIds must be an array of door ids').toInt(),
+  ];
+
+  /**
+   * Answer 404 if one of the doors a credential is limited to does not exist.
+   * @param {Response} res - Express response object
+   * @param {number[]} doorIds - The door ids
+   * @returns {boolean} True if an error was sent
+   */
+  function rejectUnknownDoors(res, doorIds) {
+    const unknown = doorIds.filter((doorId) => !doorManager.get(doorId));
+    if (unknown.length > 0) {
+      sendError(res, 404, 'not_found', `Door ${unknown.join(', ')} not found`);
+      return true;
+    }
+    return false;
+  }
+
+  router.get('/openapi.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'openapi.json'));
+  });
+
+  // Authenticate every other request with an API token
+  router.use(asyncRoute(async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, 'unauthorized', 'An API token is required');
+    }
+    req.apiToken = await apiTokenStore.authenticate(token);
+    if (!req.apiToken) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return sendError(res, 401, 'unauthorized', 'The API token is invalid, expired or revoked');
+    }
+    next();
+  }));
+
+  // PINs
+
+  router.get('/pins', requireTokenPermission('manage_credentials'), asyncRoute(async (req, res) => {
+    res.json({ pins: await pinStore.list() });
+  }));
+
+  router.post('/pins', requireTokenPermission('manage_credentials'), [
+    body('pin').matches(/^\d{4}$/).withMessage('PIN must be 4 digits long'),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('duress').optional().isBoolean({ strict: true }).withMessage('duress must be a boolean'),
+    body('label').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('label must be at most 100 characters'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { pin, userId = null, scheduleId = null, duress = false, label = null } = req.body;
+    if (await rejectMissingReferences(res, userId, scheduleId)) {
+      return;
+    }
+    if (duress && !userId) {
+      return sendError(res, 400, 'validation_failed', 'A duress PIN must belong to a user');
+    }
+
+    let id;
+    try {
+      id = await pinStore.add(pin, { userId, scheduleId, duress, label: label || null });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        return sendError(res, 409, 'conflict', 'PIN is already in use');
+      }
+      throw err;
+    }
+    audit(req, { action: 'add_pin', credentialId: id, userId, details: duress ? { duress } : null });
+    res.status(201).json({ id, label: label || null, userId, scheduleId, duress });
+  }));
+
+  router.get('/pins/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const pin = await pinStore.get(req.params.id);
+    if (!pin) {
+      return sendError(res, 404, 'not_found', 'PIN not found');
+    }
+    res.json(pin);
+  }));
+
+  router.patch('/pins/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('label').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('label must be at most 100 characters'),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('lockdownOverride').optional().isBoolean({ strict: true }).withMessage('lockdownOverride must be a boolean'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { active, scheduleId, lockdownOverride } = req.body;
+    const label = req.body.label === undefined ? undefined : req.body.label || null;
+    if (await rejectMissingReferences(res, null, scheduleId)) {
+      return;
+    }
+    if (!await pinStore.update(req.params.id, { label, active, scheduleId, lockdownOverride })) {
+      return sendError(res, 404, 'not_found', 'PIN not found');
+    }
+    audit(req, { action: 'update_pin', credentialId: req.params.id, details: { label, active, scheduleId, lockdownOverride } });
+    res.json(await pinStore.get(req.params.id));
+  }));
+
+  router.delete('/pins/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    if (!await pinStore.remove(req.params.id)) {
+      return sendError(res, 404, 'not_found', 'PIN not found');
+    }
+    audit(req, { action: 'remove_pin', credentialId: req.params.id });
+    res.status(204).end();
+  }));
+
+  router.put('/pins/:id/doors', requireTokenPermission('manage_credentials'), doorIdsValidators, rejectInvalid, asyncRoute(async (req, res) => {
+    const doorIds = [...new Set(req.body.doorIds)];
+    if (rejectUnknownDoors(res, doorIds)) {
+      return;
+    }
+    if (!await pinStore.setDoors(req.params.id, doorIds)) {
+      return sendError(res, 404, 'not_found', 'PIN not found');
+    }
+    audit(req, { action: 'set_pin_doors', credentialId: req.params.id, details: { doorIds } });
+    res.json({ id: req.params.id, doorIds });
+  }));
+
+  router.put('/pins/:id/lockdown-override', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('override').isBoolean({ strict: true }).withMessage('override must be a boolean'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { override } = req.body;
+    if (!await pinStore.setLockdownOverride(req.params.id, override)) {
+      return sendError(res, 404, 'not_found', 'PIN not found');
+    }
+    audit(req, { action: 'set_lockdown_override', credentialId: req.params.id, details: { override } });
+    res.json({ id: req.params.id, override });
+  }));
+
+  // RFID cards
+
+  router.get('/cards', requireTokenPermission('manage_credentials'), asyncRoute(async (req, res) => {
+    res.json({ cards: await cardStore.list() });
+  }));
+
+  router.get('/cards/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const card = await cardStore.get(req.params.id);
+    if (!card) {
+      return sendError(res, 404, 'not_found', 'Card not found');
+    }
+    res.json(card);
+  }));
+
+  router.post('/cards', requireTokenPermission('manage_credentials'), [
+    body('key').matches(/^\d{10}$/).withMessage('Card key must be 10 digits long'),
+    body('label').optional({ values: 'null' }).isString().trim(),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { key, label = null, userId = null, scheduleId = null } = req.body;
+    if (await rejectMissingReferences(res, userId, scheduleId)) {
+      return;
+    }
+
+    let id;
+    try {
+      id = await cardStore.enroll({ key, label, userId, scheduleId });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        return sendError(res, 409, 'conflict', 'Card is already registered');
+      }
+      throw err;
+    }
+    audit(req, { action: 'add_card', credentialId: id, userId });
+    res.status(201).json(await cardStore.get(id));
+  }));
+
+  router.patch('/cards/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('label').optional({ values: 'null' }).isString().trim(),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('lockdownOverride').optional().isBoolean({ strict: true }).withMessage('lockdownOverride must be a boolean'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { label, active, userId, scheduleId, lockdownOverride } = req.body;
+    if (await rejectMissingReferences(res, userId, scheduleId)) {
+      return;
+    }
+    if (!await cardStore.update(req.params.id, { label, active, userId, scheduleId, lockdownOverride })) {
+      return sendError(res, 404, 'not_found', 'Card not found');
+    }
+    audit(req, { action: 'update_card', credentialId: req.params.id, details: { label, active, userId, scheduleId, lockdownOverride } });
+    res.json(await cardStore.get(req.params.id));
+  }));
+
+  router.delete('/cards/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    if (!await cardStore.remove(req.params.id)) {
+      return sendError(res, 404, 'not_found', 'Card not found');
+    }
+    audit(req, { action: 'remove_card', credentialId: req.params.id });
+    res.status(204).end();
+  }));
+
+  router.put('/cards/:id/doors', requireTokenPermission('manage_credentials'), doorIdsValidators, rejectInvalid, asyncRoute(async (req, res) => {
+    const doorIds = [...new Set(req.body.doorIds)];
+    if (rejectUnknownDoors(res, doorIds)) {
+      return;
+    }
+    if (!await cardStore.setDoors(req.params.id, doorIds)) {
+      return sendError(res, 404, 'not_found', 'Card not found');
+    }
+    audit(req, { action: 'set_card_doors', credentialId: req.params.id, details: { doorIds } });
+    res.json(await cardStore.get(req.params.id));
+  }));
+
+  // Access groups
+
+  router.get('/groups', requireTokenPermission('manage_credentials'), asyncRoute(async (req, res) => {
+    res.json({ groups: await groupStore.list() });
+  }));
+
+  router.get('/groups/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const group = await groupStore.get(req.params.id);
+    if (!group) {
+      return sendError(res, 404, 'not_found', 'Group not found');
+    }
+    res.json(group);
+  }));
+
+  router.post('/groups', requireTokenPermission('manage_credentials'), [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name is required and must be at most 100 characters'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { name, scheduleId = null, active = true } = req.body;
+    if (await rejectMissingReferences(res, null, scheduleId)) {
+      return;
+    }
+
+    let id;
+    try {
+      id = await groupStore.create({ name, scheduleId, active });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        return sendError(res, 409, 'conflict', 'A group with this name already exists');
+      }
+      throw err;
+    }
+    audit(req, { action: 'add_group', details: { group_id: id, name } });
+    res.status(201).json(await groupStore.get(id));
+  }));
+
+  router.patch('/groups/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1 to 100 characters'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { name, scheduleId, active } = req.body;
+    if (await rejectMissingReferences(res, null, scheduleId)) {
+      return;
+    }
+
+    let found;
+    try {
+      found = await groupStore.update(req.params.id, { name, scheduleId, active });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        return sendError(res, 409, 'conflict', 'A group with this name already exists');
+      }
+      throw err;
+    }
+    if (!found) {
+      return sendError(res, 404, 'not_found', 'Group not found');
+    }
+    audit(req, { action: 'update_group', details: { group_id: req.params.id, name, scheduleId, active } });
+    res.json(await groupStore.get(req.params.id));
+  }));
+
+  router.delete('/groups/:id', requireTokenPermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    if (!await groupStore.remove(req.params.id)) {
+      return sendError(res, 404, 'not_found', 'Group not found');
+    }
+    audit(req, { action: 'delete_group', details: { group_id: req.params.id } });
+    res.status(204).end();
+  }));
+
+  router.put('/groups/:id/doors', requireTokenPermission('manage_credentials'), doorIdsValidators, rejectInvalid, asyncRoute(async (req, res) => {
+    const doorIds = [...new Set(req.body.doorIds)];
+    if (rejectUnknownDoors(res, doorIds)) {
+      return;
+    }
+    if (!await groupStore.setDoors(req.params.id, doorIds)) {
+      return sendError(res, 404, 'not_found', 'Group not found');
+    }
+    audit(req, { action: 'set_group_doors', details: { group_id: req.params.id, doorIds } });
+    res.json(await groupStore.get(req.params.id));
+  }));
+
+  /**
+   * Validators for the group, the member type and the member in a group member route.
+   * @type {ValidationChain[]}
+   */
+  const groupMemberValidators = [
+    param('id').isInt({ min: 1 }).toInt(),
+    param('type').isIn(GroupStore.MEMBER_TYPES).withMessage(`type must be one of ${GroupStore.MEMBER_TYPES.join(', ')}`),
+    param('memberId').isInt({ min: 1 }).toInt(),
+  ];
+
+  router.put('/groups/:id/members/:type/:memberId', requireTokenPermission('manage_credentials'), groupMemberValidators, rejectInvalid, asyncRoute(async (req, res) => {
+    const { id, type, memberId } = req.params;
+    const result = await groupStore.addMember(id, type, memberId);
+    if (result === 'group_not_found') {
+      return sendError(res, 404, 'not_found', 'Group not found');
+    }
+    if (result === 'member_not_found') {
+      return sendError(res, 404, 'not_found', `No ${type} with id ${memberId}`);
+    }
+    audit(req, { action: 'add_group_member', details: { group_id: id, type, member_id: memberId } });
+    res.json(await groupStore.get(id));
+  }));
+
+  router.delete('/groups/:id/members/:type/:memberId', requireTokenPermission('manage_credentials'), groupMemberValidators, rejectInvalid, asyncRoute(async (req, res) => {
+    const { id, type, memberId } = req.params;
+    if (!await groupStore.removeMember(id, type, memberId)) {
+      return sendError(res, 404, 'not_found', 'Member not found in this group');
+    }
+    audit(req, { action: 'remove_group_member', details: { group_id: id, type, member_id: memberId } });
+    res.status(204).end();
+  }));
+
+  // Admins
+
+  router.get('/admins', requireTokenPermission('manage_admins'), asyncRoute(async (req, res) => {
+    res.json({ admins: await adminStore.list() });
+  }));
+
+  router.post('/admins', requireTokenPermission('manage_admins'), [
+    body('username').isString().trim().isLength({ min: 4 }).withMessage('Username must be at least 4 characters long'),
+    body('password').isString().withMessage('password is required').bail().custom(passwordPolicy.validator('username')),
+    body('role').optional().isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { username, password, role = 'manager' } = req.body;
+    if (!await adminStore.create(username, await bcrypt.hash(password, saltRounds), role)) {
+      return sendError(res, 409, 'conflict', 'Admin already exists');
+    }
+    audit(req, { action: 'add_admin', details: { username, role } });
+    res.status(201).json({ username, role });
+  }));
+
+  router.patch('/admins/:username', requireTokenPermission('manage_admins'), [
+    body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { username } = req.params;
+    const { role } = req.body;
+    const result = await adminStore.setRole(username, role);
+    if (result === 'not_found') {
+      return sendError(res, 404, 'not_found', 'Admin not found');
+    }
+    if (result === 'last_owner') {
+      return sendError(res, 409, 'last_owner', 'The last owner must stay owner');
+    }
+    live.disconnectAdmin(username);
+    audit(req, { action: 'change_admin_role', details: { username, role } });
+    res.json({ username, role });
+  }));
+
+  router.delete('/admins/:username', requireTokenPermission('manage_admins'), asyncRoute(async (req, res) => {
+    const { username } = req.params;
+    const result = await adminStore.remove(username);
+    if (result === 'not_found') {
+      return sendError(res, 404, 'not_found', 'Admin not found');
+    }
+    if (result === 'last_owner') {
+      return sendError(res, 409, 'last_owner', 'The last owner cannot be removed');
+    }
+    live.disconnectAdmin(username);
+    audit(req, { action: 'remove_admin', details: { username } });
+    res.status(204).end();
+  }));
+
+  router.post('/admins/:username/password-reset', requireTokenPermission('manage_admins'), [
+    body('resetTotp').optional().isBoolean({ strict: true }).withMessage('resetTotp must be a boolean'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { username } = req.params;
+    const { resetTotp = false } = req.body;
+    const reset = await adminStore.createResetToken(username, passwordResetMinutes, { resetTotp });
+    if (!reset) {
+      return sendError(res, 404, 'not_found', 'Admin not found');
+    }
+    audit(req, { action: 'issue_password_reset', severity: 'warning', details: { username, resetTotp } });
+    res.status(201).json({ username, token: reset.token, expiresAt: reset.expiresAt });
+  }));
+
+  // Access history
+
+  router.get('/events', requireTokenPermission('view_events'), [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('outcome').optional().isString().trim().notEmpty(),
+    query('source').optional().isIn(['keypad', 'rfid', 'door', 'admin']).withMessage('Unknown event source'),
+    query('severity').optional().isIn(['info', 'warning', 'critical']).withMessage('Unknown event severity'),
+    query('door').optional().isInt({ min: 1 }).withMessage('door must be a door id').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { from, to, outcome, source, severity, door, limit = 50, offset = 0 } = req.query;
+    const { events, total } = await eventLog.query({ from, to, outcome, source, severity, doorId: door, limit, offset });
+    res.json({ events, total, limit, offset });
+  }));
+
+  // Doors; the `/door` routes act on the main door
+
+  router.get('/doors', requireTokenPermission('view_events'), (req, res) => {
+    res.json({ doors: doorManager.list().map((entry) => entry.door.status()) });
+  });
+
+  router.get(['/door', '/doors/:id'], requireTokenPermission('view_events'), findDoor, (req, res) => {
+    res.json(req.doorEntry.door.status());
+  });
+
+  router.post(['/door/unlock', '/doors/:id/unlock'], requireTokenPermission('operate_door'), findDoor, [
+    body('durationSeconds').optional().isInt({ min: 1, max: 3600 }).withMessage('durationSeconds must be between 1 and 3600').toInt(),
+    body('hold').optional().isBoolean({ strict: true }).withMessage('hold must be a boolean'),
+  ], rejectInvalid, (req, res) => {
+    const { durationSeconds, hold = false } = req.body;
+    const { door, id: doorId, name } = req.doorEntry;
+    if (hold) {
+      door.hold();
+    } else {
+      door.unlock(durationSeconds ? durationSeconds * 1000 : undefined);
+    }
+    logger.info(`Door unlocked remotely`, { token: req.apiToken.name, door: name, hold, action: 'remote_unlock', status: 'success' });
+    audit(req, { action: 'remote_unlock', doorId, details: { hold, durationSeconds } });
+    res.json(door.status());
+  });
+
+  router.post(['/door/lock', '/doors/:id/lock'], requireTokenPermission('operate_door'), findDoor, (req, res) => {
+    const { door, id: doorId, name } = req.doorEntry;
+    door.lock();
+    logger.info(`Door locked remotely`, { token: req.apiToken.name, door: name, action: 'remote_lock', status: 'success' });
+    audit(req, { action: 'remote_lock', doorId });
+    res.json(door.status());
+  });
+
+  router.post(['/door/alarm/acknowledge', '/doors/:id/alarm/acknowledge'], requireTokenPermission('operate_door'), findDoor, (req, res) => {
+    const { door, id: doorId } = req.doorEntry;
+    if (!door.acknowledgeForced()) {
+      return sendError(res, 409, 'no_alarm', 'No forced-open alarm is active');
+    }
+    audit(req, { action: 'acknowledge_alarm', doorId, details: { alarm: 'forced_open' } });
+    res.json(door.status());
+  });
+
+  // Door mode
+
+  router.get('/door-mode', requireTokenPermission('operate_door'), (req, res) => {
+    res.json(doorMode.status());
+  });
+
+  router.put('/door-mode', requireTokenPermission('operate_door'), [
+    body('mode').isIn(Object.keys(MODES)).withMessage(`mode must be one of ${Object.keys(MODES).join(', ')}`),
+    body('until').if(body('mode').equals('passage'))
+        .isISO8601({ strict: true }).withMessage('Passage mode needs until, an ISO 8601 time').bail()
+        .custom((until) => Date.parse(until) > Date.now()).withMessage('until must be in the future'),
+  ], rejectInvalid, asyncRoute(async (req, res) => {
+    const { mode } = req.body;
+    const until = mode === 'passage' ? new Date(req.body.until).toISOString() : null;
+    const status = await doorMode.set(mode, { until, actor: `api:${req.apiToken.name}` });
+    logger.info(`Door mode changed`, { token: req.apiToken.name, mode, until, action: 'set_door_mode', status: 'success' });
+    audit(req, { action: 'set_door_mode', severity: mode === 'normal' ? 'info' : 'warning', details: { mode, until } });
+    res.json(status);
+  }));
+
+  router.use((req, res) => {
+    sendError(res, 404, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+  });
+
+  return router;
+}
+
+module.exports = { createApiV1, createApiErrorHandler };
@@ -17,7 +17,7 @@ const sqlite3 = require('sqlite3').verbose();    // SQLite3 for database managem
 const bcrypt = require('bcrypt');                // bcrypt for password hashing
 const session = require('express-session');      // express-session for session management
 const rateLimit = require("express-rate-limit"); // Rate limiting to prevent abuse
-const { body, validationResult } = require('express-validator'); // express-validator for input validation
+const { body, param, query, validationResult } = require('express-validator'); // express-validator for input validation
 const path = require('path');                    // Node.js path module for handling file and directory paths
 const util = require('util');                    // Utility functions for debugging and logging
 const app = express();                           // Create an instance of the Express application
@@ -25,8 +25,51 @@ const winston = require('winston');              // Winston for logging
 const fs = require('fs');                        // Node.js file system module for file I/O
 const crypto = require('crypto');                // Node.js crypto module for cryptographic functions
 const RaspberryPi = require('./gpio');           // RaspberryPi class for GPIO functionality
-const pi = new RaspberryPi(4, 17); // RFID-Sensor ist an GPIO-Pin 4 angeschlossen, Servomotor an Pin 17
-const allowedKeys = ['1234567890', '0987654321']; // Ersetzen Sie dies durch die tatsächlichen RFID-Schlüssel
+const DoorStore = require('./doorStore');        // Doors and their GPIO pins
+const DoorManager = require('./doorManager');    // The running doors with their actuators and policies
+const EventLog = require('./eventLog');          // Persistent audit log of access events
+const { migrate } = require('./migrations');     // Versioned schema migrations
+const AccessControl = require('./access');        // Credential checks shared by keypad and RFID reader
+const { DoorMode } = require('./doorMode');   // Normal, lockdown and passage modes for all doors
+const UserStore = require('./userStore');        // Named users and the credentials they own
+const CardStore = require('./cardStore');        // Enrolled RFID cards
+const ScheduleStore = require('./scheduleStore'); // Time-based access schedules
+const GroupStore = require('./groupStore');      // Access groups and their members
+const { isValidTimeZone } = require('./schedule'); // Timezone validation for schedules
+const AdminStore = require('./adminStore');      // Admin accounts and their roles
+const PasswordPolicy = require('./passwordPolicy'); // Rules for new admin passwords
+const totp = require('./totp');                  // TOTP second factor for admin logins
+const { ROLES, permissionsOf, hasPermission } = require('./roles'); // Admin role permissions
+const KeypadLockout = require('./keypadLockout'); // Progressive lockout after wrong PINs
+const PinStore = require('./pinStore');          // Keypad PINs
+const AlarmNotifier = require('./alarmNotifier'); // External hook for silent alarms
+const LiveUpdates = require('./liveUpdates');    // Server-Sent Events for the dashboard
+const WebhookStore = require('./webhookStore');  // Outbound webhooks and their delivery queue
+const { WebhookDispatcher } = require('./webhookDispatcher'); // Signed webhook delivery with retries
+const MqttBridge = require('./mqttBridge');      // Optional MQTT connection for home automation
+const ApiTokenStore = require('./apiTokenStore'); // API tokens for integrations
+const { createApiV1, createApiErrorHandler } = require('./apiV1'); // Versioned REST API
+const BackupManager = require('./backupManager'); // Online backups and restores
+const { ConfigTransfer } = require('./configTransfer'); // Export and import of credentials and admins
+const { createAdminSecurityRoutes } = require('./adminSecurityRoutes'); // Own account, second factor and password resets
+const { createGroupRoutes } = require('./groupRoutes'); // Access group routes
+const { createDoorRoutes } = require('./doorRoutes'); // Door, remote unlock and access policy routes
+const { createDoorModeRoutes } = require('./doorModeRoutes'); // Door mode routes
+const { createWebhookRoutes } = require('./webhookRoutes'); // Webhook routes
+const { createTokenRoutes } = require('./tokenRoutes'); // API token routes
+const { createBackupRoutes } = require('./backupRoutes'); // Backup, restore, export and import routes
+
+/**
+ * Detect whether the application is running on a Raspberry Pi.
+ * @returns {boolean} True if the device tree reports a Raspberry Pi model
+ */
+function isRaspberryPi() {
+  try {
+    return fs.readFileSync('/proc/device-tree/model', 'utf-8').includes('Raspberry Pi');
+  } catch (err) {
+    return false;
+  }
+}
 
 /**
  * Immediately invoke the `config` function from the `dotenv` package.
@@ -38,11 +81,28 @@ if (!fs.existsSync(path.join(__dirname, '.env'))) {
   // Generate a secure secret key
   const secretKey = crypto.randomBytes(64).toString('hex');
 
+  // Use the real GPIO backend only when running on a Raspberry Pi
+  const gpioBackend = isRaspberryPi() ? 'pi' : 'simulated';
+
   // Default values for your environment variables
   const defaultEnv = `
 PORT=3000
 SECRET_KEY=${secretKey}
 SALT_ROUNDS=10
+GPIO_BACKEND=${gpioBackend}
+
+# MQTT is off unless MQTT_URL is set
+# MQTT_URL=mqtt://localhost:1883
+# MQTT_USERNAME=
+# MQTT_PASSWORD=
+# MQTT_TOPIC_PREFIX=keypad
+MQTT_COMMAND_SECRET=${crypto.randomBytes(32).toString('hex')}
+
+# Scheduled database backups, 0 hours turns them off
+BACKUP_DIR=backups
+BACKUP_INTERVAL_HOURS=24
+BACKUP_RETAIN=7
+BACKUP_UPLOAD_MAX_MB=20
 `;
 
   // Write the default .env file
@@ -64,11 +124,38 @@ require('dotenv').config();
  */
 let db = null;
 
+/**
+ * Delivery of access events to the registered webhooks, created once the database is set up.
+ * WEBHOOK_MAX_ATTEMPTS and WEBHOOK_RETRY_SECONDS set how often and how soon failed deliveries are retried.
+ * @type {?WebhookDispatcher}
+ */
+let webhookDispatcher = null;
+
+/**
+ * Online backups of the database, created once the database is set up.
+ * BACKUP_DIR, BACKUP_INTERVAL_HOURS and BACKUP_RETAIN set where, how often and how many scheduled backups are kept,
+ * BACKUP_UPLOAD_MAX_MB how large an uploaded database file may be.
+ * @type {?BackupManager}
+ */
+let backupManager = null;
+
+/**
+ * The running doors, created once the database is set up.
+ * @type {?DoorManager}
+ */
+let doorManager = null;
+
+/**
+ * The system-wide door mode, created once the database is set up.
+ * @type {?DoorMode}
+ */
+let doorMode = null;
+
 /**
  * Load configuration values from environment variables, or use default values.
  * @type {Object}
  * @property {number} port - Port to run the web server on; default is 3000.
- * @property {string} secretKey - Secret key for session management.
+ * @property {string} secretKey - Secret key for session management and credential hashing.
  * @property {number} saltRounds - Number of rounds for bcrypt hashing; converted to an integer.
  * @property {string} logDir - Directory to store log files.
  */
@@ -77,6 +164,17 @@ const secretKey = process.env.SECRET_KEY;
 const saltRounds = parseInt(process.env.SALT_ROUNDS, 10);
 const logDir = 'logs';
 
+/**
+ * The rules for new admin passwords, how long a password reset token can be
+ * used, and the name authenticator apps show for the second factor.
+ */
+const passwordPolicy = new PasswordPolicy({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10),
+  minClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES || '2', 10)
+});
+const passwordResetMinutes = parseInt(process.env.PASSWORD_RESET_MINUTES || '60', 10);
+const totpIssuer = process.env.TOTP_ISSUER || 'RPI Keypad';
+
 
 
 /**
@@ -148,15 +246,84 @@ function initializeLogger() {
 const logger = initializeLogger();
 
 
+/**
+ * The GPIO backend, either 'pi' for real hardware or 'simulated' for development machines.
+ * Defaults to 'pi' for .env files created before the backend became configurable.
+ * @type {string}
+ */
+const gpioBackend = process.env.GPIO_BACKEND || 'pi';
+
+/**
+ * The GPIO driver shared by all doors.
+ * The pins of each door are set on the dashboard; DOOR_CONTACT_DEBOUNCE_MS sets the debounce of all door contacts.
+ * @type {Object}
+ */
+const gpioDriver = RaspberryPi.createDriver(gpioBackend, logger);
+logger.info(`Using GPIO backend`, { backend: gpioBackend });
+
+/**
+ * Open dashboard connections receiving live updates.
+ * @type {LiveUpdates}
+ */
+const live = new LiveUpdates(logger, authorizeLiveClient);
+
+/**
+ * Connection to an MQTT broker, only if MQTT_URL is set.
+ * MQTT_USERNAME and MQTT_PASSWORD authenticate with the broker, MQTT_TOPIC_PREFIX
+ * sets the topics and every command must be signed with MQTT_COMMAND_SECRET.
+ * @type {?MqttBridge}
+ */
+const mqttBridge = process.env.MQTT_URL ? new MqttBridge(logger, {
+  url: process.env.MQTT_URL,
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'keypad',
+  commandSecret: process.env.MQTT_COMMAND_SECRET || null
+}) : null;
+
+// .env files written before commands were signed have no secret, which
+// silently turns every command into a rejection
+if (mqttBridge && !mqttBridge.commandSecret) {
+  logger.warn(`MQTT_COMMAND_SECRET is not set, so every MQTT command will be rejected. Add it to the .env file`, {
+    action: 'mqtt_connect'
+  });
+}
+
+
+/**
+ * Whether the application runs in production mode.
+ * @type {boolean}
+ */
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Trust the first proxy hop if TRUST_PROXY is set, so secure cookies and
+ * client IPs work behind a TLS-terminating reverse proxy.
+ */
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', 1);
+}
+
+/**
+ * Store of the admin sessions, also consulted for the open live update streams.
+ * @type {session.MemoryStore}
+ */
+const sessionStore = new session.MemoryStore();
+
 /**
  * Initialize session middleware with Express.
- * Note: In production, the cookie should be set to secure.
+ * In production the cookie is only sent over HTTPS.
  */
 app.use(session({
+  store: sessionStore,
   secret: secretKey,
   resave: false,
-  saveUninitialized: true,
-  cookie: { secure: false } // Use secure: true in production!!!
+  saveUninitialized: false,
+  cookie: {
+    secure: isProduction,
+    httpOnly: true,
+    sameSite: 'strict'
+  }
 }));
 
 // Set up rate limiting
@@ -177,6 +344,8 @@ async function initializeDatabase() {
         reject(err);
         return;
       }
+      // Configuration imports write on a connection of their own; wait for them instead of failing
+      db.configure('busyTimeout', 10000);
       resolve(db);
     });
   });
@@ -193,18 +362,11 @@ async function setup() {
   const db = await initializeDatabase();
   logger.info("Successfully initialized the database");
   logger.info("You can create a default admin by passing the username and password as command line arguments")
-  logger.info("Example: npm run dev 'admin' 'admin123'")
-
-  // SQL queries to initialize tables
-  const tableInitQueries = [
-    'CREATE TABLE IF NOT EXISTS admin_users (username TEXT, password TEXT)',
-    'CREATE TABLE IF NOT EXISTS valid_pins (pin TEXT)'
-  ];
+  logger.info("Example: npm run dev 'admin' 'Keypad-Owner-1'")
 
-  // Execute each SQL query to initialize tables
-  for (const query of tableInitQueries) {
-    await db.run(query);
-  }
+  // Create or upgrade the tables, see migrations.js
+  const schemaVersion = await migrate(db, logger);
+  logger.info(`Database schema is up to date`, { version: schemaVersion, action: 'migrate_schema' });
 
   // Create a default admin if command line arguments are provided
   const [defaultAdminUsername, defaultAdminPassword] = process.argv.slice(2);
@@ -215,8 +377,8 @@ async function setup() {
         logger.error(`[ERROR] ${err.message}`);
         return;
       }
-      const query = 'INSERT OR IGNORE INTO admin_users(username, password) VALUES(?, ?)';
-      db.run(query, [defaultAdminUsername, hash], (err) => {
+      const query = "INSERT OR IGNORE INTO admin_users(username, password, role) VALUES(?, ?, 'owner')";
+      db.run(query, [defaultAdminUsername, hash], function (err) {
         if (err) {
           logger.error(`Failed to add default admin`, {
             error_message: err.message,
@@ -225,11 +387,28 @@ async function setup() {
           });
           return;
         }
+        // The username is the primary key, so an existing admin keeps their password
+        if (this.changes === 0) {
+          logger.info(`Default admin already exists`, {
+            username: defaultAdminUsername,
+            action: 'create_default_admin',
+            status: 'skipped'
+          });
+          return;
+        }
         logger.info(`Default admin added successfully`, {
           username: defaultAdminUsername,
           action: 'create_default_admin',
           status: 'success'
         });
+        const problems = passwordPolicy.check(defaultAdminPassword, defaultAdminUsername);
+        if (problems.length > 0) {
+          logger.warn(`The default admin password does not meet the password policy. Change it on the dashboard`, {
+            username: defaultAdminUsername,
+            problems,
+            action: 'create_default_admin'
+          });
+        }
       });
     });
   }
@@ -238,11 +417,100 @@ async function setup() {
 }
 
 
+/**
+ * Reject a request to an admin route.
+ * Browsers navigating to a page get the unauthorized page, API clients get JSON.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {number} status - 401 if not logged in, 403 if not allowed
+ * @param {string} message - The reason, sent to API clients
+ */
+function denyAccess(req, res, status, message) {
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.status(status).sendFile(path.join(__dirname, 'public/unauthorized.html'));
+  }
+  return res.status(status).json({ message });
+}
+
+/**
+ * Middleware that only lets requests with an authenticated admin session through.
+ * Responds with 401 if there is no session, if the session belongs to an
+ * admin account that has since been removed, or if it was started before the
+ * admin's password was last changed. The admin's current role is looked up
+ * on every request and stored in `req.adminRole`.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware in the chain
+ */
+function requireAdmin(req, res, next) {
+  if (!req.session.username) {
+    return denyAccess(req, res, 401, 'Authentication required');
+  }
+
+  db.get('SELECT username, role, password_changed_at FROM admin_users WHERE username = ?', [req.session.username], (err, row) => {
+    if (err) {
+      logger.error(`Failed to verify admin session`, {
+        error_message: err.message,
+        action: 'verify_session',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+    if (!row) {
+      return req.session.destroy(() => denyAccess(req, res, 401, 'Admin account no longer exists'));
+    }
+    if (row.password_changed_at && !(req.session.authenticatedAt >= row.password_changed_at)) {
+      return req.session.destroy(() => denyAccess(req, res, 401, 'The password was changed, please log in again'));
+    }
+    req.adminRole = row.role;
+    next();
+  });
+}
+
+/**
+ * Check the session behind a live update stream again, as requireAdmin does for every request.
+ * @param {{sessionId: string}} client - The live update client
+ * @returns {Promise<?string[]>} The permissions of the admin's current role, or null if the stream has to end
+ */
+async function authorizeLiveClient(client) {
+  const stored = await new Promise((resolve, reject) => {
+    sessionStore.get(client.sessionId, (err, sess) => (err ? reject(err) : resolve(sess)));
+  });
+  if (!stored || !stored.username) {
+    return null;
+  }
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT role, password_changed_at FROM admin_users WHERE username = ?', [stored.username], (err, found) => (err ? reject(err) : resolve(found)));
+  });
+  if (!row || (row.password_changed_at && !(stored.authenticatedAt >= row.password_changed_at))) {
+    return null;
+  }
+  return permissionsOf(row.role);
+}
+
+/**
+ * Create middleware that only lets admins whose role grants a permission through.
+ * Responds like `requireAdmin` without a valid session, and with 403 if the role lacks the permission.
+ * @param {string} permission - The required permission, see roles.js
+ * @returns {Function} The middleware
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    requireAdmin(req, res, () => {
+      if (!hasPermission(req.adminRole, permission)) {
+        return denyAccess(req, res, 403, 'Insufficient permissions');
+      }
+      next();
+    });
+  };
+}
+
+
 /**
  * Chain to the setup function to initialize additional middleware and settings.
  * If setup is successful, further middleware is initialized.
  */
-setup().then(db => {
+setup().then(async db => {
   // Make the SQLite get method Promisified
   util.promisify(db.get).bind(db);
 
@@ -261,276 +529,2221 @@ setup().then(db => {
     max: 5
   });
 
-  pi.listenForRFID(allowedKeys, () => {
-    console.log('Access granted');
-    pi.openDoor();
-  }, () => {
-    console.log('Access denied');
-  });
-  
-  process.on('SIGINT', () => {
-    pi.cleanup();
-    process.exit();
-  });
+  /**
+   * Persistent audit log for access attempts, door openings and admin changes.
+   * @type {EventLog}
+   */
+  const eventLog = new EventLog(db, logger);
 
+  /**
+   * Data access for enrolled RFID cards.
+   * @type {CardStore}
+   */
+  const cardStore = new CardStore(db, secretKey);
 
   /**
-   * Handle POST requests for admin login.
-   * Checks the credentials against the database after rate-limiting.
-   * @param {Request} req - Express request object
-   * @param {Response} res - Express response object
+   * Data access for time-based access schedules.
+   * @type {ScheduleStore}
    */
-  app.post('/admin-login', (req, res, next) => { // noinspection JSValidateTypes
-    loginLimiter(req, res, next); }, (req, res) => {
-    const { username, password } = req.body;
+  const scheduleStore = new ScheduleStore(db);
 
-    // Validate username and password input
-    if (!username || !password || username.length < 4 || password.length < 6) {
-      return res.status(400).json({ message: "Invalid input" });
-    }
+  /**
+   * Data access for access groups and their members.
+   * @type {GroupStore}
+   */
+  const groupStore = new GroupStore(db);
 
-    // SQL query to fetch admin details
-    const query = 'SELECT username, password FROM admin_users WHERE username = ?';
+  /**
+   * Data access for admin accounts and their roles.
+   * @type {AdminStore}
+   */
+  const adminStore = new AdminStore(db);
 
-    // Execute the query and handle result
-    db.get(query, [username], (err, row) => {
-      if (err || !row) {
-        logger.error(`Invalid credentials provided`, {
-          username,
-          action: 'admin_login',
-          status: 'failure'
-        });
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
+  /**
+   * Data access for keypad PINs.
+   * @type {PinStore}
+   */
+  const pinStore = new PinStore(db, secretKey);
 
-      // Compare the hashed password
-      bcrypt.compare(password, row.password, (err, match) => {
-        if (match) {
-          req.session.username = username;
-          return res.json({ message: 'Login successful' });
-        } else {
-          return res.status(401).json({ message: 'Invalid credentials' });
-        }
-      });
+  // PINs stored before the HMAC index are converted when they are next entered
+  pinStore.countLegacy().then((count) => {
+    if (count > 0) {
+      logger.info(`PINs waiting for conversion to the HMAC index`, { count, action: 'migrate_pins' });
+    }
+  }).catch((err) => {
+    logger.error(`Failed to count unconverted PINs`, {
+      error_message: err.message,
+      action: 'migrate_pins',
+      status: 'failure'
+    });
+  });
+
+  // Guest PINs stop working as soon as they are used up or expired; deleting them frees their codes
+  const purgeGuestPins = () => pinStore.purgeGuests().then((count) => {
+    if (count > 0) {
+      logger.info(`Deleted used up and expired guest PINs`, { count, action: 'purge_guest_pins', status: 'success' });
+    }
+  }).catch((err) => {
+    logger.error(`Failed to delete used up and expired guest PINs`, {
+      error_message: err.message,
+      action: 'purge_guest_pins',
+      status: 'failure'
     });
   });
+  purgeGuestPins();
+  setInterval(purgeGuestPins, 60 * 60 * 1000).unref();
 
+  /**
+   * Lockout of keypad clients after repeated wrong PINs.
+   * @type {KeypadLockout}
+   */
+  const keypadLockout = new KeypadLockout(db, {
+    threshold: parseInt(process.env.KEYPAD_LOCKOUT_THRESHOLD || '5', 10),
+    baseSeconds: parseInt(process.env.KEYPAD_LOCKOUT_SECONDS || '30', 10),
+    maxSeconds: parseInt(process.env.KEYPAD_LOCKOUT_MAX_SECONDS || '3600', 10)
+  });
 
   /**
-   * Serve the admin dashboard if the user is authenticated.
-   * @param {Request} req - Express request object
-   * @param {Response} res - Express response object
+   * Delivery of silent alarms to the hook configured in ALARM_WEBHOOK_URL.
+   * @type {AlarmNotifier}
    */
-  app.get('/admin_dashboard', (req, res) => {
-    if (req.session.username) {
-      res.sendFile(path.join(__dirname, 'public/admin_dashboard.html'));
-    } else {
-      res.status(401).sendFile(path.join(__dirname, 'public/unauthorized.html'));
-    }
+  const alarmNotifier = new AlarmNotifier(process.env.ALARM_WEBHOOK_URL, logger);
+
+  /**
+   * Data access for outbound webhooks and their deliveries.
+   * @type {WebhookStore}
+   */
+  const webhookStore = new WebhookStore(db);
+
+  /**
+   * Data access for API tokens.
+   * @type {ApiTokenStore}
+   */
+  const apiTokenStore = new ApiTokenStore(db);
+
+  webhookDispatcher = new WebhookDispatcher(webhookStore, logger, {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+    baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_SECONDS || '30', 10) * 1000
   });
+  webhookDispatcher.start();
 
+  backupManager = new BackupManager(db, logger, {
+    dir: process.env.BACKUP_DIR || path.join(__dirname, 'backups'),
+    intervalHours: parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24'),
+    retain: parseInt(process.env.BACKUP_RETAIN || '7', 10),
+    maxUploadBytes: parseFloat(process.env.BACKUP_UPLOAD_MAX_MB || '20') * 1024 * 1024
+  });
+  backupManager.start();
 
   /**
-   * Handle POST requests to add a new PIN.
-   * The PIN is hashed before being stored in the database.
-   * @param {Request} req - Express request object containing the PIN in the body
-   * @param {Response} res - Express response object
-   * @returns {Promise<void>}
+   * Export and import of credentials and admins.
+   * @type {ConfigTransfer}
    */
-  app.post('/add-pin', async (req, res) => {
-    const { pin } = req.body;
+  const configTransfer = new ConfigTransfer(db, secretKey);
 
-    try {
-      // Hash the PIN
-      const hashedPin = await bcrypt.hash(pin, saltRounds);
+  // The door mode is loaded before the doors start so passage mode holds them open
+  doorMode = new DoorMode(db);
+  await doorMode.load();
 
-      // SQL query to insert the hashed PIN
-      const query = 'INSERT INTO valid_pins(pin) VALUES(?)';
+  /**
+   * Credential checks for the keypad and the RFID reader.
+   * @type {AccessControl}
+   */
+  const accessControl = new AccessControl(pinStore, cardStore, groupStore, doorMode);
 
-      // Execute the query and handle the result
-      db.run(query, [hashedPin], (err) => {
-        if (err) {
-          logger.error(`Failed to add PIN`, {
-            error_message: err.message,
-            action: 'add_pin',
-            status: 'failure'
-          });
-          return res.status(500).json({ message: 'Internal Server Error' });
-        }
-        logger.info(`Successfully added PIN`, {
-          pin: hashedPin,  // Log the hashed PIN for security
-          action: 'add_pin',
-          status: 'success'
-        });
-        res.json({ message: 'PIN added successfully' });
+  /**
+   * Data access for doors.
+   * @type {DoorStore}
+   */
+  const doorStore = new DoorStore(db);
+
+  /**
+   * State of the "enroll next swipe" mode. While `status` is 'waiting',
+   * the next card presented to the reader is enrolled instead of checked.
+   * @type {{status: string, expiresAt: ?string, label: ?string, userId: ?number, actor: ?string, cardId: ?number}}
+   */
+  let enrollment = { status: 'idle', expiresAt: null, label: null, userId: null, actor: null, cardId: null };
+  const ENROLLMENT_TIMEOUT_MS = 60 * 1000;
+
+  /**
+   * Enroll a swiped card for the pending "enroll next swipe" request.
+   * @async
+   * @param {string} key - The key read from the card
+   */
+  async function enrollSwipedCard(key) {
+    const { label, userId, actor } = enrollment;
+    try {
+      const cardId = await cardStore.enroll({ key, label, userId });
+      enrollment = { ...enrollment, status: 'captured', cardId };
+      logger.info(`Successfully enrolled swiped card`, {
+        card_id: cardId,
+        action: 'enroll_card',
+        status: 'success'
       });
+      eventLog.record({ source: 'admin', action: 'enroll_card', outcome: 'success', credentialId: cardId, userId, actor });
     } catch (error) {
-      logger.error(`Failed to hash PIN`, {
+      enrollment = { ...enrollment, status: error.code === 'SQLITE_CONSTRAINT' ? 'duplicate' : 'failed' };
+      logger.error(`Failed to enroll swiped card`, {
         error_message: error.message,
-        action: 'hash_pin',
+        action: 'enroll_card',
         status: 'failure'
       });
-      return res.status(500).json({ message: 'Internal Server Error' });
+      eventLog.record({ source: 'admin', action: 'enroll_card', outcome: 'failure', userId, actor, details: { reason: enrollment.status } });
     }
-  });
-
+  }
 
   /**
-   * Handle POST requests to remove a PIN.
-   * The PIN is deleted from the database.
-   * @param {Request} req - Express request object containing the PIN in the body
-   * @param {Response} res - Express response object
+   * Data access for named users and their credentials.
+   * @type {UserStore}
    */
-  app.post('/remove-pin', (req, res) => {
-    const { pin } = req.body;
+  const userStore = new UserStore(db);
 
-    // SQL query to delete the PIN
-    const query = 'DELETE FROM valid_pins WHERE pin = ?';
+  // Send new events to the webhooks subscribed to them
+  eventLog.on('recorded', (event) => webhookDispatcher.dispatch(event));
 
-    // Execute the query and handle the result
-    db.run(query, [pin], (err) => {
-      if (err) {
-        logger.error(`Failed to remove PIN`, {
-          error_message: err.message,
-          action: 'remove_pin',
-          status: 'failure'
-        });
-        return res.status(500).json({ message: 'Internal Server Error' });
+  // Push new events and lockouts to connected dashboards
+  eventLog.on('recorded', (event) => live.broadcast('access_event', event, 'view_events'));
+  keypadLockout.on('change', async () => {
+    try {
+      const lockouts = await keypadLockout.list();
+      live.broadcast('lockouts', lockouts, 'manage_credentials');
+      if (mqttBridge) {
+        mqttBridge.publish('lockouts', lockouts, true);
       }
-      logger.info(`Successfully removed PIN`, {
-        pin,
-        action: 'remove_pin',
-        status: 'success'
+    } catch (error) {
+      logger.error(`Failed to list keypad lockouts for live update`, {
+        error_message: error.message,
+        action: 'live_update',
+        status: 'failure'
       });
-      res.json({ message: 'PIN removed successfully' });
-    });
+    }
   });
 
+  doorManager = new DoorManager(db, doorStore, gpioDriver, {
+    debounceMs: parseInt(process.env.DOOR_CONTACT_DEBOUNCE_MS || '50', 10)
+  });
 
   /**
-   * Handle POST requests to add a new admin.
-   * The admins password is hashed before being stored in the database.
-   * @param {Request} req - Express request object containing the admin username and password in the body
-   * @param {Response} res - Express response object
+   * Publish the status of a door over MQTT, on the topic of the door and, for the main door, on `door`.
+   * @param {Object} status - The door status
    */
-  app.post('/add-admin', (req, res) => {
-    const { username, password } = req.body;
-
-    // Hash the password using bcrypt
-    bcrypt.hash(password, saltRounds, (err, hash) => {
-      if (err) {
-        logger.error(`Failed to hash password`, {
-          error_message: err.message,
-          action: 'add_admin',
-          status: 'failure'
-        });
-        return res.status(500).json({ message: 'Internal Server Error' });
-      }
-
-      // SQL query to insert the new admin
-      const query = 'INSERT INTO admin_users(username, password) VALUES(?, ?)';
+  function publishDoorStatus(status) {
+    mqttBridge.publish(`doors/${status.id}`, status, true);
+    if (doorManager.main && doorManager.main.id === status.id) {
+      mqttBridge.publish('door', status, true);
+    }
+  }
 
-      // Execute the query and handle result
-      db.run(query, [username, hash], (err) => {
-        if (err) {
-          logger.error(`Failed to add admin`, {
-            error_message: err.message,
-            action: 'add_admin',
-            status: 'failure'
-          });
-          return res.status(500).json({ message: 'Internal Server Error' });
-        }
-        logger.info(`Successfully added admin`, {
-          username,
-          action: 'add_admin',
-          status: 'success'
-        });
-        res.json({ message: 'Admin added successfully' });
-      });
+  // Hold every door open in passage mode, and lock them all when lockdown starts or passage mode ends
+  doorMode.on('change', (status, previous) => {
+    if (status.mode === 'passage') {
+      doorManager.list().forEach((entry) => entry.door.hold());
+    } else if (status.mode === 'lockdown' || previous.mode === 'passage') {
+      doorManager.list().forEach((entry) => entry.door.lock());
+    }
+    live.broadcast('door_mode', status, 'operate_door');
+    if (mqttBridge) {
+      mqttBridge.publish('mode', status, true);
+    }
+  });
+  doorMode.on('expired', () => {
+    logger.info(`Passage mode ended`, { action: 'passage_ended', status: 'success' });
+    eventLog.record({ source: 'door', action: 'passage_ended', outcome: 'success' });
+  });
+  doorMode.on('error', (error) => {
+    logger.error(`Failed to end passage mode`, {
+      error_message: error.message,
+      action: 'passage_ended',
+      status: 'failure'
     });
   });
 
+  // Wire up every door as it is started: events, live updates and its RFID reader
+  doorManager.on('started', (entry) => {
+    const { door, pi, policy } = entry;
+    const doorId = entry.id;
 
-  /**
-   * Handle POST requests to remove an admin.
-   * The admin is deleted from the database.
-   * @param {Request} req - Express request object containing the admin username in the body
-   * @param {Response} res - Express response object
-   */
-  app.post('/remove-admin', (req, res) => {
-    const { username } = req.body;
-
-    // SQL query to remove the admin
-    const query = 'DELETE FROM admin_users WHERE username = ?';
-
-    // Execute the query and handle result
-    db.run(query, [username], (err) => {
-      if (err) {
-        logger.error(`Failed to remove admin`, {
-          error_message: err.message,
-          action: 'remove_admin',
-          status: 'failure'
-        });
-        return res.status(500).json({ message: 'Internal Server Error' });
+    // Record door contact changes, relocks and alarms
+    door.on('contact', (contact) => {
+      eventLog.record({ source: 'door', action: contact === 'open' ? 'contact_open' : 'contact_closed', outcome: 'success', doorId });
+    });
+    door.on('relock', () => {
+      eventLog.record({ source: 'door', action: 'relock', outcome: 'success', doorId });
+    });
+    door.on('alarm', ({ type, active }) => {
+      if (!active) {
+        eventLog.record({ source: 'door', action: type, outcome: 'cleared', doorId });
+        return;
       }
-      logger.info(`Successfully removed admin`, {
-        username,
-        action: 'remove_admin',
-        status: 'success'
-      });
-      res.json({ message: 'Admin removed successfully' });
+      eventLog.record({ source: 'door', action: type, outcome: 'raised', doorId, severity: type === 'forced_open' ? 'critical' : 'warning' });
+      alarmNotifier.notify({ type, door: door.status() });
     });
-  });
 
+    // Push door changes to connected dashboards and the MQTT broker
+    door.on('change', (status) => live.broadcast('door', status, 'operate_door'));
+    if (doorMode.mode === 'passage') {
+      door.hold();
+    }
+    live.broadcast('door', door.status(), 'operate_door');
+    if (mqttBridge) {
+      door.on('change', publishDoorStatus);
+      publishDoorStatus(door.status());
+    }
 
-/**
-   * Handle keypad input for PIN entry.
-   * This endpoint receives a PIN as input and checks it against valid PINs stored in the database.
+    pi.listenForRFID(async (key) => {
+      // The reader of a door that was changed or removed since keeps its pin until the next restart
+      if (!doorManager.isRunning(entry)) {
+        return;
+      }
+      if (enrollment.status === 'waiting') {
+        if (Date.now() < Date.parse(enrollment.expiresAt)) {
+          return enrollSwipedCard(key);
+        }
+        enrollment = { ...enrollment, status: 'expired' };
+      }
+
+      if (!policy.allows('card')) {
+        logger.info('Access denied', { reason: 'card_not_allowed', door: entry.name, action: 'card_swipe', status: 'denied' });
+        eventLog.record({ source: 'rfid', action: 'card_swipe', outcome: 'denied', doorId, details: { reason: 'card_not_allowed', card_suffix: key.slice(-4) } });
+        return;
+      }
+
+      try {
+        let result = await accessControl.checkCard(key, doorId);
+        // Only a card with an owner can be followed by the PIN of the same user
+        if (result.granted && policy.policy === 'card_then_pin' && !result.user) {
+          result = { ...result, granted: false, reason: 'unassigned_credential' };
+        }
+        const userId = result.user ? result.user.id : null;
+
+        if (!result.granted) {
+          logger.info('Access denied', { reason: result.reason, door: entry.name, action: 'card_swipe', status: 'denied' });
+          eventLog.record({ source: 'rfid', action: 'card_swipe', outcome: 'denied', credentialId: result.credentialId, userId, doorId, details: { reason: result.reason, card_suffix: key.slice(-4) } });
+          return;
+        }
+
+        if (policy.policy === 'card_then_pin') {
+          const pinDueBy = policy.awaitPin(result);
+          logger.info('Card accepted, waiting for the PIN', { user: result.user.name, door: entry.name, pin_due_by: pinDueBy, action: 'card_swipe', status: 'pending' });
+          eventLog.record({ source: 'rfid', action: 'card_swipe', outcome: 'pending', credentialId: result.credentialId, userId, doorId, details: { pinDueBy } });
+          return;
+        }
+
+        logger.info('Access granted', { user: result.user ? result.user.name : null, door: entry.name, action: 'card_swipe', status: 'granted' });
+        eventLog.record({ source: 'rfid', action: 'card_swipe', outcome: 'granted', credentialId: result.credentialId, userId, doorId });
+        door.unlock();
+        eventLog.record({ source: 'door', action: 'open', outcome: 'success', credentialId: result.credentialId, userId, doorId });
+      } catch (error) {
+        logger.error(`Failed to check RFID card`, {
+          error_message: error.message,
+          action: 'card_swipe',
+          status: 'failure'
+        });
+      }
+    });
+  });
+
+  if (mqttBridge) {
+    // Publish state and events, and carry out authenticated door commands
+    eventLog.on('recorded', (event) => mqttBridge.publish('events', event));
+    mqttBridge.on('connect', async () => {
+      doorManager.list().forEach((entry) => publishDoorStatus(entry.door.status()));
+      mqttBridge.publish('mode', doorMode.status(), true);
+      try {
+        mqttBridge.publish('lockouts', await keypadLockout.list(), true);
+      } catch (error) {
+        logger.error(`Failed to list keypad lockouts for MQTT`, {
+          error_message: error.message,
+          action: 'mqtt_connect',
+          status: 'failure'
+        });
+      }
+    });
+    mqttBridge.on('command', ({ command, durationSeconds, requestId, doorId }) => {
+      if (command === 'lockdown' || command === 'normal') {
+        doorMode.set(command, { actor: 'mqtt' })
+            .then((status) => {
+              logger.info(`Door mode changed over MQTT`, { mode: command, action: 'mqtt_command', status: 'success' });
+              eventLog.record({ source: 'admin', action: 'set_door_mode', outcome: 'success', actor: 'mqtt', severity: command === 'normal' ? 'info' : 'warning', details: { mode: command, requestId } });
+              mqttBridge.publish('command/result', { requestId, success: true, mode: status });
+            })
+            .catch((error) => {
+              logger.error(`Failed to change the door mode over MQTT`, {
+                error_message: error.message,
+                action: 'mqtt_command',
+                status: 'failure'
+              });
+              mqttBridge.publish('command/result', { requestId, success: false, reason: 'internal_error' });
+            });
+        return;
+      }
+      const entry = doorId === null ? doorManager.main : doorManager.get(doorId);
+      if (!entry) {
+        return mqttBridge.reject(requestId, 'unknown_door');
+      }
+      if (command === 'lock') {
+        entry.door.lock();
+      } else if (command === 'hold') {
+        entry.door.hold();
+      } else {
+        entry.door.unlock(durationSeconds ? durationSeconds * 1000 : undefined);
+      }
+      logger.info(`Door command received over MQTT`, { command, door: entry.name, action: 'mqtt_command', status: 'success' });
+      eventLog.record({
+        source: 'admin',
+        action: command === 'lock' ? 'remote_lock' : 'remote_unlock',
+        outcome: 'success',
+        doorId: entry.id,
+        actor: 'mqtt',
+        details: { command, durationSeconds, requestId }
+      });
+      mqttBridge.publish('command/result', { requestId, success: true, door: entry.door.status() });
+    });
+    mqttBridge.on('rejected', ({ requestId, reason }) => {
+      eventLog.record({ source: 'admin', action: 'mqtt_command', outcome: 'denied', actor: 'mqtt', severity: 'warning', details: { reason, requestId } });
+    });
+  }
+
+  await doorManager.startAll();
+  logger.info(`Started doors`, { count: doorManager.list().length, action: 'start_doors', status: 'success' });
+
+  if (mqttBridge) {
+    mqttBridge.connect();
+  }
+
+
+  /**
+   * Handle POST requests for admin login.
+   * Checks the credentials against the database after rate-limiting. Admins
+   * with a second factor also send `totpCode`; without it, a correct password
+   * is answered with `totpRequired` so the login page can ask for the code.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.post('/admin-login', (req, res, next) => { // noinspection JSValidateTypes
+    loginLimiter(req, res, next); }, async (req, res) => {
+    const { username, password, totpCode } = req.body;
+
+    // Validate username and password input. The password policy only applies to new passwords
+    if (typeof username !== 'string' || typeof password !== 'string' || username.length < 4 || password.length === 0) {
+      return res.status(400).json({ message: "Invalid input" });
+    }
+
+    try {
+      const row = await adminStore.getCredentials(username);
+      if (!row) {
+        logger.error(`Invalid credentials provided`, {
+          username,
+          action: 'admin_login',
+          status: 'failure'
+        });
+      }
+
+      // Compare the hashed password
+      if (!row || !await bcrypt.compare(password, row.password)) {
+        eventLog.record({ source: 'admin', action: 'admin_login', outcome: 'failure', actor: username, clientIp: req.ip });
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+
+      if (row.totp_enabled === 1) {
+        if (!totpCode) {
+          return res.status(401).json({ message: 'Authentication code required', totpRequired: true });
+        }
+        // A code is accepted once, so one seen over someone's shoulder cannot be reused
+        const step = totp.verify(row.totp_secret, totpCode);
+        if (step === null || !await adminStore.useTotpStep(username, step)) {
+          eventLog.record({ source: 'admin', action: 'admin_login', outcome: 'failure', actor: username, clientIp: req.ip, severity: 'warning', details: { reason: 'invalid_totp' } });
+          return res.status(401).json({ message: 'Invalid authentication code', totpRequired: true });
+        }
+      }
+
+      // Start a fresh session to prevent session fixation
+      req.session.regenerate((err) => {
+        if (err) {
+          logger.error(`Failed to create session`, {
+            error_message: err.message,
+            action: 'admin_login',
+            status: 'failure'
+          });
+          return res.status(500).json({ message: 'Internal Server Error' });
+        }
+        req.session.username = username;
+        req.session.authenticatedAt = new Date().toISOString();
+        eventLog.record({ source: 'admin', action: 'admin_login', outcome: 'success', actor: username, clientIp: req.ip });
+        res.json({ message: 'Login successful' });
+      });
+    } catch (err) {
+      logger.error(`Failed to log in`, {
+        error_message: err.message,
+        action: 'admin_login',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * The admin's own account, two-factor authentication and password resets. See adminSecurityRoutes.js.
+   */
+  app.use(createAdminSecurityRoutes({
+    logger, eventLog, adminStore, requireAdmin, requirePermission, loginLimiter, passwordPolicy, saltRounds, passwordResetMinutes,
+    totpIssuer, live
+  }));
+
+
+  /**
+   * Serve the admin dashboard if the user is authenticated.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/admin_dashboard', requireAdmin, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public/admin_dashboard.html'));
+  });
+
+
+  /**
+   * Handle POST requests to log out the current admin.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.post('/logout', requireAdmin, (req, res) => {
+    const username = req.session.username;
+    live.disconnectSession(req.sessionID);
+
+    req.session.destroy((err) => {
+      if (err) {
+        logger.error(`Failed to destroy session`, {
+          error_message: err.message,
+          action: 'admin_logout',
+          status: 'failure'
+        });
+        return res.status(500).json({ message: 'Internal Server Error' });
+      }
+      res.clearCookie('connect.sid');
+      eventLog.record({ source: 'admin', action: 'admin_logout', outcome: 'success', actor: username, clientIp: req.ip });
+      res.json({ message: 'Logout successful' });
+    });
+  });
+
+
+  /**
+   * Handle GET requests to list all PINs with their id, label and owner.
+   * The PINs themselves are never returned.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/pins', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ pins: await pinStore.list() });
+    } catch (error) {
+      logger.error(`Failed to list PINs`, {
+        error_message: error.message,
+        action: 'list_pins',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to add a new PIN.
+   * The PIN is hashed before being stored in the database. Each PIN can only be stored once.
+   * @param {Request} req - Express request object containing the PIN and an optional label in the body
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  app.post('/add-pin', requirePermission('manage_credentials'), [
+    body('pin').matches(/^\d{4}$/).withMessage('PIN must be 4 digits long'),
+    body('label').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { pin, label } = req.body;
+
+    try {
+      const pinId = await pinStore.add(pin, { label: label || null });
+      logger.info(`Successfully added PIN`, {
+        pin_id: pinId,
+        action: 'add_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_pin', outcome: 'success', credentialId: pinId, actor: req.session.username, clientIp: req.ip, details: label ? { label } : null });
+      res.json({ message: 'PIN added successfully', id: pinId });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'PIN is already in use' });
+      }
+      logger.error(`Failed to add PIN`, {
+        error_message: error.message,
+        action: 'add_pin',
+        status: 'failure'
+      });
+      eventLog.record({ source: 'admin', action: 'add_pin', outcome: 'failure', actor: req.session.username, clientIp: req.ip });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to look up a PIN entered by the admin, e.g. to find out which
+   * entry to remove. The PIN is checked against the stored hashes.
+   * @param {Request} req - Express request object containing the PIN in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/pins/lookup', requirePermission('manage_credentials'), [
+    body('pin').matches(/^\d{4}$/).withMessage('PIN must be 4 digits long'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const row = await pinStore.findByPin(req.body.pin);
+      if (!row) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      const { id, label, created_at, user_id, user_name, schedule_id, duress } = row;
+      res.json({ pin: { id, label, created_at, user_id, user_name, schedule_id, duress: duress === 1 } });
+    } catch (error) {
+      logger.error(`Failed to look up PIN`, {
+        error_message: error.message,
+        action: 'lookup_pin',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove a PIN by its id.
+   * @param {Request} req - Express request object with the PIN id as route parameter
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/pins/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await pinStore.remove(req.params.id)) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      logger.info(`Successfully removed PIN`, {
+        pin_id: req.params.id,
+        action: 'remove_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_pin', outcome: 'success', credentialId: req.params.id, actor: req.session.username, clientIp: req.ip });
+      res.json({ message: 'PIN removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove PIN`, {
+        error_message: error.message,
+        action: 'remove_pin',
+        status: 'failure'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_pin', outcome: 'failure', credentialId: req.params.id, actor: req.session.username, clientIp: req.ip });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to limit a PIN to some doors. An empty list lets it open every door.
+   * @async
+   * @param {Request} req - Express request object with the PIN id as route parameter and doorIds in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/pins/:id/doors', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('doorIds').isArray().withMessage('doorIds must be an array of door ids'),
+    body('doorIds.*').isInt({ min: 1 }).withMessage('doorIds must be an array of door ids').toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const doorIds = [...new Set(req.body.doorIds)];
+
+    try {
+      const unknown = await doorStore.unknownIds(doorIds);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown door ${unknown.join(', ')}` });
+      }
+      if (!await pinStore.setDoors(id, doorIds)) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      logger.info(`Changed the doors of PIN`, {
+        pin_id: id,
+        door_ids: doorIds,
+        action: 'set_pin_doors',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'set_pin_doors', outcome: 'success', credentialId: id, actor: req.session.username, clientIp: req.ip, details: { doorIds } });
+      res.json({ message: 'Doors saved', doorIds });
+    } catch (error) {
+      logger.error(`Failed to change the doors of PIN`, {
+        error_message: error.message,
+        action: 'set_pin_doors',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  /**
+   * Handle PUT requests to let a PIN open the doors in lockdown, or to stop it doing so.
+   * @async
+   * @param {Request} req - Express request object with the PIN id as route parameter and override in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/pins/:id/lockdown-override', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('override').isBoolean({ strict: true }).withMessage('override must be a boolean'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { override } = req.body;
+
+    try {
+      if (!await pinStore.setLockdownOverride(id, override)) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      logger.info(`Changed the lockdown override of PIN`, {
+        pin_id: id,
+        override,
+        action: 'set_lockdown_override',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'set_lockdown_override', outcome: 'success', credentialId: id, actor: req.session.username, clientIp: req.ip, details: { override } });
+      res.json({ message: 'Lockdown override saved', override });
+    } catch (error) {
+      logger.error(`Failed to change the lockdown override of PIN`, {
+        error_message: error.message,
+        action: 'set_lockdown_override',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to remove a PIN given as plaintext.
+   * The PIN is checked against the stored hashes; unknown PINs are answered with 404.
+   * @param {Request} req - Express request object containing the PIN in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/remove-pin', requirePermission('manage_credentials'), [
+    body('pin').matches(/^\d{4}$/).withMessage('PIN must be 4 digits long'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { pin } = req.body;
+
+    try {
+      if (!await pinStore.removeByPin(pin)) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      logger.info(`Successfully removed PIN`, {
+        action: 'remove_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_pin', outcome: 'success', actor: req.session.username, clientIp: req.ip });
+      res.json({ message: 'PIN removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove PIN`, {
+        error_message: error.message,
+        action: 'remove_pin',
+        status: 'failure'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_pin', outcome: 'failure', actor: req.session.username, clientIp: req.ip });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests to list the guest PINs with their remaining uses and expiry.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/guest-pins', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ guestPins: await pinStore.listGuests() });
+    } catch (error) {
+      logger.error(`Failed to list guest PINs`, {
+        error_message: error.message,
+        action: 'list_guest_pins',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to create a guest PIN. The server generates the code,
+   * which is only returned in this response.
+   * @param {Request} req - Express request object with label, maxUses, expiresAt and scheduleId in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/guest-pins', requirePermission('manage_credentials'), [
+    body('label').isString().trim().notEmpty().withMessage('Label is required'),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1, max: 1000 }).withMessage('maxUses must be between 1 and 1000').toInt(),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+        .custom((expiresAt) => new Date(expiresAt) > new Date()).withMessage('expiresAt must be in the future'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body().custom((guest) => guest.maxUses != null || guest.expiresAt != null).withMessage('A guest PIN needs maxUses, expiresAt or both'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { label, maxUses = null, scheduleId = null } = req.body;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt).toISOString() : null;
+
+    try {
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      const { id, pin } = await pinStore.createGuest({ label, maxUses, expiresAt, scheduleId });
+      logger.info(`Successfully created guest PIN`, {
+        pin_id: id,
+        max_uses: maxUses,
+        expires_at: expiresAt,
+        action: 'add_guest_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_guest_pin', outcome: 'success', credentialId: id, actor: req.session.username, clientIp: req.ip, details: { label, maxUses, expiresAt } });
+      res.status(201).json({ message: 'Guest PIN created', id, pin, label, maxUses, expiresAt });
+    } catch (error) {
+      logger.error(`Failed to create guest PIN`, {
+        error_message: error.message,
+        action: 'add_guest_pin',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to revoke a guest PIN before it is used up or expires.
+   * @param {Request} req - Express request object with the PIN id as route parameter
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/guest-pins/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const guest = (await pinStore.listGuests()).find((pin) => pin.id === req.params.id);
+      if (!guest || !await pinStore.remove(guest.id)) {
+        return res.status(404).json({ message: 'Guest PIN not found' });
+      }
+      logger.info(`Successfully revoked guest PIN`, {
+        pin_id: guest.id,
+        action: 'remove_guest_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_guest_pin', outcome: 'success', credentialId: guest.id, actor: req.session.username, clientIp: req.ip, details: { label: guest.label } });
+      res.json({ message: 'Guest PIN revoked' });
+    } catch (error) {
+      logger.error(`Failed to revoke guest PIN`, {
+        error_message: error.message,
+        action: 'remove_guest_pin',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to add a new admin.
+   * The admins password is hashed before being stored in the database.
+   * New admins are managers unless a role is given.
+   * @param {Request} req - Express request object containing the admin username, password and optional role in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/add-admin', requirePermission('manage_admins'), [
+    body('username').isString().trim().isLength({ min: 4 }).withMessage('Username must be at least 4 characters long'),
+    body('password').isString().withMessage('Password is required').bail().custom(passwordPolicy.validator('username')),
+    body('role').optional().isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+  ], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, password, role = 'manager' } = req.body;
+
+    // Refuse duplicate usernames
+    db.get('SELECT username FROM admin_users WHERE username = ?', [username], (err, row) => {
+      if (err) {
+        logger.error(`Failed to look up admin`, {
+          error_message: err.message,
+          action: 'add_admin',
+          status: 'failure'
+        });
+        return res.status(500).json({ message: 'Internal Server Error' });
+      }
+      if (row) {
+        return res.status(409).json({ message: 'Admin already exists' });
+      }
+
+      // Hash the password using bcrypt
+      bcrypt.hash(password, saltRounds, (err, hash) => {
+        if (err) {
+          logger.error(`Failed to hash password`, {
+            error_message: err.message,
+            action: 'add_admin',
+            status: 'failure'
+          });
+          return res.status(500).json({ message: 'Internal Server Error' });
+        }
+
+        // SQL query to insert the new admin
+        const query = 'INSERT INTO admin_users(username, password, role) VALUES(?, ?, ?)';
+
+        // Execute the query and handle result
+        db.run(query, [username, hash, role], (err) => {
+          if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ message: 'Admin already exists' });
+          }
+          if (err) {
+            logger.error(`Failed to add admin`, {
+              error_message: err.message,
+              action: 'add_admin',
+              status: 'failure'
+            });
+            eventLog.record({ source: 'admin', action: 'add_admin', outcome: 'failure', actor: req.session.username, clientIp: req.ip, details: { username, role } });
+            return res.status(500).json({ message: 'Internal Server Error' });
+          }
+          logger.info(`Successfully added admin`, {
+            username,
+            role,
+            action: 'add_admin',
+            status: 'success'
+          });
+          eventLog.record({ source: 'admin', action: 'add_admin', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { username, role } });
+          res.json({ message: 'Admin added successfully' });
+        });
+      });
+    });
+  });
+
+
+  /**
+   * Handle POST requests to remove an admin.
+   * The admin is deleted from the database. The last owner cannot be removed.
+   * @param {Request} req - Express request object containing the admin username in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/remove-admin', requirePermission('manage_admins'), [
+    body('username').isString().trim().notEmpty().withMessage('Username is required'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.body;
+
+    try {
+      const result = await adminStore.remove(username);
+      if (result === 'not_found') {
+        return res.status(404).json({ message: 'Admin not found' });
+      }
+      if (result === 'last_owner') {
+        eventLog.record({ source: 'admin', action: 'remove_admin', outcome: 'failure', actor: req.session.username, clientIp: req.ip, details: { username, reason: 'last_owner' } });
+        return res.status(409).json({ message: 'The last owner cannot be removed' });
+      }
+      live.disconnectAdmin(username);
+      logger.info(`Successfully removed admin`, {
+        username,
+        action: 'remove_admin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_admin', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { username } });
+      res.json({ message: 'Admin removed successfully' });
+    } catch (err) {
+      logger.error(`Failed to remove admin`, {
+        error_message: err.message,
+        action: 'remove_admin',
+        status: 'failure'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_admin', outcome: 'failure', actor: req.session.username, clientIp: req.ip, details: { username } });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests to list all admins and their roles.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/admins', requirePermission('manage_admins'), async (req, res) => {
+    try {
+      res.json({ admins: await adminStore.list() });
+    } catch (err) {
+      logger.error(`Failed to list admins`, {
+        error_message: err.message,
+        action: 'list_admins',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to change the role of an admin.
+   * The last owner cannot be given another role.
+   * @param {Request} req - Express request object containing the new role in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/admins/:username', requirePermission('manage_admins'), [
+    body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.params;
+    const { role } = req.body;
+
+    try {
+      const result = await adminStore.setRole(username, role);
+      if (result === 'not_found') {
+        return res.status(404).json({ message: 'Admin not found' });
+      }
+      if (result === 'last_owner') {
+        eventLog.record({ source: 'admin', action: 'change_admin_role', outcome: 'failure', actor: req.session.username, clientIp: req.ip, details: { username, role, reason: 'last_owner' } });
+        return res.status(409).json({ message: 'The last owner must keep the owner role' });
+      }
+      live.disconnectAdmin(username);
+      logger.info(`Successfully changed admin role`, {
+        username,
+        role,
+        action: 'change_admin_role',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'change_admin_role', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { username, role } });
+      res.json({ message: 'Admin role updated successfully' });
+    } catch (err) {
+      logger.error(`Failed to change admin role`, {
+        error_message: err.message,
+        action: 'change_admin_role',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+/**
+   * Handle keypad input for PIN entry.
+   * This endpoint receives a PIN as input and checks it against valid PINs stored in the database.
+   * Clients that entered too many wrong PINs are locked out and get a 423 response until the lockout ends.
+   * A duress PIN is answered exactly like its normal counterpart, but raises a silent alarm.
+   * @async
+   * @param {Object} req - The Express request object.
+   * @param {Object} res - The Express response object.
+   * @returns {Promise<JSON>} A promise that resolves with a JSON response indicating the success or failure of PIN validation.
+ */
+app.post('/keypad-input', limiter, [
+  // Validate PIN input
+  body('pin').isLength({ min: 4, max: 4 }).withMessage('PIN must be 4 digits long'),
+  body('doorId').optional().isInt({ min: 1 }).withMessage('Door must be a door id').toInt(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { pin } = req.body;
+  // A keypad page opened without a door belongs to the main door
+  const entry = req.body.doorId ? doorManager.get(req.body.doorId) : doorManager.main;
+  if (!entry) {
+    return res.status(404).json({ message: 'Door not found' });
+  }
+  const doorId = entry.id;
+  const accessPolicy = entry.policy;
+
+  try {
+    const lockout = await keypadLockout.status(req.ip);
+    if (lockout.locked) {
+      eventLog.record({ source: 'keypad', action: 'pin_attempt', outcome: 'denied', doorId, clientIp: req.ip, details: { reason: 'locked_out' } });
+      return sendLockout(res, lockout);
+    }
+
+    if (!accessPolicy.allows('pin')) {
+      eventLog.record({ source: 'keypad', action: 'pin_attempt', outcome: 'denied', doorId, clientIp: req.ip, details: { reason: 'pin_not_allowed' } });
+      return res.json({ success: false, reason: 'pin_not_allowed', message: 'PINs are not accepted. Please present your card' });
+    }
+    // Counting the attempt before the check keeps parallel requests from trying more PINs than the lockout allows
+    const attempt = await keypadLockout.beginAttempt(req.ip);
+    if (!attempt.allowed) {
+      eventLog.record({ source: 'keypad', action: 'pin_attempt', outcome: 'denied', doorId, clientIp: req.ip, details: { reason: 'locked_out' } });
+      return sendLockout(res, attempt.lockout);
+    }
+
+    // The waiting card is only used up when its holder's PIN opens the door, so other PINs cannot discard it
+    const cardRequired = accessPolicy.policy === 'card_then_pin';
+    const card = cardRequired ? accessPolicy.waitingCard() : null;
+    let result;
+    if (cardRequired && !card) {
+      result = { granted: false, reason: 'card_required', credentialId: null, user: null };
+    } else {
+      // The PIN must belong to the holder of the card, which is checked before a guest PIN's use is counted
+      result = await accessControl.checkPin(pin, doorId, { userId: card ? card.user.id : null });
+    }
+    // A card opens the door once, even if its holder's PIN is entered twice at the same time
+    if (card && result.granted && !accessPolicy.takePendingCard(card)) {
+      result = { ...result, granted: false, reason: 'card_required' };
+    }
+    const userId = result.user ? result.user.id : null;
+
+    if (result.duress) {
+      // Raise the alarm without waiting for the hook, so the response time gives nothing away
+      eventLog.record({ source: 'keypad', action: 'duress', outcome: result.granted ? 'granted' : 'denied', credentialId: result.credentialId, userId, doorId, clientIp: req.ip, severity: 'critical' });
+      alarmNotifier.notify({ type: 'duress', credentialId: result.credentialId, user: result.user, clientIp: req.ip, granted: result.granted, door: entry.door.status() });
+    }
+
+    if (result.granted) {
+      // Log a successful PIN match for debugging purposes
+      logger.info('Valid PIN. Redirecting...', { user: result.user ? result.user.name : null, door: entry.name });
+      await keypadLockout.recordSuccess(req.ip);
+      const details = { ...(result.guest && { guest: true }), ...(card && { cardId: card.credentialId }) };
+      eventLog.record({ source: 'keypad', action: 'pin_attempt', outcome: 'granted', credentialId: result.credentialId, userId, doorId, clientIp: req.ip, details: Object.keys(details).length > 0 ? details : null });
+      entry.door.unlock();
+      eventLog.record({ source: 'door', action: 'open', outcome: 'success', credentialId: result.credentialId, userId, doorId });
+      return res.json({ success: true });
+    }
+
+    logger.info('Invalid PIN. Not Redirecting...', { reason: result.reason });
+    eventLog.record({ source: 'keypad', action: 'pin_attempt', outcome: 'denied', credentialId: result.credentialId, userId, doorId, clientIp: req.ip, details: { reason: result.reason } });
+
+    // Every denial stays counted, so a known PIN outside its schedule cannot be used to reset the counter
+    const failure = attempt.lockout;
+    if (failure) {
+      logger.warn('Keypad locked after repeated wrong PINs', {
+        client_ip: req.ip,
+        locked_until: failure.lockedUntil,
+        action: 'keypad_lockout',
+        status: 'failure'
+      });
+      eventLog.record({ source: 'keypad', action: 'lockout', outcome: 'denied', clientIp: req.ip, details: { lockedUntil: failure.lockedUntil, lockoutCount: failure.lockoutCount } });
+      return sendLockout(res, failure);
+    }
+    if (result.reason === 'outside_schedule') {
+      return res.json({ success: false, reason: result.reason, message: 'Access is not permitted at this time' });
+    }
+    if (result.reason === 'card_required') {
+      return res.json({ success: false, reason: result.reason, message: 'Please present your card first, then enter your PIN' });
+    }
+    // Every other denial of a known PIN gets the same answer as a wrong PIN, so the keypad does not
+    // reveal which codes exist; the access history records the reason
+    return res.json({ success: false, message: 'Authentication failed' });
+  } catch (error) {
+    logger.error('PIN check failed:', error);
+    return res.status(500).json({ message: 'Authentication failed' });
+  }
+});
+
+/**
+ * Handle GET requests from the keypad for the name and access policy of its door,
+ * so it can ask for a card or PIN, for whether a card is waiting for its PIN,
+ * and for the door mode, so it can show a lockdown or passage mode.
+ * The door is given as `?door=<id>`; without it the main door is used.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+app.get('/keypad-status', [
+  query('door').optional().isInt({ min: 1 }).withMessage('Door must be a door id').toInt(),
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const entry = req.query.door ? doorManager.get(req.query.door) : doorManager.main;
+  if (!entry) {
+    return res.status(404).json({ message: 'Door not found' });
+  }
+  const { policy, awaitingPin, pinDueBy } = entry.policy.status();
+  const { mode, until } = doorMode.status();
+  res.json({ door: { id: entry.id, name: entry.name }, policy, awaitingPin, pinDueBy, mode, modeUntil: until });
+});
+
+/**
+ * Respond to a keypad client that is locked out.
+ * @param {Response} res - Express response object
+ * @param {Object} lockout - The lockout status from KeypadLockout
+ */
+function sendLockout(res, lockout) {
+  res.set('Retry-After', String(lockout.retryAfter));
+  return res.status(423).json({
+    success: false,
+    reason: 'locked_out',
+    lockedUntil: lockout.lockedUntil,
+    retryAfter: lockout.retryAfter,
+    message: `Too many wrong PINs. The keypad is locked for ${lockout.retryAfter} seconds`
+  });
+}
+
+
+  /**
+   * Handle GET requests for the access event history.
+   * Supports filtering by date range, outcome, source, severity and door, and paging via limit/offset.
+   * @async
+   * @param {Request} req - Express request object with optional query filters
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/events', requirePermission('view_events'), [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('outcome').optional().isString().trim().notEmpty(),
+    query('source').optional().isIn(['keypad', 'rfid', 'door', 'admin']).withMessage('Unknown event source'),
+    query('severity').optional().isIn(['info', 'warning', 'critical']).withMessage('Unknown event severity'),
+    query('door').optional().isInt({ min: 1 }).withMessage('Door must be a door id').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, outcome, source, severity, door, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const { events, total } = await eventLog.query({ from, to, outcome, source, severity, doorId: door, limit, offset });
+      res.json({ events, total, limit, offset });
+    } catch (error) {
+      logger.error(`Failed to query access events`, {
+        error_message: error.message,
+        action: 'query_events',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  /**
+   * Handle GET requests to list all users.
+   * @async
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/users', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ users: await userStore.list() });
+    } catch (error) {
+      logger.error(`Failed to list users`, {
+        error_message: error.message,
+        action: 'list_users',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests for a single user with their PINs and cards.
+   * @async
+   * @param {Request} req - Express request object with the user id as route parameter
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/users/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await userStore.get(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.json({ user });
+    } catch (error) {
+      logger.error(`Failed to fetch user`, {
+        error_message: error.message,
+        action: 'get_user',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to create a user.
+   * @async
+   * @param {Request} req - Express request object containing name, department and active in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/users', requirePermission('manage_credentials'), [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('department').optional({ values: 'null' }).isString().trim(),
+    body('active').optional().isBoolean().toBoolean(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, department, active } = req.body;
+
+    try {
+      const id = await userStore.create({ name, department: department || null, active });
+      logger.info(`Successfully added user`, {
+        user_id: id,
+        action: 'add_user',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_user', outcome: 'success', userId: id, actor: req.session.username, clientIp: req.ip, details: { name } });
+      res.status(201).json({ message: 'User added successfully', id });
+    } catch (error) {
+      logger.error(`Failed to add user`, {
+        error_message: error.message,
+        action: 'add_user',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to update a user's name, department or active flag.
+   * @async
+   * @param {Request} req - Express request object with the user id as route parameter and the fields to change in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/users/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('name').optional().isString().trim().notEmpty().withMessage('Name must not be empty'),
+    body('department').optional({ values: 'null' }).isString().trim(),
+    body('active').optional().isBoolean().toBoolean(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, department, active } = req.body;
+
+    try {
+      const updated = await userStore.update(req.params.id, {
+        name,
+        department: department === undefined ? undefined : (department || null),
+        active
+      });
+      if (!updated) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      logger.info(`Successfully updated user`, {
+        user_id: req.params.id,
+        action: 'update_user',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_user', outcome: 'success', userId: req.params.id, actor: req.session.username, clientIp: req.ip, details: { name, department, active } });
+      res.json({ message: 'User updated successfully' });
+    } catch (error) {
+      logger.error(`Failed to update user`, {
+        error_message: error.message,
+        action: 'update_user',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove a user together with their PINs and cards.
+   * @async
+   * @param {Request} req - Express request object with the user id as route parameter
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/users/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const removed = await userStore.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      logger.info(`Successfully removed user`, {
+        user_id: req.params.id,
+        action: 'remove_user',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_user', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { user_id: req.params.id } });
+      res.json({ message: 'User removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove user`, {
+        error_message: error.message,
+        action: 'remove_user',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to add a PIN for a user.
+   * The PIN is hashed before being stored in the database. With `duress: true` the PIN
+   * opens the door like any other, but raises a silent alarm when it is entered.
+   * @async
+   * @param {Request} req - Express request object with the user id as route parameter and the PIN, optional scheduleId, duress flag and label in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/users/:id/pins', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('pin').matches(/^\d{4}$/).withMessage('PIN must be 4 digits long'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('duress').optional().isBoolean({ strict: true }).withMessage('duress must be a boolean'),
+    body('label').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { pin, scheduleId, duress = false, label } = req.body;
+
+    try {
+      if (!await userStore.get(req.params.id)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      const pinId = await pinStore.add(pin, { userId: req.params.id, scheduleId: scheduleId || null, duress, label: label || null });
+      logger.info(`Successfully added PIN`, {
+        user_id: req.params.id,
+        pin_id: pinId,
+        duress,
+        action: 'add_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_pin', outcome: 'success', credentialId: pinId, userId: req.params.id, actor: req.session.username, clientIp: req.ip, details: duress ? { duress } : null });
+      res.status(201).json({ message: 'PIN added successfully', id: pinId });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'PIN is already in use' });
+      }
+      logger.error(`Failed to add PIN`, {
+        error_message: error.message,
+        action: 'add_pin',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to attach a schedule to one of a user's PINs.
+   * A null scheduleId lifts the restriction.
+   * @async
+   * @param {Request} req - Express request object with the user id and PIN id as route parameters and scheduleId in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/users/:id/pins/:pinId', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    param('pinId').isInt({ min: 1 }).toInt(),
+    body('scheduleId').custom((value) => value === null || (Number.isInteger(value) && value > 0))
+        .withMessage('scheduleId must be a schedule id or null'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scheduleId } = req.body;
+
+    try {
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      if (!await userStore.setPinSchedule(req.params.id, req.params.pinId, scheduleId)) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      logger.info(`Successfully updated PIN`, {
+        user_id: req.params.id,
+        pin_id: req.params.pinId,
+        action: 'update_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_pin', outcome: 'success', credentialId: req.params.pinId, userId: req.params.id, actor: req.session.username, clientIp: req.ip, details: { scheduleId } });
+      res.json({ message: 'PIN updated successfully' });
+    } catch (error) {
+      logger.error(`Failed to update PIN`, {
+        error_message: error.message,
+        action: 'update_pin',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove one of a user's PINs.
+   * @async
+   * @param {Request} req - Express request object with the user id and PIN id as route parameters
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/users/:id/pins/:pinId', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    param('pinId').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await userStore.removePin(req.params.id, req.params.pinId)) {
+        return res.status(404).json({ message: 'PIN not found' });
+      }
+      logger.info(`Successfully removed PIN`, {
+        user_id: req.params.id,
+        pin_id: req.params.pinId,
+        action: 'remove_pin',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_pin', outcome: 'success', credentialId: req.params.pinId, userId: req.params.id, actor: req.session.username, clientIp: req.ip });
+      res.json({ message: 'PIN removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove PIN`, {
+        error_message: error.message,
+        action: 'remove_pin',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to register an RFID card for a user.
+   * @async
+   * @param {Request} req - Express request object with the user id as route parameter and the card key in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/users/:id/cards', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('cardId').matches(/^\d{10}$/).withMessage('Card ID must be 10 digits long'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await userStore.get(req.params.id)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const cardId = await cardStore.enroll({ key: req.body.cardId, userId: req.params.id });
+      logger.info(`Successfully added card`, {
+        user_id: req.params.id,
+        card_id: cardId,
+        action: 'add_card',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_card', outcome: 'success', credentialId: cardId, userId: req.params.id, actor: req.session.username, clientIp: req.ip });
+      res.status(201).json({ message: 'Card added successfully', id: cardId });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'Card is already registered' });
+      }
+      logger.error(`Failed to add card`, {
+        error_message: error.message,
+        action: 'add_card',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove one of a user's RFID cards.
+   * @async
+   * @param {Request} req - Express request object with the user id and card id as route parameters
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/users/:id/cards/:cardId', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    param('cardId').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const card = await cardStore.get(req.params.cardId);
+      if (!card || card.user_id !== req.params.id) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+      await cardStore.remove(card.id);
+      logger.info(`Successfully removed card`, {
+        user_id: req.params.id,
+        card_id: req.params.cardId,
+        action: 'remove_card',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_card', outcome: 'success', credentialId: req.params.cardId, userId: req.params.id, actor: req.session.username, clientIp: req.ip });
+      res.json({ message: 'Card removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove card`, {
+        error_message: error.message,
+        action: 'remove_card',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests to list all enrolled RFID cards.
+   * @async
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/cards', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ cards: await cardStore.list() });
+    } catch (error) {
+      logger.error(`Failed to list cards`, {
+        error_message: error.message,
+        action: 'list_cards',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to enroll an RFID card by its key.
+   * @async
+   * @param {Request} req - Express request object containing cardId, and optionally label and userId, in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/cards', requirePermission('manage_credentials'), [
+    body('cardId').matches(/^\d{10}$/).withMessage('Card ID must be 10 digits long'),
+    body('label').optional({ values: 'null' }).isString().trim(),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { cardId: key, label, userId, scheduleId } = req.body;
+
+    try {
+      if (userId && !await userStore.get(userId)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      const cardId = await cardStore.enroll({ key, label: label || null, userId: userId || null, scheduleId: scheduleId || null });
+      logger.info(`Successfully added card`, {
+        card_id: cardId,
+        action: 'add_card',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_card', outcome: 'success', credentialId: cardId, userId: userId || null, actor: req.session.username, clientIp: req.ip });
+      res.status(201).json({ message: 'Card added successfully', id: cardId });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'Card is already registered' });
+      }
+      logger.error(`Failed to add card`, {
+        error_message: error.message,
+        action: 'add_card',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests for the state of the "enroll next swipe" mode.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/cards/enrollment', requirePermission('manage_credentials'), (req, res) => {
+    if (enrollment.status === 'waiting' && Date.now() >= Date.parse(enrollment.expiresAt)) {
+      enrollment = { ...enrollment, status: 'expired' };
+    }
+    const { status, expiresAt, cardId } = enrollment;
+    res.json({ status, expiresAt, cardId });
+  });
+
+
+  /**
+   * Handle POST requests to enroll the next card presented to the reader.
+   * The mode ends after the first swipe or after ENROLLMENT_TIMEOUT_MS.
+   * @param {Request} req - Express request object with optional label and userId in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/cards/enrollment', requirePermission('manage_credentials'), [
+    body('label').optional({ values: 'null' }).isString().trim(),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    enrollment = {
+      status: 'waiting',
+      expiresAt: new Date(Date.now() + ENROLLMENT_TIMEOUT_MS).toISOString(),
+      label: req.body.label || null,
+      userId: req.body.userId || null,
+      actor: req.session.username,
+      cardId: null
+    };
+    logger.info(`Waiting for the next card to enroll`, {
+      expires_at: enrollment.expiresAt,
+      action: 'enroll_card',
+      status: 'waiting'
+    });
+    res.status(202).json({ status: enrollment.status, expiresAt: enrollment.expiresAt, cardId: null });
+  });
+
+
+  /**
+   * Handle DELETE requests to cancel a pending "enroll next swipe".
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/cards/enrollment', requirePermission('manage_credentials'), (req, res) => {
+    enrollment = { status: 'idle', expiresAt: null, label: null, userId: null, actor: null, cardId: null };
+    res.json({ message: 'Enrollment cancelled' });
+  });
+
+
+  /**
+   * Handle PUT requests to update an RFID card, e.g. to disable it or assign it to a user.
    * @async
-   * @param {Object} req - The Express request object.
-   * @param {Object} res - The Express response object.
-   * @returns {Promise<JSON>} A promise that resolves with a JSON response indicating the success or failure of PIN validation.
- */
-app.post('/keypad-input', limiter, [
-  // Validate PIN input
-  body('pin').isLength({ min: 4, max: 4 }).withMessage('PIN must be 4 digits long'),
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+   * @param {Request} req - Express request object with the card id as route parameter and label, active, userId, scheduleId or lockdownOverride in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/cards/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('label').optional({ values: 'null' }).isString().trim(),
+    body('active').optional().isBoolean().toBoolean(),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('lockdownOverride').optional().isBoolean({ strict: true }).withMessage('lockdownOverride must be a boolean'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  const { pin } = req.body;
+    const { label, active, userId, scheduleId, lockdownOverride } = req.body;
 
-  // SQL query to fetch all stored hashed PINs from the database
-  const query = 'SELECT pin FROM valid_pins';
-  db.all(query, [], async (err, rows) => {
-    if (err) {
-      logger.error('Database Error:', err);
-      return res.status(500).json({ message: 'Authentication failed' });
+    try {
+      if (userId && !await userStore.get(userId)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      if (!await cardStore.update(req.params.id, { label, active, userId, scheduleId, lockdownOverride })) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+      logger.info(`Successfully updated card`, {
+        card_id: req.params.id,
+        action: 'update_card',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_card', outcome: 'success', credentialId: req.params.id, actor: req.session.username, clientIp: req.ip, details: { label, active, userId, scheduleId, lockdownOverride } });
+      res.json({ message: 'Card updated successfully' });
+    } catch (error) {
+      logger.error(`Failed to update card`, {
+        error_message: error.message,
+        action: 'update_card',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
     }
+  });
 
-    // Loop through each fetched row to check if the entered PIN matches any stored hashed PIN
-    for (const row of rows) {
-      try {
-        const isValidPin = await bcrypt.compare(pin, row.pin);
 
-        if (isValidPin) {
-          // Log a successful PIN match for debugging purposes
-          logger.info('Valid PIN. Redirecting...');
-          return res.json({ success: true });
-        }
+  /**
+   * Handle DELETE requests to remove an RFID card.
+   * @async
+   * @param {Request} req - Express request object with the card id as route parameter
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/cards/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await cardStore.remove(req.params.id)) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+      logger.info(`Successfully removed card`, {
+        card_id: req.params.id,
+        action: 'remove_card',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_card', outcome: 'success', credentialId: req.params.id, actor: req.session.username, clientIp: req.ip });
+      res.json({ message: 'Card removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove card`, {
+        error_message: error.message,
+        action: 'remove_card',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to limit a card to some doors. An empty list lets it open every door.
+   * @async
+   * @param {Request} req - Express request object with the Card id as route parameter and doorIds in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/cards/:id/doors', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('doorIds').isArray().withMessage('doorIds must be an array of door ids'),
+    body('doorIds.*').isInt({ min: 1 }).withMessage('doorIds must be an array of door ids').toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const doorIds = [...new Set(req.body.doorIds)];
+
+    try {
+      const unknown = await doorStore.unknownIds(doorIds);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown door ${unknown.join(', ')}` });
+      }
+      if (!await cardStore.setDoors(id, doorIds)) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+      logger.info(`Changed the doors of card`, {
+        card_id: id,
+        door_ids: doorIds,
+        action: 'set_card_doors',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'set_card_doors', outcome: 'success', credentialId: id, actor: req.session.username, clientIp: req.ip, details: { doorIds } });
+      res.json({ message: 'Doors saved', doorIds });
+    } catch (error) {
+      logger.error(`Failed to change the doors of card`, {
+        error_message: error.message,
+        action: 'set_card_doors',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Validation rules shared by the schedule create and update routes.
+   * @type {ValidationChain[]}
+   */
+  const scheduleValidators = [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('weekdays').optional().isArray({ min: 1 }).withMessage('weekdays must list at least one day'),
+    body('weekdays.*').isInt({ min: 0, max: 6 }).withMessage('Weekdays are numbered 0 (Sunday) to 6 (Saturday)').toInt(),
+    body('startTime').optional({ values: 'null' }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('startTime must be HH:MM'),
+    body('endTime').optional({ values: 'null' }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('endTime must be HH:MM'),
+    body('endTime').custom((endTime, { req }) => !endTime === !req.body.startTime)
+        .withMessage('startTime and endTime must be given together'),
+    body('validFrom').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('validFrom must be YYYY-MM-DD'),
+    body('validUntil').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('validUntil must be YYYY-MM-DD'),
+    body('validUntil').custom((validUntil, { req }) => !validUntil || !req.body.validFrom || req.body.validFrom <= validUntil)
+        .withMessage('validUntil must not be before validFrom'),
+    body('timezone').isString().custom(isValidTimeZone).withMessage('timezone must be an IANA timezone, e.g. Europe/Berlin'),
+  ];
+
+
+  /**
+   * Handle GET requests to list all access schedules.
+   * @async
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/schedules', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ schedules: await scheduleStore.list() });
+    } catch (error) {
+      logger.error(`Failed to list schedules`, {
+        error_message: error.message,
+        action: 'list_schedules',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to create an access schedule.
+   * @async
+   * @param {Request} req - Express request object containing the schedule in the body
+   * @param {Response} res - Express response object
+   */
+  app.post('/api/schedules', requirePermission('manage_credentials'), scheduleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const id = await scheduleStore.create(req.body);
+      logger.info(`Successfully added schedule`, {
+        schedule_id: id,
+        action: 'add_schedule',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_schedule', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { schedule_id: id, name: req.body.name } });
+      res.status(201).json({ message: 'Schedule added successfully', id });
+    } catch (error) {
+      logger.error(`Failed to add schedule`, {
+        error_message: error.message,
+        action: 'add_schedule',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to replace an access schedule.
+   * The change applies to every credential using the schedule.
+   * @async
+   * @param {Request} req - Express request object with the schedule id as route parameter and the schedule in the body
+   * @param {Response} res - Express response object
+   */
+  app.put('/api/schedules/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    ...scheduleValidators,
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await scheduleStore.update(req.params.id, req.body)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      logger.info(`Successfully updated schedule`, {
+        schedule_id: req.params.id,
+        action: 'update_schedule',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_schedule', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { schedule_id: req.params.id } });
+      res.json({ message: 'Schedule updated successfully' });
+    } catch (error) {
+      logger.error(`Failed to update schedule`, {
+        error_message: error.message,
+        action: 'update_schedule',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove an access schedule.
+   * Schedules that are still attached to a credential are not removed.
+   * @async
+   * @param {Request} req - Express request object with the schedule id as route parameter
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/schedules/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await scheduleStore.remove(req.params.id);
+      if (result === 'not_found') {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      if (result === 'in_use') {
+        return res.status(409).json({ message: 'Schedule is still attached to credentials or access groups' });
+      }
+      logger.info(`Successfully removed schedule`, {
+        schedule_id: req.params.id,
+        action: 'remove_schedule',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_schedule', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { schedule_id: req.params.id } });
+      res.json({ message: 'Schedule removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove schedule`, {
+        error_message: error.message,
+        action: 'remove_schedule',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  /**
+   * Access groups and their members. See groupRoutes.js.
+   */
+  app.use(createGroupRoutes({ logger, eventLog, groupStore, scheduleStore, doorStore, requirePermission }));
+
+
+  /**
+   * Doors, their state, remote unlocking and access policies. See doorRoutes.js.
+   */
+  app.use(createDoorRoutes({ logger, eventLog, doorStore, doorManager, requireAdmin, requirePermission }));
+
+
+  /**
+   * Handle GET requests for the live update stream of the dashboard.
+   * Keeps the response open as Server-Sent Events: 'access_event' for every
+   * recorded event, 'door' for door changes and 'lockouts' for the keypad
+   * lockout list, each only if the admin's role may see it. The current
+   * state of every door and the lockouts are sent right after connecting.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/live', requireAdmin, async (req, res) => {
+    const permissions = permissionsOf(req.adminRole);
+    const client = live.connect(req, res, permissions);
+
+    if (permissions.includes('operate_door')) {
+      doorManager.list().forEach((entry) => live.sendTo(client, 'door', entry.door.status()));
+      live.sendTo(client, 'door_mode', doorMode.status());
+    }
+    if (permissions.includes('manage_credentials')) {
+      try {
+        live.sendTo(client, 'lockouts', await keypadLockout.list());
       } catch (error) {
-        logger.error('Bcrypt Error:', error);
-        return res.status(500).json({ message: 'Authentication failed' });
+        logger.error(`Failed to list keypad lockouts for live update`, {
+          error_message: error.message,
+          action: 'live_update',
+          status: 'failure'
+        });
       }
     }
+  });
 
-    // If loop finishes and no return statement has been executed, then the entered PIN is invalid
-    logger.info('Invalid PIN. Not Redirecting...');
-    return res.json({ success: false, message: 'Authentication failed' });
+
+  /**
+   * The system-wide door mode. See doorModeRoutes.js.
+   */
+  app.use(createDoorModeRoutes({ logger, eventLog, doorMode, requirePermission }));
+
+
+  /**
+   * Handle GET requests to list keypad clients with failed PIN attempts or a lockout.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  app.get('/api/lockouts', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ lockouts: await keypadLockout.list() });
+    } catch (err) {
+      logger.error(`Failed to list keypad lockouts`, {
+        error_message: err.message,
+        action: 'list_lockouts',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
   });
-});
+
+
+  /**
+   * Handle DELETE requests to clear the lockout and failed attempts of a keypad client.
+   * @param {Request} req - Express request object with the client IP in the path
+   * @param {Response} res - Express response object
+   */
+  app.delete('/api/lockouts/:clientIp', requirePermission('manage_credentials'), [
+    param('clientIp').isIP().withMessage('Invalid client IP'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { clientIp } = req.params;
+
+    try {
+      if (!await keypadLockout.clear(clientIp)) {
+        return res.status(404).json({ message: 'No lockout recorded for this client' });
+      }
+      logger.info(`Successfully cleared keypad lockout`, {
+        client_ip: clientIp,
+        action: 'clear_lockout',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'clear_lockout', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { clientIp } });
+      res.json({ message: 'Lockout cleared successfully' });
+    } catch (err) {
+      logger.error(`Failed to clear keypad lockout`, {
+        error_message: err.message,
+        action: 'clear_lockout',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Webhooks and their delivery log. See webhookRoutes.js.
+   */
+  app.use(createWebhookRoutes({ logger, eventLog, webhookStore, webhookDispatcher, requirePermission }));
+
+
+  /**
+   * API tokens for `/api/v1`. See tokenRoutes.js.
+   */
+  app.use(createTokenRoutes({ logger, eventLog, apiTokenStore, requirePermission }));
+
+
+  /**
+   * Backups, restores, export and import. See backupRoutes.js.
+   */
+  app.use(createBackupRoutes({ logger, eventLog, backupManager, configTransfer, doorMode, doorManager, requirePermission }));
+
+
+  /**
+   * Versioned REST API for integrations, authenticated with API tokens.
+   * See apiV1.js and openapi.json.
+   */
+  app.use('/api/v1', createApiV1({
+    logger, eventLog, apiTokenStore, adminStore, pinStore, cardStore, userStore, scheduleStore, groupStore, doorManager, doorMode, saltRounds,
+    passwordPolicy, passwordResetMinutes, live
+  }), createApiErrorHandler(logger));
+
+
+  /**
+   * Handle POST requests to simulate an RFID card swipe at a door, or at the main door without `doorId`.
+   * Only registered when the simulated GPIO backend is active. A swipe goes through the real
+   * access check and can open the door, so it needs the same permission as a remote unlock.
+   * @param {Request} req - Express request object containing the card key and optional doorId in the body
+   * @param {Response} res - Express response object
+   */
+  if (doorManager.isSimulated) {
+    app.post('/api/simulator/rfid', requirePermission('operate_door'), [
+      body('key').matches(/^\d{10}$/).withMessage('RFID key must be 10 digits long'),
+      body('doorId').optional().isInt({ min: 1 }).withMessage('Door must be a door id').toInt(),
+    ], (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const entry = req.body.doorId ? doorManager.get(req.body.doorId) : doorManager.main;
+      if (!entry) {
+        return res.status(404).json({ message: 'Door not found' });
+      }
+      if (!entry.pi.hasReader) {
+        return res.status(409).json({ message: 'The door has no RFID reader' });
+      }
+      entry.pi.injectRFID(req.body.key);
+      res.json({ message: 'RFID key injected' });
+    });
+  }
+
+  /**
+   * Handle POST requests to simulate a door being opened or closed, or the main door without `doorId`.
+   * Only registered when the simulated GPIO backend is active. Contact changes raise and clear
+   * forced-open and held-open alarms, so they need the same permission as a remote unlock.
+   * @param {Request} req - Express request object containing `open` and optional doorId in the body
+   * @param {Response} res - Express response object
+   */
+  if (doorManager.isSimulated) {
+    app.post('/api/simulator/door', requirePermission('operate_door'), [
+      body('open').isBoolean({ strict: true }).withMessage('open must be a boolean'),
+      body('doorId').optional().isInt({ min: 1 }).withMessage('Door must be a door id').toInt(),
+    ], (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const entry = req.body.doorId ? doorManager.get(req.body.doorId) : doorManager.main;
+      if (!entry) {
+        return res.status(404).json({ message: 'Door not found' });
+      }
+      if (!entry.pi.hasDoorContact) {
+        return res.status(409).json({ message: 'The door has no door contact' });
+      }
+      entry.pi.injectDoorContact(req.body.open ? entry.door.openValue : 1 - entry.door.openValue);
+      res.json({ message: 'Door contact value injected' });
+    });
+  }
 
   /**
    * Start the Express web server.
@@ -554,6 +2767,9 @@ app.post('/keypad-input', limiter, [
     error_message: err.message,
     stack: err.stack
   });
+
+  // Without a usable database the server cannot run, e.g. when the schema is newer than this release
+  setTimeout(() => process.exit(1), 1000);
 });
 
 
@@ -570,6 +2786,24 @@ async function handleShutdown() {
       status: 'info'
     });
 
+    // Leave the doors locked and stop their timers before the database goes away
+    if (doorMode) {
+      doorMode.close();
+    }
+    if (doorManager) {
+      doorManager.close();
+    }
+    live.close();
+    if (webhookDispatcher) {
+      webhookDispatcher.stop();
+    }
+    if (backupManager) {
+      backupManager.stop();
+    }
+    if (mqttBridge) {
+      mqttBridge.close();
+    }
+
     // Asynchronously close the SQLite database connection
     await new Promise((resolve, reject) => {
       logger.info('Attempting to close database...'); // Log the attempt to close the database
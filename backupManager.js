@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const sqlite3 = require('sqlite3');
+const { all } = require('./database');
+const { migrate, MIGRATIONS } = require('./migrations');
+
+/**
+ * Pattern of backup file names, which also tells what made the backup.
+ * @type {RegExp}
+ */
+const BACKUP_NAME = /^AccessControl-[\dTZ-]+-(manual|scheduled|pre-restore|upload)\.db$/;
+
+/**
+ * Online backups and restores of the access database.
+ *
+ * Backups are copied with SQLite's backup API, so they are consistent even
+ * while the server keeps writing. They are stored as
+ * `AccessControl-<timestamp>-<kind>.db` in the backup directory. Only the
+ * scheduled ones are pruned; backups made by an admin stay until deleted.
+ *
+ * A restore first validates the file, then backs up the current database and
+ * copies the file into the open database, so the server keeps running. Older
+ * schemas are migrated on a temporary copy before that, so a failing
+ * migration leaves the live database as it was.
+ */
+class BackupManager {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {winston.Logger} logger - Logger used to report backups and restores
+   * @param {Object} [options] - Backup settings
+   * @param {string} [options.dir='backups'] - Directory the backups are stored in
+   * @param {number} [options.intervalHours=24] - Hours between scheduled backups, 0 to disable them
+   * @param {number} [options.retain=7] - Number of scheduled backups to keep
+   * @param {number} [options.maxUploadBytes=20971520] - Largest database file accepted as an upload
+   */
+  constructor(db, logger, { dir = 'backups', intervalHours = 24, retain = 7, maxUploadBytes = 20 * 1024 * 1024 } = {}) {
+    this.db = db;
+    this.logger = logger;
+    this.dir = dir;
+    this.intervalHours = intervalHours;
+    this.retain = retain;
+    this.maxUploadBytes = maxUploadBytes;
+    this.timer = null;
+  }
+
+  /**
+   * Start the scheduled backups. The timer does not keep the process alive.
+   */
+  start() {
+    if (this.intervalHours <= 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.create('scheduled')
+          .then(() => this.prune())
+          .catch((err) => {
+            this.logger.error(`Scheduled backup failed`, {
+              error_message: err.message,
+              action: 'backup',
+              status: 'failure'
+            });
+          });
+    }, this.intervalHours * 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduled backups, e.g. before the database is closed on shutdown.
+   */
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Resolve the path of a backup, refusing anything that is not a backup file name.
+   * @param {string} name - The file name
+   * @returns {?string} The path, or null if the name is not valid
+   */
+  pathOf(name) {
+    return BACKUP_NAME.test(name) ? path.join(this.dir, name) : null;
+  }
+
+  /**
+   * Build the file name for a new backup.
+   * @param {string} kind - 'manual', 'scheduled', 'pre-restore' or 'upload'
+   * @returns {string}
+   */
+  newName(kind) {
+    return `AccessControl-${new Date().toISOString().replace(/[:.]/g, '-')}-${kind}.db`;
+  }
+
+  /**
+   * Copy the live database into a new backup file.
+   * @param {string} [kind='manual'] - What made the backup, see newName
+   * @returns {Promise<Object>} The backup as listed by list()
+   */
+  async create(kind = 'manual') {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const name = this.newName(kind);
+    await copyDatabase(this.db, path.join(this.dir, name), true);
+    const backup = await this.describe(name);
+    this.logger.info(`Database backup created`, { name, size: backup.size, action: 'backup', status: 'success' });
+    return backup;
+  }
+
+  /**
+   * Describe one backup file.
+   * @param {string} name - The file name
+   * @returns {Promise<{name: string, kind: string, size: number, createdAt: string}>}
+   */
+  async describe(name) {
+    const stat = await fs.promises.stat(path.join(this.dir, name));
+    return { name, kind: name.match(BACKUP_NAME)[1], size: stat.size, createdAt: stat.mtime.toISOString() };
+  }
+
+  /**
+   * List the stored backups.
+   * @returns {Promise<Object[]>} The backups, newest first
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+    const backups = await Promise.all(names.filter((name) => BACKUP_NAME.test(name)).map((name) => this.describe(name)));
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Delete a backup.
+   * @param {string} name - The file name
+   * @returns {Promise<boolean>} False if there is no such backup
+   */
+  async remove(name) {
+    const file = this.pathOf(name);
+    if (!file) {
+      return false;
+    }
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Delete the oldest scheduled backups beyond the retention count.
+   * @returns {Promise<number>} The number of deleted backups
+   */
+  async prune() {
+    const scheduled = (await this.list()).filter((backup) => backup.kind === 'scheduled');
+    const expired = scheduled.slice(this.retain);
+    for (const backup of expired) {
+      await fs.promises.unlink(path.join(this.dir, backup.name));
+    }
+    if (expired.length > 0) {
+      this.logger.info(`Pruned old backups`, { count: expired.length, action: 'backup_prune', status: 'success' });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Store an uploaded database file as a backup so it can be validated and restored.
+   * The upload is streamed to a partial file in the backup directory, which is
+   * renamed once complete, so a large or aborted upload never sits in memory.
+   * @param {stream.Readable} source - The file contents, e.g. the request
+   * @returns {Promise<{name?: string, size: number, tooLarge: boolean}>} The name of the stored file,
+   *   missing when the upload was larger than the limit and therefore discarded
+   */
+  async storeUpload(source) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const name = this.newName('upload');
+    const partial = path.join(this.dir, `${name}.part`);
+    const limit = this.maxUploadBytes;
+    let size = 0;
+
+    // Past the limit the rest of the upload is read and dropped, so the
+    // client still gets an answer instead of a reset connection
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, size > limit ? undefined : chunk);
+      }
+    });
+
+    try {
+      await pipeline(source, counter, fs.createWriteStream(partial));
+    } catch (err) {
+      await fs.promises.rm(partial, { force: true });
+      throw err;
+    }
+    if (size > limit) {
+      await fs.promises.rm(partial, { force: true });
+      return { size, tooLarge: true };
+    }
+    await fs.promises.rename(partial, path.join(this.dir, name));
+    return { name, size, tooLarge: false };
+  }
+
+  /**
+   * Check that a backup is an intact access database this release can use.
+   * @param {string} name - The file name
+   * @returns {Promise<{valid: boolean, reason?: string, version?: number, admins?: number}>}
+   */
+  async validate(name) {
+    const file = this.pathOf(name);
+    if (!file || !fs.existsSync(file)) {
+      return { valid: false, reason: 'Backup not found' };
+    }
+
+    let backupDb;
+    try {
+      backupDb = await openReadOnly(file);
+      const [integrity] = await all(backupDb, 'PRAGMA integrity_check');
+      if (!integrity || integrity.integrity_check !== 'ok') {
+        return { valid: false, reason: 'The file failed the integrity check' };
+      }
+      const tables = (await all(backupDb, "SELECT name FROM sqlite_master WHERE type = 'table'")).map((row) => row.name);
+      if (!tables.includes('admin_users')) {
+        return { valid: false, reason: 'The file is not an access database' };
+      }
+
+      let version = 0;
+      if (tables.includes('schema_migrations')) {
+        [{ version }] = await all(backupDb, 'SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+      }
+      const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+      if (version > latest) {
+        return { valid: false, reason: `The schema version ${version} is newer than the latest version ${latest} known to this release` };
+      }
+
+      // Restoring a database without admins would lock everybody out of the dashboard
+      const [{ admins }] = await all(backupDb, 'SELECT COUNT(*) AS admins FROM admin_users');
+      if (admins === 0) {
+        return { valid: false, reason: 'The file contains no admin accounts' };
+      }
+      return { valid: true, version, admins };
+    } catch (err) {
+      return { valid: false, reason: `The file is not a readable SQLite database: ${err.message}` };
+    } finally {
+      if (backupDb) {
+        backupDb.close();
+      }
+    }
+  }
+
+  /**
+   * Replace the contents of the live database with a validated backup.
+   * The current state is saved as a 'pre-restore' backup first.
+   * @param {string} name - The file name
+   * @returns {Promise<{valid: boolean, reason?: string, preRestoreBackup?: string, version?: number}>}
+   */
+  async restore(name) {
+    const validation = await this.validate(name);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const staged = path.join(this.dir, `${name}.restoring`);
+    let version;
+    try {
+      await fs.promises.copyFile(this.pathOf(name), staged);
+      const stagedDb = await openReadWrite(staged);
+      try {
+        version = await migrate(stagedDb, this.logger);
+      } finally {
+        await new Promise((resolve) => stagedDb.close(resolve));
+      }
+    } catch (err) {
+      await fs.promises.rm(staged, { force: true });
+      return { valid: false, reason: `The backup could not be migrated to the current schema: ${err.message}` };
+    }
+
+    let preRestore;
+    try {
+      preRestore = await this.create('pre-restore');
+      await copyDatabase(this.db, staged, false);
+    } finally {
+      await fs.promises.rm(staged, { force: true });
+    }
+    this.logger.warn(`Database restored from backup`, {
+      name,
+      pre_restore_backup: preRestore.name,
+      action: 'restore',
+      status: 'success'
+    });
+    return { valid: true, preRestoreBackup: preRestore.name, version };
+  }
+}
+
+/**
+ * Copy a whole database between the open handle and a file with the SQLite backup API.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {string} file - The other database file
+ * @param {boolean} toFile - True to copy the open database into the file, false for the reverse
+ * @returns {Promise<void>}
+ */
+function copyDatabase(db, file, toFile) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(file, 'main', 'main', toFile, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      backup.step(-1, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        backup.finish((err) => (err ? reject(err) : resolve()));
+      });
+    });
+  });
+}
+
+/**
+ * Open a database file for writing, without creating it.
+ * @param {string} file - The database file
+ * @returns {Promise<sqlite3.Database>}
+ */
+function openReadWrite(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+/**
+ * Open a database file read-only.
+ * @param {string} file - The database file
+ * @returns {Promise<sqlite3.Database>}
+ */
+function openReadOnly(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+module.exports = BackupManager;
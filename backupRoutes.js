@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { CSV_COLUMNS } = require('./configTransfer');
+
+/**
+ * Dashboard routes for database backups and restores, and for the export and
+ * import of credentials and admins.
+ */
+
+/**
+ * Create the router for the backup, export and import routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit backups and imports
+ * @param {BackupManager} deps.backupManager - Stored backups
+ * @param {ConfigTransfer} deps.configTransfer - Export and import of credentials and admins
+ * @param {DoorMode} deps.doorMode - The system-wide door mode, loaded again after a restore
+ * @param {DoorManager} deps.doorManager - The running doors, restarted after a restore
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @returns {express.Router} The router
+ */
+function createBackupRoutes({ logger, eventLog, backupManager, configTransfer, doorMode, doorManager, requirePermission }) {
+  const router = express.Router();
+
+  /**
+   * Handle GET requests to list the stored database backups.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/backups', requirePermission('manage_backups'), async (req, res) => {
+    try {
+      res.json({ backups: await backupManager.list() });
+    } catch (err) {
+      logger.error(`Failed to list backups`, {
+        error_message: err.message,
+        action: 'list_backups',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to back up the database now.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/backups', requirePermission('manage_backups'), async (req, res) => {
+    try {
+      const backup = await backupManager.create('manual');
+      eventLog.record({ source: 'admin', action: 'create_backup', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { name: backup.name } });
+      res.status(201).json(backup);
+    } catch (err) {
+      logger.error(`Failed to create backup`, {
+        error_message: err.message,
+        action: 'backup',
+        status: 'failure'
+      });
+      eventLog.record({ source: 'admin', action: 'create_backup', outcome: 'failure', actor: req.session.username, clientIp: req.ip, severity: 'warning' });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to upload a database file for restoring.
+   * The file is sent as the raw request body and kept as a backup if it is valid.
+   * The body is streamed to the backup directory, not buffered; files over
+   * BACKUP_UPLOAD_MAX_MB are answered with 413.
+   * @param {Request} req - Express request object with the database file as body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/backups/upload', requirePermission('manage_backups'), async (req, res) => {
+    if (!req.is('application/octet-stream')) {
+      return res.status(400).json({ message: 'Send the database file as application/octet-stream' });
+    }
+    const tooLarge = { message: `The file is larger than ${backupManager.maxUploadBytes} bytes` };
+    if (Number(req.get('Content-Length')) > backupManager.maxUploadBytes) {
+      return res.status(413).json(tooLarge);
+    }
+
+    try {
+      const upload = await backupManager.storeUpload(req);
+      if (upload.tooLarge) {
+        return res.status(413).json(tooLarge);
+      }
+      const name = upload.name;
+      if (upload.size === 0) {
+        await backupManager.remove(name);
+        return res.status(400).json({ message: 'Send the database file as application/octet-stream' });
+      }
+      const validation = await backupManager.validate(name);
+      if (!validation.valid) {
+        await backupManager.remove(name);
+        return res.status(400).json({ message: validation.reason });
+      }
+      logger.info(`Stored uploaded backup`, { name, action: 'upload_backup', status: 'success' });
+      eventLog.record({ source: 'admin', action: 'upload_backup', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { name } });
+      res.status(201).json({ ...(await backupManager.describe(name)), version: validation.version, admins: validation.admins });
+    } catch (err) {
+      logger.error(`Failed to store uploaded backup`, {
+        error_message: err.message,
+        action: 'upload_backup',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests to download a backup.
+   * @param {Request} req - Express request object with the backup name as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/backups/:name', requirePermission('manage_backups'), (req, res) => {
+    const file = backupManager.pathOf(req.params.name);
+    if (!file || !fs.existsSync(file)) {
+      return res.status(404).json({ message: 'Backup not found' });
+    }
+    eventLog.record({ source: 'admin', action: 'download_backup', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { name: req.params.name } });
+    res.download(path.resolve(file), req.params.name);
+  });
+
+
+  /**
+   * Handle DELETE requests to delete a backup.
+   * @param {Request} req - Express request object with the backup name as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/backups/:name', requirePermission('manage_backups'), async (req, res) => {
+    try {
+      if (!await backupManager.remove(req.params.name)) {
+        return res.status(404).json({ message: 'Backup not found' });
+      }
+      eventLog.record({ source: 'admin', action: 'remove_backup', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { name: req.params.name } });
+      res.json({ message: 'Backup deleted' });
+    } catch (err) {
+      logger.error(`Failed to delete backup`, {
+        error_message: err.message,
+        action: 'remove_backup',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to restore the database from a backup.
+   * The backup is validated first and the current state is backed up before it is replaced.
+   * @param {Request} req - Express request object with the backup name as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/backups/:name/restore', requirePermission('manage_backups'), async (req, res) => {
+    const { name } = req.params;
+    try {
+      const result = await backupManager.restore(name);
+      if (!result.valid) {
+        eventLog.record({ source: 'admin', action: 'restore_backup', outcome: 'failure', actor: req.session.username, clientIp: req.ip, details: { name, reason: result.reason }, severity: 'warning' });
+        return res.status(result.reason === 'Backup not found' ? 404 : 400).json({ message: result.reason });
+      }
+      // The restored database may hold other doors, access policies and door mode; the mode is loaded first,
+      // so the restarted doors are held open if it is passage mode
+      await doorMode.load();
+      await doorManager.startAll();
+      eventLog.record({ source: 'admin', action: 'restore_backup', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { name, preRestoreBackup: result.preRestoreBackup }, severity: 'warning' });
+      res.json({ message: 'Database restored', preRestoreBackup: result.preRestoreBackup, version: result.version });
+    } catch (err) {
+      logger.error(`Failed to restore backup`, {
+        name,
+        error_message: err.message,
+        action: 'restore',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests to export credentials and admins.
+   * JSON exports everything at once, CSV one type selected with `type`.
+   * @param {Request} req - Express request object with format and type as query parameters
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/export', requirePermission('manage_backups'), [
+    query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+    query('type').if(query('format').equals('csv')).isIn(Object.keys(CSV_COLUMNS)).withMessage(`type must be one of ${Object.keys(CSV_COLUMNS).join(', ')}`),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'json', type } = req.query;
+    const date = new Date().toISOString().slice(0, 10);
+    try {
+      if (format === 'csv') {
+        res.attachment(`keypad-${type}-${date}.csv`).type('text/csv').send(await configTransfer.exportCsv(type));
+      } else {
+        res.attachment(`keypad-config-${date}.json`).json(await configTransfer.exportJson());
+      }
+      eventLog.record({ source: 'admin', action: 'export_config', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { format, type } });
+    } catch (err) {
+      logger.error(`Failed to export configuration`, {
+        error_message: err.message,
+        action: 'export_config',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to import credentials and admins from an export.
+   * The file is sent as the raw text body, so large exports are not limited by the JSON parser.
+   * @param {Request} req - Express request object with format and type as query parameters and the file as body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/import', requirePermission('manage_backups'), express.text({ type: 'text/*', limit: '20mb' }), [
+    query('format').isIn(['json', 'csv']).withMessage('format must be json or csv'),
+    query('type').if(query('format').equals('csv')).isIn(Object.keys(CSV_COLUMNS)).withMessage(`type must be one of ${Object.keys(CSV_COLUMNS).join(', ')}`),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ message: 'Send the export file as text/plain' });
+    }
+
+    const { format, type } = req.query;
+    try {
+      let result;
+      if (format === 'csv') {
+        result = await configTransfer.importCsv(type, req.body);
+      } else {
+        let doc;
+        try {
+          doc = JSON.parse(req.body);
+        } catch (err) {
+          return res.status(400).json({ message: 'The file is not valid JSON' });
+        }
+        result = await configTransfer.importJson(doc);
+      }
+
+      if (!result.valid) {
+        return res.status(400).json({ message: result.reason });
+      }
+      logger.info(`Imported configuration`, {
+        format,
+        type,
+        imported: result.imported,
+        action: 'import_config',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'import_config', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { format, type, imported: result.imported } });
+      res.json({ message: 'Import complete', imported: result.imported });
+    } catch (err) {
+      logger.error(`Failed to import configuration`, {
+        error_message: err.message,
+        action: 'import_config',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBackupRoutes };
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { run, get, all } = require('./database');
+const { doorIdsColumn, parseDoorIds, setDoorIds, opensDoor } = require('./credentialDoors');
+
+/**
+ * The table limiting cards to some doors.
+ * @type {{table: string, column: string}}
+ */
+const CARD_DOORS = { table: 'card_doors', column: 'card_id' };
+
+/**
+ * Data access for enrolled RFID cards.
+ * Card keys are never stored as read from the card: `card_hash` holds an
+ * HMAC-SHA256 of the key under SECRET_KEY, which is unique-indexed for lookups,
+ * and `card_suffix` keeps the last four digits so admins can tell cards apart.
+ */
+class CardStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {string} secretKey - Key for the card hash
+   */
+  constructor(db, secretKey) {
+    this.db = db;
+    this.secretKey = secretKey;
+  }
+
+  /**
+   * Compute the stored hash of a card key.
+   * @param {string} key - The key read from the card
+   * @returns {string} The hex encoded HMAC
+   */
+  hash(key) {
+    return crypto.createHmac('sha256', this.secretKey).update(key).digest('hex');
+  }
+
+  /**
+   * List all cards with the name of their owner.
+   * @returns {Promise<Object[]>} The cards, newest first; `lockdown_override` marks cards that still work in lockdown
+   *   and `door_ids` lists the doors a card is limited to, empty for every door
+   */
+  async list() {
+    const rows = await all(this.db, `
+      SELECT rfid_cards.id, rfid_cards.card_suffix, rfid_cards.label, rfid_cards.active, rfid_cards.created_at,
+             rfid_cards.user_id, users.name AS user_name, rfid_cards.schedule_id, rfid_cards.lockdown_override,
+             ${doorIdsColumn(CARD_DOORS, 'rfid_cards.id')} AS door_ids
+      FROM rfid_cards
+      LEFT JOIN users ON users.id = rfid_cards.user_id
+      ORDER BY rfid_cards.id DESC`);
+    return rows.map(toCard);
+  }
+
+  /**
+   * Fetch one card.
+   * @param {number} id - The card id
+   * @returns {Promise<Object|null>} The card, or null if there is none
+   */
+  async get(id) {
+    const row = await get(this.db, `
+      SELECT id, card_suffix, label, active, created_at, user_id, schedule_id, lockdown_override,
+             ${doorIdsColumn(CARD_DOORS, 'rfid_cards.id')} AS door_ids
+      FROM rfid_cards
+      WHERE id = ?`, [id]);
+    return row ? toCard(row) : null;
+  }
+
+  /**
+   * Look up the card for a key read from the reader, together with its owner and schedule.
+   * @param {string} key - The key read from the card
+   * @returns {Promise<Object|undefined>} The row with card, owner and schedule columns, or undefined if the card is unknown
+   */
+  async findByKey(key) {
+    return get(this.db, `
+      SELECT rfid_cards.id, rfid_cards.active AS card_active, rfid_cards.lockdown_override,
+             users.id AS user_id, users.name AS user_name, users.active,
+             schedules.id AS schedule_id, schedules.weekdays, schedules.start_time, schedules.end_time,
+             schedules.valid_from, schedules.valid_until, schedules.timezone
+      FROM rfid_cards
+      LEFT JOIN users ON users.id = rfid_cards.user_id
+      LEFT JOIN schedules ON schedules.id = rfid_cards.schedule_id
+      WHERE rfid_cards.card_hash = ?`, [this.hash(key)]);
+  }
+
+  /**
+   * Enroll a card. Fails with SQLITE_CONSTRAINT if it is already enrolled.
+   * @param {Object} card - The card fields
+   * @param {string} card.key - The key read from the card
+   * @param {string} [card.label] - Optional label, e.g. "Spare card 3"
+   * @param {number} [card.userId] - Optional owner
+   * @param {number} [card.scheduleId] - Optional schedule restricting when the card works
+   * @returns {Promise<number>} The id of the new card
+   */
+  async enroll({ key, label = null, userId = null, scheduleId = null }) {
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO rfid_cards(user_id, card_hash, card_suffix, label, active, schedule_id, created_at) VALUES(?, ?, ?, ?, 1, ?, ?)',
+        [userId, this.hash(key), key.slice(-4), label, scheduleId, new Date().toISOString()]
+    );
+    return lastID;
+  }
+
+  /**
+   * Update a card. Fields that are undefined are left unchanged;
+   * a null `userId` unassigns the card and a null `scheduleId` lifts its schedule.
+   * @param {number} id - The card id
+   * @param {Object} fields - The fields to change (label, active, userId, scheduleId, lockdownOverride)
+   * @returns {Promise<boolean>} False if the card does not exist
+   */
+  async update(id, { label, active, userId, scheduleId, lockdownOverride }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE rfid_cards SET
+           label = CASE WHEN ? THEN ? ELSE label END,
+           active = COALESCE(?, active),
+           user_id = CASE WHEN ? THEN ? ELSE user_id END,
+           schedule_id = CASE WHEN ? THEN ? ELSE schedule_id END,
+           lockdown_override = COALESCE(?, lockdown_override)
+         WHERE id = ?`,
+        [
+          label === undefined ? 0 : 1,
+          label === undefined ? null : label,
+          active === undefined ? null : (active ? 1 : 0),
+          userId === undefined ? 0 : 1,
+          userId === undefined ? null : userId,
+          scheduleId === undefined ? 0 : 1,
+          scheduleId === undefined ? null : scheduleId,
+          lockdownOverride === undefined ? null : (lockdownOverride ? 1 : 0),
+          id
+        ]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Limit a card to some doors.
+   * @param {number} id - The card id
+   * @param {number[]} doorIds - The doors, or an empty array for every door
+   * @returns {Promise<boolean>} False if the card does not exist
+   */
+  async setDoors(id, doorIds) {
+    if (!await get(this.db, 'SELECT id FROM rfid_cards WHERE id = ?', [id])) {
+      return false;
+    }
+    await setDoorIds(this.db, CARD_DOORS, id, doorIds);
+    return true;
+  }
+
+  /**
+   * Check whether a card may open a door.
+   * @param {number} id - The card id
+   * @param {number} doorId - The door
+   * @returns {Promise<boolean>}
+   */
+  async opensDoor(id, doorId) {
+    return opensDoor(this.db, CARD_DOORS, id, doorId);
+  }
+
+  /**
+   * Delete a card.
+   * @param {number} id - The card id
+   * @returns {Promise<boolean>} False if the card does not exist
+   */
+  async remove(id) {
+    const { changes } = await run(this.db, 'DELETE FROM rfid_cards WHERE id = ?', [id]);
+    return changes > 0;
+  }
+}
+
+/**
+ * Convert a database row into a card object with boolean `active` and `lockdown_override` flags and an array of door ids.
+ * @param {Object} row - The database row
+ * @returns {Object} The card
+ */
+function toCard(row) {
+  return { ...row, active: row.active === 1, lockdown_override: row.lockdown_override === 1, door_ids: parseDoorIds(row.door_ids) };
+}
+
+module.exports = CardStore;
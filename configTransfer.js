@@ -0,0 +1,742 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { run, get, all } = require('./database');
+const { ROLES } = require('./roles');
+const { isValidTimeZone } = require('./schedule');
+const { doorIdsColumn, doorNamesColumn, parseDoorIds, setDoorIds } = require('./credentialDoors');
+
+/**
+ * Columns of each CSV export, in the order they are imported. Groups, PINs
+ * and cards name their owner and schedule, which are looked up by name on
+ * import. The doors they are limited to and the groups of users, PINs and
+ * cards are JSON arrays of names.
+ * @type {Object<string, string[]>}
+ */
+const CSV_COLUMNS = {
+  schedules: ['name', 'weekdays', 'start_time', 'end_time', 'valid_from', 'valid_until', 'timezone'],
+  groups: ['name', 'active', 'schedule_name', 'door_names'],
+  users: ['name', 'department', 'active', 'group_names'],
+  pins: ['pin_hmac', 'pin', 'active', 'user_name', 'schedule_name', 'duress', 'lockdown_override', 'door_names', 'group_names', 'key_check'],
+  cards: ['card_hash', 'card_suffix', 'label', 'active', 'lockdown_override', 'user_name', 'schedule_name', 'door_names', 'group_names', 'key_check'],
+  admins: ['username', 'password', 'role']
+};
+
+/**
+ * The table limiting PINs to some doors.
+ * @type {{table: string, column: string}}
+ */
+const PIN_DOORS = { table: 'pin_doors', column: 'pin_id' };
+
+/**
+ * The table limiting cards to some doors.
+ * @type {{table: string, column: string}}
+ */
+const CARD_DOORS = { table: 'card_doors', column: 'card_id' };
+
+/**
+ * The table limiting groups to some doors.
+ * @type {{table: string, column: string}}
+ */
+const GROUP_DOORS = { table: 'group_doors', column: 'group_id' };
+
+/**
+ * The membership tables of users, PINs and cards in access groups.
+ * @type {Object<string, {table: string, column: string}>}
+ */
+const GROUP_MEMBERS = {
+  users: { table: 'user_groups', column: 'user_id' },
+  pins: { table: 'pin_groups', column: 'pin_id' },
+  cards: { table: 'card_groups', column: 'card_id' }
+};
+
+/**
+ * How long a connection waits for another one to finish writing, in milliseconds.
+ * @type {number}
+ */
+const BUSY_TIMEOUT_MS = 10000;
+
+/**
+ * Condition leaving out guest PINs, which are temporary and not exported.
+ * @type {string}
+ */
+const PERMANENT_PINS = 'WHERE valid_pins.max_uses IS NULL AND valid_pins.expires_at IS NULL';
+
+/**
+ * Export and import of schedules, access groups, users, PINs, RFID cards and
+ * admins, e.g. to set up a second door like the first.
+ *
+ * Only hashes are exported: PINs and cards as HMACs under SECRET_KEY, admin
+ * passwords as bcrypt hashes. The imported PINs and cards therefore only
+ * work on a keypad with the same SECRET_KEY, which the `keyCheck` of an
+ * export lets the import verify.
+ *
+ * JSON exports contain everything in one document and keep the links between
+ * users, schedules, groups and credentials. CSV exports hold one type each and
+ * refer to other entries by name, so import them in the order of CSV_COLUMNS.
+ *
+ * Doors are not exported, as the other keypad has its own. Groups, PINs and
+ * cards limited to some doors refer to them by name instead, and the import
+ * refuses them unless doors with these names exist, rather than letting them
+ * open every door.
+ *
+ * Existing entries are kept: users, schedules and groups with the same name
+ * are reused, and PINs, cards and admins that already exist are skipped.
+ * Group memberships are only added to the entries an import creates, so an
+ * import never changes what existing users and credentials may open. Guest
+ * PINs are not exported.
+ */
+class ConfigTransfer {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {string} secretKey - The key PINs and cards are hashed with
+   */
+  constructor(db, secretKey) {
+    this.db = db;
+    this.secretKey = secretKey;
+  }
+
+  /**
+   * A short fingerprint of SECRET_KEY, equal on keypads sharing the key.
+   * @returns {string}
+   */
+  keyCheck() {
+    return crypto.createHmac('sha256', this.secretKey).update('keypad-config-key-check').digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Export everything as one JSON document.
+   * @returns {Promise<Object>}
+   */
+  async exportJson() {
+    return {
+      format: 'keypad-config',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      keyCheck: this.keyCheck(),
+      schedules: await all(this.db, `
+        SELECT id, name, weekdays, start_time, end_time, valid_from, valid_until, timezone
+        FROM schedules ORDER BY id`),
+      doors: await all(this.db, 'SELECT id, name FROM doors ORDER BY id'),
+      groups: (await all(this.db, `
+        SELECT id, name, active, schedule_id, ${doorIdsColumn(GROUP_DOORS, 'access_groups.id')} AS door_ids
+        FROM access_groups ORDER BY id`))
+          .map((row) => ({ ...row, active: row.active === 1, door_ids: parseDoorIds(row.door_ids) })),
+      users: (await all(this.db, `SELECT id, name, department, active, ${groupsColumn('users', 'users.id', 'id')} AS group_ids FROM users ORDER BY id`))
+          .map((row) => ({ ...row, active: row.active === 1, group_ids: JSON.parse(row.group_ids) || [] })),
+      pins: (await all(this.db, `
+        SELECT pin_hmac, pin, active, user_id, schedule_id, duress, lockdown_override, ${doorIdsColumn(PIN_DOORS, 'valid_pins.id')} AS door_ids,
+               ${groupsColumn('pins', 'valid_pins.id', 'id')} AS group_ids
+        FROM valid_pins ${PERMANENT_PINS} ORDER BY id`))
+          .map((row) => ({
+            ...row,
+            active: row.active === 1,
+            duress: row.duress === 1,
+            lockdown_override: row.lockdown_override === 1,
+            door_ids: parseDoorIds(row.door_ids),
+            group_ids: JSON.parse(row.group_ids) || []
+          })),
+      cards: (await all(this.db, `
+        SELECT card_hash, card_suffix, label, active, lockdown_override, user_id, schedule_id,
+               ${doorIdsColumn(CARD_DOORS, 'rfid_cards.id')} AS door_ids, ${groupsColumn('cards', 'rfid_cards.id', 'id')} AS group_ids
+        FROM rfid_cards ORDER BY id`))
+          .map((row) => ({
+            ...row,
+            active: row.active === 1,
+            lockdown_override: row.lockdown_override === 1,
+            door_ids: parseDoorIds(row.door_ids),
+            group_ids: JSON.parse(row.group_ids) || []
+          })),
+      admins: await all(this.db, 'SELECT username, password, role FROM admin_users ORDER BY username')
+    };
+  }
+
+  /**
+   * Export one type as CSV.
+   * @param {string} type - One of the keys of CSV_COLUMNS
+   * @returns {Promise<string>} The CSV text with a header row
+   */
+  async exportCsv(type) {
+    const queries = {
+      schedules: 'SELECT name, weekdays, start_time, end_time, valid_from, valid_until, timezone FROM schedules ORDER BY id',
+      groups: `
+        SELECT access_groups.name, access_groups.active, schedules.name AS schedule_name,
+               ${doorNamesColumn(GROUP_DOORS, 'access_groups.id')} AS door_names
+        FROM access_groups
+        LEFT JOIN schedules ON schedules.id = access_groups.schedule_id
+        ORDER BY access_groups.id`,
+      users: `SELECT name, department, active, ${groupsColumn('users', 'users.id', 'name')} AS group_names FROM users ORDER BY id`,
+      pins: `
+        SELECT valid_pins.pin_hmac, valid_pins.pin, valid_pins.active, users.name AS user_name, schedules.name AS schedule_name, valid_pins.duress,
+               valid_pins.lockdown_override, ${doorNamesColumn(PIN_DOORS, 'valid_pins.id')} AS door_names,
+               ${groupsColumn('pins', 'valid_pins.id', 'name')} AS group_names
+        FROM valid_pins
+        LEFT JOIN users ON users.id = valid_pins.user_id
+        LEFT JOIN schedules ON schedules.id = valid_pins.schedule_id
+        ${PERMANENT_PINS}
+        ORDER BY valid_pins.id`,
+      cards: `
+        SELECT rfid_cards.card_hash, rfid_cards.card_suffix, rfid_cards.label, rfid_cards.active, rfid_cards.lockdown_override,
+               users.name AS user_name, schedules.name AS schedule_name, ${doorNamesColumn(CARD_DOORS, 'rfid_cards.id')} AS door_names,
+               ${groupsColumn('cards', 'rfid_cards.id', 'name')} AS group_names
+        FROM rfid_cards
+        LEFT JOIN users ON users.id = rfid_cards.user_id
+        LEFT JOIN schedules ON schedules.id = rfid_cards.schedule_id
+        ORDER BY rfid_cards.id`,
+      admins: 'SELECT username, password, role FROM admin_users ORDER BY username'
+    };
+    const rows = await all(this.db, queries[type]);
+    const keyCheck = this.keyCheck();
+    return toCsv(CSV_COLUMNS[type], rows.map((row) => ({ ...row, key_check: keyCheck })));
+  }
+
+  /**
+   * Import a JSON document made by exportJson. Nothing is imported if any entry is invalid.
+   * @param {Object} doc - The parsed document
+   * @returns {Promise<{valid: boolean, reason?: string, imported?: Object}>} Per type, how many entries were created and skipped
+   */
+  async importJson(doc) {
+    if (!doc || doc.format !== 'keypad-config' || doc.version !== 1) {
+      return { valid: false, reason: 'The file is not a keypad configuration export' };
+    }
+    const sections = {};
+    for (const type of Object.keys(CSV_COLUMNS)) {
+      sections[type] = doc[type] || [];
+      if (!Array.isArray(sections[type]) || !sections[type].every((entry) => entry && typeof entry === 'object')) {
+        return { valid: false, reason: `${type} must be a list of objects` };
+      }
+    }
+    const doors = doc.doors || [];
+    if (!Array.isArray(doors) || !doors.every((door) => door && typeof door === 'object')) {
+      return { valid: false, reason: 'doors must be a list of objects' };
+    }
+    const doorNames = new Map(doors.map((door) => [door.id, door.name]));
+    const hashed = sections.pins.some((pin) => pin.pin_hmac) || sections.cards.length > 0;
+    if (hashed && doc.keyCheck !== this.keyCheck()) {
+      return { valid: false, reason: 'The export was made with a different SECRET_KEY, so its PINs and cards would not work here' };
+    }
+
+    return this.inTransaction(async (transfer, imported) => {
+      const scheduleIds = new Map();
+      for (const schedule of sections.schedules) {
+        scheduleIds.set(schedule.id, await transfer.importSchedule(schedule, imported.schedules));
+      }
+      const list = (entry, property, description) => {
+        if (entry[property] != null && !Array.isArray(entry[property])) {
+          throw invalidEntry(`${description}: ${property} must be a list`);
+        }
+        return entry[property] || [];
+      };
+      const doorIds = (entry, description) => transfer.findDoorIds(list(entry, 'door_ids', description).map((id) => doorNames.get(id)), description);
+      const groupIds = new Map();
+      for (const group of sections.groups) {
+        const description = `Group "${group.name}"`;
+        groupIds.set(group.id, await transfer.importGroup(group, {
+          scheduleId: scheduleIds.get(group.schedule_id) ?? null,
+          doorIds: await doorIds(group, description)
+        }, imported.groups));
+      }
+      const groupsOf = (entry, description) => list(entry, 'group_ids', description).map((id) => {
+        if (!groupIds.has(id)) {
+          throw invalidEntry(`${description} is in a group that is not in the export`);
+        }
+        return groupIds.get(id);
+      });
+      const userIds = new Map();
+      for (const user of sections.users) {
+        userIds.set(user.id, await transfer.importUser(user, { groupIds: groupsOf(user, `User "${user.name}"`) }, imported.users));
+      }
+      const references = async (entry, description) => ({
+        userId: userIds.get(entry.user_id) ?? null,
+        scheduleId: scheduleIds.get(entry.schedule_id) ?? null,
+        doorIds: await doorIds(entry, description),
+        groupIds: groupsOf(entry, description)
+      });
+      for (const pin of sections.pins) {
+        await transfer.importPin(pin, await references(pin, 'A PIN'), imported.pins);
+      }
+      for (const card of sections.cards) {
+        await transfer.importCard(card, await references(card, `Card ${card.card_suffix}`), imported.cards);
+      }
+      for (const admin of sections.admins) {
+        await transfer.importAdmin(admin, imported.admins);
+      }
+    });
+  }
+
+  /**
+   * Import one type from CSV made by exportCsv. Nothing is imported if any row is invalid.
+   * @param {string} type - One of the keys of CSV_COLUMNS
+   * @param {string} text - The CSV text with a header row
+   * @returns {Promise<{valid: boolean, reason?: string, imported?: Object}>} How many entries were created and skipped
+   */
+  async importCsv(type, text) {
+    let rows;
+    try {
+      rows = parseCsv(text);
+    } catch (err) {
+      return { valid: false, reason: err.message };
+    }
+    const missing = CSV_COLUMNS[type].filter((column) => rows.length > 0 && !(column in rows[0]));
+    if (missing.length > 0) {
+      return { valid: false, reason: `Missing columns: ${missing.join(', ')}` };
+    }
+    if ((type === 'pins' || type === 'cards') && rows.some((row) => (row.pin_hmac || row.card_hash) && row.key_check !== this.keyCheck())) {
+      return { valid: false, reason: 'The export was made with a different SECRET_KEY, so its PINs and cards would not work here' };
+    }
+
+    const flag = (value) => ['1', 'true'].includes(String(value).toLowerCase());
+    const empty = (value) => (value === '' ? null : value);
+    return this.inTransaction(async (transfer, imported) => {
+      for (const [index, row] of rows.entries()) {
+        const line = index + 2;
+        if (type === 'users') {
+          await transfer.importUser({ name: row.name, department: empty(row.department), active: flag(row.active) },
+              { groupIds: await transfer.findGroupIds(parseNames(row.group_names, 'group_names', line), line) }, imported.users);
+        } else if (type === 'groups') {
+          await transfer.importGroup({ name: row.name, active: flag(row.active) }, {
+            scheduleId: await transfer.findIdByName('schedules', row.schedule_name, line),
+            doorIds: await transfer.findDoorIds(parseNames(row.door_names, 'door_names', line), `Line ${line}: the group`)
+          }, imported.groups);
+        } else if (type === 'schedules') {
+          await transfer.importSchedule({
+            name: row.name,
+            weekdays: Number(row.weekdays),
+            start_time: empty(row.start_time),
+            end_time: empty(row.end_time),
+            valid_from: empty(row.valid_from),
+            valid_until: empty(row.valid_until),
+            timezone: row.timezone
+          }, imported.schedules);
+        } else if (type === 'admins') {
+          await transfer.importAdmin(row, imported.admins);
+        } else {
+          const references = {
+            userId: await transfer.findIdByName('users', row.user_name, line),
+            scheduleId: await transfer.findIdByName('schedules', row.schedule_name, line),
+            doorIds: await transfer.findDoorIds(parseNames(row.door_names, 'door_names', line), `Line ${line}: the ${type === 'pins' ? 'PIN' : 'card'}`),
+            groupIds: await transfer.findGroupIds(parseNames(row.group_names, 'group_names', line), line)
+          };
+          if (type === 'pins') {
+            await transfer.importPin({
+              pin_hmac: empty(row.pin_hmac),
+              pin: empty(row.pin),
+              active: flag(row.active),
+              duress: flag(row.duress),
+              lockdown_override: flag(row.lockdown_override)
+            }, references, imported.pins);
+          } else {
+            await transfer.importCard({ ...row, label: empty(row.label), active: flag(row.active), lockdown_override: flag(row.lockdown_override) },
+                references, imported.cards);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Run an import in a transaction that is rolled back if an entry is invalid.
+   *
+   * The transaction runs on a connection of its own. On the shared one, a
+   * rollback would also undo whatever other requests wrote meanwhile, such as
+   * access history; now their writes wait until the import is over.
+   * @param {function(ConfigTransfer, Object): Promise<void>} body - Imports the entries with the given transfer, counting them in the object it gets
+   * @returns {Promise<{valid: boolean, reason?: string, imported?: Object}>}
+   */
+  async inTransaction(body) {
+    const imported = {};
+    for (const type of Object.keys(CSV_COLUMNS)) {
+      imported[type] = { created: 0, skipped: 0 };
+    }
+    const db = await openConnection(this.db.filename);
+    try {
+      await run(db, 'BEGIN IMMEDIATE');
+      try {
+        await body(new ConfigTransfer(db, this.secretKey), imported);
+        await run(db, 'COMMIT');
+        return { valid: true, imported };
+      } catch (err) {
+        await run(db, 'ROLLBACK');
+        if (err.invalidEntry) {
+          return { valid: false, reason: err.message };
+        }
+        throw err;
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Find the id of a user, schedule or group by its name for CSV imports.
+   * @param {string} table - 'users', 'schedules' or 'access_groups'
+   * @param {string} name - The name, empty for none
+   * @param {number} line - The CSV line, for the error message
+   * @returns {Promise<?number>}
+   */
+  async findIdByName(table, name, line) {
+    if (!name) {
+      return null;
+    }
+    const rows = await all(this.db, `SELECT id FROM ${table} WHERE name = ?`, [name]);
+    if (rows.length !== 1) {
+      throw invalidEntry(`Line ${line}: ${rows.length === 0 ? 'no' : 'more than one'} ${{ users: 'user', schedules: 'schedule', access_groups: 'group' }[table]} named "${name}"`);
+    }
+    return rows[0].id;
+  }
+
+  /**
+   * Find the groups of a user, PIN or card by their names for CSV imports.
+   * @param {Array<*>} names - The group names
+   * @param {number} line - The CSV line, for the error message
+   * @returns {Promise<number[]>} The group ids in this database
+   */
+  async findGroupIds(names, line) {
+    const ids = [];
+    for (const name of names) {
+      if (typeof name !== 'string' || name === '') {
+        throw invalidEntry(`Line ${line}: group_names must only hold group names`);
+      }
+      ids.push(await this.findIdByName('access_groups', name, line));
+    }
+    return ids;
+  }
+
+  /**
+   * Add an entry the import created to its groups.
+   * @param {string} type - 'users', 'pins' or 'cards'
+   * @param {number} id - The id of the entry
+   * @param {number[]} groupIds - The groups in this database
+   * @returns {Promise<void>}
+   */
+  async addToGroups(type, id, groupIds) {
+    const { table, column } = GROUP_MEMBERS[type];
+    for (const groupId of groupIds) {
+      await run(this.db, `INSERT OR IGNORE INTO ${table}(${column}, group_id) VALUES(?, ?)`, [id, groupId]);
+    }
+  }
+
+  /**
+   * Find the doors a PIN or card is limited to by their names.
+   * @param {Array<?string>} names - The door names; null or undefined for a door that was removed
+   * @param {string} description - What is limited, for the error message
+   * @returns {Promise<number[]>} The door ids in this database, empty for every door
+   */
+  async findDoorIds(names, description) {
+    const ids = [];
+    for (const name of names) {
+      const door = typeof name === 'string' ? await get(this.db, 'SELECT id FROM doors WHERE name = ?', [name]) : undefined;
+      if (!door) {
+        throw invalidEntry(typeof name === 'string'
+          ? `${description} is limited to the door "${name}", which does not exist here`
+          : `${description} is limited to a door that was removed`);
+      }
+      ids.push(door.id);
+    }
+    return ids;
+  }
+
+  /**
+   * Import a user, reusing an existing one with the same name.
+   * @param {Object} user - The user entry
+   * @param {{groupIds: number[]}} references - Groups in this database, which only a new user is added to
+   * @param {{created: number, skipped: number}} counts - Import counts to update
+   * @returns {Promise<number>} The id of the user in this database
+   */
+  async importUser(user, { groupIds }, counts) {
+    if (typeof user.name !== 'string' || user.name.trim() === '') {
+      throw invalidEntry('Every user needs a name');
+    }
+    const existing = await get(this.db, 'SELECT id FROM users WHERE name = ?', [user.name]);
+    if (existing) {
+      counts.skipped++;
+      return existing.id;
+    }
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO users(name, department, active, created_at) VALUES(?, ?, ?, ?)',
+        [user.name, user.department || null, user.active === false ? 0 : 1, new Date().toISOString()]
+    );
+    await this.addToGroups('users', lastID, groupIds);
+    counts.created++;
+    return lastID;
+  }
+
+  /**
+   * Import a schedule, reusing an existing one with the same name.
+   * @param {Object} schedule - The schedule entry
+   * @param {{created: number, skipped: number}} counts - Import counts to update
+   * @returns {Promise<number>} The id of the schedule in this database
+   */
+  async importSchedule(schedule, counts) {
+    if (typeof schedule.name !== 'string' || schedule.name.trim() === ''
+        || !Number.isInteger(schedule.weekdays) || schedule.weekdays < 0 || schedule.weekdays > 127
+        || typeof schedule.timezone !== 'string' || !isValidTimeZone(schedule.timezone)) {
+      throw invalidEntry(`Schedule "${schedule.name}" is invalid`);
+    }
+    const existing = await get(this.db, 'SELECT id FROM schedules WHERE name = ?', [schedule.name]);
+    if (existing) {
+      counts.skipped++;
+      return existing.id;
+    }
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO schedules(name, weekdays, start_time, end_time, valid_from, valid_until, timezone)
+         VALUES(?, ?, ?, ?, ?, ?, ?)`,
+        [schedule.name, schedule.weekdays, schedule.start_time || null, schedule.end_time || null,
+          schedule.valid_from || null, schedule.valid_until || null, schedule.timezone]
+    );
+    counts.created++;
+    return lastID;
+  }
+
+  /**
+   * Import an access group, reusing an existing one with the same name.
+   * @param {Object} group - The group entry
+   * @param {{scheduleId: ?number, doorIds: number[]}} references - Schedule and doors in this database
+   * @param {{created: number, skipped: number}} counts - Import counts to update
+   * @returns {Promise<number>} The id of the group in this database
+   */
+  async importGroup(group, { scheduleId, doorIds }, counts) {
+    if (typeof group.name !== 'string' || group.name.trim() === '') {
+      throw invalidEntry('Every group needs a name');
+    }
+    const existing = await get(this.db, 'SELECT id FROM access_groups WHERE name = ?', [group.name]);
+    if (existing) {
+      counts.skipped++;
+      return existing.id;
+    }
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO access_groups(name, active, schedule_id, created_at) VALUES(?, ?, ?, ?)',
+        [group.name, group.active === false ? 0 : 1, scheduleId, new Date().toISOString()]
+    );
+    await setDoorIds(this.db, GROUP_DOORS, lastID, doorIds);
+    counts.created++;
+    return lastID;
+  }
+
+  /**
+   * Import a PIN unless it already exists.
+   * @param {Object} pin - The PIN entry with `pin_hmac` or a bcrypt `pin`
+   * @param {{userId: ?number, scheduleId: ?number, doorIds: number[], groupIds: number[]}} references - Owner, schedule, doors and groups in this database
+   * @param {{created: number, skipped: number}} counts - Import counts to update
+   */
+  async importPin(pin, { userId, scheduleId, doorIds, groupIds }, counts) {
+    if (!isHexHash(pin.pin_hmac) && !(pin.pin_hmac == null && isBcryptHash(pin.pin))) {
+      throw invalidEntry('Every PIN needs a valid pin_hmac or bcrypt pin hash');
+    }
+    if (pin.duress && !userId) {
+      throw invalidEntry('A duress PIN must belong to a user');
+    }
+    const existing = pin.pin_hmac
+      ? await get(this.db, 'SELECT id FROM valid_pins WHERE pin_hmac = ?', [pin.pin_hmac])
+      : await get(this.db, 'SELECT id FROM valid_pins WHERE pin = ?', [pin.pin]);
+    if (existing) {
+      counts.skipped++;
+      return;
+    }
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO valid_pins(pin_hmac, pin, active, user_id, schedule_id, duress, lockdown_override) VALUES(?, ?, ?, ?, ?, ?, ?)',
+        [pin.pin_hmac || null, pin.pin_hmac ? null : pin.pin, pin.active === false ? 0 : 1, userId, scheduleId, pin.duress ? 1 : 0, pin.lockdown_override ? 1 : 0]
+    );
+    await setDoorIds(this.db, PIN_DOORS, lastID, doorIds);
+    await this.addToGroups('pins', lastID, groupIds);
+    counts.created++;
+  }
+
+  /**
+   * Import an RFID card unless it is already enrolled.
+   * @param {Object} card - The card entry
+   * @param {{userId: ?number, scheduleId: ?number, doorIds: number[], groupIds: number[]}} references - Owner, schedule, doors and groups in this database
+   * @param {{created: number, skipped: number}} counts - Import counts to update
+   */
+  async importCard(card, { userId, scheduleId, doorIds, groupIds }, counts) {
+    if (!isHexHash(card.card_hash) || typeof card.card_suffix !== 'string') {
+      throw invalidEntry('Every card needs a valid card_hash and card_suffix');
+    }
+    const existing = await get(this.db, 'SELECT id FROM rfid_cards WHERE card_hash = ?', [card.card_hash]);
+    if (existing) {
+      counts.skipped++;
+      return;
+    }
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO rfid_cards(user_id, card_hash, card_suffix, label, active, lockdown_override, schedule_id, created_at)
+         VALUES(?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, card.card_hash, card.card_suffix, card.label || null, card.active === false ? 0 : 1,
+          card.lockdown_override ? 1 : 0, scheduleId, new Date().toISOString()]
+    );
+    await setDoorIds(this.db, CARD_DOORS, lastID, doorIds);
+    await this.addToGroups('cards', lastID, groupIds);
+    counts.created++;
+  }
+
+  /**
+   * Import an admin unless the username is taken.
+   * @param {Object} admin - The admin entry with the bcrypt password hash
+   * @param {{created: number, skipped: number}} counts - Import counts to update
+   */
+  async importAdmin(admin, counts) {
+    if (typeof admin.username !== 'string' || admin.username.length < 4
+        || !isBcryptHash(admin.password) || !ROLES.includes(admin.role)) {
+      throw invalidEntry(`Admin "${admin.username}" is invalid`);
+    }
+    const { changes } = await run(
+        this.db,
+        'INSERT OR IGNORE INTO admin_users(username, password, role) VALUES(?, ?, ?)',
+        [admin.username, admin.password, admin.role]
+    );
+    counts[changes > 0 ? 'created' : 'skipped']++;
+  }
+}
+
+/**
+ * Open another connection to the database file for an import.
+ * @param {string} file - The database file
+ * @returns {Promise<sqlite3.Database>}
+ */
+function openConnection(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      resolve(db);
+    });
+  });
+}
+
+/**
+ * SQL expression listing the groups of a user, PIN or card as a JSON array, or null if it is in none.
+ * @param {string} type - 'users', 'pins' or 'cards'
+ * @param {string} idExpression - The SQL expression of the member id, e.g. 'users.id'
+ * @param {string} property - 'id' or 'name', the group column to list
+ * @returns {string}
+ */
+function groupsColumn(type, idExpression, property) {
+  const { table, column } = GROUP_MEMBERS[type];
+  return `NULLIF((SELECT json_group_array(access_groups.${property}) FROM ${table}
+    JOIN access_groups ON access_groups.id = ${table}.group_id WHERE ${table}.${column} = ${idExpression}), '[]')`;
+}
+
+/**
+ * Create the error thrown for an invalid import entry, which rolls back the import.
+ * @param {string} message - What is wrong
+ * @returns {Error}
+ */
+function invalidEntry(message) {
+  const err = new Error(message);
+  err.invalidEntry = true;
+  return err;
+}
+
+/**
+ * Read a CSV column holding a JSON array of door or group names.
+ * @param {string} value - The JSON array, empty for none
+ * @param {string} column - The column, for the error message
+ * @param {number} line - The CSV line, for the error message
+ * @returns {Array<*>}
+ */
+function parseNames(value, column, line) {
+  if (!value) {
+    return [];
+  }
+  let names;
+  try {
+    names = JSON.parse(value);
+  } catch (err) {
+    names = null;
+  }
+  if (!Array.isArray(names)) {
+    throw invalidEntry(`Line ${line}: ${column} must be a JSON list of names`);
+  }
+  return names;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a hex encoded SHA-256 hash
+ */
+function isHexHash(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a bcrypt hash
+ */
+function isBcryptHash(value) {
+  return typeof value === 'string' && /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(value);
+}
+
+/**
+ * Format rows as CSV, quoting fields where needed.
+ * @param {string[]} columns - The columns, written as header row
+ * @param {Object[]} rows - The rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const field = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+      .map((values) => values.map(field).join(','))
+      .join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column.
+ * @param {string} text - The CSV text
+ * @returns {Object[]}
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('The CSV text ends inside a quoted field');
+  }
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  const [header = [], ...body] = records.filter((values) => values.some((v) => v !== ''));
+  return body.map((values) => Object.fromEntries(header.map((column, i) => [column.trim(), values[i] ?? ''])));
+}
+
+module.exports = { ConfigTransfer, CSV_COLUMNS };
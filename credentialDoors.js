@@ -0,0 +1,80 @@
+const { run, get } = require('./database');
+
+/**
+ * Helpers for the tables that limit PINs, cards and access groups to some
+ * doors (`pin_doors`, `card_doors` and `group_doors`). A credential without
+ * rows opens every door; with rows, only the doors listed.
+ *
+ * Each helper takes a link describing the table, e.g.
+ * `{ table: 'pin_doors', column: 'pin_id' }`.
+ */
+
+/**
+ * SQL expression listing the door ids of a credential as a comma separated string.
+ * @param {{table: string, column: string}} link - The link table
+ * @param {string} idExpression - The SQL expression of the credential id, e.g. 'valid_pins.id'
+ * @returns {string}
+ */
+function doorIdsColumn(link, idExpression) {
+  return `(SELECT group_concat(door_id) FROM ${link.table} WHERE ${link.column} = ${idExpression})`;
+}
+
+/**
+ * SQL expression listing the door names of a credential as a JSON array, or
+ * null if it opens every door. Doors that were removed are listed as null.
+ * @param {{table: string, column: string}} link - The link table
+ * @param {string} idExpression - The SQL expression of the credential id, e.g. 'valid_pins.id'
+ * @returns {string}
+ */
+function doorNamesColumn(link, idExpression) {
+  return `NULLIF((SELECT json_group_array(doors.name) FROM ${link.table}
+    LEFT JOIN doors ON doors.id = ${link.table}.door_id WHERE ${link.table}.${link.column} = ${idExpression}), '[]')`;
+}
+
+/**
+ * Convert the result of doorIdsColumn into an array of ids.
+ * @param {?string} value - The comma separated ids, or null
+ * @returns {number[]} The door ids, empty if the credential opens every door
+ */
+function parseDoorIds(value) {
+  return value ? value.split(',').map(Number).sort((a, b) => a - b) : [];
+}
+
+/**
+ * Limit a credential to some doors. The new doors are added before the old
+ * ones are removed, so the credential never briefly opens every door.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {{table: string, column: string}} link - The link table
+ * @param {number} id - The credential id
+ * @param {number[]} doorIds - The doors, or an empty array for every door
+ * @returns {Promise<void>}
+ */
+async function setDoorIds(db, link, id, doorIds) {
+  for (const doorId of doorIds) {
+    await run(db, `INSERT OR IGNORE INTO ${link.table}(${link.column}, door_id) VALUES(?, ?)`, [id, doorId]);
+  }
+  const placeholders = doorIds.map(() => '?').join(', ');
+  await run(
+      db,
+      `DELETE FROM ${link.table} WHERE ${link.column} = ?${doorIds.length > 0 ? ` AND door_id NOT IN (${placeholders})` : ''}`,
+      [id, ...doorIds]
+  );
+}
+
+/**
+ * Check whether a credential may open a door.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {{table: string, column: string}} link - The link table
+ * @param {number} id - The credential id
+ * @param {number} doorId - The door
+ * @returns {Promise<boolean>}
+ */
+async function opensDoor(db, link, id, doorId) {
+  const { allowed } = await get(db, `
+    SELECT NOT EXISTS (SELECT 1 FROM ${link.table} WHERE ${link.column} = ?)
+        OR EXISTS (SELECT 1 FROM ${link.table} WHERE ${link.column} = ? AND door_id = ?) AS allowed`,
+  [id, id, doorId]);
+  return allowed === 1;
+}
+
+module.exports = { doorIdsColumn, doorNamesColumn, parseDoorIds, setDoorIds, opensDoor };
@@ -0,0 +1,81 @@
+/**
+ * Promise wrappers around the callback-based sqlite3 API.
+ * Every helper takes the open database handle as its first argument.
+ */
+
+/**
+ * Run a statement that does not return rows (INSERT, UPDATE, DELETE, DDL).
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {string} sql - The SQL statement
+ * @param {Array} [params=[]] - Bound parameters
+ * @returns {Promise<{lastID: number, changes: number}>} The row id of the last insert and the number of changed rows
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+/**
+ * Fetch the first row of a query.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {string} sql - The SQL query
+ * @param {Array} [params=[]] - Bound parameters
+ * @returns {Promise<Object|undefined>} The row, or undefined if there is none
+ */
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Fetch all rows of a query.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {string} sql - The SQL query
+ * @param {Array} [params=[]] - Bound parameters
+ * @returns {Promise<Object[]>} The rows
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Add a column to an existing table unless it is already there.
+ * SQLite has no `ADD COLUMN IF NOT EXISTS`, so the table info is checked first.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {string} table - The table name
+ * @param {string} column - The column name
+ * @param {string} definition - The column type and constraints, e.g. 'INTEGER REFERENCES users(id)'
+ * @returns {Promise<boolean>} True if the column was added
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  if (columns.some((info) => info.name === column)) {
+    return false;
+  }
+  await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+module.exports = { run, get, all, addColumnIfMissing };
@@ -0,0 +1,250 @@
+const EventEmitter = require('events');
+
+/**
+ * Drives the door actuator and watches the door contact. Every way of
+ * opening the door (PIN, RFID card, remote unlock from the dashboard) goes
+ * through this class, so relock timing and the current state are handled
+ * in one place.
+ *
+ * The lock is in one of these states:
+ * - locked: the actuator is closed
+ * - unlocked: opened after an access grant, relocks automatically
+ * - held: unlocked by an admin, stays unlocked until locked again
+ *
+ * If a door contact is connected, the controller also knows whether the door
+ * is physically open and raises alarms:
+ * - forced_open: the door was opened while locked; stays active until acknowledged
+ * - held_open: the door stayed open longer than allowed; ends when it closes
+ *
+ * Events:
+ * - 'change' (status): the lock state, contact or alarms changed, or an unlock was extended
+ * - 'relock' (status): the lock returned to 'locked'
+ * - 'contact' (contact): the debounced contact changed to 'open' or 'closed'
+ * - 'alarm' ({type, active}): an alarm was raised or ended
+ */
+class DoorController extends EventEmitter {
+  /**
+   * @param {RaspberryPi} pi - The hardware interface driving the actuator, contact and alarm output
+   * @param {Object} [options] - Door settings
+   * @param {?number} [options.id=null] - The id of the door, included in its status
+   * @param {?string} [options.name=null] - The name of the door, included in its status
+   * @param {number} [options.unlockMs=5000] - How long a grant keeps the door unlocked
+   * @param {number} [options.heldOpenMs=30000] - How long the door may stay open before the held-open alarm
+   * @param {number} [options.debounceMs=50] - How long the contact must be stable before a change counts
+   * @param {number} [options.openValue=1] - The contact input value that means "door open"
+   */
+  constructor(pi, { id = null, name = null, unlockMs = 5000, heldOpenMs = 30000, debounceMs = 50, openValue = 1 } = {}) {
+    super();
+    this.pi = pi;
+    this.id = id;
+    this.name = name;
+    this.unlockMs = unlockMs;
+    this.heldOpenMs = heldOpenMs;
+    this.debounceMs = debounceMs;
+    this.openValue = openValue;
+    this.state = 'locked';
+    this.unlockedUntil = null;
+    this.changedAt = new Date().toISOString();
+    this.relockTimer = null;
+    this.contact = null;
+    this.debounceTimer = null;
+    this.heldOpenTimer = null;
+    this.alarms = new Set();
+    this.closed = false;
+    this.pi.setDoorOutput(false);
+
+    if (this.pi.hasDoorContact) {
+      this.pi.watchDoorContact((value) => this.onContactValue(value));
+      this.contact = this.toContact(this.pi.readDoorContact());
+      if (this.contact === 'open') {
+        this.startHeldOpenTimer();
+      }
+    }
+  }
+
+  /**
+   * The current state of the door.
+   * @returns {{id: ?number, name: ?string, state: string, unlockedUntil: ?string, changedAt: string, unlockMs: number, contact: ?string, alarms: string[]}}
+   *   `contact` is 'open', 'closed', or null without a door contact
+   */
+  status() {
+    return {
+      id: this.id,
+      name: this.name,
+      state: this.state,
+      unlockedUntil: this.unlockedUntil,
+      changedAt: this.changedAt,
+      unlockMs: this.unlockMs,
+      contact: this.contact,
+      alarms: [...this.alarms]
+    };
+  }
+
+  /**
+   * Unlock the door for a while. Another grant while the door is unlocked
+   * extends the time until it relocks; a held door stays held.
+   * @param {number} [durationMs] - How long to stay unlocked, defaults to the configured duration
+   */
+  unlock(durationMs = this.unlockMs) {
+    if (this.state === 'held') {
+      return;
+    }
+
+    const relockAt = Date.now() + durationMs;
+    if (this.unlockedUntil && Date.parse(this.unlockedUntil) > relockAt) {
+      return; // Already unlocked for longer
+    }
+
+    clearTimeout(this.relockTimer);
+    this.relockTimer = setTimeout(() => this.lock(), durationMs);
+    this.unlockedUntil = new Date(relockAt).toISOString();
+    this.setState('unlocked');
+  }
+
+  /**
+   * Keep the door unlocked until `lock` is called.
+   * A door held on purpose does not raise the held-open alarm.
+   */
+  hold() {
+    clearTimeout(this.relockTimer);
+    clearTimeout(this.heldOpenTimer);
+    this.unlockedUntil = null;
+    this.setAlarm('held_open', false);
+    this.setState('held');
+  }
+
+  /**
+   * Lock the door now, ending any unlock period or hold.
+   */
+  lock() {
+    const wasHeld = this.state === 'held';
+    clearTimeout(this.relockTimer);
+    this.relockTimer = null;
+    this.unlockedUntil = null;
+    this.setState('locked');
+    if (wasHeld && this.contact === 'open') {
+      this.startHeldOpenTimer();
+    }
+  }
+
+  /**
+   * End the forced-open alarm after someone has checked the door.
+   * @returns {boolean} False if the alarm was not active
+   */
+  acknowledgeForced() {
+    if (!this.setAlarm('forced_open', false)) {
+      return false;
+    }
+    this.emit('change', this.status());
+    return true;
+  }
+
+  /**
+   * Drive the actuator for a state and announce the change.
+   * @param {string} state - 'locked', 'unlocked' or 'held'
+   */
+  setState(state) {
+    const changed = this.state !== state;
+    this.state = state;
+    this.pi.setDoorOutput(state !== 'locked');
+    if (changed) {
+      this.changedAt = new Date().toISOString();
+    }
+    this.emit('change', this.status());
+    if (changed && state === 'locked') {
+      this.emit('relock', this.status());
+    }
+  }
+
+  /**
+   * Convert a raw contact input value into 'open' or 'closed'.
+   * @param {number} value - The value read from the contact pin
+   * @returns {string}
+   */
+  toContact(value) {
+    return Number(value) === this.openValue ? 'open' : 'closed';
+  }
+
+  /**
+   * Debounce a raw value from the door contact: the change only counts if
+   * no other value arrives within `debounceMs`.
+   * @param {number} value - The value read from the contact pin
+   */
+  onContactValue(value) {
+    if (this.closed) {
+      return;
+    }
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.setContact(this.toContact(value)), this.debounceMs);
+  }
+
+  /**
+   * Apply a debounced contact change and raise or end alarms.
+   * @param {string} contact - 'open' or 'closed'
+   */
+  setContact(contact) {
+    if (contact === this.contact) {
+      return;
+    }
+    this.contact = contact;
+    this.emit('contact', contact);
+
+    if (contact === 'open') {
+      if (this.state === 'locked') {
+        this.setAlarm('forced_open', true);
+      }
+      if (this.state !== 'held') {
+        this.startHeldOpenTimer();
+      }
+    } else {
+      clearTimeout(this.heldOpenTimer);
+      this.setAlarm('held_open', false);
+    }
+    this.emit('change', this.status());
+  }
+
+  /**
+   * Raise the held-open alarm if the door is still open after `heldOpenMs`.
+   */
+  startHeldOpenTimer() {
+    clearTimeout(this.heldOpenTimer);
+    this.heldOpenTimer = setTimeout(() => {
+      if (this.contact === 'open' && this.state !== 'held') {
+        this.setAlarm('held_open', true);
+        this.emit('change', this.status());
+      }
+    }, this.heldOpenMs);
+  }
+
+  /**
+   * Raise or end an alarm and drive the alarm output accordingly.
+   * @param {string} type - 'forced_open' or 'held_open'
+   * @param {boolean} active - Whether the alarm is active
+   * @returns {boolean} False if the alarm already was in that state
+   */
+  setAlarm(type, active) {
+    if (this.alarms.has(type) === active) {
+      return false;
+    }
+    if (active) {
+      this.alarms.add(type);
+    } else {
+      this.alarms.delete(type);
+    }
+    this.pi.setAlarmOutput(this.alarms.size > 0);
+    this.emit('alarm', { type, active });
+    return true;
+  }
+
+  /**
+   * Stop all timers and ignore the contact from now on, e.g. on shutdown.
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.relockTimer);
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.heldOpenTimer);
+  }
+}
+
+module.exports = DoorController;
@@ -0,0 +1,148 @@
+const EventEmitter = require('events');
+const RaspberryPi = require('./gpio');
+const DoorController = require('./door');
+const { AccessPolicy } = require('./accessPolicy');
+
+/**
+ * The running doors. For every row of the `doors` table there is an entry
+ * `{ id, name, pi, door, policy }` with the door's hardware interface, its
+ * DoorController and its AccessPolicy. All doors share one GPIO driver.
+ *
+ * Changing a door restarts it with the new settings, which locks it. A
+ * stopped door keeps its pins watched by the driver until the next restart,
+ * so listeners must check that their entry is still the running one.
+ *
+ * Events:
+ * - 'started' (entry): a door was started; listeners attach to `entry.door` and `entry.pi` here
+ */
+class DoorManager extends EventEmitter {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {DoorStore} doorStore - Data access for the doors
+   * @param {Object} driver - The GPIO driver (see `RaspberryPi.createDriver`)
+   * @param {Object} [options] - Settings shared by all doors
+   * @param {number} [options.debounceMs=50] - How long a door contact must be stable before a change counts
+   */
+  constructor(db, doorStore, driver, { debounceMs = 50 } = {}) {
+    super();
+    this.db = db;
+    this.doorStore = doorStore;
+    this.driver = driver;
+    this.debounceMs = debounceMs;
+    this.doors = new Map();
+    this.closed = false;
+  }
+
+  /**
+   * Whether the driver accepts injected input, i.e. runs without real hardware.
+   * @returns {boolean}
+   */
+  get isSimulated() {
+    return typeof this.driver.inject === 'function';
+  }
+
+  /**
+   * Start every stored door, stopping the ones no longer stored, e.g. after a restore.
+   * @returns {Promise<void>}
+   */
+  async startAll() {
+    const rows = await this.doorStore.list();
+    for (const id of this.doors.keys()) {
+      if (!rows.some((row) => row.id === id)) {
+        this.stop(id);
+      }
+    }
+    rows.forEach((row) => this.start(row));
+  }
+
+  /**
+   * Start a door, or restart it with new settings.
+   * @param {Object} row - The door as stored by DoorStore
+   * @returns {Object} The entry of the running door
+   */
+  start(row) {
+    this.stop(row.id);
+    const pi = new RaspberryPi(row.rfid_pin, row.servo_pin, this.driver, {
+      contactPin: row.contact_pin,
+      alarmPin: row.alarm_pin
+    });
+    const door = new DoorController(pi, {
+      id: row.id,
+      name: row.name,
+      unlockMs: row.unlock_seconds * 1000,
+      heldOpenMs: row.held_open_seconds * 1000,
+      debounceMs: this.debounceMs,
+      openValue: row.contact_open_value
+    });
+    const policy = new AccessPolicy(this.db, row.id, { policy: row.access_policy, pinWindowSeconds: row.pin_window_seconds });
+    const entry = { id: row.id, name: row.name, pi, door, policy };
+    this.doors.set(row.id, entry);
+    this.emit('started', entry);
+    return entry;
+  }
+
+  /**
+   * Lock a door and stop it.
+   * @param {number} id - The door id
+   * @returns {boolean} False if the door was not running
+   */
+  stop(id) {
+    const entry = this.doors.get(id);
+    if (!entry) {
+      return false;
+    }
+    this.doors.delete(id);
+    entry.door.removeAllListeners();
+    entry.door.lock();
+    entry.door.close();
+    return true;
+  }
+
+  /**
+   * Look up a running door.
+   * @param {number} id - The door id
+   * @returns {Object|undefined} The entry, or undefined if no such door is running
+   */
+  get(id) {
+    return this.doors.get(id);
+  }
+
+  /**
+   * Check whether an entry is the running one for its door.
+   * @param {Object} entry - An entry returned by start
+   * @returns {boolean}
+   */
+  isRunning(entry) {
+    return this.doors.get(entry.id) === entry;
+  }
+
+  /**
+   * The door used where none is given, e.g. by a keypad page without a door: the oldest one.
+   * @returns {Object|undefined} The entry, or undefined if there are no doors
+   */
+  get main() {
+    return this.list()[0];
+  }
+
+  /**
+   * List the running doors.
+   * @returns {Object[]} The entries, oldest first
+   */
+  list() {
+    return [...this.doors.values()].sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Lock and stop all doors and release the GPIO pins, e.g. on shutdown.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    [...this.doors.keys()].forEach((id) => this.stop(id));
+    this.driver.close();
+  }
+}
+
+module.exports = DoorManager;
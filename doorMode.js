@@ -0,0 +1,127 @@
+const EventEmitter = require('events');
+const { run, get } = require('./database');
+
+/**
+ * The system-wide door modes, with a description for the dashboard.
+ * @type {Object<string, string>}
+ */
+const MODES = {
+  normal: 'Normal operation',
+  lockdown: 'Lockdown: only override credentials open the doors',
+  passage: 'Passage: every door is held unlocked until a set time'
+};
+
+/**
+ * Longest delay setTimeout accepts; later ends of passage mode are checked again after it.
+ * @type {number}
+ */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * The system-wide door mode, for incidents and open houses.
+ *
+ * In lockdown every credential fails except those marked as lockdown
+ * overrides; AccessControl checks this. In passage mode every door is held
+ * unlocked until the set time, after which the mode returns to normal by
+ * itself. The mode, its end and who set it are stored in the `settings`
+ * table, so they survive a restart.
+ *
+ * Events:
+ * - 'change' (status, previous): the mode was set, or load found a different one; `previous` is the status before
+ * - 'expired' (status): passage mode ended at its set time
+ * - 'error' (err): passage mode could not be ended at its set time
+ */
+class DoorMode extends EventEmitter {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    super();
+    this.db = db;
+    this.mode = 'normal';
+    this.until = null;
+    this.changedBy = null;
+    this.changedAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Load the saved mode, e.g. on startup or after a restore. Passage mode whose time has passed
+   * while the server was down ends right away.
+   * @returns {Promise<Object>} The status
+   */
+  async load() {
+    const previous = this.status();
+    const row = await get(this.db, "SELECT value FROM settings WHERE key = 'door_mode'");
+    const saved = row ? JSON.parse(row.value) : {};
+    Object.assign(this, {
+      mode: MODES[saved.mode] ? saved.mode : 'normal',
+      until: saved.until || null,
+      changedBy: saved.changedBy || null,
+      changedAt: saved.changedAt || null
+    });
+    this.scheduleEnd();
+    if (this.mode !== previous.mode || this.until !== previous.until) {
+      this.emit('change', this.status(), previous);
+    }
+    return this.status();
+  }
+
+  /**
+   * The current mode and who set it.
+   * @returns {{mode: string, until: ?string, changedBy: ?string, changedAt: ?string}}
+   */
+  status() {
+    return { mode: this.mode, until: this.until, changedBy: this.changedBy, changedAt: this.changedAt };
+  }
+
+  /**
+   * Save a new mode and announce it.
+   * @param {string} mode - One of the keys of MODES
+   * @param {Object} [options] - Settings of the mode
+   * @param {?string} [options.until=null] - ISO timestamp at which passage mode ends; required for passage only
+   * @param {?string} [options.actor=null] - Who set the mode, null when passage mode ends by itself
+   * @returns {Promise<Object>} The new status
+   */
+  async set(mode, { until = null, actor = null } = {}) {
+    const previous = this.status();
+    const status = { mode, until: mode === 'passage' ? until : null, changedBy: actor, changedAt: new Date().toISOString() };
+    await run(this.db, "INSERT OR REPLACE INTO settings(key, value) VALUES('door_mode', ?)", [JSON.stringify(status)]);
+    Object.assign(this, status);
+    this.scheduleEnd();
+    this.emit('change', this.status(), previous);
+    return this.status();
+  }
+
+  /**
+   * Arm the timer that ends passage mode, or clear it in the other modes.
+   */
+  scheduleEnd() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.mode !== 'passage') {
+      return;
+    }
+    const remainingMs = Date.parse(this.until) - Date.now();
+    if (remainingMs > MAX_TIMER_MS) {
+      this.timer = setTimeout(() => this.scheduleEnd(), MAX_TIMER_MS);
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.set('normal')
+          .then((status) => this.emit('expired', status))
+          .catch((err) => this.emit('error', err));
+    }, Math.max(remainingMs, 0));
+  }
+
+  /**
+   * Stop the timer, e.g. on shutdown. The saved mode is kept.
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { DoorMode, MODES };
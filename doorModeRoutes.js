@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { MODES } = require('./doorMode');
+
+/**
+ * Dashboard routes for the system-wide door mode: normal, lockdown or passage.
+ */
+
+/**
+ * Create the router for the door mode routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit mode changes
+ * @param {DoorMode} deps.doorMode - The system-wide door mode
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @returns {express.Router} The router
+ */
+function createDoorModeRoutes({ logger, eventLog, doorMode, requirePermission }) {
+  const router = express.Router();
+
+  /**
+   * Handle GET requests for the system-wide door mode and the modes to choose from.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/door-mode', requirePermission('operate_door'), (req, res) => {
+    res.json({ ...doorMode.status(), modes: MODES });
+  });
+
+
+  /**
+   * Handle PUT requests to change the system-wide door mode.
+   * Passage mode needs `until`, the time at which it ends by itself.
+   * @async
+   * @param {Request} req - Express request object with mode, and until for passage mode, in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/door-mode', requirePermission('operate_door'), [
+    body('mode').isIn(Object.keys(MODES)).withMessage(`Mode must be one of ${Object.keys(MODES).join(', ')}`),
+    body('until').if(body('mode').equals('passage'))
+        .isISO8601({ strict: true }).withMessage('Passage mode needs until, an ISO 8601 time').bail()
+        .custom((until) => Date.parse(until) > Date.now()).withMessage('until must be in the future'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mode } = req.body;
+    const until = mode === 'passage' ? new Date(req.body.until).toISOString() : null;
+
+    try {
+      const status = await doorMode.set(mode, { until, actor: req.session.username });
+      logger.info(`Door mode changed`, {
+        username: req.session.username,
+        mode,
+        until,
+        action: 'set_door_mode',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'set_door_mode', outcome: 'success', actor: req.session.username, clientIp: req.ip, severity: mode === 'normal' ? 'info' : 'warning', details: { mode, until } });
+      res.json({ message: 'Door mode saved', ...status });
+    } catch (error) {
+      logger.error(`Failed to change the door mode`, {
+        error_message: error.message,
+        action: 'set_door_mode',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDoorModeRoutes };
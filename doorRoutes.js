@@ -0,0 +1,388 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { POLICIES } = require('./accessPolicy');
+
+/**
+ * Dashboard routes for the doors: adding, changing and removing them, their
+ * current state, remote unlocking and locking, forced-open alarms and the
+ * access policy of each door. The routes without a door id act on the main door.
+ */
+
+/**
+ * Create the router for the door routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit door changes
+ * @param {DoorStore} deps.doorStore - Doors and their GPIO pins
+ * @param {DoorManager} deps.doorManager - The running doors, restarted when their settings change
+ * @param {Function} deps.requireAdmin - Middleware that lets logged in admins through
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @returns {express.Router} The router
+ */
+function createDoorRoutes({ logger, eventLog, doorStore, doorManager, requireAdmin, requirePermission }) {
+  const router = express.Router();
+
+  /**
+   * Find the running door a request is about: the one in the `id` parameter,
+   * or the main door for the routes without one. Responds with 404 if there is
+   * no such door, and otherwise stores the entry in `req.doorEntry`.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  function findDoor(req, res, next) {
+    const entry = req.params.id === undefined ? doorManager.main : doorManager.get(Number(req.params.id));
+    if (!entry) {
+      return res.status(404).json({ message: 'Door not found' });
+    }
+    req.doorEntry = entry;
+    next();
+  }
+
+  /**
+   * Validation of the settings of a door, for adding and changing doors.
+   * GPIO pins are BCM numbers; the RFID reader, door contact and alarm output are optional.
+   * @type {ValidationChain[]}
+   */
+  const doorValidators = [
+    body('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+    body('rfidPin').optional({ values: 'null' }).isInt({ min: 0, max: 27 }).withMessage('rfidPin must be a GPIO pin between 0 and 27').toInt(),
+    body('servoPin').isInt({ min: 0, max: 27 }).withMessage('servoPin must be a GPIO pin between 0 and 27').toInt(),
+    body('contactPin').optional({ values: 'null' }).isInt({ min: 0, max: 27 }).withMessage('contactPin must be a GPIO pin between 0 and 27').toInt(),
+    body('alarmPin').optional({ values: 'null' }).isInt({ min: 0, max: 27 }).withMessage('alarmPin must be a GPIO pin between 0 and 27').toInt(),
+    body('contactOpenValue').optional().isIn([0, 1]).withMessage('contactOpenValue must be 0 or 1').toInt(),
+    body('unlockSeconds').optional().isInt({ min: 1, max: 3600 }).withMessage('unlockSeconds must be between 1 and 3600').toInt(),
+    body('heldOpenSeconds').optional().isInt({ min: 1, max: 3600 }).withMessage('heldOpenSeconds must be between 1 and 3600').toInt(),
+  ];
+
+  /**
+   * Read the door settings from a validated request body, filling in the defaults.
+   * @param {Object} body - The request body
+   * @returns {Object} The door fields for DoorStore
+   */
+  function doorFromBody({ name, rfidPin = null, servoPin, contactPin = null, alarmPin = null, contactOpenValue = 1, unlockSeconds = 5, heldOpenSeconds = 30 }) {
+    return { name, rfidPin, servoPin, contactPin, alarmPin, contactOpenValue, unlockSeconds, heldOpenSeconds };
+  }
+
+  /**
+   * Check that a door does not share a GPIO pin with itself or another door.
+   * @async
+   * @param {Object} door - The door fields
+   * @param {?number} [exceptId=null] - The door itself when it is changed
+   * @returns {Promise<?string>} A message describing the conflict, or null if there is none
+   */
+  async function findPinConflict(door, exceptId = null) {
+    const pins = [door.rfidPin, door.servoPin, door.contactPin, door.alarmPin].filter((pin) => pin !== null);
+    if (new Set(pins).size !== pins.length) {
+      return 'A GPIO pin can only be used once per door';
+    }
+    const inUse = await doorStore.pinsInUse(pins, exceptId);
+    return inUse.length > 0 ? `GPIO pin ${inUse.join(', ')} is already used by another door` : null;
+  }
+
+
+  /**
+   * Handle GET requests to list the doors with their settings and current state.
+   * @async
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/doors', requireAdmin, async (req, res) => {
+    try {
+      const rows = await doorStore.list();
+      const doors = rows.map((row) => {
+        const entry = doorManager.get(row.id);
+        return { ...row, status: entry ? entry.door.status() : null };
+      });
+      res.json({ doors });
+    } catch (error) {
+      logger.error(`Failed to list doors`, {
+        error_message: error.message,
+        action: 'list_doors',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to add a door and start it.
+   * @async
+   * @param {Request} req - Express request object with the door settings in the body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/doors', requirePermission('manage_doors'), doorValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const door = doorFromBody(req.body);
+
+    try {
+      const conflict = await findPinConflict(door);
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+      const id = await doorStore.create(door);
+      doorManager.start(await doorStore.get(id));
+      logger.info(`Door added`, {
+        username: req.session.username,
+        door_id: id,
+        name: door.name,
+        action: 'add_door',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_door', outcome: 'success', doorId: id, actor: req.session.username, clientIp: req.ip, details: door });
+      res.status(201).json({ message: 'Door added', id });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'A door with this name already exists' });
+      }
+      logger.error(`Failed to add door`, {
+        error_message: error.message,
+        action: 'add_door',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to change the settings of a door.
+   * The door is restarted with the new settings, which locks it.
+   * @async
+   * @param {Request} req - Express request object with the door id in the params and the door settings in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/doors/:id', requirePermission('manage_doors'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    ...doorValidators,
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const door = doorFromBody(req.body);
+
+    try {
+      const conflict = await findPinConflict(door, id);
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+      if (!await doorStore.update(id, door)) {
+        return res.status(404).json({ message: 'Door not found' });
+      }
+      doorManager.start(await doorStore.get(id));
+      logger.info(`Door changed`, {
+        username: req.session.username,
+        door_id: id,
+        action: 'update_door',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_door', outcome: 'success', doorId: id, actor: req.session.username, clientIp: req.ip, details: door });
+      res.json({ message: 'Door saved' });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'A door with this name already exists' });
+      }
+      logger.error(`Failed to change door`, {
+        error_message: error.message,
+        action: 'update_door',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove a door. The last door cannot be removed.
+   * PINs and cards limited to the door keep that limit, so they do not open the other doors.
+   * @async
+   * @param {Request} req - Express request object with the door id in the params
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/doors/:id', requirePermission('manage_doors'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    try {
+      const doors = await doorStore.list();
+      if (!doors.some((door) => door.id === id)) {
+        return res.status(404).json({ message: 'Door not found' });
+      }
+      if (doors.length === 1) {
+        return res.status(409).json({ message: 'The last door cannot be removed' });
+      }
+      await doorStore.remove(id);
+      doorManager.stop(id);
+      logger.info(`Door removed`, {
+        username: req.session.username,
+        door_id: id,
+        action: 'delete_door',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'delete_door', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { doorId: id } });
+      res.json({ message: 'Door removed' });
+    } catch (error) {
+      logger.error(`Failed to remove door`, {
+        error_message: error.message,
+        action: 'delete_door',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests for the current state of a door, or of the main door without an id.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get(['/api/door', '/api/doors/:id'], requireAdmin, findDoor, (req, res) => {
+    res.json({ door: req.doorEntry.door.status() });
+  });
+
+
+  /**
+   * Handle POST requests to unlock a door remotely, or the main door without an id.
+   * The door relocks after `durationSeconds` (default: the unlock time of the door),
+   * or stays unlocked until locked again if `hold` is true.
+   * @param {Request} req - Express request object with optional durationSeconds and hold in the body
+   * @param {Response} res - Express response object
+   */
+  router.post(['/api/door/unlock', '/api/doors/:id/unlock'], requirePermission('operate_door'), findDoor, [
+    body('durationSeconds').optional().isInt({ min: 1, max: 3600 }).withMessage('durationSeconds must be between 1 and 3600').toInt(),
+    body('hold').optional().isBoolean({ strict: true }).withMessage('hold must be a boolean'),
+  ], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { durationSeconds, hold = false } = req.body;
+    const { door, id: doorId, name } = req.doorEntry;
+
+    if (hold) {
+      door.hold();
+    } else {
+      door.unlock(durationSeconds ? durationSeconds * 1000 : undefined);
+    }
+    logger.info(`Door unlocked remotely`, {
+      username: req.session.username,
+      door: name,
+      hold,
+      action: 'remote_unlock',
+      status: 'success'
+    });
+    eventLog.record({ source: 'admin', action: 'remote_unlock', outcome: 'success', doorId, actor: req.session.username, clientIp: req.ip, details: { hold, durationSeconds } });
+    res.json({ message: 'Door unlocked', door: door.status() });
+  });
+
+
+  /**
+   * Handle POST requests to lock a door now, or the main door without an id, ending an unlock period or hold.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.post(['/api/door/lock', '/api/doors/:id/lock'], requirePermission('operate_door'), findDoor, (req, res) => {
+    const { door, id: doorId, name } = req.doorEntry;
+    door.lock();
+    logger.info(`Door locked remotely`, {
+      username: req.session.username,
+      door: name,
+      action: 'remote_lock',
+      status: 'success'
+    });
+    eventLog.record({ source: 'admin', action: 'remote_lock', outcome: 'success', doorId, actor: req.session.username, clientIp: req.ip });
+    res.json({ message: 'Door locked', door: door.status() });
+  });
+
+
+  /**
+   * Handle POST requests to acknowledge a forced-open alarm after the door has been checked.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.post(['/api/door/alarm/acknowledge', '/api/doors/:id/alarm/acknowledge'], requirePermission('operate_door'), findDoor, (req, res) => {
+    const { door, id: doorId, name } = req.doorEntry;
+    if (!door.acknowledgeForced()) {
+      return res.status(409).json({ message: 'No forced-open alarm is active' });
+    }
+    logger.info(`Forced-open alarm acknowledged`, {
+      username: req.session.username,
+      door: name,
+      action: 'acknowledge_alarm',
+      status: 'success'
+    });
+    eventLog.record({ source: 'admin', action: 'acknowledge_alarm', outcome: 'success', doorId, actor: req.session.username, clientIp: req.ip, details: { alarm: 'forced_open' } });
+    res.json({ message: 'Alarm acknowledged', door: door.status() });
+  });
+
+
+  /**
+   * Handle GET requests for the access policy of a door, or of the main door without an id,
+   * and the policies to choose from.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get(['/api/access-policy', '/api/doors/:id/access-policy'], requirePermission('manage_policy'), findDoor, (req, res) => {
+    res.json({ doorId: req.doorEntry.id, ...req.doorEntry.policy.status(), policies: POLICIES });
+  });
+
+
+  /**
+   * Handle PUT requests to change the access policy of a door, or of the main door without an id.
+   * @param {Request} req - Express request object with policy and optional pinWindowSeconds in the body
+   * @param {Response} res - Express response object
+   */
+  router.put(['/api/access-policy', '/api/doors/:id/access-policy'], requirePermission('manage_policy'), findDoor, [
+    body('policy').isIn(Object.keys(POLICIES)).withMessage('Unknown access policy'),
+    body('pinWindowSeconds').optional().isInt({ min: 5, max: 300 }).withMessage('pinWindowSeconds must be between 5 and 300').toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { policy, pinWindowSeconds } = req.body;
+    const { policy: accessPolicy, id: doorId, name } = req.doorEntry;
+
+    try {
+      const status = await accessPolicy.update({ policy, pinWindowSeconds });
+      logger.info(`Access policy changed`, {
+        username: req.session.username,
+        door: name,
+        policy,
+        pin_window_seconds: status.pinWindowSeconds,
+        action: 'change_access_policy',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'change_access_policy', outcome: 'success', doorId, actor: req.session.username, clientIp: req.ip, details: { policy, pinWindowSeconds: status.pinWindowSeconds } });
+      res.json({ message: 'Access policy saved', doorId, ...status });
+    } catch (error) {
+      logger.error(`Failed to change the access policy`, {
+        error_message: error.message,
+        action: 'change_access_policy',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDoorRoutes };
@@ -0,0 +1,119 @@
+const { run, get, all } = require('./database');
+
+/**
+ * Columns of a door as returned to clients.
+ * @type {string}
+ */
+const DOOR_COLUMNS = `
+  SELECT id, name, rfid_pin, servo_pin, contact_pin, alarm_pin, contact_open_value,
+         unlock_seconds, held_open_seconds, access_policy, pin_window_seconds, created_at
+  FROM doors`;
+
+/**
+ * Data access for doors.
+ *
+ * Each door has its own GPIO pins: the RFID reader (optional), the servo, and
+ * optionally a door contact and an alarm output. The unlock and held-open
+ * times and the access policy are stored per door as well. No GPIO pin may be
+ * used by two doors.
+ */
+class DoorStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List all doors.
+   * @returns {Promise<Object[]>} The doors, oldest first
+   */
+  async list() {
+    return all(this.db, `${DOOR_COLUMNS} ORDER BY id`);
+  }
+
+  /**
+   * Fetch one door.
+   * @param {number} id - The door id
+   * @returns {Promise<Object|undefined>} The door, or undefined if there is none
+   */
+  async get(id) {
+    return get(this.db, `${DOOR_COLUMNS} WHERE id = ?`, [id]);
+  }
+
+  /**
+   * Find the GPIO pins of a door that another door already uses.
+   * @param {number[]} pins - The pins of the door, without nulls
+   * @param {?number} [exceptId=null] - The door itself when it is updated
+   * @returns {Promise<number[]>} The pins in use elsewhere
+   */
+  async pinsInUse(pins, exceptId = null) {
+    const rows = await all(this.db, 'SELECT rfid_pin, servo_pin, contact_pin, alarm_pin FROM doors WHERE id IS NOT ?', [exceptId]);
+    const used = new Set(rows.flatMap((row) => Object.values(row)));
+    return pins.filter((pin) => used.has(pin));
+  }
+
+  /**
+   * Find the door ids that do not belong to any door.
+   * @param {number[]} doorIds - The door ids to check
+   * @returns {Promise<number[]>} The unknown ids
+   */
+  async unknownIds(doorIds) {
+    const rows = await all(this.db, 'SELECT id FROM doors');
+    const known = new Set(rows.map((row) => row.id));
+    return doorIds.filter((doorId) => !known.has(doorId));
+  }
+
+  /**
+   * Add a door. Fails with SQLITE_CONSTRAINT if the name is taken.
+   * @param {Object} door - The door fields
+   * @param {string} door.name - Shown on the dashboard and the keypad
+   * @param {?number} door.rfidPin - GPIO pin of the RFID reader, null without one
+   * @param {number} door.servoPin - GPIO pin of the servo
+   * @param {?number} door.contactPin - GPIO pin of the door contact, null without one
+   * @param {?number} door.alarmPin - GPIO pin of the alarm output, null without one
+   * @param {number} door.contactOpenValue - Contact value that means the door is open
+   * @param {number} door.unlockSeconds - How long a grant keeps the door unlocked
+   * @param {number} door.heldOpenSeconds - How long the door may stay open before the held-open alarm
+   * @returns {Promise<number>} The id of the new door
+   */
+  async create({ name, rfidPin, servoPin, contactPin, alarmPin, contactOpenValue, unlockSeconds, heldOpenSeconds }) {
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO doors(name, rfid_pin, servo_pin, contact_pin, alarm_pin, contact_open_value, unlock_seconds, held_open_seconds, created_at)
+         VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, rfidPin, servoPin, contactPin, alarmPin, contactOpenValue, unlockSeconds, heldOpenSeconds, new Date().toISOString()]
+    );
+    return lastID;
+  }
+
+  /**
+   * Replace the settings of a door. The access policy is changed through AccessPolicy.
+   * @param {number} id - The door id
+   * @param {Object} door - The door fields, as for create
+   * @returns {Promise<boolean>} False if the door does not exist
+   */
+  async update(id, { name, rfidPin, servoPin, contactPin, alarmPin, contactOpenValue, unlockSeconds, heldOpenSeconds }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE doors SET name = ?, rfid_pin = ?, servo_pin = ?, contact_pin = ?, alarm_pin = ?,
+           contact_open_value = ?, unlock_seconds = ?, held_open_seconds = ?
+         WHERE id = ?`,
+        [name, rfidPin, servoPin, contactPin, alarmPin, contactOpenValue, unlockSeconds, heldOpenSeconds, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete a door. PINs and cards limited to it keep that limit, so they do not open other doors instead.
+   * @param {number} id - The door id
+   * @returns {Promise<boolean>} False if the door does not exist
+   */
+  async remove(id) {
+    const { changes } = await run(this.db, 'DELETE FROM doors WHERE id = ?', [id]);
+    return changes > 0;
+  }
+}
+
+module.exports = DoorStore;
@@ -0,0 +1,61 @@
+/**
+ * GPIO driver for real Raspberry Pi hardware.
+ * `rpio` is used for polling inputs and `onoff` for driving outputs.
+ * Both modules are only loaded when this driver is constructed, so the
+ * rest of the application can run on machines without them.
+ */
+class PiDriver {
+  constructor() {
+    this.rpio = require('rpio');
+    this.Gpio = require('onoff').Gpio;
+    this.outputs = new Map();
+    this.inputs = [];
+  }
+
+  /**
+   * Configure a pin as an output.
+   * @param {number} pin - The GPIO pin number
+   */
+  setupOutput(pin) {
+    this.outputs.set(pin, new this.Gpio(pin, 'out'));
+  }
+
+  /**
+   * Drive an output pin.
+   * @param {number} pin - The GPIO pin number
+   * @param {number} value - 1 for high, 0 for low
+   */
+  write(pin, value) {
+    this.outputs.get(pin).writeSync(value);
+  }
+
+  /**
+   * Configure a pin as an input and call back with its value on every change.
+   * @param {number} pin - The GPIO pin number
+   * @param {Function} callback - Called with the value read from the pin
+   */
+  watchInput(pin, callback) {
+    this.rpio.open(pin, this.rpio.INPUT);
+    this.inputs.push(pin);
+    this.rpio.poll(pin, (changedPin) => callback(this.rpio.read(changedPin)));
+  }
+
+  /**
+   * Read the current value of an input pin set up with `watchInput`.
+   * @param {number} pin - The GPIO pin number
+   * @returns {number} The value read from the pin
+   */
+  read(pin) {
+    return this.rpio.read(pin);
+  }
+
+  /**
+   * Release all pins claimed by this driver.
+   */
+  close() {
+    this.outputs.forEach((gpio) => gpio.unexport());
+    this.inputs.forEach((pin) => this.rpio.close(pin));
+  }
+}
+
+module.exports = PiDriver;
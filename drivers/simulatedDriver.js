@@ -0,0 +1,83 @@
+/**
+ * GPIO driver that simulates the hardware in memory.
+ * Output changes are logged instead of driving pins, and input values
+ * can be injected through `inject`, so the whole access flow can be
+ * exercised on a machine without GPIO.
+ */
+class SimulatedDriver {
+  /**
+   * @param {winston.Logger} logger - Logger used to report simulated pin activity
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.outputs = new Map();
+    this.inputs = new Map();
+    this.watchers = new Map();
+  }
+
+  /**
+   * Configure a pin as an output. Simulated outputs start low.
+   * @param {number} pin - The GPIO pin number
+   */
+  setupOutput(pin) {
+    this.outputs.set(pin, 0);
+  }
+
+  /**
+   * Record the new value of an output pin and log the state change.
+   * @param {number} pin - The GPIO pin number
+   * @param {number} value - 1 for high, 0 for low
+   */
+  write(pin, value) {
+    if (this.outputs.get(pin) === value) {
+      return;
+    }
+    this.outputs.set(pin, value);
+    this.logger.info(`Simulated GPIO output changed`, {
+      pin,
+      value,
+      action: 'gpio_write',
+      status: 'simulated'
+    });
+  }
+
+  /**
+   * Register a callback for values injected on an input pin.
+   * @param {number} pin - The GPIO pin number
+   * @param {Function} callback - Called with each injected value
+   */
+  watchInput(pin, callback) {
+    if (!this.watchers.has(pin)) {
+      this.watchers.set(pin, []);
+    }
+    this.watchers.get(pin).push(callback);
+  }
+
+  /**
+   * Simulate a value arriving on an input pin.
+   * @param {number} pin - The GPIO pin number
+   * @param {*} value - The value passed to the pin's watchers
+   */
+  inject(pin, value) {
+    this.inputs.set(pin, value);
+    (this.watchers.get(pin) || []).forEach((callback) => callback(value));
+  }
+
+  /**
+   * Read the value last injected on an input pin.
+   * @param {number} pin - The GPIO pin number
+   * @returns {*} The value, or undefined if nothing was injected yet
+   */
+  read(pin) {
+    return this.inputs.get(pin);
+  }
+
+  /**
+   * Nothing to release for simulated pins.
+   */
+  close() {
+    this.watchers.clear();
+  }
+}
+
+module.exports = SimulatedDriver;
@@ -0,0 +1,146 @@
+const EventEmitter = require('events');
+const { run, get, all } = require('./database');
+
+/**
+ * Columns of an event as returned to clients, including the name of the user involved.
+ * @type {string}
+ */
+const EVENT_COLUMNS = `
+  SELECT access_events.id, access_events.timestamp, access_events.source, access_events.action,
+         access_events.outcome, access_events.credential_id, access_events.user_id, users.name AS user_name,
+         access_events.actor, access_events.client_ip, access_events.details, access_events.severity,
+         access_events.door_id, doors.name AS door_name
+  FROM access_events
+  LEFT JOIN users ON users.id = access_events.user_id
+  LEFT JOIN doors ON doors.id = access_events.door_id`;
+
+/**
+ * Persistent audit log of access events, stored in the `access_events` table.
+ * Every PIN attempt, RFID swipe, door opening and admin change is recorded here,
+ * so history survives log rotation and restarts.
+ *
+ * Emits 'recorded' with the stored event after every successful write.
+ */
+class EventLog extends EventEmitter {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {winston.Logger} logger - Logger used to report failed writes
+   */
+  constructor(db, logger) {
+    super();
+    this.db = db;
+    this.logger = logger;
+  }
+
+  /**
+   * Record a single event. Failures are logged but never thrown,
+   * so a broken audit write cannot block the door.
+   * @param {Object} event - The event to record
+   * @param {string} event.source - Where the event came from ('keypad', 'rfid', 'door', 'admin')
+   * @param {string} event.action - What happened (e.g. 'pin_attempt', 'add_admin')
+   * @param {string} event.outcome - The result ('granted', 'denied', 'success', 'failure', ...)
+   * @param {string|number} [event.credentialId] - The credential involved, never a plaintext secret
+   * @param {number} [event.userId] - The user the credential belongs to
+   * @param {number} [event.doorId] - The door the event happened at
+   * @param {string} [event.actor] - The admin username for admin changes
+   * @param {string} [event.clientIp] - The IP address of the client
+   * @param {Object} [event.details] - Additional data, stored as JSON
+   * @param {string} [event.severity='info'] - 'info', 'warning' or 'critical' for events that need attention
+   * @returns {Promise<number|null>} The id of the new event, or null if the write failed
+   */
+  async record({ source, action, outcome, credentialId = null, userId = null, doorId = null, actor = null, clientIp = null, details = null, severity = 'info' }) {
+    const query = `INSERT INTO access_events(timestamp, source, action, outcome, credential_id, user_id, door_id, actor, client_ip, details, severity)
+                   VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    try {
+      const { lastID } = await run(this.db, query, [
+        new Date().toISOString(),
+        source,
+        action,
+        outcome,
+        credentialId === null ? null : String(credentialId),
+        userId,
+        doorId,
+        actor,
+        clientIp,
+        details ? JSON.stringify(details) : null,
+        severity
+      ]);
+      this.emit('recorded', toEvent(await get(this.db, `${EVENT_COLUMNS} WHERE access_events.id = ?`, [lastID])));
+      return lastID;
+    } catch (err) {
+      this.logger.error(`Failed to record access event`, {
+        error_message: err.message,
+        action: 'record_event',
+        status: 'failure'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Query the event history, newest first.
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.from] - ISO 8601 lower bound (inclusive)
+   * @param {string} [filters.to] - ISO 8601 upper bound (inclusive)
+   * @param {string} [filters.outcome] - Only events with this outcome
+   * @param {string} [filters.source] - Only events from this source
+   * @param {string} [filters.severity] - Only events with this severity
+   * @param {number} [filters.doorId] - Only events at this door
+   * @param {number} [filters.limit=50] - Page size
+   * @param {number} [filters.offset=0] - Number of events to skip
+   * @returns {Promise<{events: Object[], total: number}>} The matching page and the total number of matches
+   */
+  async query({ from, to, outcome, source, severity, doorId, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      conditions.push('access_events.timestamp >= ?');
+      params.push(new Date(from).toISOString());
+    }
+    if (to) {
+      conditions.push('access_events.timestamp <= ?');
+      params.push(new Date(to).toISOString());
+    }
+    if (outcome) {
+      conditions.push('access_events.outcome = ?');
+      params.push(outcome);
+    }
+    if (source) {
+      conditions.push('access_events.source = ?');
+      params.push(source);
+    }
+    if (severity) {
+      conditions.push('access_events.severity = ?');
+      params.push(severity);
+    }
+    if (doorId) {
+      conditions.push('access_events.door_id = ?');
+      params.push(doorId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await get(this.db, `SELECT COUNT(*) AS total FROM access_events ${where}`, params);
+    const rows = await all(
+        this.db,
+        `${EVENT_COLUMNS}
+         ${where}
+         ORDER BY access_events.timestamp DESC, access_events.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    return { events: rows.map(toEvent), total };
+  }
+}
+
+/**
+ * Convert a database row into an event with parsed details.
+ * @param {Object} row - The database row
+ * @returns {Object} The event
+ */
+function toEvent(row) {
+  return { ...row, details: row.details ? JSON.parse(row.details) : null };
+}
+
+module.exports = EventLog;
@@ -1,40 +1,162 @@
 // Dateiname: gpio.js
 
-const rpio = require('rpio');
-const Gpio = require('onoff').Gpio;
+const PiDriver = require('./drivers/piDriver');
+const SimulatedDriver = require('./drivers/simulatedDriver');
+
+/**
+ * Names of the GPIO backends that can be selected with GPIO_BACKEND.
+ * @type {string[]}
+ */
+const BACKENDS = ['pi', 'simulated'];
 
 class RaspberryPi {
-  constructor(rfidPin, servoPin) {
+  /**
+   * @param {?number} rfidPin - GPIO pin the RFID reader is connected to, null for a door without reader
+   * @param {number} servoPin - GPIO pin the door servo is connected to
+   * @param {Object} driver - The GPIO driver (see `RaspberryPi.createDriver`)
+   * @param {Object} [optionalPins] - Pins of optional hardware
+   * @param {?number} [optionalPins.contactPin] - GPIO pin the door contact is connected to
+   * @param {?number} [optionalPins.alarmPin] - GPIO pin driving a buzzer or alarm
+   */
+  constructor(rfidPin, servoPin, driver, { contactPin = null, alarmPin = null } = {}) {
     this.rfidPin = rfidPin;
-    this.servo = new Gpio(servoPin, 'out');
+    this.servoPin = servoPin;
+    this.contactPin = contactPin;
+    this.alarmPin = alarmPin;
+    this.driver = driver;
+    this.driver.setupOutput(servoPin);
+    if (alarmPin !== null) {
+      this.driver.setupOutput(alarmPin);
+    }
+  }
+
+  /**
+   * Create the GPIO driver for a backend.
+   * @param {string} backend - One of 'pi' or 'simulated'
+   * @param {winston.Logger} logger - Logger for drivers that report their activity
+   * @returns {PiDriver|SimulatedDriver} The driver instance
+   */
+  static createDriver(backend, logger) {
+    switch (backend) {
+      case 'pi':
+        return new PiDriver();
+      case 'simulated':
+        return new SimulatedDriver(logger);
+      default:
+        throw new Error(`Unknown GPIO backend "${backend}". Expected one of: ${BACKENDS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether the driver accepts injected input, i.e. runs without real hardware.
+   * @returns {boolean}
+   */
+  get isSimulated() {
+    return typeof this.driver.inject === 'function';
   }
 
-  listenForRFID(allowedKeys, onAccessGranted, onAccessDenied) {
-    rpio.open(this.rfidPin, rpio.INPUT);
+  /**
+   * Whether an RFID reader is connected.
+   * @returns {boolean}
+   */
+  get hasReader() {
+    return this.rfidPin !== null;
+  }
+
+  /**
+   * Assemble keys from the RFID reader and pass each complete key on.
+   * Deciding whether a key is allowed is left to the caller. Does nothing without a reader.
+   * @param {Function} onKey - Called with every complete key read
+   */
+  listenForRFID(onKey) {
+    if (!this.hasReader) {
+      return;
+    }
     let key = '';
-    rpio.poll(this.rfidPin, (pin) => {
-      const value = rpio.read(pin);
+    this.driver.watchInput(this.rfidPin, (value) => {
       key += value;
       if (key.length === 10) { // assuming keys are 10 digits long
-        if (allowedKeys.includes(key)) {
-          onAccessGranted();
-        } else {
-          onAccessDenied();
-        }
+        onKey(key);
         key = '';
       }
     });
   }
 
-  openDoor() {
-    this.servo.writeSync(1);
-    setTimeout(() => this.servo.writeSync(0), 1000); // close after 1 second
+  /**
+   * Whether a door contact is connected.
+   * @returns {boolean}
+   */
+  get hasDoorContact() {
+    return this.contactPin !== null;
+  }
+
+  /**
+   * Pass every raw value of the door contact on. Debouncing and polarity
+   * are left to the caller.
+   * @param {Function} onValue - Called with each value read from the contact pin
+   */
+  watchDoorContact(onValue) {
+    this.driver.watchInput(this.contactPin, onValue);
+  }
+
+  /**
+   * Read the current raw value of the door contact.
+   * @returns {number} The value read from the contact pin
+   */
+  readDoorContact() {
+    return this.driver.read(this.contactPin);
+  }
+
+  /**
+   * Feed a value into the door contact input.
+   * Only available with the simulated backend.
+   * @param {number} value - The raw contact value
+   */
+  injectDoorContact(value) {
+    if (!this.isSimulated) {
+      throw new Error('Door contact injection is only available with the simulated GPIO backend');
+    }
+    this.driver.inject(this.contactPin, value);
+  }
+
+  /**
+   * Feed an RFID key into the reader input, one digit at a time.
+   * Only available with the simulated backend.
+   * @param {string} key - The card key to present
+   */
+  injectRFID(key) {
+    if (!this.isSimulated) {
+      throw new Error('RFID injection is only available with the simulated GPIO backend');
+    }
+    if (!this.hasReader) {
+      throw new Error('The door has no RFID reader');
+    }
+    for (const digit of key) {
+      this.driver.inject(this.rfidPin, digit);
+    }
+  }
+
+  /**
+   * Drive the door servo. Timing is left to the DoorController.
+   * @param {boolean} open - True to open the door, false to close it
+   */
+  setDoorOutput(open) {
+    this.driver.write(this.servoPin, open ? 1 : 0);
+  }
+
+  /**
+   * Switch the buzzer or alarm output, if one is connected.
+   * @param {boolean} on - True to sound the alarm
+   */
+  setAlarmOutput(on) {
+    if (this.alarmPin !== null) {
+      this.driver.write(this.alarmPin, on ? 1 : 0);
+    }
   }
 
   cleanup() {
-    this.servo.unexport();
-    rpio.close(this.rfidPin);
+    this.driver.close();
   }
 }
 
-module.exports = RaspberryPi;
\ No newline at end of file
+module.exports = RaspberryPi;
@@ -0,0 +1,348 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const GroupStore = require('./groupStore');
+
+/**
+ * Dashboard routes for access groups: the groups themselves, the doors they
+ * are limited to and their users, PINs and cards.
+ */
+
+/**
+ * Create the router for the access group routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit group changes
+ * @param {GroupStore} deps.groupStore - Access groups and their members
+ * @param {ScheduleStore} deps.scheduleStore - Access schedules a group can follow
+ * @param {DoorStore} deps.doorStore - Doors a group can be limited to
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @returns {express.Router} The router
+ */
+function createGroupRoutes({ logger, eventLog, groupStore, scheduleStore, doorStore, requirePermission }) {
+  const router = express.Router();
+
+  /**
+   * Handle GET requests to list all access groups with their number of members.
+   * @async
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/groups', requirePermission('manage_credentials'), async (req, res) => {
+    try {
+      res.json({ groups: await groupStore.list() });
+    } catch (error) {
+      logger.error(`Failed to list access groups`, {
+        error_message: error.message,
+        action: 'list_groups',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests for one access group with its members.
+   * @async
+   * @param {Request} req - Express request object with the group id as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/groups/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const group = await groupStore.get(req.params.id);
+      if (!group) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      res.json({ group });
+    } catch (error) {
+      logger.error(`Failed to fetch access group`, {
+        error_message: error.message,
+        action: 'get_group',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to create an access group.
+   * @async
+   * @param {Request} req - Express request object containing name, and optionally scheduleId and active, in the body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/groups', requirePermission('manage_credentials'), [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scheduleId, active = true } = req.body;
+
+    try {
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      const id = await groupStore.create({ name, scheduleId: scheduleId || null, active });
+      logger.info(`Successfully added access group`, {
+        group_id: id,
+        action: 'add_group',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_group', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { group_id: id, name } });
+      res.status(201).json({ message: 'Group added successfully', id });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'A group with this name already exists' });
+      }
+      logger.error(`Failed to add access group`, {
+        error_message: error.message,
+        action: 'add_group',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to rename an access group, change its schedule, or enable or disable it.
+   * Disabling a group denies access to all of its members at once.
+   * @async
+   * @param {Request} req - Express request object with the group id as route parameter and name, scheduleId or active in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/groups/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters'),
+    body('scheduleId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scheduleId, active } = req.body;
+
+    try {
+      if (scheduleId && !await scheduleStore.get(scheduleId)) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+      if (!await groupStore.update(req.params.id, { name, scheduleId, active })) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      logger.info(`Successfully updated access group`, {
+        group_id: req.params.id,
+        action: 'update_group',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_group', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { group_id: req.params.id, name, scheduleId, active } });
+      res.json({ message: 'Group updated successfully' });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ message: 'A group with this name already exists' });
+      }
+      logger.error(`Failed to update access group`, {
+        error_message: error.message,
+        action: 'update_group',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove an access group. Its members keep their other groups.
+   * @async
+   * @param {Request} req - Express request object with the group id as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/groups/:id', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await groupStore.remove(req.params.id)) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      logger.info(`Successfully removed access group`, {
+        group_id: req.params.id,
+        action: 'delete_group',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'delete_group', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { group_id: req.params.id } });
+      res.json({ message: 'Group removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove access group`, {
+        error_message: error.message,
+        action: 'delete_group',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to limit an access group to some doors. An empty list lets it open every door.
+   * @async
+   * @param {Request} req - Express request object with the group id as route parameter and doorIds in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/groups/:id/doors', requirePermission('manage_credentials'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('doorIds').isArray().withMessage('doorIds must be an array of door ids'),
+    body('doorIds.*').isInt({ min: 1 }).withMessage('doorIds must be an array of door ids').toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const doorIds = [...new Set(req.body.doorIds)];
+
+    try {
+      const unknown = await doorStore.unknownIds(doorIds);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown door ${unknown.join(', ')}` });
+      }
+      if (!await groupStore.setDoors(id, doorIds)) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      logger.info(`Changed the doors of access group`, {
+        group_id: id,
+        door_ids: doorIds,
+        action: 'set_group_doors',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'set_group_doors', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { group_id: id, doorIds } });
+      res.json({ message: 'Doors saved', doorIds });
+    } catch (error) {
+      logger.error(`Failed to change the doors of access group`, {
+        error_message: error.message,
+        action: 'set_group_doors',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Validation rules shared by the group member routes.
+   * @type {ValidationChain[]}
+   */
+  const groupMemberValidators = [
+    param('id').isInt({ min: 1 }).toInt(),
+    param('type').isIn(GroupStore.MEMBER_TYPES).withMessage(`type must be one of ${GroupStore.MEMBER_TYPES.join(', ')}`),
+    param('memberId').isInt({ min: 1 }).toInt(),
+  ];
+
+  /**
+   * How the member types are named in responses.
+   * @type {Object<string, string>}
+   */
+  const MEMBER_NAMES = { user: 'User', pin: 'PIN', card: 'Card' };
+
+
+  /**
+   * Handle PUT requests to add a user, PIN or card to an access group.
+   * @async
+   * @param {Request} req - Express request object with the group id, the member type and the member id as route parameters
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/groups/:id/members/:type/:memberId', requirePermission('manage_credentials'), groupMemberValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, type, memberId } = req.params;
+
+    try {
+      const result = await groupStore.addMember(id, type, memberId);
+      if (result === 'group_not_found') {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      if (result === 'member_not_found') {
+        return res.status(404).json({ message: `${MEMBER_NAMES[type]} not found` });
+      }
+      logger.info(`Added member to access group`, {
+        group_id: id,
+        member_type: type,
+        member_id: memberId,
+        action: 'add_group_member',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_group_member', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { group_id: id, type, member_id: memberId } });
+      res.json({ message: 'Member added successfully' });
+    } catch (error) {
+      logger.error(`Failed to add member to access group`, {
+        error_message: error.message,
+        action: 'add_group_member',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove a user, PIN or card from an access group.
+   * @async
+   * @param {Request} req - Express request object with the group id, the member type and the member id as route parameters
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/groups/:id/members/:type/:memberId', requirePermission('manage_credentials'), groupMemberValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, type, memberId } = req.params;
+
+    try {
+      if (!await groupStore.removeMember(id, type, memberId)) {
+        return res.status(404).json({ message: 'Member not found in this group' });
+      }
+      logger.info(`Removed member from access group`, {
+        group_id: id,
+        member_type: type,
+        member_id: memberId,
+        action: 'remove_group_member',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_group_member', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { group_id: id, type, member_id: memberId } });
+      res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+      logger.error(`Failed to remove member from access group`, {
+        error_message: error.message,
+        action: 'remove_group_member',
+        status: 'failure'
+      });
+      return res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGroupRoutes };
@@ -0,0 +1,218 @@
+const { run, get, all } = require('./database');
+const { doorIdsColumn, parseDoorIds, setDoorIds } = require('./credentialDoors');
+
+/**
+ * The table limiting groups to some doors.
+ * @type {{table: string, column: string}}
+ */
+const GROUP_DOORS = { table: 'group_doors', column: 'group_id' };
+
+/**
+ * The kinds of group members, with their membership table and the table of the members themselves.
+ * @type {Object<string, {table: string, column: string, members: string}>}
+ */
+const MEMBER_TYPES = {
+  user: { table: 'user_groups', column: 'user_id', members: 'users' },
+  pin: { table: 'pin_groups', column: 'pin_id', members: 'valid_pins' },
+  card: { table: 'card_groups', column: 'card_id', members: 'rfid_cards' }
+};
+
+/**
+ * Columns of a group as returned to clients.
+ * @type {string}
+ */
+const GROUP_COLUMNS = `
+  SELECT access_groups.id, access_groups.name, access_groups.active, access_groups.schedule_id,
+         access_groups.created_at, ${doorIdsColumn(GROUP_DOORS, 'access_groups.id')} AS door_ids,
+         (SELECT COUNT(*) FROM user_groups WHERE group_id = access_groups.id) AS user_count,
+         (SELECT COUNT(*) FROM pin_groups WHERE group_id = access_groups.id) AS pin_count,
+         (SELECT COUNT(*) FROM card_groups WHERE group_id = access_groups.id) AS card_count
+  FROM access_groups`;
+
+/**
+ * Data access for access groups, such as "IT staff" or "Cleaning".
+ *
+ * A group carries door permissions and an optional schedule. Users, PINs and
+ * cards join groups; a credential belongs to its own groups and to those of
+ * the user who owns it. A disabled group revokes access for all of its
+ * members at once. See AccessControl for how groups are evaluated.
+ */
+class GroupStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List all groups with their number of members.
+   * @returns {Promise<Object[]>} The groups, sorted by name
+   */
+  async list() {
+    const rows = await all(this.db, `${GROUP_COLUMNS} ORDER BY access_groups.name`);
+    return rows.map(toGroup);
+  }
+
+  /**
+   * Fetch one group with its members.
+   * @param {number} id - The group id
+   * @returns {Promise<?Object>} The group with `users`, `pins` and `cards`, or null if there is none
+   */
+  async get(id) {
+    const row = await get(this.db, `${GROUP_COLUMNS} WHERE access_groups.id = ?`, [id]);
+    if (!row) {
+      return null;
+    }
+    const users = await all(this.db, `
+      SELECT users.id, users.name, users.active FROM user_groups
+      JOIN users ON users.id = user_groups.user_id
+      WHERE user_groups.group_id = ? ORDER BY users.name`, [id]);
+    const pins = await all(this.db, `
+      SELECT valid_pins.id, valid_pins.label, users.name AS user_name FROM pin_groups
+      JOIN valid_pins ON valid_pins.id = pin_groups.pin_id
+      LEFT JOIN users ON users.id = valid_pins.user_id
+      WHERE pin_groups.group_id = ? ORDER BY valid_pins.id`, [id]);
+    const cards = await all(this.db, `
+      SELECT rfid_cards.id, rfid_cards.card_suffix, rfid_cards.label, users.name AS user_name FROM card_groups
+      JOIN rfid_cards ON rfid_cards.id = card_groups.card_id
+      LEFT JOIN users ON users.id = rfid_cards.user_id
+      WHERE card_groups.group_id = ? ORDER BY rfid_cards.id`, [id]);
+    return { ...toGroup(row), users: users.map((user) => ({ ...user, active: user.active === 1 })), pins, cards };
+  }
+
+  /**
+   * Add a group. Fails with SQLITE_CONSTRAINT if the name is taken.
+   * @param {Object} group - The group fields
+   * @param {string} group.name - e.g. "Cleaning"
+   * @param {?number} [group.scheduleId] - Optional schedule restricting when members get in
+   * @param {boolean} [group.active=true] - Whether the group grants access
+   * @returns {Promise<number>} The id of the new group
+   */
+  async create({ name, scheduleId = null, active = true }) {
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO access_groups(name, active, schedule_id, created_at) VALUES(?, ?, ?, ?)',
+        [name, active ? 1 : 0, scheduleId, new Date().toISOString()]
+    );
+    return lastID;
+  }
+
+  /**
+   * Update a group. Fields that are undefined are left unchanged; a null `scheduleId` lifts its schedule.
+   * Fails with SQLITE_CONSTRAINT if the new name is taken.
+   * @param {number} id - The group id
+   * @param {Object} fields - The fields to change (name, active, scheduleId)
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  async update(id, { name, active, scheduleId }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE access_groups SET
+           name = COALESCE(?, name),
+           active = COALESCE(?, active),
+           schedule_id = CASE WHEN ? THEN ? ELSE schedule_id END
+         WHERE id = ?`,
+        [
+          name === undefined ? null : name,
+          active === undefined ? null : (active ? 1 : 0),
+          scheduleId === undefined ? 0 : 1,
+          scheduleId === undefined ? null : scheduleId,
+          id
+        ]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Limit a group to some doors.
+   * @param {number} id - The group id
+   * @param {number[]} doorIds - The doors, or an empty array for every door
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  async setDoors(id, doorIds) {
+    if (!await get(this.db, 'SELECT id FROM access_groups WHERE id = ?', [id])) {
+      return false;
+    }
+    await setDoorIds(this.db, GROUP_DOORS, id, doorIds);
+    return true;
+  }
+
+  /**
+   * Add a user, PIN or card to a group. Adding an existing member changes nothing.
+   * @param {number} id - The group id
+   * @param {string} type - One of the keys of MEMBER_TYPES
+   * @param {number} memberId - The id of the user, PIN or card
+   * @returns {Promise<string>} 'added', 'group_not_found' or 'member_not_found'
+   */
+  async addMember(id, type, memberId) {
+    const { table, column, members } = MEMBER_TYPES[type];
+    if (!await get(this.db, 'SELECT id FROM access_groups WHERE id = ?', [id])) {
+      return 'group_not_found';
+    }
+    if (!await get(this.db, `SELECT id FROM ${members} WHERE id = ?`, [memberId])) {
+      return 'member_not_found';
+    }
+    await run(this.db, `INSERT OR IGNORE INTO ${table}(${column}, group_id) VALUES(?, ?)`, [memberId, id]);
+    return 'added';
+  }
+
+  /**
+   * Remove a user, PIN or card from a group.
+   * @param {number} id - The group id
+   * @param {string} type - One of the keys of MEMBER_TYPES
+   * @param {number} memberId - The id of the user, PIN or card
+   * @returns {Promise<boolean>} False if it was not a member
+   */
+  async removeMember(id, type, memberId) {
+    const { table, column } = MEMBER_TYPES[type];
+    const { changes } = await run(this.db, `DELETE FROM ${table} WHERE ${column} = ? AND group_id = ?`, [memberId, id]);
+    return changes > 0;
+  }
+
+  /**
+   * Fetch the groups a credential belongs to, directly or through its owner,
+   * with the columns AccessControl needs to evaluate them.
+   * @param {string} type - 'pin' or 'card'
+   * @param {number} credentialId - The PIN or card id
+   * @param {?number} userId - The owner of the credential, if any
+   * @returns {Promise<Object[]>} The groups with their schedule columns and `door_ids`
+   */
+  async forCredential(type, credentialId, userId) {
+    const { table, column } = MEMBER_TYPES[type];
+    const rows = await all(this.db, `
+      SELECT access_groups.id, access_groups.name, access_groups.active,
+             schedules.id AS schedule_id, schedules.weekdays, schedules.start_time, schedules.end_time,
+             schedules.valid_from, schedules.valid_until, schedules.timezone,
+             ${doorIdsColumn(GROUP_DOORS, 'access_groups.id')} AS door_ids
+      FROM access_groups
+      LEFT JOIN schedules ON schedules.id = access_groups.schedule_id
+      WHERE access_groups.id IN (SELECT group_id FROM ${table} WHERE ${column} = ?)
+         OR access_groups.id IN (SELECT group_id FROM user_groups WHERE user_id = ?)`,
+    [credentialId, userId]);
+    return rows.map(toGroup);
+  }
+
+  /**
+   * Delete a group. Its members keep their other groups.
+   * @param {number} id - The group id
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  async remove(id) {
+    const { changes } = await run(this.db, 'DELETE FROM access_groups WHERE id = ?', [id]);
+    return changes > 0;
+  }
+}
+
+/**
+ * Convert a database row into a group with a boolean `active` flag and an array of door ids.
+ * @param {Object} row - The database row
+ * @returns {Object} The group
+ */
+function toGroup(row) {
+  return { ...row, active: row.active === 1, door_ids: parseDoorIds(row.door_ids) };
+}
+
+GroupStore.MEMBER_TYPES = Object.keys(MEMBER_TYPES);
+
+module.exports = GroupStore;
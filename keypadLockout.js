@@ -0,0 +1,138 @@
+const EventEmitter = require('events');
+const { run, get, all } = require('./database');
+
+/**
+ * Progressive lockout of the keypad after repeated wrong PINs.
+ *
+ * Failures are counted per client IP in the `keypad_lockouts` table, so a
+ * restart does not reset them. After `threshold` consecutive failures the
+ * client is locked out; every further lockout doubles the duration, up to
+ * `maxSeconds`. A correct PIN or an admin clearing the lockout starts over.
+ *
+ * Attempts are counted before their PIN is checked, in the same statement
+ * that checks for a lockout. Parallel requests therefore cannot try more
+ * than `threshold` PINs: the attempt reaching the threshold starts the
+ * lockout at once, and lifts it again through recordSuccess if its PIN is
+ * correct.
+ *
+ * Emits 'change' whenever the recorded failures or lockouts change.
+ */
+class KeypadLockout extends EventEmitter {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {Object} [options] - Lockout settings
+   * @param {number} [options.threshold=5] - Consecutive failures before a lockout
+   * @param {number} [options.baseSeconds=30] - Duration of the first lockout
+   * @param {number} [options.maxSeconds=3600] - Upper bound for escalated lockouts
+   */
+  constructor(db, { threshold = 5, baseSeconds = 30, maxSeconds = 3600 } = {}) {
+    super();
+    this.db = db;
+    this.threshold = threshold;
+    this.baseSeconds = baseSeconds;
+    this.maxSeconds = maxSeconds;
+  }
+
+  /**
+   * Check whether a client is currently locked out.
+   * @param {string} clientIp - The client's IP address
+   * @returns {Promise<{locked: boolean, lockedUntil: ?string, retryAfter: number}>}
+   *   `retryAfter` is the number of seconds until the lockout ends
+   */
+  async status(clientIp) {
+    const row = await get(this.db, 'SELECT locked_until FROM keypad_lockouts WHERE client_ip = ?', [clientIp]);
+    return toStatus(row ? row.locked_until : null);
+  }
+
+  /**
+   * Count an attempt before its PIN is checked, unless the client is locked out.
+   * The attempt counts as a failure until recordSuccess forgets it.
+   * @param {string} clientIp - The client's IP address
+   * @returns {Promise<{allowed: boolean, lockout: ?Object}>} Whether the PIN may be checked. `lockout` is the
+   *   status, as for `status`, of the lockout keeping the client out, or of the lockout this attempt started
+   *   with its `lockoutCount`, which applies if the PIN is wrong
+   */
+  async beginAttempt(clientIp) {
+    const now = new Date().toISOString();
+    await run(
+        this.db,
+        'INSERT OR IGNORE INTO keypad_lockouts(client_ip, failures, lockout_count, last_failure_at) VALUES(?, 0, 0, ?)',
+        [clientIp, now]
+    );
+    // Escalation stops doubling long before the shift could overflow
+    const row = await get(
+        this.db,
+        `UPDATE keypad_lockouts SET
+           failures = CASE WHEN failures + 1 >= $threshold THEN 0 ELSE failures + 1 END,
+           lockout_count = CASE WHEN failures + 1 >= $threshold THEN lockout_count + 1 ELSE lockout_count END,
+           locked_until = CASE WHEN failures + 1 >= $threshold
+             THEN strftime('%Y-%m-%dT%H:%M:%fZ', $now, '+' || MIN($baseSeconds * (1 << MIN(lockout_count, 30)), $maxSeconds) || ' seconds')
+             ELSE locked_until END,
+           last_failure_at = $now
+         WHERE client_ip = $clientIp AND (locked_until IS NULL OR locked_until <= $now)
+         RETURNING failures, lockout_count, locked_until`,
+        { $clientIp: clientIp, $now: now, $threshold: this.threshold, $baseSeconds: this.baseSeconds, $maxSeconds: this.maxSeconds }
+    );
+
+    if (!row) {
+      const lockout = await this.status(clientIp);
+      // The lockout may have ended since the update
+      return lockout.locked ? { allowed: false, lockout } : this.beginAttempt(clientIp);
+    }
+    this.emit('change');
+    const started = row.failures === 0;
+    return { allowed: true, lockout: started ? { ...toStatus(row.locked_until), lockoutCount: row.lockout_count } : null };
+  }
+
+  /**
+   * Forget the failures of a client after a correct PIN.
+   * @param {string} clientIp - The client's IP address
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(clientIp) {
+    const { changes } = await run(this.db, 'DELETE FROM keypad_lockouts WHERE client_ip = ?', [clientIp]);
+    if (changes > 0) {
+      this.emit('change');
+    }
+  }
+
+  /**
+   * List all clients with failed attempts or a lockout on record.
+   * @returns {Promise<Object[]>} The entries, most recent failure first, each with a `locked` flag
+   */
+  async list() {
+    const rows = await all(this.db, `
+      SELECT client_ip, failures, lockout_count, locked_until, last_failure_at
+      FROM keypad_lockouts
+      ORDER BY last_failure_at DESC`);
+    return rows.map((row) => ({ ...row, locked: toStatus(row.locked_until).locked }));
+  }
+
+  /**
+   * Lift the lockout of a client and reset its escalation.
+   * @param {string} clientIp - The client's IP address
+   * @returns {Promise<boolean>} False if nothing was recorded for the client
+   */
+  async clear(clientIp) {
+    const { changes } = await run(this.db, 'DELETE FROM keypad_lockouts WHERE client_ip = ?', [clientIp]);
+    if (changes > 0) {
+      this.emit('change');
+    }
+    return changes > 0;
+  }
+}
+
+/**
+ * Build a lockout status from the stored end of the lockout.
+ * @param {?string} lockedUntil - ISO timestamp at which the lockout ends, or null
+ * @returns {{locked: boolean, lockedUntil: ?string, retryAfter: number}}
+ */
+function toStatus(lockedUntil) {
+  const remaining = lockedUntil ? new Date(lockedUntil).getTime() - Date.now() : 0;
+  if (remaining <= 0) {
+    return { locked: false, lockedUntil: null, retryAfter: 0 };
+  }
+  return { locked: true, lockedUntil, retryAfter: Math.ceil(remaining / 1000) };
+}
+
+module.exports = KeypadLockout;
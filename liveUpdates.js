@@ -0,0 +1,148 @@
+/**
+ * Pushes live updates to dashboards over Server-Sent Events.
+ *
+ * Each connected dashboard keeps one `GET /api/live` response open. Updates
+ * are sent as named SSE events with a JSON payload, and every update can
+ * require a permission, so a client only receives what its admin role may see.
+ *
+ * A stream outlives the request that opened it, so the session behind it is
+ * checked again with every heartbeat: streams of sessions that ended are
+ * closed, and a changed role applies to the following updates. Logouts, role
+ * changes, removals and password changes close the affected streams at once.
+ */
+class LiveUpdates {
+  /**
+   * @param {winston.Logger} logger - Logger used to report connections
+   * @param {function(Object): Promise<?string[]>} authorize - Resolves to the current permissions of a client's admin, or null if its session is no longer valid
+   * @param {number} [heartbeatMs=25000] - Interval of comment lines that keep idle connections open through proxies
+   */
+  constructor(logger, authorize, heartbeatMs = 25000) {
+    this.logger = logger;
+    this.authorize = authorize;
+    this.clients = new Set();
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(': heartbeat\n\n'));
+      this.recheck();
+    }, heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Turn a request into an event stream and keep it open until the client disconnects.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @param {string[]} permissions - The permissions of the connected admin
+   * @returns {Object} The client, for sending it an initial snapshot with `sendTo`
+   */
+  connect(req, res, permissions) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, permissions, username: req.session.username, sessionId: req.sessionID };
+    this.clients.add(client);
+    this.logger.info('Live update client connected', { clients: this.clients.size, action: 'live_connect' });
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      this.logger.info('Live update client disconnected', { clients: this.clients.size, action: 'live_disconnect' });
+    });
+    return client;
+  }
+
+  /**
+   * Send an update to a single client.
+   * @param {Object} client - The client returned by `connect`
+   * @param {string} type - The SSE event name
+   * @param {*} data - The payload, sent as JSON
+   */
+  sendTo(client, type, data) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send an update to every client whose admin has the required permission.
+   * @param {string} type - The SSE event name
+   * @param {*} data - The payload, sent as JSON
+   * @param {string} permission - The permission needed to receive the update
+   */
+  broadcast(type, data, permission) {
+    this.clients.forEach((client) => {
+      if (client.permissions.includes(permission)) {
+        this.sendTo(client, type, data);
+      }
+    });
+  }
+
+  /**
+   * Check the session of every client again, ending the streams of invalid ones.
+   * @returns {Promise<void>}
+   */
+  async recheck() {
+    await Promise.all([...this.clients].map(async (client) => {
+      try {
+        const permissions = await this.authorize(client);
+        if (permissions) {
+          client.permissions = permissions;
+        } else {
+          this.end(client);
+        }
+      } catch (err) {
+        this.logger.error('Failed to check a live update session', {
+          error_message: err.message,
+          action: 'live_update',
+          status: 'failure'
+        });
+      }
+    }));
+  }
+
+  /**
+   * End the streams of an admin, e.g. after a role change or removal.
+   * @param {string} username - The admin's username
+   * @param {?string} [keepSessionId=null] - A session whose streams stay open, e.g. the one that changed the password
+   */
+  disconnectAdmin(username, keepSessionId = null) {
+    this.clients.forEach((client) => {
+      if (client.username === username && client.sessionId !== keepSessionId) {
+        this.end(client);
+      }
+    });
+  }
+
+  /**
+   * End the streams of one session, e.g. on logout.
+   * @param {string} sessionId - The session id
+   */
+  disconnectSession(sessionId) {
+    this.clients.forEach((client) => {
+      if (client.sessionId === sessionId) {
+        this.end(client);
+      }
+    });
+  }
+
+  /**
+   * End the stream of a client.
+   * @param {Object} client - The client returned by `connect`
+   */
+  end(client) {
+    this.clients.delete(client);
+    client.res.end();
+  }
+
+  /**
+   * End all streams, e.g. on shutdown.
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = LiveUpdates;
@@ -0,0 +1,369 @@
+const { run, get, addColumnIfMissing } = require('./database');
+
+/**
+ * Ordered schema migrations for AccessControl.db.
+ *
+ * Each migration runs once, in its own transaction, and its version is then
+ * recorded in `schema_migrations`. Never change a released migration; add a
+ * new one with the next version instead.
+ * @type {{version: number, description: string, up: function(sqlite3.Database): Promise<void>}[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Tables as created before versioned migrations',
+    // Databases from before this runner already have some or all of these,
+    // so every step of this migration is idempotent.
+    async up(db) {
+      const tableInitQueries = [
+        'CREATE TABLE IF NOT EXISTS admin_users (username TEXT, password TEXT)',
+        'CREATE TABLE IF NOT EXISTS valid_pins (pin TEXT)',
+        `CREATE TABLE IF NOT EXISTS access_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          source TEXT NOT NULL,
+          action TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          credential_id TEXT,
+          actor TEXT,
+          client_ip TEXT,
+          details TEXT
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_access_events_timestamp ON access_events (timestamp)',
+        `CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          department TEXT,
+          active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS rfid_cards (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER REFERENCES users(id),
+          card_hash TEXT NOT NULL UNIQUE,
+          card_suffix TEXT NOT NULL,
+          label TEXT,
+          active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          weekdays INTEGER NOT NULL DEFAULT 127,
+          start_time TEXT,
+          end_time TEXT,
+          valid_from TEXT,
+          valid_until TEXT,
+          timezone TEXT NOT NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS keypad_lockouts (
+          client_ip TEXT PRIMARY KEY,
+          failures INTEGER NOT NULL DEFAULT 0,
+          lockout_count INTEGER NOT NULL DEFAULT 0,
+          locked_until TEXT,
+          last_failure_at TEXT
+        )`,
+        `CREATE TABLE IF NOT EXISTS webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          description TEXT,
+          event_types TEXT NOT NULL,
+          active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+          event_type TEXT NOT NULL,
+          event_id INTEGER REFERENCES access_events(id),
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          response_status INTEGER,
+          last_error TEXT,
+          created_at TEXT NOT NULL,
+          last_attempt_at TEXT,
+          next_attempt_at TEXT NOT NULL,
+          delivered_at TEXT
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)',
+        `CREATE TABLE IF NOT EXISTS api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          token_prefix TEXT NOT NULL,
+          role TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          expires_at TEXT,
+          last_used_at TEXT,
+          revoked_at TEXT
+        )`
+      ];
+      for (const query of tableInitQueries) {
+        await run(db, query);
+      }
+
+      // Columns added after the tables were first released
+      await addColumnIfMissing(db, 'valid_pins', 'user_id', 'INTEGER REFERENCES users(id)');
+      await addColumnIfMissing(db, 'access_events', 'user_id', 'INTEGER REFERENCES users(id)');
+      await addColumnIfMissing(db, 'valid_pins', 'schedule_id', 'INTEGER REFERENCES schedules(id)');
+      await addColumnIfMissing(db, 'rfid_cards', 'schedule_id', 'INTEGER REFERENCES schedules(id)');
+      await addColumnIfMissing(db, 'admin_users', 'role', "TEXT NOT NULL DEFAULT 'owner'");
+      await addColumnIfMissing(db, 'valid_pins', 'pin_hmac', 'TEXT');
+      await run(db, 'CREATE UNIQUE INDEX IF NOT EXISTS idx_valid_pins_pin_hmac ON valid_pins (pin_hmac)');
+      await addColumnIfMissing(db, 'valid_pins', 'duress', 'INTEGER NOT NULL DEFAULT 0');
+      await addColumnIfMissing(db, 'access_events', 'severity', "TEXT NOT NULL DEFAULT 'info'");
+    }
+  },
+  {
+    version: 2,
+    description: 'Make the admin username the primary key',
+    // Duplicate usernames were possible before. Login always used the oldest
+    // row, so that one is kept.
+    async up(db) {
+      await run(db, `CREATE TABLE admin_users_new (
+        username TEXT PRIMARY KEY NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'owner' CHECK (role IN ('owner', 'manager', 'auditor'))
+      )`);
+      await run(db, `
+        INSERT INTO admin_users_new(username, password, role)
+        SELECT username, password, role FROM admin_users
+        WHERE rowid IN (SELECT MIN(rowid) FROM admin_users WHERE username IS NOT NULL AND password IS NOT NULL GROUP BY username)`);
+      await run(db, 'DROP TABLE admin_users');
+      await run(db, 'ALTER TABLE admin_users_new RENAME TO admin_users');
+    }
+  },
+  {
+    version: 3,
+    description: 'Give PINs an id primary key',
+    // The id keeps the old rowid, which the dashboard and API already use as the PIN id.
+    async up(db) {
+      await run(db, `CREATE TABLE valid_pins_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pin TEXT,
+        pin_hmac TEXT,
+        user_id INTEGER REFERENCES users(id),
+        schedule_id INTEGER REFERENCES schedules(id),
+        duress INTEGER NOT NULL DEFAULT 0,
+        CHECK (pin IS NOT NULL OR pin_hmac IS NOT NULL)
+      )`);
+      await run(db, `
+        INSERT INTO valid_pins_new(id, pin, pin_hmac, user_id, schedule_id, duress)
+        SELECT rowid, pin, pin_hmac, user_id, schedule_id, duress FROM valid_pins
+        WHERE pin IS NOT NULL OR pin_hmac IS NOT NULL`);
+      await run(db, 'DROP TABLE valid_pins');
+      await run(db, 'ALTER TABLE valid_pins_new RENAME TO valid_pins');
+      await run(db, 'CREATE UNIQUE INDEX idx_valid_pins_pin_hmac ON valid_pins (pin_hmac)');
+    }
+  },
+  {
+    version: 4,
+    description: 'Guest PINs with a use limit or expiry',
+    async up(db) {
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN label TEXT');
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN created_at TEXT');
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN max_uses INTEGER');
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN use_count INTEGER NOT NULL DEFAULT 0');
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN expires_at TEXT');
+    }
+  },
+  {
+    version: 5,
+    description: 'Settings such as the access policy',
+    async up(db) {
+      await run(db, `CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Doors with their own pins, unlock settings and access policy',
+    // The door that existed so far becomes the first door. Its pins and times
+    // come from the .env variables that configured it before.
+    async up(db) {
+      await run(db, `CREATE TABLE doors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        rfid_pin INTEGER,
+        servo_pin INTEGER NOT NULL,
+        contact_pin INTEGER,
+        alarm_pin INTEGER,
+        contact_open_value INTEGER NOT NULL DEFAULT 1,
+        unlock_seconds REAL NOT NULL DEFAULT 5,
+        held_open_seconds REAL NOT NULL DEFAULT 30,
+        access_policy TEXT NOT NULL DEFAULT 'either',
+        pin_window_seconds INTEGER NOT NULL DEFAULT 30,
+        created_at TEXT NOT NULL
+      )`);
+      await run(db, `
+        INSERT INTO doors(name, rfid_pin, servo_pin, contact_pin, alarm_pin, contact_open_value, unlock_seconds, held_open_seconds, created_at)
+        VALUES('Main door', 4, 17, ?, ?, ?, ?, ?, ?)`, [
+        envNumber('DOOR_CONTACT_PIN', null),
+        envNumber('ALARM_OUTPUT_PIN', null),
+        envNumber('DOOR_CONTACT_OPEN_VALUE', 1),
+        envNumber('DOOR_UNLOCK_SECONDS', 5),
+        envNumber('DOOR_HELD_OPEN_SECONDS', 30),
+        new Date().toISOString()
+      ]);
+      await run(db, `UPDATE doors SET
+        access_policy = COALESCE((SELECT value FROM settings WHERE key = 'access_policy'), access_policy),
+        pin_window_seconds = COALESCE((SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'pin_window_seconds'), pin_window_seconds)`);
+      await run(db, "DELETE FROM settings WHERE key IN ('access_policy', 'pin_window_seconds')");
+
+      // Credentials without rows here open every door
+      await run(db, `CREATE TABLE pin_doors (
+        pin_id INTEGER NOT NULL REFERENCES valid_pins(id),
+        door_id INTEGER NOT NULL REFERENCES doors(id),
+        PRIMARY KEY (pin_id, door_id)
+      )`);
+      await run(db, `CREATE TABLE card_doors (
+        card_id INTEGER NOT NULL REFERENCES rfid_cards(id),
+        door_id INTEGER NOT NULL REFERENCES doors(id),
+        PRIMARY KEY (card_id, door_id)
+      )`);
+      // Foreign keys are not enforced, so triggers clean up after deleted credentials.
+      // Rows of deleted doors stay, so a credential limited to them does not suddenly open every door.
+      await run(db, 'CREATE TRIGGER valid_pins_delete_doors AFTER DELETE ON valid_pins BEGIN DELETE FROM pin_doors WHERE pin_id = OLD.id; END');
+      await run(db, 'CREATE TRIGGER rfid_cards_delete_doors AFTER DELETE ON rfid_cards BEGIN DELETE FROM card_doors WHERE card_id = OLD.id; END');
+
+      await run(db, 'ALTER TABLE access_events ADD COLUMN door_id INTEGER REFERENCES doors(id)');
+    }
+  },
+  {
+    version: 7,
+    description: 'Access groups with doors, a schedule and members',
+    async up(db) {
+      await run(db, `CREATE TABLE access_groups (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        active INTEGER NOT NULL DEFAULT 1,
+        schedule_id INTEGER REFERENCES schedules(id),
+        created_at TEXT NOT NULL
+      )`);
+      // Groups without rows here open every door, like credentials
+      await run(db, `CREATE TABLE group_doors (
+        group_id INTEGER NOT NULL REFERENCES access_groups(id),
+        door_id INTEGER NOT NULL REFERENCES doors(id),
+        PRIMARY KEY (group_id, door_id)
+      )`);
+      await run(db, `CREATE TABLE user_groups (
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        group_id INTEGER NOT NULL REFERENCES access_groups(id),
+        PRIMARY KEY (user_id, group_id)
+      )`);
+      await run(db, `CREATE TABLE pin_groups (
+        pin_id INTEGER NOT NULL REFERENCES valid_pins(id),
+        group_id INTEGER NOT NULL REFERENCES access_groups(id),
+        PRIMARY KEY (pin_id, group_id)
+      )`);
+      await run(db, `CREATE TABLE card_groups (
+        card_id INTEGER NOT NULL REFERENCES rfid_cards(id),
+        group_id INTEGER NOT NULL REFERENCES access_groups(id),
+        PRIMARY KEY (card_id, group_id)
+      )`);
+      await run(db, `CREATE TRIGGER access_groups_delete AFTER DELETE ON access_groups BEGIN
+        DELETE FROM group_doors WHERE group_id = OLD.id;
+        DELETE FROM user_groups WHERE group_id = OLD.id;
+        DELETE FROM pin_groups WHERE group_id = OLD.id;
+        DELETE FROM card_groups WHERE group_id = OLD.id;
+      END`);
+      await run(db, 'CREATE TRIGGER users_delete_groups AFTER DELETE ON users BEGIN DELETE FROM user_groups WHERE user_id = OLD.id; END');
+      await run(db, 'CREATE TRIGGER valid_pins_delete_groups AFTER DELETE ON valid_pins BEGIN DELETE FROM pin_groups WHERE pin_id = OLD.id; END');
+      await run(db, 'CREATE TRIGGER rfid_cards_delete_groups AFTER DELETE ON rfid_cards BEGIN DELETE FROM card_groups WHERE card_id = OLD.id; END');
+    }
+  },
+  {
+    version: 8,
+    description: 'PINs and cards that still work in lockdown',
+    async up(db) {
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN lockdown_override INTEGER NOT NULL DEFAULT 0');
+      await run(db, 'ALTER TABLE rfid_cards ADD COLUMN lockdown_override INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 9,
+    description: 'Admin password changes, reset tokens and TOTP second factor',
+    async up(db) {
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN password_changed_at TEXT');
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN reset_token_hash TEXT');
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN reset_expires_at TEXT');
+      // The secret is stored while enrolling and only checked at login once enabled
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN totp_secret TEXT');
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0');
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN totp_last_step INTEGER');
+    }
+  },
+  {
+    version: 10,
+    description: 'Reset tokens that turn off the second factor when redeemed',
+    async up(db) {
+      await run(db, 'ALTER TABLE admin_users ADD COLUMN reset_clears_totp INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 11,
+    description: 'PINs that can be disabled without removing them',
+    async up(db) {
+      await run(db, 'ALTER TABLE valid_pins ADD COLUMN active INTEGER NOT NULL DEFAULT 1');
+    }
+  }
+];
+
+/**
+ * Bring the database schema up to the latest version.
+ * Refuses to touch a database whose schema is newer than this release knows,
+ * e.g. after downgrading the application.
+ * @param {sqlite3.Database} db - The open database handle
+ * @param {winston.Logger} logger - Logger used to report applied migrations
+ * @returns {Promise<number>} The schema version after migrating
+ */
+async function migrate(db, logger) {
+  await run(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    description TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+  const { version: current } = await get(db, 'SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than the latest version ${latest} known to this release`);
+  }
+
+  for (const migration of MIGRATIONS.filter((m) => m.version > current)) {
+    await run(db, 'BEGIN');
+    try {
+      await migration.up(db);
+      await run(db, 'INSERT INTO schema_migrations(version, description, applied_at) VALUES(?, ?, ?)',
+          [migration.version, migration.description, new Date().toISOString()]);
+      await run(db, 'COMMIT');
+    } catch (err) {
+      await run(db, 'ROLLBACK');
+      throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${err.message}`);
+    }
+    logger.info(`Applied database migration`, {
+      version: migration.version,
+      description: migration.description,
+      action: 'migrate_schema',
+      status: 'success'
+    });
+  }
+  return latest;
+}
+
+/**
+ * Read a number from the environment, for migrations that take over settings from the .env file.
+ * @param {string} variable - The name of the environment variable
+ * @param {?number} fallback - The value if the variable is not set
+ * @returns {?number}
+ */
+function envNumber(variable, fallback) {
+  return process.env[variable] ? parseFloat(process.env[variable]) : fallback;
+}
+
+module.exports = { migrate, MIGRATIONS };
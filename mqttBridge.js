@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+
+/**
+ * Commands accepted on the command topic. 'lockdown' and 'normal' set the door mode of all doors.
+ * @type {string[]}
+ */
+const COMMANDS = ['unlock', 'hold', 'lock', 'lockdown', 'normal'];
+
+/**
+ * How far the timestamp of a command may be from the server's clock, in seconds.
+ * Nonces are remembered long enough that no command can be accepted twice.
+ * @type {number}
+ */
+const MAX_COMMAND_AGE_SECONDS = 60;
+
+/**
+ * Connects the keypad to an MQTT broker for home automation and building systems.
+ *
+ * Under the topic prefix (default `keypad`) it publishes:
+ * - `<prefix>/status`: 'online' or 'offline', retained; 'offline' is also the last will
+ * - `<prefix>/door`: the status of the main door (the oldest one), retained
+ * - `<prefix>/doors/<id>`: the status of each door, retained
+ * - `<prefix>/lockouts`: the keypad lockout list, retained
+ * - `<prefix>/events`: every recorded access event
+ * - `<prefix>/command/result`: the outcome of each command
+ *
+ * and subscribes to `<prefix>/command`. A command message is a JSON object
+ * `{"payload": "...", "signature": "sha256=..."}`. `payload` is the command
+ * as a JSON string, such as
+ * `{"command": "unlock", "durationSeconds": 10, "requestId": "abc", "doorId": 2, "timestamp": 1700000000, "nonce": "f3a9"}`,
+ * and `signature` the hex HMAC-SHA256 of that string under the shared command
+ * secret, so the secret itself never travels. `timestamp` is the Unix time of
+ * the command and `nonce` a value the sender never reuses; commands older than
+ * MAX_COMMAND_AGE_SECONDS and repeated nonces are rejected, so a recorded
+ * command cannot be replayed. Without `doorId` a door command goes to the main
+ * door.
+ *
+ * Events:
+ * - 'connect': the broker connection was (re)established, e.g. to publish the current state
+ * - 'command' ({command, durationSeconds, requestId, doorId}): an authenticated command arrived
+ * - 'rejected' ({requestId, reason}): a command was rejected, e.g. because of a wrong signature
+ */
+class MqttBridge extends EventEmitter {
+  /**
+   * @param {winston.Logger} logger - Logger used to report the connection and rejected commands
+   * @param {Object} options - Connection settings
+   * @param {string} options.url - The broker URL, e.g. mqtt://localhost:1883
+   * @param {string} [options.username] - Broker username
+   * @param {string} [options.password] - Broker password
+   * @param {string} [options.topicPrefix='keypad'] - Prefix of all topics
+   * @param {?string} [options.commandSecret] - Shared secret for commands; commands are rejected without one
+   */
+  constructor(logger, { url, username, password, topicPrefix = 'keypad', commandSecret = null }) {
+    super();
+    this.logger = logger;
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.topicPrefix = topicPrefix;
+    this.commandSecret = commandSecret;
+    this.client = null;
+    this.nonces = new Map();
+  }
+
+  /**
+   * Connect to the broker. The client reconnects by itself every five seconds after connection losses.
+   */
+  connect() {
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      reconnectPeriod: 5000,
+      will: { topic: this.topic('status'), payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      this.logger.info(`Connected to MQTT broker`, { url: this.url, action: 'mqtt_connect', status: 'success' });
+      this.client.publish(this.topic('status'), 'online', { retain: true, qos: 1 });
+      this.client.subscribe(this.topic('command'), { qos: 1 });
+      this.emit('connect');
+    });
+    this.client.on('error', (err) => {
+      this.logger.error(`MQTT connection error`, {
+        error_message: err.message,
+        action: 'mqtt_connect',
+        status: 'failure'
+      });
+    });
+    this.client.on('message', (topic, payload) => {
+      if (topic === this.topic('command')) {
+        this.onCommand(payload);
+      }
+    });
+  }
+
+  /**
+   * Build a full topic name.
+   * @param {string} name - The topic below the prefix, e.g. 'door'
+   * @returns {string}
+   */
+  topic(name) {
+    return `${this.topicPrefix}/${name}`;
+  }
+
+  /**
+   * Publish a JSON message. Messages are dropped while the broker is unreachable.
+   * @param {string} name - The topic below the prefix
+   * @param {*} data - The payload, sent as JSON
+   * @param {boolean} [retain=false] - Whether the broker keeps the message for new subscribers
+   */
+  publish(name, data, retain = false) {
+    if (this.client && this.client.connected) {
+      this.client.publish(this.topic(name), JSON.stringify(data), { retain, qos: 1 });
+    }
+  }
+
+  /**
+   * Validate a message from the command topic and announce it as a 'command' event.
+   * Rejected commands are answered on the result topic.
+   * @param {Buffer} payload - The raw message
+   * @param {number} [now=Date.now()] - The current time in milliseconds
+   */
+  onCommand(payload, now = Date.now()) {
+    const envelope = parseJson(payload.toString());
+    const message = envelope && typeof envelope.payload === 'string' ? parseJson(envelope.payload) : null;
+    if (!message) {
+      return this.reject(null, 'invalid_json');
+    }
+
+    const { command, durationSeconds, requestId = null, doorId = null, timestamp, nonce } = message;
+    if (!this.isValidSignature(envelope.payload, envelope.signature)) {
+      return this.reject(requestId, 'unauthorized');
+    }
+    if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > MAX_COMMAND_AGE_SECONDS) {
+      return this.reject(requestId, 'expired');
+    }
+    if (typeof nonce !== 'string' || nonce.length === 0 || nonce.length > 100) {
+      return this.reject(requestId, 'invalid_nonce');
+    }
+    if (!this.useNonce(nonce, now)) {
+      return this.reject(requestId, 'replayed');
+    }
+    if (!COMMANDS.includes(command)) {
+      return this.reject(requestId, 'unknown_command');
+    }
+    if (durationSeconds !== undefined && !(Number.isInteger(durationSeconds) && durationSeconds >= 1 && durationSeconds <= 3600)) {
+      return this.reject(requestId, 'invalid_duration');
+    }
+    if (doorId !== null && !(Number.isInteger(doorId) && doorId >= 1)) {
+      return this.reject(requestId, 'invalid_door');
+    }
+    this.emit('command', { command, durationSeconds, requestId, doorId });
+  }
+
+  /**
+   * Check the signature of a command payload in constant time.
+   * @param {string} payload - The command as a JSON string
+   * @param {*} signature - `sha256=` and the hex HMAC-SHA256 of the payload under the command secret
+   * @returns {boolean} False if no secret is configured
+   */
+  isValidSignature(payload, signature) {
+    if (!this.commandSecret || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.commandSecret).update(payload).digest('hex')}`);
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Remember the nonce of an authenticated command. Nonces are forgotten once
+   * a command carrying them would be rejected as too old anyway.
+   * @param {string} nonce - The nonce sent with the command
+   * @param {number} now - The current time in milliseconds
+   * @returns {boolean} False if the nonce was used before
+   */
+  useNonce(nonce, now) {
+    this.nonces.forEach((expiresAt, seen) => {
+      if (expiresAt <= now) {
+        this.nonces.delete(seen);
+      }
+    });
+    if (this.nonces.has(nonce)) {
+      return false;
+    }
+    this.nonces.set(nonce, now + 2 * MAX_COMMAND_AGE_SECONDS * 1000);
+    return true;
+  }
+
+  /**
+   * Answer a rejected command on the result topic.
+   * @param {?string} requestId - The request id sent with the command
+   * @param {string} reason - Why the command was rejected
+   */
+  reject(requestId, reason) {
+    this.logger.warn(`Rejected MQTT command`, { reason, action: 'mqtt_command', status: 'rejected' });
+    this.publish('command/result', { requestId, success: false, reason });
+    this.emit('rejected', { requestId, reason });
+  }
+
+  /**
+   * Publish 'offline' and disconnect, e.g. on shutdown.
+   */
+  close() {
+    if (this.client) {
+      this.client.publish(this.topic('status'), 'offline', { retain: true, qos: 1 });
+      this.client.end();
+    }
+  }
+}
+
+/**
+ * Parse JSON that has to be an object.
+ * @param {string} text - The JSON text
+ * @returns {?Object} The object, or null if the text is not a JSON object
+ */
+function parseJson(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = MqttBridge;
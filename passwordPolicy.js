@@ -0,0 +1,76 @@
+/**
+ * The kinds of characters a password can mix, with the pattern matching them.
+ * @type {Object<string, RegExp>}
+ */
+const CHARACTER_CLASSES = {
+  'lowercase letters': /[a-z]/,
+  'uppercase letters': /[A-Z]/,
+  digits: /[0-9]/,
+  symbols: /[^a-zA-Z0-9]/
+};
+
+/**
+ * The rules new admin passwords must follow.
+ *
+ * The policy applies whenever a password is set: for new admins, when an
+ * admin changes their own password and when a reset token is redeemed.
+ * Existing passwords keep working at login even if they no longer comply.
+ */
+class PasswordPolicy {
+  /**
+   * @param {Object} [options] - The rules
+   * @param {number} [options.minLength=10] - Shortest allowed password
+   * @param {number} [options.minClasses=2] - How many of lowercase letters, uppercase letters, digits and symbols must appear
+   */
+  constructor({ minLength = 10, minClasses = 2 } = {}) {
+    this.minLength = minLength;
+    this.minClasses = Math.min(Math.max(minClasses, 1), Object.keys(CHARACTER_CLASSES).length);
+  }
+
+  /**
+   * Describe the policy for admins choosing a password.
+   * @returns {string}
+   */
+  describe() {
+    return `At least ${this.minLength} characters, mixing at least ${this.minClasses} of ${Object.keys(CHARACTER_CLASSES).join(', ')}, and not containing the username`;
+  }
+
+  /**
+   * Check a password against the policy.
+   * @param {string} password - The new password
+   * @param {?string} [username] - The admin the password is for
+   * @returns {string[]} What is wrong with the password, empty if it complies
+   */
+  check(password, username = null) {
+    const problems = [];
+    if (password.length < this.minLength) {
+      problems.push(`Password must be at least ${this.minLength} characters long`);
+    }
+    const classes = Object.values(CHARACTER_CLASSES).filter((pattern) => pattern.test(password)).length;
+    if (classes < this.minClasses) {
+      problems.push(`Password must mix at least ${this.minClasses} of ${Object.keys(CHARACTER_CLASSES).join(', ')}`);
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+      problems.push('Password must not contain the username');
+    }
+    return problems;
+  }
+
+  /**
+   * A custom express-validator check that fails with the first problem of the password.
+   * @param {string} [usernameField] - Body field holding the username; without it the logged in admin's username is used
+   * @returns {Function} The validator, for use with `.custom()`
+   */
+  validator(usernameField) {
+    return (password, { req }) => {
+      const username = usernameField ? req.body[usernameField] : req.session && req.session.username;
+      const [problem] = this.check(password, username);
+      if (problem) {
+        throw new Error(problem);
+      }
+      return true;
+    };
+  }
+}
+
+module.exports = PasswordPolicy;
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { run, get, all } = require('./database');
+const { doorIdsColumn, parseDoorIds, setDoorIds, opensDoor } = require('./credentialDoors');
+
+/**
+ * The table limiting PINs to some doors.
+ * @type {{table: string, column: string}}
+ */
+const PIN_DOORS = { table: 'pin_doors', column: 'pin_id' };
+
+/**
+ * Number of PINs remembered as matching no bcrypt row. With four digit PINs
+ * this covers every code; the memory is cleared should it fill up anyway.
+ * @type {number}
+ */
+const MAX_LEGACY_MISSES = 10000;
+
+/**
+ * Columns of a PIN row joined with its owner and schedule, as used by AccessControl.
+ * @type {string}
+ */
+const PIN_WITH_OWNER = `
+  SELECT valid_pins.id, valid_pins.label, valid_pins.created_at, valid_pins.duress, valid_pins.active AS pin_active,
+         valid_pins.max_uses, valid_pins.use_count, valid_pins.expires_at, valid_pins.lockdown_override,
+         users.id AS user_id, users.name AS user_name, users.active,
+         schedules.id AS schedule_id, schedules.weekdays, schedules.start_time, schedules.end_time,
+         schedules.valid_from, schedules.valid_until, schedules.timezone
+  FROM valid_pins
+  LEFT JOIN users ON users.id = valid_pins.user_id
+  LEFT JOIN schedules ON schedules.id = valid_pins.schedule_id`;
+
+/**
+ * Columns of a PIN row as listed for admins, without the PIN hashes.
+ * @type {string}
+ */
+const PIN_FOR_ADMINS = `
+  SELECT valid_pins.id, valid_pins.label, valid_pins.created_at, valid_pins.user_id, users.name AS user_name,
+         valid_pins.schedule_id, valid_pins.duress, valid_pins.active, valid_pins.pin_hmac IS NULL AS legacy,
+         (valid_pins.max_uses IS NOT NULL OR valid_pins.expires_at IS NOT NULL) AS guest, valid_pins.lockdown_override,
+         ${doorIdsColumn(PIN_DOORS, 'valid_pins.id')} AS door_ids
+  FROM valid_pins
+  LEFT JOIN users ON users.id = valid_pins.user_id`;
+
+/**
+ * Data access for keypad PINs.
+ *
+ * PINs are stored as an HMAC-SHA256 under SECRET_KEY in the unique-indexed
+ * `pin_hmac` column, so a PIN is found with a single index lookup no matter
+ * how many PINs exist. Rows written before that have only a bcrypt hash in
+ * the `pin` column; they are converted the first time their PIN is entered.
+ * Each entered PIN is compared against the bcrypt rows at most once: PINs
+ * matching none of them are remembered until a bcrypt row is added, e.g. by
+ * a restore or an import, so wrong PINs cannot keep the server hashing.
+ *
+ * Guest PINs are PINs with a use limit, an expiry or both. Their code is
+ * generated here, they stop working once used up or expired, and purgeGuests
+ * deletes them afterwards so their codes become free again.
+ */
+class PinStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   * @param {string} secretKey - Key for the PIN hash
+   */
+  constructor(db, secretKey) {
+    this.db = db;
+    this.secretKey = secretKey;
+    this.legacyMisses = new Set();
+    this.legacyRows = new Set();
+  }
+
+  /**
+   * Compute the stored hash of a PIN.
+   * @param {string} pin - The plaintext PIN
+   * @returns {string} The hex encoded HMAC
+   */
+  hash(pin) {
+    return crypto.createHmac('sha256', this.secretKey).update(pin).digest('hex');
+  }
+
+  /**
+   * Look up the PIN row for a PIN entered on the keypad, together with its owner and schedule.
+   * @param {string} pin - The plaintext PIN
+   * @returns {Promise<Object|undefined>} The row, or undefined if the PIN is unknown
+   */
+  async findByPin(pin) {
+    const row = await get(this.db, `${PIN_WITH_OWNER} WHERE valid_pins.pin_hmac = ?`, [this.hash(pin)]);
+    if (row) {
+      return row;
+    }
+    const legacyId = await this.migrateLegacy(pin);
+    return legacyId ? get(this.db, `${PIN_WITH_OWNER} WHERE valid_pins.id = ?`, [legacyId]) : undefined;
+  }
+
+  /**
+   * Find a bcrypt-hashed row matching a PIN and convert it to the HMAC scheme.
+   * This compares against every remaining bcrypt row, unless the PIN already
+   * matched none of them before and no bcrypt row has been added since.
+   * @param {string} pin - The plaintext PIN
+   * @returns {Promise<?number>} The id of the converted row, or null if no bcrypt row matches
+   */
+  async migrateLegacy(pin) {
+    const rows = await all(this.db, 'SELECT id, pin FROM valid_pins WHERE pin_hmac IS NULL AND pin IS NOT NULL');
+    const keys = rows.map((row) => `${row.id}:${row.pin}`);
+    // Converted and deleted rows cannot turn a miss into a match, new rows can
+    if (keys.some((key) => !this.legacyRows.has(key))) {
+      this.legacyMisses.clear();
+    }
+    this.legacyRows = new Set(keys);
+    const pinHash = this.hash(pin);
+    if (rows.length === 0 || this.legacyMisses.has(pinHash)) {
+      return null;
+    }
+    for (const row of rows) {
+      if (await bcrypt.compare(pin, row.pin)) {
+        await run(this.db, 'UPDATE valid_pins SET pin_hmac = ?, pin = NULL WHERE id = ?', [pinHash, row.id]);
+        return row.id;
+      }
+    }
+    if (this.legacyMisses.size >= MAX_LEGACY_MISSES) {
+      this.legacyMisses.clear();
+    }
+    this.legacyMisses.add(pinHash);
+    return null;
+  }
+
+  /**
+   * Count the rows that still only have a bcrypt hash.
+   * @returns {Promise<number>}
+   */
+  async countLegacy() {
+    const { count } = await get(this.db, 'SELECT COUNT(*) AS count FROM valid_pins WHERE pin_hmac IS NULL AND pin IS NOT NULL');
+    return count;
+  }
+
+  /**
+   * List all PINs with their owner, without the PIN hashes.
+   * PINs from before labels were introduced have no label and no created_at.
+   * @returns {Promise<Object[]>} The PINs, newest first; `active` is false for disabled PINs, `legacy` marks PINs
+   *   not yet converted to the HMAC index, `guest` marks guest PINs, `lockdown_override` marks PINs that still
+   *   work in lockdown and `door_ids` lists the doors the PIN is limited to, empty for every door
+   */
+  async list() {
+    return (await all(this.db, `${PIN_FOR_ADMINS} ORDER BY valid_pins.id DESC`)).map(toPin);
+  }
+
+  /**
+   * Look up a PIN by its id, without its hash.
+   * @param {number} id - The PIN id
+   * @returns {Promise<?Object>} The PIN as listed by list, or null if there is no such PIN
+   */
+  async get(id) {
+    const row = await get(this.db, `${PIN_FOR_ADMINS} WHERE valid_pins.id = ?`, [id]);
+    return row ? toPin(row) : null;
+  }
+
+  /**
+   * Update a PIN. Fields that are undefined are left unchanged; a null label or scheduleId clears it.
+   * @param {number} id - The PIN id
+   * @param {Object} fields - The fields to change (label, active, scheduleId, lockdownOverride)
+   * @returns {Promise<boolean>} False if the PIN does not exist
+   */
+  async update(id, { label, active, scheduleId, lockdownOverride }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE valid_pins SET
+           label = CASE WHEN ? THEN ? ELSE label END,
+           active = COALESCE(?, active),
+           schedule_id = CASE WHEN ? THEN ? ELSE schedule_id END,
+           lockdown_override = COALESCE(?, lockdown_override)
+         WHERE id = ?`,
+        [
+          label === undefined ? 0 : 1,
+          label === undefined ? null : label,
+          active === undefined ? null : (active ? 1 : 0),
+          scheduleId === undefined ? 0 : 1,
+          scheduleId === undefined ? null : scheduleId,
+          lockdownOverride === undefined ? null : (lockdownOverride ? 1 : 0),
+          id
+        ]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Mark a PIN as one that still opens the doors in lockdown, or remove the mark.
+   * @param {number} id - The PIN id
+   * @param {boolean} override - Whether the PIN works in lockdown
+   * @returns {Promise<boolean>} False if the PIN does not exist
+   */
+  async setLockdownOverride(id, override) {
+    const { changes } = await run(this.db, 'UPDATE valid_pins SET lockdown_override = ? WHERE id = ?', [override ? 1 : 0, id]);
+    return changes > 0;
+  }
+
+  /**
+   * Limit a PIN to some doors.
+   * @param {number} id - The PIN id
+   * @param {number[]} doorIds - The doors, or an empty array for every door
+   * @returns {Promise<boolean>} False if the PIN does not exist
+   */
+  async setDoors(id, doorIds) {
+    if (!await get(this.db, 'SELECT id FROM valid_pins WHERE id = ?', [id])) {
+      return false;
+    }
+    await setDoorIds(this.db, PIN_DOORS, id, doorIds);
+    return true;
+  }
+
+  /**
+   * Check whether a PIN may open a door.
+   * @param {number} id - The PIN id
+   * @param {number} doorId - The door
+   * @returns {Promise<boolean>}
+   */
+  async opensDoor(id, doorId) {
+    return opensDoor(this.db, PIN_DOORS, id, doorId);
+  }
+
+  /**
+   * Store a PIN. Fails with SQLITE_CONSTRAINT if the PIN is already in use,
+   * including by a bcrypt row, which is converted first so the index sees it.
+   * @param {string} pin - The plaintext PIN
+   * @param {Object} [options] - Optional owner and schedule
+   * @param {?number} [options.userId] - The owning user
+   * @param {?number} [options.scheduleId] - Schedule restricting when the PIN works
+   * @param {boolean} [options.duress=false] - Whether entering the PIN raises a silent duress alarm
+   * @param {?string} [options.label] - What the PIN is for, e.g. "Cleaning crew"
+   * @param {?number} [options.maxUses] - Number of uses after which the PIN stops working
+   * @param {?string} [options.expiresAt] - ISO timestamp after which the PIN stops working
+   * @returns {Promise<number>} The id of the new PIN
+   */
+  async add(pin, { userId = null, scheduleId = null, duress = false, label = null, maxUses = null, expiresAt = null } = {}) {
+    await this.migrateLegacy(pin);
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO valid_pins(pin_hmac, user_id, schedule_id, duress, label, created_at, max_uses, expires_at)
+         VALUES(?, ?, ?, ?, ?, ?, ?, ?)`,
+        [this.hash(pin), userId, scheduleId, duress ? 1 : 0, label, new Date().toISOString(), maxUses, expiresAt]
+    );
+    return lastID;
+  }
+
+  /**
+   * Create a guest PIN with a randomly generated code that is not in use yet.
+   * @param {Object} guest - The guest PIN settings; at least one of maxUses and expiresAt is required
+   * @param {string} guest.label - Who the PIN is for, e.g. "Parcel delivery"
+   * @param {?number} [guest.maxUses] - Number of uses, e.g. 1 for a one-time PIN
+   * @param {?string} [guest.expiresAt] - ISO timestamp after which the PIN stops working
+   * @param {?number} [guest.scheduleId] - Schedule restricting when the PIN works
+   * @returns {Promise<{id: number, pin: string}>} The new id and the code, which cannot be read again later
+   */
+  async createGuest({ label, maxUses = null, expiresAt = null, scheduleId = null }) {
+    // Free codes are plentiful unless nearly all 10000 are taken, so a few attempts suffice
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const pin = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+      try {
+        const id = await this.add(pin, { scheduleId, label, maxUses, expiresAt });
+        return { id, pin };
+      } catch (err) {
+        if (err.code !== 'SQLITE_CONSTRAINT') {
+          throw err;
+        }
+      }
+    }
+    throw new Error('No free PIN found for the guest PIN');
+  }
+
+  /**
+   * List the guest PINs, without their codes.
+   * @returns {Promise<Object[]>} The guest PINs, newest first, with `remaining_uses` (null if unlimited) and `valid`
+   */
+  async listGuests() {
+    const now = new Date().toISOString();
+    const rows = await all(this.db, `
+      SELECT id, label, created_at, max_uses, use_count, expires_at, schedule_id
+      FROM valid_pins
+      WHERE max_uses IS NOT NULL OR expires_at IS NOT NULL
+      ORDER BY id DESC`);
+    return rows.map((row) => {
+      const remainingUses = row.max_uses === null ? null : Math.max(row.max_uses - row.use_count, 0);
+      return { ...row, remaining_uses: remainingUses, valid: remainingUses !== 0 && !(row.expires_at && row.expires_at <= now) };
+    });
+  }
+
+  /**
+   * Count a use of a guest PIN, unless it is used up already.
+   * @param {number} id - The PIN id
+   * @returns {Promise<boolean>} False if the PIN had no uses left
+   */
+  async recordUse(id) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE valid_pins SET use_count = use_count + 1 WHERE id = ? AND (max_uses IS NULL OR use_count < max_uses)',
+        [id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete guest PINs that are used up or expired.
+   * @returns {Promise<number>} The number of deleted PINs
+   */
+  async purgeGuests() {
+    const { changes } = await run(
+        this.db,
+        'DELETE FROM valid_pins WHERE use_count >= max_uses OR expires_at <= ?',
+        [new Date().toISOString()]
+    );
+    return changes;
+  }
+
+  /**
+   * Delete a PIN by its id.
+   * @param {number} id - The PIN id
+   * @returns {Promise<boolean>} False if there is no such PIN
+   */
+  async remove(id) {
+    const { changes } = await run(this.db, 'DELETE FROM valid_pins WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * Delete the row of a PIN, whichever scheme it is stored in.
+   * @param {string} pin - The plaintext PIN
+   * @returns {Promise<boolean>} False if the PIN is unknown
+   */
+  async removeByPin(pin) {
+    await this.migrateLegacy(pin);
+    const { changes } = await run(this.db, 'DELETE FROM valid_pins WHERE pin_hmac = ?', [this.hash(pin)]);
+    return changes > 0;
+  }
+}
+
+/**
+ * Convert a database row into a PIN object with boolean flags and an array of door ids.
+ * @param {Object} row - The database row
+ * @returns {Object} The PIN
+ */
+function toPin(row) {
+  return {
+    ...row,
+    duress: row.duress === 1,
+    active: row.active === 1,
+    legacy: row.legacy === 1,
+    guest: row.guest === 1,
+    lockdown_override: row.lockdown_override === 1,
+    door_ids: parseDoorIds(row.door_ids)
+  };
+}
+
+module.exports = PinStore;
@@ -1,17 +1,21 @@
 /**
  * Event listener for the DOMContentLoaded event.
- * Initializes the form submit event listener.
+ * Initializes the login and password reset form listeners.
  */
 document.addEventListener("DOMContentLoaded", function() {
   // Define constants for messages
   const LOGIN_SUCCESSFUL = 'Login successful';
   const INVALID_CREDENTIALS = 'Invalid credentials';
+  const PASSWORD_RESET = 'Password reset successfully';
 
   const form = document.getElementById('adminLoginForm');
+  const totpGroup = document.getElementById('totpGroup');
+  const totpInput = document.getElementById('totpCode');
 
   /**
    * Event listener for the form submit event.
-   * Authenticates the admin and redirects on success.
+   * Authenticates the admin and redirects on success. Admins with a second
+   * factor are asked for the code from their authenticator app.
    * @param {Event} event - The DOM event object
    */
   form.addEventListener('submit', async function(event) {
@@ -19,12 +23,21 @@ document.addEventListener("DOMContentLoaded", function() {
 
     const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
+    const totpCode = totpGroup.hidden ? undefined : totpInput.value;
 
     try {
-      const data = await loginUser(username, password);
+      const data = await loginUser(username, password, totpCode);
 
       if (data.message === LOGIN_SUCCESSFUL) {
         redirectToAdminDashboard();
+      } else if (data.totpRequired) {
+        if (!totpGroup.hidden) {
+          showAlert(data.message);
+        }
+        totpGroup.hidden = false;
+        totpInput.required = true;
+        totpInput.value = '';
+        totpInput.focus();
       } else {
         showAlert(INVALID_CREDENTIALS);
       }
@@ -32,6 +45,42 @@ document.addEventListener("DOMContentLoaded", function() {
       console.error('Error:', error);
     }
   });
+
+  const resetForm = document.getElementById('passwordResetForm');
+
+  document.getElementById('showResetForm').addEventListener('click', function(event) {
+    event.preventDefault();
+    resetForm.hidden = !resetForm.hidden;
+  });
+
+  /**
+   * Event listener for the password reset form submit event.
+   * Sets a new password with a reset token issued by an owner.
+   * @param {Event} event - The DOM event object
+   */
+  resetForm.addEventListener('submit', async function(event) {
+    event.preventDefault();
+
+    try {
+      const data = await resetPassword(
+          document.getElementById('resetUsername').value,
+          document.getElementById('resetToken').value,
+          document.getElementById('resetPassword').value
+      );
+
+      if (data.errors) {
+        showAlert(data.errors.map((error) => error.msg).join('\n'));
+      } else {
+        showAlert(data.message);
+      }
+      if (data.message === PASSWORD_RESET) {
+        resetForm.reset();
+        resetForm.hidden = true;
+      }
+    } catch (error) {
+      console.error('Error:', error);
+    }
+  });
 });
 
 /**
@@ -39,18 +88,45 @@ document.addEventListener("DOMContentLoaded", function() {
  * @async
  * @param {string} username - The admin username
  * @param {string} password - The admin password
+ * @param {string} [totpCode] - The code from the authenticator app, if the admin uses one
  * @returns {Promise<Object>} The server response as a JSON object
  */
-async function loginUser(username, password) {
+async function loginUser(username, password, totpCode) {
   const response = await fetch('/admin-login', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ username, password }),
+    body: JSON.stringify({ username, password, totpCode }),
+  });
+
+  // Wrong credentials and missing codes are answered with 401 and a message
+  if (!response.ok && response.status !== 401) {
+    throw new Error(`Network response was not ok: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Asynchronously set a new password with a reset token.
+ * @async
+ * @param {string} username - The admin username
+ * @param {string} token - The reset token issued by an owner
+ * @param {string} password - The new password
+ * @returns {Promise<Object>} The server response as a JSON object
+ */
+async function resetPassword(username, token, password) {
+  const response = await fetch('/admin-password-reset', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ username, token, password }),
   });
 
-  if (!response.ok) {
+  // Invalid tokens and passwords are answered with 400 and an explanation
+  if (!response.ok && response.status !== 400) {
     throw new Error(`Network response was not ok: ${response.statusText}`);
   }
 
@@ -1,134 +1,1834 @@
 /**
  * Event listener for DOMContentLoaded event.
- * It fetches the admin dashboard content and initializes form submit listeners.
+ * It checks the admin session, shows who is logged in and loads the
+ * sections the admin's role permits.
  */
 document.addEventListener("DOMContentLoaded", function () {
-  // Fetch admin dashboard content and handle unauthorized access.
-  fetch('/admin_dashboard')
+  // Fetch the current admin and handle unauthorized access.
+  fetch('/api/me')
       .then(response => {
         if (response.status === 401) {
-          window.location.href = "/admin.html";
+          redirectToLogin();
           return;
         }
         return response.json();
       })
       .then(data => {
         if (data) {
-          // Populate the admin dashboard
+          document.getElementById("currentAdmin").textContent = `Logged in as ${data.username} (${data.role})`;
+          document.getElementById("passwordPolicy").textContent = `New passwords: ${data.passwordPolicy}.`;
+          showTotpStatus(data.totpEnabled);
+          showPermittedSections(data.permissions);
         }
       })
       .catch((error) => {
         console.error('Error:', error);
       });
+});
 
-  // Event listener for add PIN form submit.
-  const form = document.getElementById("addPinForm");
-  form.addEventListener("submit", function (event) {
-    event.preventDefault();
-    const newPin = document.getElementById("newPin").value;
-
-    fetch("/add-pin", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ pin: newPin }),
-    })
-        .then((response) => response.json())
-        .then((data) => {
-          if (data.message === "PIN added successfully") {
-            alert("PIN added successfully");
-          } else {
-            alert("Failed to add PIN");
-          }
-        })
-        .catch((error) => {
-          console.error("Error:", error);
+/**
+ * Shows the dashboard sections the admin is allowed to use and loads their data.
+ * @param {string[]} permissions - The permissions of the admin's role
+ */
+function showPermittedSections(permissions) {
+  // Sections without a permission, such as My Account, are for every admin
+  document.querySelectorAll(".dashboard-section[data-permission]").forEach((section) => {
+    section.hidden = !permissions.includes(section.dataset.permission);
+  });
+  // The policy form and the credential tables offer the doors for selection
+  if (permissions.includes("operate_door")) {
+    loadDoorMode();
+  }
+  loadDoors().then(() => {
+    if (permissions.includes("manage_policy")) {
+      loadAccessPolicy();
+    }
+    if (permissions.includes("manage_credentials")) {
+      loadSchedules();
+      loadGuestPins();
+    }
+  });
+  if (permissions.includes("manage_admins")) {
+    loadAdmins();
+    loadTokens();
+  }
+  if (permissions.includes("manage_webhooks")) {
+    loadWebhooks();
+    loadDeliveries();
+  }
+  if (permissions.includes("manage_backups")) {
+    loadBackups();
+  }
+  if (permissions.includes("view_events")) {
+    loadEvents(0);
+  }
+  connectLiveUpdates();
+}
+
+/** @type {number} Number of entries kept in the live activity feed. */
+const LIVE_FEED_SIZE = 20;
+
+/**
+ * Opens the live update stream. The server sends the current state of the doors, the door mode and
+ * keypad lockouts right away and pushes every change afterwards, each only
+ * if the admin's role permits it.
+ */
+function connectLiveUpdates() {
+  const liveStatus = document.getElementById("liveStatus");
+  const source = new EventSource("/api/live");
+
+  source.addEventListener("open", function () {
+    liveStatus.textContent = "Live";
+  });
+  source.addEventListener("error", function () {
+    if (source.readyState !== EventSource.CLOSED) {
+      liveStatus.textContent = "Connection lost, reconnecting...";
+      return;
+    }
+    // The server refused the stream, most likely because the session ended
+    liveStatus.textContent = "Disconnected";
+    fetch("/api/me").then((response) => response.status === 401 && redirectToLogin());
+  });
+  source.addEventListener("door", function (message) {
+    showDoorStatus(JSON.parse(message.data));
+  });
+  source.addEventListener("door_mode", function (message) {
+    showDoorMode(JSON.parse(message.data));
+  });
+  source.addEventListener("lockouts", function (message) {
+    showLockouts(JSON.parse(message.data));
+  });
+  source.addEventListener("access_event", function (message) {
+    showLiveEvent(JSON.parse(message.data));
+  });
+}
+
+/**
+ * Adds an event to the top of the live activity feed.
+ * @param {Object} event - The access event from the server
+ */
+function showLiveEvent(event) {
+  const feed = document.getElementById("liveFeed");
+  const who = event.user_name || event.actor || event.client_ip;
+  const item = document.createElement("li");
+  item.classList.add(`event-${event.severity}`);
+  item.textContent = `${new Date(event.timestamp).toLocaleTimeString()} ${event.source} ${event.action}: ${event.outcome}` +
+      (event.door_name ? ` at ${event.door_name}` : "") + (who ? ` (${who})` : "");
+  feed.prepend(item);
+  while (feed.children.length > LIVE_FEED_SIZE) {
+    feed.lastElementChild.remove();
+  }
+}
+
+/**
+ * Redirects to the admin login page.
+ */
+function redirectToLogin() {
+  window.location.href = "/admin_login.html";
+}
+
+// Event listener for "Log Out" button click.
+const logoutButton = document.getElementById("logoutButton");
+logoutButton.addEventListener("click", function () {
+  fetch("/logout", { method: "POST" })
+      .then(() => redirectToLogin())
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+});
+
+// Event listener for "Go Back" button click.
+const goBackButton = document.getElementById("goBackButton");
+goBackButton.addEventListener("click", function () {
+  window.location.href = "/";
+});
+
+/** @type {Object[]} The doors with their settings, as last loaded from the server. */
+let doors = [];
+
+/** @type {Map<number, Object>} The current state of each door, by door id. */
+const doorStatuses = new Map();
+
+/** @type {?number} Id of the door being edited in the door form, or null when adding a door. */
+let editingDoorId = null;
+
+/** @type {Object<string, string>} How the door modes are described on the dashboard. */
+const DOOR_MODE_NAMES = { normal: "Normal", lockdown: "Lockdown", passage: "Passage" };
+
+/**
+ * Fetches the system-wide door mode and shows it.
+ */
+function loadDoorMode() {
+  fetch("/api/door-mode")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.mode) {
+          alert("Failed to load the door mode");
+          return;
+        }
+        showDoorMode(data);
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Shows the door mode and who set it.
+ * @param {Object} status - The door mode from the server
+ */
+function showDoorMode(status) {
+  let text = `Mode: ${DOOR_MODE_NAMES[status.mode]}`;
+  if (status.until) {
+    text += ` until ${new Date(status.until).toLocaleString()}`;
+  }
+  if (status.changedAt) {
+    text += ` (set by ${status.changedBy || "the system"} at ${new Date(status.changedAt).toLocaleString()})`;
+  }
+  document.getElementById("doorModeStatus").textContent = text;
+  document.getElementById("doorModeStatus").className = status.mode === "normal" ? "" : "door-mode-alert";
+}
+
+// Only passage mode needs an end time.
+const doorModeSelect = document.getElementById("doorModeSelect");
+doorModeSelect.addEventListener("change", function () {
+  document.getElementById("doorModeUntilGroup").hidden = doorModeSelect.value !== "passage";
+});
+
+// Event listener for door mode form submit.
+document.getElementById("doorModeForm").addEventListener("submit", function (event) {
+  event.preventDefault();
+  const mode = doorModeSelect.value;
+  const until = document.getElementById("doorModeUntil").value;
+  if (mode === "passage" && !until) {
+    alert("Choose when passage mode ends");
+    return;
+  }
+  if (mode === "lockdown" && !confirm("Start a lockdown? Only override credentials will open the doors.")) return;
+
+  sendJson("PUT", "/api/door-mode", mode === "passage" ? { mode: mode, until: new Date(until).toISOString() } : { mode: mode },
+      "Failed to set the door mode")
+      .then((result) => result && showDoorMode(result));
+});
+
+/**
+ * Fetches the doors, renders the door tables and fills the door selects.
+ * @returns {Promise<void>} Resolves once the doors are shown
+ */
+function loadDoors() {
+  return fetch("/api/doors")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.doors) {
+          alert("Failed to load doors");
+          return;
+        }
+        doors = data.doors;
+        doorStatuses.clear();
+        doors.forEach((door) => door.status && doorStatuses.set(door.id, door.status));
+        renderDoorTable();
+        renderDoorSettingsTable();
+        fillDoorSelect(document.getElementById("accessPolicyDoor"), false);
+        fillDoorSelect(document.getElementById("eventDoor"), true);
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Replaces the options of a select with the doors, keeping the selected door if it still exists.
+ * @param {HTMLSelectElement} select - The select to fill
+ * @param {boolean} withAny - Whether to offer "Any" as the first option
+ */
+function fillDoorSelect(select, withAny) {
+  const current = select.value;
+  select.innerHTML = "";
+  if (withAny) {
+    select.add(new Option("Any", ""));
+  }
+  doors.forEach((door) => select.add(new Option(door.name, door.id)));
+  if (Array.from(select.options).some((option) => option.value === current)) {
+    select.value = current;
+  }
+}
+
+/**
+ * Creates a select for limiting a credential to some doors. Selecting no door means every door.
+ * @param {number[]} currentIds - The doors the credential is limited to, empty for every door
+ * @param {Function} onChange - Called with the chosen door ids
+ * @returns {HTMLSelectElement} The select
+ */
+function createDoorSelect(currentIds, onChange) {
+  const select = document.createElement("select");
+  select.multiple = true;
+  select.size = Math.min(doors.length, 3);
+  select.title = "Select no door to allow every door";
+  doors.forEach((door) => {
+    select.add(new Option(door.name, door.id, false, currentIds.includes(door.id)));
+  });
+  select.addEventListener("change", function () {
+    onChange(Array.from(select.selectedOptions).map((option) => Number(option.value)));
+  });
+  return select;
+}
+
+/**
+ * Shows the current state of a door.
+ * @param {Object} door - The door status from the server
+ */
+function showDoorStatus(door) {
+  doorStatuses.set(door.id, door);
+  renderDoorTable();
+}
+
+/**
+ * Describes the state of a door, including its contact and alarms.
+ * @param {Object} door - The door status from the server
+ * @returns {string} The description
+ */
+function describeDoor(door) {
+  const descriptions = {
+    locked: "Locked",
+    unlocked: `Unlocked until ${new Date(door.unlockedUntil).toLocaleTimeString()}`,
+    held: "Held unlocked",
+  };
+  const alarmNames = { forced_open: "FORCED OPEN", held_open: "HELD OPEN" };
+  let text = descriptions[door.state] || door.state;
+  if (door.contact) {
+    text += `, ${door.contact}`;
+  }
+  if (door.alarms.length > 0) {
+    text += " - ALARM: " + door.alarms.map((alarm) => alarmNames[alarm] || alarm).join(", ");
+  }
+  return text;
+}
+
+/**
+ * Renders the state of every door with buttons to operate it.
+ */
+function renderDoorTable() {
+  const tbody = document.querySelector("#doorTable tbody");
+  tbody.innerHTML = "";
+  Array.from(doorStatuses.values()).sort((a, b) => a.id - b.id).forEach((door) => {
+    const operate = (path, payload, failureMessage) => {
+      sendJson("POST", `/api/doors/${door.id}/${path}`, payload, failureMessage)
+          .then((result) => result && showDoorStatus(result.door));
+    };
+    const buttons = [
+      createTableButton("Unlock", () => operate("unlock", {}, "Failed to unlock the door")),
+      createTableButton("Hold Open", () => operate("unlock", { hold: true }, "Failed to hold the door open")),
+      createTableButton("Lock", () => operate("lock", null, "Failed to lock the door")),
+    ];
+    if (door.alarms.includes("forced_open")) {
+      buttons.push(createTableButton("Acknowledge Alarm", () => operate("alarm/acknowledge", null, "Failed to acknowledge the alarm")));
+    }
+    appendTableRow(tbody, [door.name, describeDoor(door)], buttons);
+    if (door.alarms.length > 0) {
+      tbody.lastElementChild.classList.add("door-alarm");
+    }
+  });
+}
+
+/**
+ * Renders the settings of every door with buttons to edit or remove it.
+ */
+function renderDoorSettingsTable() {
+  const tbody = document.querySelector("#doorSettingsTable tbody");
+  tbody.innerHTML = "";
+  const pin = (value) => (value === null ? "-" : value);
+  doors.forEach((door) => {
+    appendTableRow(tbody, [
+      door.name,
+      pin(door.rfid_pin),
+      door.servo_pin,
+      door.contact_pin === null ? "-" : `${door.contact_pin} (open = ${door.contact_open_value})`,
+      pin(door.alarm_pin),
+      `${door.unlock_seconds}s`,
+      `${door.held_open_seconds}s`,
+    ], [
+      createTableButton("Edit", () => editDoor(door)),
+      createTableButton("Remove", () => {
+        if (!confirm(`Remove ${door.name}? PINs and cards limited to it will not open any other door instead.`)) return;
+        sendJson("DELETE", `/api/doors/${door.id}`, null, "Failed to remove door (the last door cannot be removed)")
+            .then((result) => result && refreshDoors());
+      }),
+    ]);
+  });
+}
+
+/**
+ * Fills the door form with a door's settings to change them.
+ * @param {Object} door - The door as listed by the server
+ */
+function editDoor(door) {
+  editingDoorId = door.id;
+  document.getElementById("doorName").value = door.name;
+  document.getElementById("doorServoPin").value = door.servo_pin;
+  document.getElementById("doorRfidPin").value = door.rfid_pin === null ? "" : door.rfid_pin;
+  document.getElementById("doorContactPin").value = door.contact_pin === null ? "" : door.contact_pin;
+  document.getElementById("doorContactOpenValue").value = door.contact_open_value;
+  document.getElementById("doorAlarmPin").value = door.alarm_pin === null ? "" : door.alarm_pin;
+  document.getElementById("doorUnlockSeconds").value = door.unlock_seconds;
+  document.getElementById("doorHeldOpenSeconds").value = door.held_open_seconds;
+  document.getElementById("saveDoorButton").value = `Save ${door.name}`;
+  document.getElementById("newDoorButton").hidden = false;
+}
+
+/**
+ * Empties the door form for adding a new door.
+ */
+function resetDoorForm() {
+  editingDoorId = null;
+  document.getElementById("doorForm").reset();
+  document.getElementById("saveDoorButton").value = "Add Door";
+  document.getElementById("newDoorButton").hidden = true;
+}
+
+/**
+ * Reloads the doors, and the credential tables and access policy that refer to them.
+ */
+function refreshDoors() {
+  loadDoors().then(() => {
+    refreshUsers();
+    loadAccessPolicy();
+  });
+}
+
+// Event listener for door form submit: adds a door, or saves the one being edited.
+document.getElementById("doorForm").addEventListener("submit", function (event) {
+  event.preventDefault();
+  const optionalPin = (id) => {
+    const value = document.getElementById(id).value;
+    return value === "" ? null : Number(value);
+  };
+
+  sendJson(editingDoorId === null ? "POST" : "PUT", editingDoorId === null ? "/api/doors" : `/api/doors/${editingDoorId}`, {
+    name: document.getElementById("doorName").value,
+    servoPin: Number(document.getElementById("doorServoPin").value),
+    rfidPin: optionalPin("doorRfidPin"),
+    contactPin: optionalPin("doorContactPin"),
+    contactOpenValue: Number(document.getElementById("doorContactOpenValue").value),
+    alarmPin: optionalPin("doorAlarmPin"),
+    unlockSeconds: Number(document.getElementById("doorUnlockSeconds").value),
+    heldOpenSeconds: Number(document.getElementById("doorHeldOpenSeconds").value),
+  }, "Failed to save the door (are its name and GPIO pins unique?)")
+      .then((result) => {
+        if (!result) return;
+        resetDoorForm();
+        refreshDoors();
+      });
+});
+
+// Event listener for "New Door" button click.
+document.getElementById("newDoorButton").addEventListener("click", resetDoorForm);
+
+/**
+ * Fetches the access policy of the door selected in the policy form and shows it.
+ */
+function loadAccessPolicy() {
+  const doorId = document.getElementById("accessPolicyDoor").value;
+  fetch(doorId ? `/api/doors/${doorId}/access-policy` : "/api/access-policy")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.policies) {
+          alert("Failed to load the access policy");
+          return;
+        }
+        const select = document.getElementById("accessPolicy");
+        select.innerHTML = "";
+        Object.entries(data.policies).forEach(([policy, description]) => {
+          const option = document.createElement("option");
+          option.value = policy;
+          option.textContent = description;
+          select.appendChild(option);
+        });
+        select.value = data.policy;
+        document.getElementById("accessPolicyDoor").value = data.doorId;
+        document.getElementById("pinWindowSeconds").value = data.pinWindowSeconds;
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+// Event listener for choosing the door in the access policy form.
+document.getElementById("accessPolicyDoor").addEventListener("change", loadAccessPolicy);
+
+// Event listener for access policy form submit.
+document.getElementById("accessPolicyForm").addEventListener("submit", function (event) {
+  event.preventDefault();
+
+  sendJson("PUT", `/api/doors/${document.getElementById("accessPolicyDoor").value}/access-policy`, {
+    policy: document.getElementById("accessPolicy").value,
+    pinWindowSeconds: Number(document.getElementById("pinWindowSeconds").value),
+  }, "Failed to save the access policy")
+      .then((result) => {
+        if (!result) return;
+        alert("Access policy saved");
+        loadAccessPolicy();
+      });
+});
+
+/** @type {?number} Id of the user whose credentials are shown. */
+let selectedUserId = null;
+
+/**
+ * Creates a small button for use inside a table row.
+ * @param {string} label - The button label
+ * @param {Function} onClick - Called when the button is clicked
+ * @returns {HTMLButtonElement} The button
+ */
+function createTableButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Appends a table row with the given cell values and optional action buttons.
+ * @param {HTMLElement} tbody - The table body to append to
+ * @param {Array<string|number|Node>} values - The cell values; elements are inserted, anything else is set as text
+ * @param {HTMLButtonElement[]} [buttons=[]] - Buttons for a trailing actions cell
+ */
+function appendTableRow(tbody, values, buttons = []) {
+  const row = document.createElement("tr");
+  values.forEach((value) => {
+    const cell = document.createElement("td");
+    if (value instanceof Node) {
+      cell.appendChild(value);
+    } else {
+      cell.textContent = value;
+    }
+    row.appendChild(cell);
+  });
+  if (buttons.length > 0) {
+    const cell = document.createElement("td");
+    buttons.forEach((button) => cell.appendChild(button));
+    row.appendChild(cell);
+  }
+  tbody.appendChild(row);
+}
+
+/**
+ * Sends a JSON request to the server and alerts with the outcome.
+ * @param {string} method - The HTTP method
+ * @param {string} url - The request URL
+ * @param {?Object} payload - The JSON body, or null for none
+ * @param {string} failureMessage - Shown if the request fails
+ * @param {boolean} [explain=false] - Whether to add the server's explanation to the alert
+ * @returns {Promise<?Object>} The response data on success, otherwise null
+ */
+function sendJson(method, url, payload, failureMessage, explain = false) {
+  const options = { method: method, headers: { "Content-Type": "application/json" } };
+  if (payload) {
+    options.body = JSON.stringify(payload);
+  }
+  return fetch(url, options)
+      .then((response) => response.json().then((data) => ({ ok: response.ok, status: response.status, data: data })))
+      .then((result) => {
+        if (result.status === 401) {
+          redirectToLogin();
+          return null;
+        }
+        if (!result.ok) {
+          alert(explain ? `${failureMessage}: ${explainFailure(result.data)}` : failureMessage);
+          return null;
+        }
+        return result.data;
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+        return null;
+      });
+}
+
+/**
+ * Reads the server's explanation from a failed response.
+ * @param {Object} data - The response data, with validation `errors` or a `message`
+ * @returns {string}
+ */
+function explainFailure(data) {
+  if (data.errors) {
+    return data.errors.map((error) => error.msg).join(", ");
+  }
+  return data.message || "invalid request";
+}
+
+/**
+ * Sends a file as the raw request body and handles the response like sendJson.
+ * The server's explanation is included in the alert, as uploads are rejected for many reasons.
+ * @param {string} url - The request URL
+ * @param {Blob} file - The file to send
+ * @param {string} contentType - The content type of the body
+ * @param {string} failureMessage - The message shown if the request fails
+ * @returns {Promise<Object|null>} The response data, or null on failure
+ */
+function sendFile(url, file, contentType, failureMessage) {
+  return fetch(url, { method: "POST", headers: { "Content-Type": contentType }, body: file })
+      .then((response) => response.json().then((data) => ({ ok: response.ok, status: response.status, data: data })))
+      .then((result) => {
+        if (result.status === 401) {
+          redirectToLogin();
+          return null;
+        }
+        if (!result.ok) {
+          alert(`${failureMessage}: ${result.data.message || "invalid request"}`);
+          return null;
+        }
+        return result.data;
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+        return null;
+      });
+}
+
+/**
+ * Fetches all users and renders them into the user table.
+ */
+function loadUsers() {
+  fetch("/api/users")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.users) {
+          alert("Failed to load users");
+          return;
+        }
+        const tbody = document.querySelector("#userTable tbody");
+        tbody.innerHTML = "";
+        data.users.forEach((user) => {
+          appendTableRow(tbody, [
+            user.name,
+            user.department || "",
+            user.active ? "Yes" : "No",
+            user.pin_count,
+            user.card_count,
+          ], [
+            createTableButton("Credentials", () => loadUserDetails(user.id)),
+            createTableButton(user.active ? "Deactivate" : "Activate", () => {
+              sendJson("PUT", `/api/users/${user.id}`, { active: !user.active }, "Failed to update user")
+                  .then((result) => result && loadUsers());
+            }),
+            createTableButton("Delete", () => {
+              if (!confirm(`Delete ${user.name} and all of their credentials?`)) return;
+              sendJson("DELETE", `/api/users/${user.id}`, null, "Failed to remove user")
+                  .then((result) => {
+                    if (!result) return;
+                    if (selectedUserId === user.id) {
+                      selectedUserId = null;
+                      document.getElementById("userDetails").hidden = true;
+                    }
+                    loadUsers();
+                  });
+            }),
+          ]);
         });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Fetches one user and shows their PINs and cards.
+ * @param {number} id - The user id
+ */
+function loadUserDetails(id) {
+  fetch(`/api/users/${id}`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.user) {
+          alert("Failed to load user");
+          return;
+        }
+        selectedUserId = id;
+        document.getElementById("userDetailsTitle").textContent = `Credentials of ${data.user.name}`;
+        document.getElementById("userDetails").hidden = false;
+
+        const tbody = document.querySelector("#userCredentialTable tbody");
+        tbody.innerHTML = "";
+        data.user.pins.forEach((pin) => {
+          const scheduleSelect = createScheduleSelect(pin.schedule_id, (scheduleId) => {
+            sendJson("PUT", `/api/users/${id}/pins/${pin.id}`, { scheduleId: scheduleId }, "Failed to update PIN");
+          });
+          appendTableRow(tbody, [pin.duress ? "Duress PIN" : "PIN", `#${pin.id}` + (pin.label ? ` ${pin.label}` : ""), scheduleSelect], [
+            createTableButton("Remove", () => {
+              sendJson("DELETE", `/api/users/${id}/pins/${pin.id}`, null, "Failed to remove PIN")
+                  .then((result) => result && refreshUsers());
+            }),
+          ]);
+        });
+        data.user.cards.forEach((card) => {
+          const scheduleSelect = createScheduleSelect(card.schedule_id, (scheduleId) => {
+            sendJson("PUT", `/api/cards/${card.id}`, { scheduleId: scheduleId }, "Failed to update card")
+                .then((result) => result && loadCards());
+          });
+          appendTableRow(tbody, ["Card", `…${card.card_suffix}` + (card.active ? "" : " (disabled)"), scheduleSelect], [
+            createTableButton("Remove", () => {
+              sendJson("DELETE", `/api/users/${id}/cards/${card.id}`, null, "Failed to remove card")
+                  .then((result) => result && refreshUsers());
+            }),
+          ]);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Reloads the user, card, PIN and group tables and the credentials of the selected user.
+ */
+function refreshUsers() {
+  loadUsers();
+  loadCards();
+  loadPins();
+  loadGroups();
+  if (selectedUserId !== null) {
+    loadUserDetails(selectedUserId);
+  }
+}
+
+/** @type {Object[]} Access schedules, as last loaded from the server. */
+let schedules = [];
+
+/** @type {string[]} Short weekday names, indexed like Date#getDay. */
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Creates a select for choosing the schedule of a credential.
+ * @param {?number} currentId - The id of the schedule currently attached, or null
+ * @param {Function} onChange - Called with the chosen schedule id, or null for "Always"
+ * @returns {HTMLSelectElement} The select
+ */
+function createScheduleSelect(currentId, onChange) {
+  const select = document.createElement("select");
+  select.add(new Option("Always", ""));
+  schedules.forEach((schedule) => {
+    select.add(new Option(schedule.name, schedule.id, false, schedule.id === currentId));
   });
+  select.addEventListener("change", function () {
+    onChange(select.value ? Number(select.value) : null);
+  });
+  return select;
+}
+
+/**
+ * Fetches all schedules, renders the schedule table and refreshes the
+ * credential tables that offer schedules for selection.
+ */
+function loadSchedules() {
+  fetch("/api/schedules")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.schedules) {
+          alert("Failed to load schedules");
+          return;
+        }
+        schedules = data.schedules;
+
+        const tbody = document.querySelector("#scheduleTable tbody");
+        tbody.innerHTML = "";
+        schedules.forEach((schedule) => {
+          appendTableRow(tbody, [
+            schedule.name,
+            schedule.weekdays.map((day) => WEEKDAY_NAMES[day]).join(", "),
+            schedule.start_time ? `${schedule.start_time}-${schedule.end_time}` : "All day",
+            (schedule.valid_from || "…") + " to " + (schedule.valid_until || "…"),
+            schedule.timezone,
+            schedule.credential_count,
+          ], [
+            createTableButton("Delete", () => {
+              sendJson("DELETE", `/api/schedules/${schedule.id}`, null, "Failed to remove schedule (is it still in use?)")
+                  .then((result) => result && loadSchedules());
+            }),
+          ]);
+        });
+        refreshUsers();
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+// Event listener for add schedule form submit.
+const addScheduleForm = document.getElementById("addScheduleForm");
+document.getElementById("scheduleTimezone").value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+addScheduleForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const weekdays = Array.from(document.querySelectorAll("input[name='scheduleWeekday']:checked"))
+      .map((checkbox) => Number(checkbox.value));
+
+  sendJson("POST", "/api/schedules", {
+    name: document.getElementById("scheduleName").value,
+    weekdays: weekdays,
+    startTime: document.getElementById("scheduleStart").value || null,
+    endTime: document.getElementById("scheduleEnd").value || null,
+    validFrom: document.getElementById("scheduleValidFrom").value || null,
+    validUntil: document.getElementById("scheduleValidUntil").value || null,
+    timezone: document.getElementById("scheduleTimezone").value,
+  }, "Failed to add schedule")
+      .then((result) => {
+        if (!result) return;
+        addScheduleForm.reset();
+        document.getElementById("scheduleTimezone").value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        loadSchedules();
+      });
 });
 
-// Event listener for remove PIN form submit.
-const removePinForm = document.getElementById("removePinForm");
-removePinForm.addEventListener("submit", function (event) {
+/** @type {?number} Id of the access group whose members are shown. */
+let selectedGroupId = null;
+
+/**
+ * Fetches all access groups, renders them into the group table and offers
+ * the schedules in the add group form.
+ */
+function loadGroups() {
+  const scheduleSelect = document.getElementById("newGroupSchedule");
+  const currentSchedule = scheduleSelect.value;
+  scheduleSelect.innerHTML = "";
+  scheduleSelect.add(new Option("Always", ""));
+  schedules.forEach((schedule) => scheduleSelect.add(new Option(schedule.name, schedule.id)));
+  if (Array.from(scheduleSelect.options).some((option) => option.value === currentSchedule)) {
+    scheduleSelect.value = currentSchedule;
+  }
+
+  fetch("/api/groups")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.groups) {
+          alert("Failed to load access groups");
+          return;
+        }
+        const tbody = document.querySelector("#groupTable tbody");
+        tbody.innerHTML = "";
+        data.groups.forEach((group) => {
+          appendTableRow(tbody, [
+            group.name,
+            group.active ? "Yes" : "No",
+            createScheduleSelect(group.schedule_id, (scheduleId) => {
+              sendJson("PUT", `/api/groups/${group.id}`, { scheduleId: scheduleId }, "Failed to update group")
+                  .then((result) => result && loadSchedules());
+            }),
+            createDoorSelect(group.door_ids, (doorIds) => {
+              sendJson("PUT", `/api/groups/${group.id}/doors`, { doorIds: doorIds }, "Failed to change the doors of the group")
+                  .then((result) => result || loadGroups());
+            }),
+            `${group.user_count} users, ${group.pin_count} PINs, ${group.card_count} cards`,
+          ], [
+            createTableButton("Members", () => loadGroupDetails(group.id)),
+            createTableButton(group.active ? "Disable" : "Enable", () => {
+              if (group.active && !confirm(`Disable ${group.name}? All of its members lose access.`)) return;
+              sendJson("PUT", `/api/groups/${group.id}`, { active: !group.active }, "Failed to update group")
+                  .then((result) => result && loadGroups());
+            }),
+            createTableButton("Delete", () => {
+              if (!confirm(`Delete the group ${group.name}?`)) return;
+              sendJson("DELETE", `/api/groups/${group.id}`, null, "Failed to remove group")
+                  .then((result) => {
+                    if (!result) return;
+                    if (selectedGroupId === group.id) {
+                      selectedGroupId = null;
+                      document.getElementById("groupDetails").hidden = true;
+                    }
+                    loadSchedules();
+                  });
+            }),
+          ]);
+        });
+        if (selectedGroupId !== null) {
+          loadGroupDetails(selectedGroupId);
+        }
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Fetches one access group and shows its members.
+ * @param {number} id - The group id
+ */
+function loadGroupDetails(id) {
+  fetch(`/api/groups/${id}`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.group) {
+          alert("Failed to load group");
+          return;
+        }
+        selectedGroupId = id;
+        document.getElementById("groupDetailsTitle").textContent = `Members of ${data.group.name}`;
+        document.getElementById("groupDetails").hidden = false;
+
+        const tbody = document.querySelector("#groupMemberTable tbody");
+        tbody.innerHTML = "";
+        const removeButton = (type, memberId) => createTableButton("Remove", () => {
+          sendJson("DELETE", `/api/groups/${id}/members/${type}/${memberId}`, null, "Failed to remove member")
+              .then((result) => result && loadGroups());
+        });
+        data.group.users.forEach((user) => {
+          appendTableRow(tbody, ["User", user.name + (user.active ? "" : " (inactive)")], [removeButton("user", user.id)]);
+        });
+        data.group.pins.forEach((pin) => {
+          appendTableRow(tbody, ["PIN", describeCredential(`#${pin.id}`, pin)], [removeButton("pin", pin.id)]);
+        });
+        data.group.cards.forEach((card) => {
+          appendTableRow(tbody, ["Card", describeCredential(`…${card.card_suffix}`, card)], [removeButton("card", card.id)]);
+        });
+        loadGroupMemberCandidates();
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Describes a PIN or card with its label and owner.
+ * @param {string} name - The id or card suffix
+ * @param {Object} credential - The credential with `label` and `user_name`
+ * @returns {string} The description
+ */
+function describeCredential(name, credential) {
+  return name + (credential.label ? ` ${credential.label}` : "") + (credential.user_name ? ` (${credential.user_name})` : "");
+}
+
+/**
+ * Offers the users, PINs or cards, depending on the chosen type, for adding to the selected group.
+ */
+function loadGroupMemberCandidates() {
+  const type = document.getElementById("groupMemberType").value;
+  const sources = {
+    user: { url: "/api/users", key: "users", describe: (user) => user.name },
+    pin: { url: "/api/pins", key: "pins", describe: (pin) => describeCredential(`#${pin.id}`, pin) },
+    card: { url: "/api/cards", key: "cards", describe: (card) => describeCredential(`…${card.card_suffix}`, card) },
+  };
+  const source = sources[type];
+
+  fetch(source.url)
+      .then((response) => response.json())
+      .then((data) => {
+        const select = document.getElementById("groupMemberId");
+        select.innerHTML = "";
+        (data[source.key] || []).forEach((member) => select.add(new Option(source.describe(member), member.id)));
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+document.getElementById("groupMemberType").addEventListener("change", loadGroupMemberCandidates);
+
+// Event listener for add group form submit.
+const addGroupForm = document.getElementById("addGroupForm");
+addGroupForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const scheduleId = document.getElementById("newGroupSchedule").value;
+
+  sendJson("POST", "/api/groups", {
+    name: document.getElementById("newGroupName").value,
+    scheduleId: scheduleId ? Number(scheduleId) : null,
+  }, "Failed to add group (is the name already taken?)")
+      .then((result) => {
+        if (!result) return;
+        addGroupForm.reset();
+        loadSchedules();
+      });
+});
+
+// Event listener for add member form submit on the selected group.
+const addGroupMemberForm = document.getElementById("addGroupMemberForm");
+addGroupMemberForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const type = document.getElementById("groupMemberType").value;
+  const memberId = document.getElementById("groupMemberId").value;
+
+  sendJson("PUT", `/api/groups/${selectedGroupId}/members/${type}/${memberId}`, null, "Failed to add member")
+      .then((result) => result && loadGroups());
+});
+
+// Event listener for add user form submit.
+const addUserForm = document.getElementById("addUserForm");
+addUserForm.addEventListener("submit", function (event) {
   event.preventDefault();
-  const removePin = document.getElementById("removePin").value;
+  const name = document.getElementById("newUserName").value;
+  const department = document.getElementById("newUserDepartment").value;
+
+  sendJson("POST", "/api/users", { name: name, department: department || null }, "Failed to add user")
+      .then((result) => {
+        if (!result) return;
+        addUserForm.reset();
+        loadUsers();
+      });
+});
+
+// Event listener for add PIN form submit on the selected user.
+const addUserPinForm = document.getElementById("addUserPinForm");
+addUserPinForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const pin = document.getElementById("userPin").value;
+  const duress = document.getElementById("userPinDuress").checked;
+  const label = document.getElementById("userPinLabel").value;
+
+  sendJson("POST", `/api/users/${selectedUserId}/pins`, { pin: pin, duress: duress, label: label || null }, "Failed to add PIN")
+      .then((result) => {
+        if (!result) return;
+        addUserPinForm.reset();
+        refreshUsers();
+      });
+});
+
+// Event listener for add card form submit on the selected user.
+const addUserCardForm = document.getElementById("addUserCardForm");
+addUserCardForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const cardId = document.getElementById("userCard").value;
+
+  sendJson("POST", `/api/users/${selectedUserId}/cards`, { cardId: cardId }, "Failed to add card")
+      .then((result) => {
+        if (!result) return;
+        addUserCardForm.reset();
+        refreshUsers();
+      });
+});
+
+/** @type {?number} Interval id of the enrollment status poll. */
+let enrollmentPoll = null;
+
+/**
+ * Fetches all RFID cards and renders them into the card table.
+ */
+function loadCards() {
+  fetch("/api/cards")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.cards) {
+          alert("Failed to load cards");
+          return;
+        }
+        const tbody = document.querySelector("#cardTable tbody");
+        tbody.innerHTML = "";
+        data.cards.forEach((card) => {
+          appendTableRow(tbody, [
+            `…${card.card_suffix}`,
+            card.label || "",
+            card.user_name || "",
+            card.active ? "Yes" : "No",
+            createScheduleSelect(card.schedule_id, (scheduleId) => {
+              sendJson("PUT", `/api/cards/${card.id}`, { scheduleId: scheduleId }, "Failed to update card")
+                  .then((result) => result && refreshUsers());
+            }),
+            createDoorSelect(card.door_ids, (doorIds) => {
+              sendJson("PUT", `/api/cards/${card.id}/doors`, { doorIds: doorIds }, "Failed to change the doors of the card")
+                  .then((result) => result || loadCards());
+            }),
+            card.lockdown_override ? "Opens" : "Blocked",
+          ], [
+            createTableButton(card.lockdown_override ? "Block in Lockdown" : "Allow in Lockdown", () => {
+              sendJson("PUT", `/api/cards/${card.id}`, { lockdownOverride: !card.lockdown_override }, "Failed to change the lockdown override")
+                  .then((result) => result && loadCards());
+            }),
+            createTableButton(card.active ? "Disable" : "Enable", () => {
+              sendJson("PUT", `/api/cards/${card.id}`, { active: !card.active }, "Failed to update card")
+                  .then((result) => result && refreshUsers());
+            }),
+            createTableButton("Delete", () => {
+              if (!confirm(`Delete card …${card.card_suffix}?`)) return;
+              sendJson("DELETE", `/api/cards/${card.id}`, null, "Failed to remove card")
+                  .then((result) => result && refreshUsers());
+            }),
+          ]);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
 
-  fetch("/remove-pin", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ pin: removePin }),
-  })
+/**
+ * Shows the state of the "enroll next swipe" mode and stops polling once it has ended.
+ */
+function checkEnrollment() {
+  fetch("/api/cards/enrollment")
       .then((response) => response.json())
       .then((data) => {
-        if (data.message === "PIN removed successfully") {
-          alert("PIN removed successfully");
-        } else {
-          alert("Failed to remove PIN");
+        const messages = {
+          waiting: "Waiting for a card to be presented to the reader...",
+          captured: "Card enrolled.",
+          duplicate: "That card is already enrolled.",
+          expired: "No card was presented in time.",
+          failed: "Failed to enroll the card.",
+        };
+        document.getElementById("enrollmentStatus").textContent = messages[data.status] || "";
+
+        if (data.status !== "waiting") {
+          clearInterval(enrollmentPoll);
+          enrollmentPoll = null;
+          if (data.status === "captured") {
+            loadCards();
+          }
         }
       })
       .catch((error) => {
         console.error("Error:", error);
       });
+}
+
+// Event listener for enroll card form submit.
+const addCardForm = document.getElementById("addCardForm");
+addCardForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const cardId = document.getElementById("newCardId").value;
+  const label = document.getElementById("newCardLabel").value;
+
+  sendJson("POST", "/api/cards", { cardId: cardId, label: label || null }, "Failed to enroll card")
+      .then((result) => {
+        if (!result) return;
+        addCardForm.reset();
+        loadCards();
+      });
 });
 
-// Event listener for "Go Back" button click.
-const goBackButton = document.getElementById("goBackButton");
-goBackButton.addEventListener("click", function () {
-  window.location.href = "/";
+// Event listener for "Enroll Next Swipe" button click.
+document.getElementById("enrollNextSwipeButton").addEventListener("click", function () {
+  const label = document.getElementById("newCardLabel").value;
+
+  sendJson("POST", "/api/cards/enrollment", { label: label || null }, "Failed to start enrollment")
+      .then((result) => {
+        if (!result) return;
+        checkEnrollment();
+        if (enrollmentPoll === null) {
+          enrollmentPoll = setInterval(checkEnrollment, 2000);
+        }
+      });
 });
 
+/**
+ * Fetches all PINs and renders them into the PIN table.
+ * The server only knows the PINs' hashes, so rows show the id and label instead.
+ */
+function loadPins() {
+  fetch("/api/pins")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.pins) {
+          alert("Failed to load PINs");
+          return;
+        }
+        const tbody = document.querySelector("#pinTable tbody");
+        tbody.innerHTML = "";
+        data.pins.forEach((pin) => {
+          appendTableRow(tbody, [
+            `#${pin.id}`,
+            pin.label || "",
+            pin.user_name || "",
+            (pin.duress ? "Duress" : pin.guest ? "Guest" : "Normal") + (pin.active ? "" : " (disabled)"),
+            pin.created_at ? new Date(pin.created_at).toLocaleString() : "",
+            createDoorSelect(pin.door_ids, (doorIds) => {
+              sendJson("PUT", `/api/pins/${pin.id}/doors`, { doorIds: doorIds }, "Failed to change the doors of the PIN")
+                  .then((result) => result || loadPins());
+            }),
+            pin.lockdown_override ? "Opens" : "Blocked",
+          ], [
+            createTableButton(pin.lockdown_override ? "Block in Lockdown" : "Allow in Lockdown", () => {
+              sendJson("PUT", `/api/pins/${pin.id}/lockdown-override`, { override: !pin.lockdown_override }, "Failed to change the lockdown override")
+                  .then((result) => result && loadPins());
+            }),
+            createTableButton("Remove", () => removePin(pin)),
+          ]);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Asks for confirmation and removes a PIN by its id.
+ * @param {Object} pin - The PIN as listed or looked up by the server
+ */
+function removePin(pin) {
+  const owner = pin.user_name ? ` of ${pin.user_name}` : "";
+  if (!confirm(`Remove PIN #${pin.id}${pin.label ? ` (${pin.label})` : ""}${owner}?`)) return;
+  sendJson("DELETE", `/api/pins/${pin.id}`, null, "Failed to remove PIN")
+      .then((result) => result && refreshUsers());
+}
+
+// Event listener for add PIN form submit.
+const addPinForm = document.getElementById("addPinForm");
+addPinForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const label = document.getElementById("newPinLabel").value;
+
+  sendJson("POST", "/add-pin", { pin: document.getElementById("newPin").value, label: label || null }, "Failed to add PIN")
+      .then((result) => {
+        if (!result) return;
+        addPinForm.reset();
+        loadPins();
+      });
+});
+
+// Event listener for find PIN form submit.
+const findPinForm = document.getElementById("findPinForm");
+findPinForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+
+  sendJson("POST", "/api/pins/lookup", { pin: document.getElementById("findPin").value }, "No PIN matches the one entered")
+      .then((result) => {
+        if (!result) return;
+        findPinForm.reset();
+        removePin(result.pin);
+      });
+});
+
+/**
+ * Fetches all guest PINs and renders them into the guest PIN table.
+ * The codes themselves are only shown when a guest PIN is created.
+ */
+function loadGuestPins() {
+  fetch("/api/guest-pins")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.guestPins) {
+          alert("Failed to load guest PINs");
+          return;
+        }
+        const tbody = document.querySelector("#guestPinTable tbody");
+        tbody.innerHTML = "";
+        data.guestPins.forEach((guest) => {
+          let status = "valid";
+          if (!guest.valid) {
+            status = guest.remaining_uses === 0 ? "used up" : "expired";
+          }
+          appendTableRow(tbody, [
+            guest.label || "",
+            guest.created_at ? new Date(guest.created_at).toLocaleString() : "",
+            guest.max_uses === null ? `${guest.use_count}` : `${guest.use_count} of ${guest.max_uses}`,
+            guest.expires_at ? new Date(guest.expires_at).toLocaleString() : "",
+            status,
+          ], [
+            createTableButton("Revoke", () => {
+              if (!confirm(`Revoke guest PIN ${guest.label}?`)) return;
+              sendJson("DELETE", `/api/guest-pins/${guest.id}`, null, "Failed to revoke guest PIN")
+                  .then((result) => result && loadGuestPins());
+            }),
+          ]);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+// Event listener for create guest PIN form submit.
+const addGuestPinForm = document.getElementById("addGuestPinForm");
+addGuestPinForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const maxUses = document.getElementById("guestPinMaxUses").value;
+  const expiresAt = document.getElementById("guestPinExpiresAt").value;
+  if (!maxUses && !expiresAt) {
+    alert("Set a number of uses, an end date or both");
+    return;
+  }
+
+  sendJson("POST", "/api/guest-pins", {
+    label: document.getElementById("guestPinLabel").value,
+    maxUses: maxUses ? Number(maxUses) : null,
+    // datetime-local values are in local time; the server expects an ISO timestamp
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+  }, "Failed to create guest PIN")
+      .then((result) => {
+        if (!result) return;
+        addGuestPinForm.reset();
+        alert(`Guest PIN created. It is shown only this once:\n\n${result.pin}`);
+        loadGuestPins();
+      });
+});
+
+// Event listener for guest PIN "Refresh" button click.
+document.getElementById("refreshGuestPinsButton").addEventListener("click", function () {
+  loadGuestPins();
+});
+
+
+/** @type {number} Number of events shown per page in the access history table. */
+const EVENTS_PAGE_SIZE = 20;
+
+/** @type {number} Offset of the access history page currently shown. */
+let eventOffset = 0;
+
+/**
+ * Builds the query string for the access history from the filter form.
+ * Dates are expanded to the start and end of the selected local day.
+ * @param {number} offset - Number of events to skip
+ * @returns {string} The encoded query string
+ */
+function buildEventQuery(offset) {
+  const params = new URLSearchParams({ limit: EVENTS_PAGE_SIZE, offset: offset });
+  const from = document.getElementById("eventFrom").value;
+  const to = document.getElementById("eventTo").value;
+  const outcome = document.getElementById("eventOutcome").value;
+  const source = document.getElementById("eventSource").value;
+  const severity = document.getElementById("eventSeverity").value;
+  const door = document.getElementById("eventDoor").value;
+
+  if (from) params.set("from", new Date(from + "T00:00:00").toISOString());
+  if (to) params.set("to", new Date(to + "T23:59:59.999").toISOString());
+  if (outcome) params.set("outcome", outcome);
+  if (source) params.set("source", source);
+  if (severity) params.set("severity", severity);
+  if (door) params.set("door", door);
+
+  return params.toString();
+}
+
+/**
+ * Fetches a page of access events and renders it into the history table.
+ * @param {number} offset - Number of events to skip
+ */
+function loadEvents(offset) {
+  fetch("/api/events?" + buildEventQuery(offset))
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.events) {
+          alert("Failed to load access history");
+          return;
+        }
+        eventOffset = offset;
+
+        const tbody = document.querySelector("#eventTable tbody");
+        tbody.innerHTML = "";
+        data.events.forEach((event) => {
+          appendTableRow(tbody, [
+            new Date(event.timestamp).toLocaleString(),
+            event.source,
+            event.door_name || "",
+            event.action,
+            event.outcome,
+            event.credential_id || "",
+            event.user_name || "",
+            event.actor || "",
+            event.client_ip || "",
+          ]);
+          tbody.lastElementChild.classList.add(`event-${event.severity}`);
+        });
+
+        const lastShown = Math.min(offset + data.events.length, data.total);
+        document.getElementById("eventPageInfo").textContent =
+            data.total === 0 ? "No events" : `${offset + 1}-${lastShown} of ${data.total}`;
+        document.getElementById("prevEventsButton").disabled = offset === 0;
+        document.getElementById("nextEventsButton").disabled = lastShown >= data.total;
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+// Event listener for access history filter form submit.
+const eventFilterForm = document.getElementById("eventFilterForm");
+eventFilterForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  loadEvents(0);
+});
+
+// Event listeners for access history paging.
+document.getElementById("prevEventsButton").addEventListener("click", function () {
+  loadEvents(Math.max(eventOffset - EVENTS_PAGE_SIZE, 0));
+});
+document.getElementById("nextEventsButton").addEventListener("click", function () {
+  loadEvents(eventOffset + EVENTS_PAGE_SIZE);
+});
+
+/**
+ * Renders the keypad clients with failed PIN attempts into the lockout table.
+ * @param {Object[]} lockouts - The lockout entries from the server
+ */
+function showLockouts(lockouts) {
+  const lockedCount = lockouts.filter((lockout) => lockout.locked).length;
+  document.getElementById("keypadStatus").textContent =
+      lockedCount === 0 ? "Keypad: no clients locked out" : `Keypad: ${lockedCount} client(s) locked out`;
+
+  const tbody = document.querySelector("#lockoutTable tbody");
+  tbody.innerHTML = "";
+  lockouts.forEach((lockout) => {
+    appendTableRow(tbody, [
+      lockout.client_ip,
+      lockout.failures,
+      lockout.lockout_count,
+      lockout.locked ? new Date(lockout.locked_until).toLocaleString() : "Not locked",
+      lockout.last_failure_at ? new Date(lockout.last_failure_at).toLocaleString() : "",
+    ], [
+      createTableButton("Clear", () => {
+        sendJson("DELETE", `/api/lockouts/${encodeURIComponent(lockout.client_ip)}`, null, "Failed to clear lockout")
+            .then((result) => result && loadLockouts());
+      }),
+    ]);
+  });
+}
+
+/**
+ * Fetches the keypad clients with failed PIN attempts and renders them into the lockout table.
+ */
+function loadLockouts() {
+  fetch("/api/lockouts")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.lockouts) {
+          alert("Failed to load keypad lockouts");
+          return;
+        }
+        showLockouts(data.lockouts);
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+// Event listener for the lockout refresh button.
+document.getElementById("refreshLockoutsButton").addEventListener("click", function () {
+  loadLockouts();
+});
+
+/**
+ * Fetches all admins and renders them into the admin table.
+ */
+function loadAdmins() {
+  fetch("/api/admins")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.admins) {
+          alert("Failed to load admins");
+          return;
+        }
+        const tbody = document.querySelector("#adminTable tbody");
+        tbody.innerHTML = "";
+        data.admins.forEach((admin) => {
+          const roleSelect = document.createElement("select");
+          ["owner", "manager", "auditor"].forEach((role) => {
+            roleSelect.add(new Option(role, role, false, role === admin.role));
+          });
+          roleSelect.addEventListener("change", function () {
+            sendJson("PUT", `/api/admins/${encodeURIComponent(admin.username)}`, { role: roleSelect.value }, "Failed to change role (the last owner must stay owner)")
+                .then(() => loadAdmins());
+          });
+          appendTableRow(tbody, [admin.username, roleSelect, admin.totp_enabled ? "on" : "off"], [
+            createTableButton("Reset Password", () => {
+              if (!confirm(`Issue a password reset token for ${admin.username}? Their password stays valid until they use it.`)) return;
+              const resetTotp = admin.totp_enabled
+                && confirm(`Also turn off the two-factor authentication of ${admin.username} when they use the token, e.g. because they lost their phone?`);
+              sendJson("POST", `/api/admins/${encodeURIComponent(admin.username)}/password-reset`, { resetTotp: resetTotp }, "Failed to issue password reset token")
+                  .then((result) => {
+                    if (!result) return;
+                    alert(`Give this reset token to ${admin.username}. It is shown only this once and works until ${new Date(result.expiresAt).toLocaleString()}:\n\n${result.token}\n\nThey enter it on the login page with a new password.`);
+                    loadAdmins();
+                  });
+            }),
+            createTableButton("Delete", () => {
+              if (!confirm(`Delete admin ${admin.username}?`)) return;
+              sendJson("POST", "/remove-admin", { username: admin.username }, "Failed to remove admin (the last owner cannot be removed)")
+                  .then((result) => result && loadAdmins());
+            }),
+          ]);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
 // Event listener for add admin form submit.
 const addAdminForm = document.getElementById("addAdminForm");
 addAdminForm.addEventListener("submit", function (event) {
   event.preventDefault();
-  const adminUsername = document.getElementById("newAdmin").value;
-  const adminPassword = document.getElementById("newAdminPassword").value;
+  const payload = {
+    username: document.getElementById("newAdmin").value,
+    password: document.getElementById("newAdminPassword").value,
+    role: document.getElementById("newAdminRole").value,
+  };
+
+  sendJson("POST", "/add-admin", payload, "Failed to add admin", true)
+      .then((result) => {
+        if (!result) return;
+        addAdminForm.reset();
+        loadAdmins();
+      });
+});
 
-  fetch("/add-admin", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ username: adminUsername, password: adminPassword }),
-  })
+/**
+ * Fetches all API tokens and renders them into the token table.
+ * Only the first characters of each token are known after it was issued.
+ */
+function loadTokens() {
+  fetch("/api/tokens")
       .then((response) => response.json())
       .then((data) => {
-        if (data.message === "Admin added successfully") {
-          alert("Admin added successfully");
-        } else {
-          alert("Failed to add admin");
+        if (!data.tokens) {
+          alert("Failed to load API tokens");
+          return;
         }
+        const tbody = document.querySelector("#tokenTable tbody");
+        tbody.innerHTML = "";
+        data.tokens.forEach((token) => {
+          const expired = token.expires_at && new Date(token.expires_at) <= new Date();
+          const buttons = [];
+          if (!token.revoked_at) {
+            buttons.push(createTableButton("Revoke", () => {
+              if (!confirm(`Revoke API token ${token.name}? Integrations using it stop working.`)) return;
+              sendJson("DELETE", `/api/tokens/${token.id}`, null, "Failed to revoke API token")
+                  .then((result) => result && loadTokens());
+            }));
+          }
+          appendTableRow(tbody, [
+            token.name,
+            `${token.token_prefix}…`,
+            token.role,
+            token.created_by,
+            new Date(token.created_at).toLocaleString(),
+            token.expires_at ? new Date(token.expires_at).toLocaleString() : "never",
+            token.last_used_at ? new Date(token.last_used_at).toLocaleString() : "never",
+            token.revoked_at ? "revoked" : expired ? "expired" : "active",
+          ], buttons);
+        });
       })
       .catch((error) => {
         console.error("Error:", error);
       });
+}
+
+// Event listener for issue token form submit.
+const addTokenForm = document.getElementById("addTokenForm");
+addTokenForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const expiresInDays = document.getElementById("tokenExpiresInDays").value;
+
+  sendJson("POST", "/api/tokens", {
+    name: document.getElementById("tokenName").value,
+    role: document.getElementById("tokenRole").value,
+    expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+  }, "Failed to issue API token")
+      .then((result) => {
+        if (!result) return;
+        addTokenForm.reset();
+        alert(`API token issued. It is shown only this once:\n\n${result.token}`);
+        loadTokens();
+      });
 });
 
-// Event listener for remove admin form submit.
-const removeAdminForm = document.getElementById("removeAdminForm");
-removeAdminForm.addEventListener("submit", function (event) {
+/**
+ * Fetches all webhooks and renders them into the webhook table.
+ * The event type checkboxes of the add form are built from the types the server offers.
+ */
+function loadWebhooks() {
+  fetch("/api/webhooks")
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.webhooks) {
+          alert("Failed to load webhooks");
+          return;
+        }
+
+        const eventTypes = document.getElementById("webhookEventTypes");
+        if (eventTypes.children.length === 0) {
+          Object.entries(data.eventTypes).forEach(([type, description]) => {
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.name = "webhookEventType";
+            checkbox.value = type;
+            label.append(checkbox, " " + description);
+            eventTypes.appendChild(label);
+          });
+        }
+
+        const tbody = document.querySelector("#webhookTable tbody");
+        tbody.innerHTML = "";
+        data.webhooks.forEach((webhook) => {
+          const activeCheckbox = document.createElement("input");
+          activeCheckbox.type = "checkbox";
+          activeCheckbox.checked = webhook.active;
+          activeCheckbox.addEventListener("change", function () {
+            sendJson("PUT", `/api/webhooks/${webhook.id}`, { active: activeCheckbox.checked }, "Failed to update webhook")
+                .then(() => loadWebhooks());
+          });
+          appendTableRow(tbody, [webhook.url, webhook.description || "", webhook.event_types.join(", "), activeCheckbox], [
+            createTableButton("Test", () => {
+              sendJson("POST", `/api/webhooks/${webhook.id}/test`, null, "Failed to send test delivery")
+                  .then((result) => result && setTimeout(loadDeliveries, 1000));
+            }),
+            createTableButton("Delete", () => {
+              if (!confirm(`Delete webhook ${webhook.url} and its delivery log?`)) return;
+              sendJson("DELETE", `/api/webhooks/${webhook.id}`, null, "Failed to remove webhook")
+                  .then((result) => {
+                    if (!result) return;
+                    loadWebhooks();
+                    loadDeliveries();
+                  });
+            }),
+          ]);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+/**
+ * Fetches the latest webhook deliveries and renders them into the delivery log.
+ */
+function loadDeliveries() {
+  const params = new URLSearchParams({ limit: 50 });
+  const status = document.getElementById("deliveryStatus").value;
+  if (status) params.set("status", status);
+
+  fetch("/api/webhook-deliveries?" + params.toString())
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.deliveries) {
+          alert("Failed to load webhook deliveries");
+          return;
+        }
+        const tbody = document.querySelector("#deliveryTable tbody");
+        tbody.innerHTML = "";
+        data.deliveries.forEach((delivery) => {
+          const buttons = [];
+          if (delivery.status === "failed") {
+            buttons.push(createTableButton("Retry", () => {
+              sendJson("POST", `/api/webhook-deliveries/${delivery.id}/retry`, null, "Failed to retry delivery")
+                  .then((result) => result && setTimeout(loadDeliveries, 1000));
+            }));
+          }
+          appendTableRow(tbody, [
+            new Date(delivery.created_at).toLocaleString(),
+            delivery.url,
+            delivery.event_type,
+            delivery.status === "pending" && delivery.attempts > 0
+                ? `retry at ${new Date(delivery.next_attempt_at).toLocaleTimeString()}`
+                : delivery.status,
+            delivery.attempts,
+            delivery.response_status || "",
+            delivery.last_error || "",
+          ], buttons);
+        });
+      })
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+}
+
+// Event listener for add webhook form submit.
+const addWebhookForm = document.getElementById("addWebhookForm");
+addWebhookForm.addEventListener("submit", function (event) {
   event.preventDefault();
-  const adminUsername = document.getElementById("removeAdmin").value;
+  const eventTypes = Array.from(document.querySelectorAll("input[name='webhookEventType']:checked"))
+      .map((checkbox) => checkbox.value);
+  if (eventTypes.length === 0) {
+    alert("Select at least one event type");
+    return;
+  }
 
-  fetch("/remove-admin", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ username: adminUsername }),
-  })
+  sendJson("POST", "/api/webhooks", {
+    url: document.getElementById("webhookUrl").value,
+    description: document.getElementById("webhookDescription").value || null,
+    eventTypes: eventTypes,
+  }, "Failed to add webhook")
+      .then((result) => {
+        if (!result) return;
+        addWebhookForm.reset();
+        alert(`Webhook added. Its signing secret is shown only this once:\n\n${result.secret}`);
+        loadWebhooks();
+      });
+});
+
+// Event listeners for the delivery log.
+document.getElementById("deliveryStatus").addEventListener("change", function () {
+  loadDeliveries();
+});
+document.getElementById("refreshDeliveriesButton").addEventListener("click", function () {
+  loadDeliveries();
+});
+
+/**
+ * Fetches the stored database backups and renders them into the backup table.
+ */
+function loadBackups() {
+  fetch("/api/backups")
       .then((response) => response.json())
       .then((data) => {
-        if (data.message === "Admin removed successfully") {
-          alert("Admin removed successfully");
-        } else {
-          alert("Failed to remove admin");
+        if (!data.backups) {
+          alert("Failed to load backups");
+          return;
         }
+        const tbody = document.querySelector("#backupTable tbody");
+        tbody.innerHTML = "";
+        data.backups.forEach((backup) => {
+          const url = `/api/backups/${encodeURIComponent(backup.name)}`;
+          appendTableRow(tbody, [
+            new Date(backup.createdAt).toLocaleString(),
+            backup.name,
+            backup.kind,
+            `${(backup.size / 1024).toFixed(0)} KiB`,
+          ], [
+            createTableButton("Download", () => {
+              window.location.href = url;
+            }),
+            createTableButton("Restore", () => restoreBackup(backup.name)),
+            createTableButton("Delete", () => {
+              if (!confirm(`Delete backup ${backup.name}?`)) return;
+              sendJson("DELETE", url, null, "Failed to delete backup")
+                  .then((result) => result && loadBackups());
+            }),
+          ]);
+        });
       })
       .catch((error) => {
         console.error("Error:", error);
       });
+}
+
+/**
+ * Restores the database from a stored backup after asking for confirmation.
+ * @param {string} name - The backup file name
+ */
+function restoreBackup(name) {
+  if (!confirm(`Replace all users, credentials, admins and history with the backup ${name}? The current state is backed up first.`)) return;
+  sendFile(`/api/backups/${encodeURIComponent(name)}/restore`, null, "application/json", "Failed to restore backup")
+      .then((result) => {
+        if (!result) return;
+        alert(`Database restored. The previous state was saved as ${result.preRestoreBackup}.`);
+        window.location.reload();
+      });
+}
+
+// Event listener for the backup button.
+document.getElementById("createBackupButton").addEventListener("click", function () {
+  sendJson("POST", "/api/backups", null, "Failed to create backup")
+      .then((result) => result && loadBackups());
+});
+
+// Event listener for uploading a database file to restore.
+document.getElementById("uploadBackupButton").addEventListener("click", function () {
+  const file = document.getElementById("restoreFile").files[0];
+  if (!file) {
+    alert("Choose a database file first");
+    return;
+  }
+  sendFile("/api/backups/upload", file, "application/octet-stream", "The file cannot be restored")
+      .then((result) => {
+        if (!result) return;
+        document.getElementById("restoreFile").value = "";
+        loadBackups();
+        restoreBackup(result.name);
+      });
+});
+
+/**
+ * Reads the selected export format as query parameters.
+ * @returns {URLSearchParams}
+ */
+function transferParams() {
+  const [format, type] = document.getElementById("transferFormat").value.split(":");
+  const params = new URLSearchParams({ format: format });
+  if (type) params.set("type", type);
+  return params;
+}
+
+// Event listener for the export button.
+document.getElementById("exportButton").addEventListener("click", function () {
+  window.location.href = "/api/export?" + transferParams().toString();
+});
+
+// Event listener for the import button.
+document.getElementById("importButton").addEventListener("click", function () {
+  const file = document.getElementById("importFile").files[0];
+  if (!file) {
+    alert("Choose an export file first");
+    return;
+  }
+  sendFile("/api/import?" + transferParams().toString(), file, "text/plain", "Failed to import")
+      .then((result) => {
+        if (!result) return;
+        document.getElementById("importFile").value = "";
+        const counts = Object.entries(result.imported)
+            .map(([type, count]) => `${type}: ${count.created} added, ${count.skipped} already present`);
+        alert(`Import complete.\n\n${counts.join("\n")}`);
+        window.location.reload();
+      });
+});
+
+/**
+ * Shows whether the logged in admin uses a second factor and offers to turn it on or off.
+ * @param {boolean} enabled - Whether the second factor is on
+ */
+function showTotpStatus(enabled) {
+  document.getElementById("totpStatus").textContent = enabled
+    ? "On: a code from your authenticator app is required at every login."
+    : "Off: your password alone logs you in.";
+  document.getElementById("startTotpButton").hidden = enabled;
+  document.getElementById("disableTotpForm").hidden = !enabled;
+  document.getElementById("confirmTotpForm").hidden = true;
+}
+
+// Event listener for change password form submit.
+const changePasswordForm = document.getElementById("changePasswordForm");
+changePasswordForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  const newPassword = document.getElementById("newPassword").value;
+  if (newPassword !== document.getElementById("repeatNewPassword").value) {
+    alert("The new passwords do not match");
+    return;
+  }
+
+  sendJson("PUT", "/api/me/password", {
+    currentPassword: document.getElementById("currentPassword").value,
+    newPassword: newPassword,
+  }, "Failed to change password", true)
+      .then((result) => {
+        if (!result) return;
+        changePasswordForm.reset();
+        alert("Password changed. Your other sessions have been logged out.");
+      });
+});
+
+// Event listener for the button that starts the two-factor enrollment.
+document.getElementById("startTotpButton").addEventListener("click", function () {
+  sendJson("POST", "/api/me/totp", null, "Failed to set up two-factor authentication", true)
+      .then((result) => {
+        if (!result) return;
+        document.getElementById("totpQrCode").src = result.qrCode;
+        document.getElementById("totpSecret").textContent = `Key: ${result.secret}`;
+        document.getElementById("startTotpButton").hidden = true;
+        document.getElementById("confirmTotpForm").hidden = false;
+      });
+});
+
+// Event listener for confirm two-factor form submit.
+const confirmTotpForm = document.getElementById("confirmTotpForm");
+confirmTotpForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+
+  sendJson("PUT", "/api/me/totp", { code: document.getElementById("totpConfirmCode").value }, "Failed to turn on two-factor authentication", true)
+      .then((result) => {
+        if (!result) return;
+        confirmTotpForm.reset();
+        document.getElementById("totpQrCode").removeAttribute("src");
+        document.getElementById("totpSecret").textContent = "";
+        showTotpStatus(true);
+      });
+});
+
+// Event listener for disable two-factor form submit.
+const disableTotpForm = document.getElementById("disableTotpForm");
+disableTotpForm.addEventListener("submit", function (event) {
+  event.preventDefault();
+  if (!confirm("Turn off two-factor authentication? Your password alone will log you in.")) return;
+
+  sendJson("DELETE", "/api/me/totp", { password: document.getElementById("disableTotpPassword").value }, "Failed to turn off two-factor authentication", true)
+      .then((result) => {
+        if (!result) return;
+        disableTotpForm.reset();
+        showTotpStatus(false);
+      });
 });
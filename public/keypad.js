@@ -1,9 +1,11 @@
 /**
  * Event listener for DOMContentLoaded event.
- * Initializes the keypad and the admin login button.
+ * Initializes the keypad, the prompt and the admin login button.
  */
 document.addEventListener("DOMContentLoaded", function() {
   initKeypad();
+  updatePrompt();
+  setInterval(updatePrompt, 1000);
   document.getElementById('adminLoginButton').addEventListener('click', function() {
     window.location.href = 'admin_login.html';
   });
@@ -12,6 +14,49 @@ document.addEventListener("DOMContentLoaded", function() {
 /** @type {string} Stores the PIN entered by the user. */
 let pin = "";
 
+/**
+ * @type {?number} The door this keypad belongs to, from `index.html?door=<id>`.
+ * Without it the server uses the main door.
+ */
+const doorId = Number(new URLSearchParams(window.location.search).get("door")) || null;
+
+/** @type {Object<string, string>} Prompt shown for each access policy. */
+const PROMPTS = {
+  either: "Enter your PIN or present your card",
+  pin_only: "Enter your PIN",
+  card_only: "Present your card",
+  card_then_pin: "Present your card, then enter your PIN",
+};
+
+/**
+ * Asks the server which credentials the door accepts and shows the matching prompt
+ * and the name of the door. After a card was accepted under the card-then-PIN
+ * policy, asks for the PIN. A lockdown or passage mode replaces the prompt.
+ */
+async function updatePrompt() {
+  try {
+    const response = await fetch(doorId ? `/keypad-status?door=${doorId}` : '/keypad-status');
+    if (!response.ok) {
+      return;
+    }
+    const status = await response.json();
+    document.getElementById("keypad-title").textContent = status.door.name;
+    const prompt = document.getElementById("keypadPrompt");
+    if (status.mode === "lockdown") {
+      prompt.textContent = "Lockdown in effect. Access is restricted";
+    } else if (status.mode === "passage") {
+      prompt.textContent = `Door open until ${new Date(status.modeUntil).toLocaleString()}`;
+    } else if (status.awaitingPin) {
+      const secondsLeft = Math.max(Math.ceil((new Date(status.pinDueBy) - new Date()) / 1000), 0);
+      prompt.textContent = `Card accepted. Enter your PIN within ${secondsLeft} seconds`;
+    } else {
+      prompt.textContent = PROMPTS[status.policy] || "";
+    }
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
 /**
  * Initializes the keypad by adding buttons.
  */
@@ -68,9 +113,16 @@ async function submitPin() {
     headers: {
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({ pin: pin })
+    body: JSON.stringify(doorId ? { pin: pin, doorId: doorId } : { pin: pin })
   });
 
+  if (response.status === 423) {
+    const lockout = await response.json();
+    alert(lockout.message);
+    clearPin();
+    return;
+  }
+
   if (!response.ok) {
     alert(`Error: ${response.statusText}`);
     return;
@@ -85,4 +137,5 @@ async function submitPin() {
   }
 
   clearPin();
+  updatePrompt();
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Admin roles and the permissions they grant.
+ *
+ * - owner: everything, including managing other admin accounts, webhooks,
+ *   backups, the doors and their access policies
+ * - manager: users, PINs, RFID cards and schedules, unlocking the doors remotely
+ *   and reading the access history
+ * - auditor: reading the access history only
+ */
+
+/**
+ * Permissions granted by each role.
+ * @type {Object<string, string[]>}
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['manage_admins', 'manage_backups', 'manage_credentials', 'manage_doors', 'manage_policy', 'manage_webhooks', 'operate_door', 'view_events'],
+  manager: ['manage_credentials', 'operate_door', 'view_events'],
+  auditor: ['view_events']
+};
+
+/**
+ * The names of all roles.
+ * @type {string[]}
+ */
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * List the permissions of a role.
+ * @param {string} role - The role name
+ * @returns {string[]} The permissions, empty for unknown roles
+ */
+function permissionsOf(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission.
+ * @param {string} role - The role name
+ * @param {string} permission - The permission, e.g. 'manage_credentials'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return permissionsOf(role).includes(permission);
+}
+
+module.exports = { ROLES, permissionsOf, hasPermission };
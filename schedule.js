@@ -0,0 +1,132 @@
+/**
+ * Evaluation of access schedules.
+ *
+ * A schedule restricts when a credential works. It has a weekday mask
+ * (bit 0 = Sunday ... bit 6 = Saturday, as in `Date#getDay`), an optional
+ * daily time window 'HH:MM'-'HH:MM', optional first and last valid dates
+ * 'YYYY-MM-DD' and the IANA timezone all of these are interpreted in.
+ * A time window whose end is before its start runs past midnight; the
+ * hours after midnight count towards the weekday the window started on.
+ */
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Bit mask with every weekday set.
+ * @type {number}
+ */
+const ALL_WEEKDAYS = 0b1111111;
+
+/**
+ * Check whether a string is a timezone known to the runtime.
+ * @param {string} timeZone - The IANA timezone name, e.g. 'Europe/Berlin'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Convert 'HH:MM' into minutes after midnight.
+ * @param {string} time - The time of day
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the local date, weekday and minute of day of an instant in a timezone.
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA timezone name
+ * @returns {{date: string, weekday: number, minutes: number}}
+ */
+function localTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: WEEKDAY_NAMES.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * Check whether a schedule allows access at a given instant.
+ * @param {Object} schedule - The schedule
+ * @param {number} schedule.weekdays - Weekday bit mask
+ * @param {?string} schedule.start_time - Start of the daily window, 'HH:MM'
+ * @param {?string} schedule.end_time - End of the daily window (exclusive), 'HH:MM'
+ * @param {?string} schedule.valid_from - First valid date, 'YYYY-MM-DD'
+ * @param {?string} schedule.valid_until - Last valid date, 'YYYY-MM-DD'
+ * @param {string} schedule.timezone - IANA timezone the schedule is defined in
+ * @param {Date} [date=new Date()] - The instant to check
+ * @returns {boolean} True if access is allowed
+ */
+function isWithinSchedule(schedule, date = new Date()) {
+  const now = localTime(date, schedule.timezone);
+
+  if (schedule.valid_from && now.date < schedule.valid_from) {
+    return false;
+  }
+  if (schedule.valid_until && now.date > schedule.valid_until) {
+    return false;
+  }
+
+  let weekday = now.weekday;
+  if (schedule.start_time && schedule.end_time) {
+    const start = toMinutes(schedule.start_time);
+    const end = toMinutes(schedule.end_time);
+
+    if (start <= end) {
+      if (now.minutes < start || now.minutes >= end) {
+        return false;
+      }
+    } else {
+      if (now.minutes >= end && now.minutes < start) {
+        return false;
+      }
+      if (now.minutes < end) {
+        weekday = (weekday + 6) % 7; // Part of the window that started yesterday
+      }
+    }
+  }
+
+  return (schedule.weekdays & (1 << weekday)) !== 0;
+}
+
+/**
+ * Convert a list of weekday numbers (0 = Sunday) into a bit mask.
+ * @param {number[]} days - The weekdays
+ * @returns {number}
+ */
+function weekdaysToMask(days) {
+  return days.reduce((mask, day) => mask | (1 << day), 0);
+}
+
+/**
+ * Convert a weekday bit mask into a list of weekday numbers (0 = Sunday).
+ * @param {number} mask - The bit mask
+ * @returns {number[]}
+ */
+function maskToWeekdays(mask) {
+  return [0, 1, 2, 3, 4, 5, 6].filter((day) => (mask & (1 << day)) !== 0);
+}
+
+module.exports = { ALL_WEEKDAYS, isValidTimeZone, isWithinSchedule, weekdaysToMask, maskToWeekdays };
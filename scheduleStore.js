@@ -0,0 +1,107 @@
+const { run, get, all } = require('./database');
+const { ALL_WEEKDAYS, weekdaysToMask, maskToWeekdays } = require('./schedule');
+
+/**
+ * Data access for access schedules. A schedule is shared by any number of
+ * PINs and RFID cards through their `schedule_id` column.
+ * Weekdays are stored as a bit mask and exposed as a list of day numbers.
+ */
+class ScheduleStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List all schedules with the number of credentials and access groups using them.
+   * @returns {Promise<Object[]>} The schedules, ordered by name
+   */
+  async list() {
+    const rows = await all(this.db, `
+      SELECT schedules.*,
+             (SELECT COUNT(*) FROM valid_pins WHERE valid_pins.schedule_id = schedules.id)
+             + (SELECT COUNT(*) FROM rfid_cards WHERE rfid_cards.schedule_id = schedules.id)
+             + (SELECT COUNT(*) FROM access_groups WHERE access_groups.schedule_id = schedules.id) AS credential_count
+      FROM schedules
+      ORDER BY name COLLATE NOCASE`);
+    return rows.map(toSchedule);
+  }
+
+  /**
+   * Fetch one schedule.
+   * @param {number} id - The schedule id
+   * @returns {Promise<Object|null>} The schedule, or null if there is none
+   */
+  async get(id) {
+    const row = await get(this.db, 'SELECT * FROM schedules WHERE id = ?', [id]);
+    return row ? toSchedule(row) : null;
+  }
+
+  /**
+   * Create a schedule.
+   * @param {Object} schedule - The schedule fields
+   * @param {string} schedule.name - Display name, e.g. "Cleaning, weekday evenings"
+   * @param {number[]} [schedule.weekdays] - Allowed weekdays (0 = Sunday); all days if omitted
+   * @param {?string} [schedule.startTime] - Start of the daily window, 'HH:MM'
+   * @param {?string} [schedule.endTime] - End of the daily window, 'HH:MM'
+   * @param {?string} [schedule.validFrom] - First valid date, 'YYYY-MM-DD'
+   * @param {?string} [schedule.validUntil] - Last valid date, 'YYYY-MM-DD'
+   * @param {string} schedule.timezone - IANA timezone
+   * @returns {Promise<number>} The id of the new schedule
+   */
+  async create({ name, weekdays, startTime = null, endTime = null, validFrom = null, validUntil = null, timezone }) {
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO schedules(name, weekdays, start_time, end_time, valid_from, valid_until, timezone)
+         VALUES(?, ?, ?, ?, ?, ?, ?)`,
+        [name, weekdays ? weekdaysToMask(weekdays) : ALL_WEEKDAYS, startTime, endTime, validFrom, validUntil, timezone]
+    );
+    return lastID;
+  }
+
+  /**
+   * Replace all fields of a schedule.
+   * @param {number} id - The schedule id
+   * @param {Object} schedule - The schedule fields, as for `create`
+   * @returns {Promise<boolean>} False if the schedule does not exist
+   */
+  async update(id, { name, weekdays, startTime = null, endTime = null, validFrom = null, validUntil = null, timezone }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE schedules SET name = ?, weekdays = ?, start_time = ?, end_time = ?, valid_from = ?, valid_until = ?, timezone = ?
+         WHERE id = ?`,
+        [name, weekdays ? weekdaysToMask(weekdays) : ALL_WEEKDAYS, startTime, endTime, validFrom, validUntil, timezone, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete a schedule that no credential or access group uses.
+   * @param {number} id - The schedule id
+   * @returns {Promise<string>} 'removed', 'not_found' or 'in_use'
+   */
+  async remove(id) {
+    const { count } = await get(this.db, `
+      SELECT (SELECT COUNT(*) FROM valid_pins WHERE schedule_id = ?)
+             + (SELECT COUNT(*) FROM rfid_cards WHERE schedule_id = ?)
+             + (SELECT COUNT(*) FROM access_groups WHERE schedule_id = ?) AS count`, [id, id, id]);
+    if (count > 0) {
+      return 'in_use';
+    }
+    const { changes } = await run(this.db, 'DELETE FROM schedules WHERE id = ?', [id]);
+    return changes > 0 ? 'removed' : 'not_found';
+  }
+}
+
+/**
+ * Convert a database row into a schedule with a list of weekdays.
+ * @param {Object} row - The database row
+ * @returns {Object} The schedule
+ */
+function toSchedule(row) {
+  return { ...row, weekdays: maskToWeekdays(row.weekdays) };
+}
+
+module.exports = ScheduleStore;
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AccessControl = require('../access');
+
+/**
+ * A PinStore stand-in holding one PIN.
+ * @param {Object} row - The PIN row as returned by findByPin
+ * @returns {Object} The store, with `uses` counting recorded uses
+ */
+function fakePinStore(row) {
+  return {
+    uses: 0,
+    async findByPin(pin) {
+      return pin === '1234' ? row : undefined;
+    },
+    async opensDoor() {
+      return true;
+    },
+    async recordUse() {
+      if (row.max_uses !== null && row.use_count + this.uses >= row.max_uses) {
+        return false;
+      }
+      this.uses++;
+      return true;
+    }
+  };
+}
+
+const noGroups = { async forCredential() { return []; } };
+const normalMode = { mode: 'normal' };
+
+describe('AccessControl.checkPin', () => {
+  const guestRow = { id: 7, user_id: null, max_uses: 1, use_count: 0, expires_at: null, duress: 0, schedule_id: null, lockdown_override: 0, pin_active: 1 };
+  const userRow = { id: 8, user_id: 3, user_name: 'Alice', active: 1, max_uses: null, use_count: 0, expires_at: null, duress: 0, schedule_id: null, lockdown_override: 0, pin_active: 1 };
+  let pinStore;
+
+  beforeEach(() => {
+    pinStore = fakePinStore(guestRow);
+  });
+
+  it('denies a guest PIN after a card without using it up', async () => {
+    const access = new AccessControl(pinStore, null, noGroups, normalMode);
+    const result = await access.checkPin('1234', 1, { userId: 3 });
+    assert.equal(result.granted, false);
+    assert.equal(result.reason, 'factor_mismatch');
+    assert.equal(pinStore.uses, 0);
+    assert.equal((await access.checkPin('1234', 1)).granted, true);
+    assert.equal(pinStore.uses, 1);
+  });
+
+  it('denies the PIN of another user', async () => {
+    const access = new AccessControl(fakePinStore(userRow), null, noGroups, normalMode);
+    const result = await access.checkPin('1234', 1, { userId: 4 });
+    assert.deepEqual([result.granted, result.reason], [false, 'factor_mismatch']);
+  });
+
+  it('denies a disabled PIN', async () => {
+    const access = new AccessControl(fakePinStore({ ...userRow, pin_active: 0 }), null, noGroups, normalMode);
+    const result = await access.checkPin('1234', 1);
+    assert.deepEqual([result.granted, result.reason, result.user], [false, 'pin_disabled', { id: 3, name: 'Alice' }]);
+  });
+
+  it('flags a duress PIN, which still opens the door', async () => {
+    const access = new AccessControl(fakePinStore({ ...userRow, duress: 1 }), null, noGroups, normalMode);
+    const result = await access.checkPin('1234', 1);
+    assert.deepEqual([result.granted, result.duress, result.user], [true, true, { id: 3, name: 'Alice' }]);
+  });
+
+  it('never treats a guest PIN as a duress PIN', async () => {
+    const access = new AccessControl(fakePinStore({ ...guestRow, duress: 1 }), null, noGroups, normalMode);
+    assert.equal((await access.checkPin('1234', 1)).duress, false);
+  });
+
+  it('grants the PIN of the card holder', async () => {
+    const access = new AccessControl(fakePinStore(userRow), null, noGroups, normalMode);
+    const result = await access.checkPin('1234', 1, { userId: 3 });
+    assert.deepEqual([result.granted, result.user], [true, { id: 3, name: 'Alice' }]);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { AccessPolicy } = require('../accessPolicy');
+
+describe('AccessPolicy', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new AccessPolicy(null, 1, { policy: 'card_then_pin', pinWindowSeconds: 30 });
+  });
+
+  it('allows the credential types of the policy', () => {
+    assert.equal(new AccessPolicy(null, 1, { policy: 'pin_only' }).allows('card'), false);
+    assert.equal(new AccessPolicy(null, 1, { policy: 'card_only' }).allows('pin'), false);
+    assert.equal(new AccessPolicy(null, 1, { policy: 'unknown' }).policy, 'either');
+    assert.equal(policy.allows('pin') && policy.allows('card'), true);
+  });
+
+  it('keeps a card waiting until it is taken', () => {
+    const card = { user: { id: 3 } };
+    policy.awaitPin(card);
+    assert.equal(policy.waitingCard(), card);
+    assert.equal(policy.waitingCard(), card);
+    assert.equal(policy.status().awaitingPin, true);
+
+    assert.equal(policy.takePendingCard(card), true);
+    assert.equal(policy.takePendingCard(card), false);
+    assert.equal(policy.waitingCard(), null);
+  });
+
+  it('does not take a card that was replaced by a later one', () => {
+    const first = { user: { id: 3 } };
+    const second = { user: { id: 4 } };
+    policy.awaitPin(first);
+    policy.awaitPin(second);
+    assert.equal(policy.takePendingCard(first), false);
+    assert.equal(policy.waitingCard(), second);
+  });
+
+  it('drops a card once its time runs out', () => {
+    const card = { user: { id: 3 } };
+    policy.awaitPin(card);
+    policy.pendingCard.dueBy = new Date(Date.now() - 1000).toISOString();
+    assert.equal(policy.waitingCard(), null);
+    assert.equal(policy.takePendingCard(card), false);
+    assert.equal(policy.status().awaitingPin, false);
+  });
+});
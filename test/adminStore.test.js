@@ -0,0 +1,138 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { run, get } = require('../database');
+const { migrate } = require('../migrations');
+const AdminStore = require('../adminStore');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe('AdminStore', () => {
+  let db;
+  let adminStore;
+
+  before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    adminStore = new AdminStore(db);
+  });
+
+  after(() => new Promise((resolve) => db.close(resolve)));
+
+  beforeEach(async () => {
+    await run(db, 'DELETE FROM admin_users');
+    await adminStore.create('owner1', 'hash-owner1', 'owner');
+    await adminStore.create('alice', 'hash-alice', 'manager');
+  });
+
+  /**
+   * Turn on the second factor of an admin.
+   * @param {string} username - The admin's username
+   * @returns {Promise<void>}
+   */
+  async function enrollTotp(username) {
+    assert.equal(await adminStore.startTotpEnrollment(username, 'SECRET'), true);
+    assert.equal(await adminStore.enableTotp(username, 100), true);
+  }
+
+  describe('owners', () => {
+    it('keeps the last owner from being demoted or removed', async () => {
+      assert.equal(await adminStore.setRole('owner1', 'manager'), 'last_owner');
+      assert.equal(await adminStore.remove('owner1'), 'last_owner');
+      assert.equal(await adminStore.setRole('nobody', 'owner'), 'not_found');
+    });
+
+    it('lets an owner go once another owner exists', async () => {
+      assert.equal(await adminStore.setRole('alice', 'owner'), 'updated');
+      assert.equal(await adminStore.remove('owner1'), 'removed');
+      assert.equal(await adminStore.remove('alice'), 'last_owner');
+    });
+
+    it('refuses a taken username', async () => {
+      assert.equal(await adminStore.create('alice', 'other', 'auditor'), false);
+    });
+  });
+
+  describe('reset tokens', () => {
+    it('sets the password once with a valid token', async () => {
+      const { token } = await adminStore.createResetToken('alice', 30);
+      assert.equal(await adminStore.redeemResetToken('alice', 'wrong', 'new-hash'), false);
+      assert.equal(await adminStore.redeemResetToken('alice', token, 'new-hash'), true);
+      assert.equal(await adminStore.redeemResetToken('alice', token, 'newer-hash'), false);
+      const row = await adminStore.getCredentials('alice');
+      assert.equal(row.password, 'new-hash');
+      assert.ok(row.password_changed_at);
+    });
+
+    it('refuses an expired token', async () => {
+      const { token } = await adminStore.createResetToken('alice', 30);
+      await run(db, "UPDATE admin_users SET reset_expires_at = '2000-01-01T00:00:00.000Z' WHERE username = 'alice'");
+      assert.equal(await adminStore.redeemResetToken('alice', token, 'new-hash'), false);
+    });
+
+    it('replaces an earlier token and is dropped by a password change', async () => {
+      const first = await adminStore.createResetToken('alice', 30);
+      const second = await adminStore.createResetToken('alice', 30);
+      assert.equal(await adminStore.redeemResetToken('alice', first.token, 'new-hash'), false);
+      await adminStore.setPassword('alice', 'changed-hash');
+      assert.equal(await adminStore.redeemResetToken('alice', second.token, 'new-hash'), false);
+    });
+
+    it('keeps the second factor until a token issued with resetTotp is redeemed', async () => {
+      await enrollTotp('alice');
+      const { token } = await adminStore.createResetToken('alice', 30, { resetTotp: true });
+      assert.equal((await adminStore.getCredentials('alice')).totp_enabled, 1);
+
+      assert.equal(await adminStore.redeemResetToken('alice', token, 'new-hash'), true);
+      const row = await adminStore.getCredentials('alice');
+      assert.equal(row.totp_enabled, 0);
+      assert.equal(row.totp_secret, null);
+    });
+
+    it('keeps the second factor if a token issued with resetTotp expires unused', async () => {
+      await enrollTotp('alice');
+      const { token } = await adminStore.createResetToken('alice', 30, { resetTotp: true });
+      await run(db, "UPDATE admin_users SET reset_expires_at = '2000-01-01T00:00:00.000Z' WHERE username = 'alice'");
+      assert.equal(await adminStore.redeemResetToken('alice', token, 'new-hash'), false);
+      assert.equal((await adminStore.getCredentials('alice')).totp_enabled, 1);
+    });
+
+    it('keeps the second factor when a later token is issued without resetTotp', async () => {
+      await enrollTotp('alice');
+      await adminStore.createResetToken('alice', 30, { resetTotp: true });
+      const { token } = await adminStore.createResetToken('alice', 30);
+      assert.equal(await adminStore.redeemResetToken('alice', token, 'new-hash'), true);
+      assert.equal((await adminStore.getCredentials('alice')).totp_enabled, 1);
+    });
+
+    it('stores only the hash of a token', async () => {
+      const { token } = await adminStore.createResetToken('alice', 30);
+      const { reset_token_hash: stored } = await get(db, "SELECT reset_token_hash FROM admin_users WHERE username = 'alice'");
+      assert.notEqual(stored, token);
+      assert.match(stored, /^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('second factor', () => {
+    it('enables the second factor only during an enrollment', async () => {
+      assert.equal(await adminStore.enableTotp('alice', 1), false);
+      await enrollTotp('alice');
+      assert.equal(await adminStore.startTotpEnrollment('alice', 'OTHER'), false);
+    });
+
+    it('accepts each code only once', async () => {
+      await enrollTotp('alice');
+      assert.equal(await adminStore.useTotpStep('alice', 100), false);
+      assert.equal(await adminStore.useTotpStep('alice', 101), true);
+      assert.equal(await adminStore.useTotpStep('alice', 101), false);
+      assert.equal(await adminStore.useTotpStep('alice', 99), false);
+    });
+
+    it('forgets the secret when turned off', async () => {
+      await enrollTotp('alice');
+      assert.equal(await adminStore.disableTotp('alice'), true);
+      const row = await adminStore.getCredentials('alice');
+      assert.deepEqual([row.totp_enabled, row.totp_secret, row.totp_last_step], [0, null, null]);
+    });
+  });
+});
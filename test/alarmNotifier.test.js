@@ -0,0 +1,70 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const AlarmNotifier = require('../alarmNotifier');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('AlarmNotifier against a local hook', () => {
+  let server;
+  let url;
+  let received;
+  let respond;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        respond(res);
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/alarm`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    respond = (res) => res.end();
+  });
+
+  it('posts the alarm with a timestamp as JSON', async () => {
+    const accepted = await new AlarmNotifier(url, silentLogger).notify({ type: 'duress', credentialId: 3, granted: true });
+
+    assert.equal(accepted, true);
+    assert.equal(received[0].headers['content-type'], 'application/json');
+    const alarm = JSON.parse(received[0].body);
+    assert.deepEqual([alarm.type, alarm.credentialId, alarm.granted], ['duress', 3, true]);
+    assert.ok(Math.abs(Date.parse(alarm.timestamp) - Date.now()) < 5000);
+  });
+
+  it('reports a hook that answers with an error without throwing', async () => {
+    respond = (res) => {
+      res.writeHead(500);
+      res.end();
+    };
+    assert.equal(await new AlarmNotifier(url, silentLogger).notify({ type: 'duress' }), false);
+  });
+
+  it('gives up on a hook that does not answer in time', async () => {
+    respond = () => {};
+    assert.equal(await new AlarmNotifier(url, silentLogger, 50).notify({ type: 'duress' }), false);
+  });
+
+  it('only logs alarms without a hook', async () => {
+    const warnings = [];
+    const logger = { ...silentLogger, warn: (message, meta) => warnings.push(meta) };
+    assert.equal(await new AlarmNotifier(null, logger).notify({ type: 'duress' }), false);
+    assert.deepEqual(warnings, [{ alarm_type: 'duress', action: 'alarm', status: 'raised' }]);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const sqlite3 = require('sqlite3');
+const { run, get } = require('../database');
+const { migrate, MIGRATIONS } = require('../migrations');
+const BackupManager = require('../backupManager');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Open a database file, creating it if needed.
+ * @param {string} file - The database file
+ * @returns {Promise<sqlite3.Database>}
+ */
+function open(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+/**
+ * Close a database.
+ * @param {sqlite3.Database} db - The database
+ * @returns {Promise<void>}
+ */
+function close(db) {
+  return new Promise((resolve) => db.close(resolve));
+}
+
+describe('BackupManager', () => {
+  let dir;
+  let db;
+  let backups;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypad-backups-'));
+    db = await open(path.join(dir, 'AccessControl.db'));
+    await migrate(db, silentLogger);
+    await run(db, "INSERT INTO admin_users(username, password) VALUES('alice', 'hash')");
+    backups = new BackupManager(db, silentLogger, { dir: path.join(dir, 'backups'), retain: 2, maxUploadBytes: 1024 * 1024 });
+  });
+
+  afterEach(async () => {
+    await close(db);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restores a backup and saves the replaced state first', async () => {
+    const { name } = await backups.create();
+    await run(db, "INSERT INTO users(name, created_at) VALUES('Bob', '2026-01-01')");
+
+    const result = await backups.restore(name);
+
+    assert.equal(result.valid, true);
+    assert.equal((await get(db, 'SELECT COUNT(*) AS count FROM users')).count, 0);
+    const preRestore = await open(backups.pathOf(result.preRestoreBackup));
+    try {
+      assert.equal((await get(preRestore, 'SELECT name FROM users')).name, 'Bob');
+    } finally {
+      await close(preRestore);
+    }
+    assert.deepEqual((await backups.list()).map((backup) => backup.kind).sort(), ['manual', 'pre-restore']);
+  });
+
+  it('migrates a backup of an older release while restoring it', async () => {
+    const file = path.join(dir, 'old.db');
+    const old = await open(file);
+    await run(old, 'CREATE TABLE admin_users (username TEXT, password TEXT)');
+    await run(old, 'CREATE TABLE valid_pins (pin TEXT)');
+    await run(old, "INSERT INTO admin_users VALUES('carol', 'hash')");
+    await close(old);
+
+    const { name } = await backups.storeUpload(fs.createReadStream(file));
+    const result = await backups.restore(name);
+
+    assert.equal(result.version, MIGRATIONS[MIGRATIONS.length - 1].version);
+    assert.deepEqual(await get(db, 'SELECT username, role FROM admin_users'), { username: 'carol', role: 'owner' });
+  });
+
+  it('refuses to restore a database without admins', async () => {
+    await run(db, 'DELETE FROM admin_users');
+    const { name } = await backups.create();
+    await run(db, "INSERT INTO admin_users(username, password) VALUES('alice', 'hash')");
+
+    assert.deepEqual(await backups.restore(name), { valid: false, reason: 'The file contains no admin accounts' });
+    assert.equal((await get(db, 'SELECT COUNT(*) AS count FROM admin_users')).count, 1);
+  });
+
+  it('refuses files that are not access databases', async () => {
+    const { name } = await backups.storeUpload(Readable.from([Buffer.from('not a database')]));
+    const result = await backups.validate(name);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /not a readable SQLite database/);
+  });
+
+  it('discards uploads over the limit', async () => {
+    const upload = await backups.storeUpload(Readable.from([Buffer.alloc(1024 * 1024), Buffer.alloc(1)]));
+    assert.deepEqual(upload, { size: 1024 * 1024 + 1, tooLarge: true });
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'backups')), []);
+  });
+
+  it('refuses names outside the backup directory', () => {
+    assert.equal(backups.pathOf('../AccessControl.db'), null);
+  });
+
+  it('prunes only the oldest scheduled backups', async () => {
+    fs.mkdirSync(path.join(dir, 'backups'));
+    const names = ['01', '02', '03'].map((day) => `AccessControl-2026-01-${day}T00-00-00-000Z-scheduled.db`)
+        .concat('AccessControl-2026-01-01T00-00-00-000Z-manual.db');
+    for (const name of names) {
+      const file = path.join(dir, 'backups', name);
+      fs.writeFileSync(file, '');
+      const time = new Date(name.slice(14, 24));
+      fs.utimesSync(file, time, time);
+    }
+
+    assert.equal(await backups.prune(), 1);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'backups')).sort(), names.slice(1).sort());
+  });
+});
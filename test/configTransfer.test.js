@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { run, get, all } = require('../database');
+const { migrate } = require('../migrations');
+const { ConfigTransfer } = require('../configTransfer');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const PIN_HMAC = 'a'.repeat(64);
+const CARD_HASH = 'b'.repeat(64);
+const PASSWORD_HASH = `$2b$10$${'c'.repeat(53)}`;
+
+/**
+ * Open and migrate a database file. Imports need a file, as they use a connection of their own.
+ * @param {string} file - The database file
+ * @returns {Promise<sqlite3.Database>}
+ */
+async function openMigrated(file) {
+  const db = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(opened)));
+  });
+  await migrate(db, silentLogger);
+  return db;
+}
+
+/**
+ * Count the rows of a table.
+ * @param {sqlite3.Database} db - The database
+ * @param {string} table - The table
+ * @returns {Promise<number>}
+ */
+async function count(db, table) {
+  return (await get(db, `SELECT COUNT(*) AS count FROM ${table}`)).count;
+}
+
+describe('ConfigTransfer', () => {
+  let dir;
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypad-config-'));
+    source = await openMigrated(path.join(dir, 'source.db'));
+    target = await openMigrated(path.join(dir, 'target.db'));
+
+    await run(source, "INSERT INTO doors(id, name, servo_pin, created_at) VALUES(2, 'Side door', 18, '2026-01-01')");
+    await run(source, "INSERT INTO schedules(id, name, weekdays, start_time, end_time, timezone) VALUES(1, 'Office hours', 31, '08:00', '18:00', 'Europe/Berlin')");
+    await run(source, "INSERT INTO access_groups(id, name, schedule_id, created_at) VALUES(1, 'Staff', 1, '2026-01-01')");
+    await run(source, 'INSERT INTO group_doors VALUES(1, 2)');
+    await run(source, "INSERT INTO users(id, name, department, created_at) VALUES(1, 'Alice', 'IT', '2026-01-01')");
+    await run(source, 'INSERT INTO user_groups VALUES(1, 1)');
+    await run(source, 'INSERT INTO valid_pins(id, pin_hmac, user_id, active) VALUES(1, ?, 1, 0)', [PIN_HMAC]);
+    await run(source, 'INSERT INTO valid_pins(id, pin_hmac, max_uses) VALUES(2, ?, 1)', ['d'.repeat(64)]);
+    await run(source, "INSERT INTO rfid_cards(user_id, card_hash, card_suffix, created_at) VALUES(1, ?, '1234', '2026-01-01')", [CARD_HASH]);
+    await run(source, "INSERT INTO admin_users(username, password, role) VALUES('manager1', ?, 'manager')", [PASSWORD_HASH]);
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => source.close(resolve));
+    await new Promise((resolve) => target.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('imports a JSON export with its links and without guest PINs', async () => {
+    await run(target, "INSERT INTO doors(name, servo_pin, created_at) VALUES('Side door', 18, '2026-01-01')");
+    const doc = await new ConfigTransfer(source, 'key').exportJson();
+
+    const result = await new ConfigTransfer(target, 'key').importJson(JSON.parse(JSON.stringify(doc)));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.imported.pins, { created: 1, skipped: 0 });
+    const pin = await get(target, `
+      SELECT valid_pins.active, users.name AS user_name FROM valid_pins JOIN users ON users.id = valid_pins.user_id
+      WHERE pin_hmac = ?`, [PIN_HMAC]);
+    assert.deepEqual(pin, { active: 0, user_name: 'Alice' });
+    assert.deepEqual(await all(target, `
+      SELECT users.name AS user_name, access_groups.name AS group_name, schedules.name AS schedule_name, doors.name AS door_name
+      FROM user_groups
+      JOIN users ON users.id = user_groups.user_id
+      JOIN access_groups ON access_groups.id = user_groups.group_id
+      JOIN schedules ON schedules.id = access_groups.schedule_id
+      JOIN group_doors ON group_doors.group_id = access_groups.id
+      JOIN doors ON doors.id = group_doors.door_id`), [{ user_name: 'Alice', group_name: 'Staff', schedule_name: 'Office hours', door_name: 'Side door' }]);
+    assert.equal((await get(target, "SELECT role FROM admin_users WHERE username = 'manager1'")).role, 'manager');
+  });
+
+  it('skips entries that already exist when imported twice', async () => {
+    await run(target, "INSERT INTO doors(name, servo_pin, created_at) VALUES('Side door', 18, '2026-01-01')");
+    const doc = await new ConfigTransfer(source, 'key').exportJson();
+    const transfer = new ConfigTransfer(target, 'key');
+    await transfer.importJson(doc);
+
+    const { imported } = await transfer.importJson(doc);
+
+    for (const type of ['schedules', 'groups', 'users', 'pins', 'cards', 'admins']) {
+      assert.deepEqual(imported[type], { created: 0, skipped: 1 }, type);
+    }
+  });
+
+  it('imports nothing if a group is limited to a door missing here', async () => {
+    const doc = await new ConfigTransfer(source, 'key').exportJson();
+
+    const result = await new ConfigTransfer(target, 'key').importJson(doc);
+
+    assert.deepEqual(result, { valid: false, reason: 'Group "Staff" is limited to the door "Side door", which does not exist here' });
+    assert.equal(await count(target, 'schedules'), 0);
+    assert.equal(await count(target, 'users'), 0);
+  });
+
+  it('refuses PINs and cards hashed with another SECRET_KEY', async () => {
+    const doc = await new ConfigTransfer(source, 'key').exportJson();
+    const result = await new ConfigTransfer(target, 'other key').importJson(doc);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /different SECRET_KEY/);
+  });
+
+  it('imports CSV exports in the order of the columns', async () => {
+    await run(target, "INSERT INTO doors(name, servo_pin, created_at) VALUES('Side door', 18, '2026-01-01')");
+    const exporter = new ConfigTransfer(source, 'key');
+    const importer = new ConfigTransfer(target, 'key');
+
+    for (const type of ['schedules', 'groups', 'users', 'pins', 'cards', 'admins']) {
+      const result = await importer.importCsv(type, await exporter.exportCsv(type));
+      assert.equal(result.valid, true, `${type}: ${result.reason}`);
+    }
+
+    assert.deepEqual(await get(target, 'SELECT active, duress FROM valid_pins WHERE pin_hmac = ?', [PIN_HMAC]), { active: 0, duress: 0 });
+    assert.equal(await count(target, 'user_groups'), 1);
+    assert.equal(await count(target, 'rfid_cards'), 1);
+  });
+
+  it('reports the line of a CSV row naming an unknown user', async () => {
+    const csv = `pin_hmac,pin,active,user_name,schedule_name,duress,lockdown_override,door_names,group_names,key_check\r\n${PIN_HMAC},,1,Nobody,,0,0,,,${new ConfigTransfer(target, 'key').keyCheck()}\r\n`;
+    const result = await new ConfigTransfer(target, 'key').importCsv('pins', csv);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /Line 2/);
+    assert.equal(await count(target, 'valid_pins'), 0);
+  });
+});
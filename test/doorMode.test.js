@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const sqlite3 = require('sqlite3');
+const { run } = require('../database');
+const { migrate } = require('../migrations');
+const { DoorMode } = require('../doorMode');
+const AccessControl = require('../access');
+const GroupStore = require('../groupStore');
+const PinStore = require('../pinStore');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('DoorMode', () => {
+  let db;
+  let doorMode;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    doorMode = new DoorMode(db);
+  });
+
+  afterEach(async () => {
+    doorMode.close();
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  it('keeps the mode and who set it across a restart', async () => {
+    await doorMode.set('lockdown', { actor: 'alice' });
+
+    const restarted = new DoorMode(db);
+    const status = await restarted.load();
+
+    assert.deepEqual([status.mode, status.until, status.changedBy], ['lockdown', null, 'alice']);
+  });
+
+  it('announces changes with the previous status', async () => {
+    const changed = once(doorMode, 'change');
+    await doorMode.set('lockdown', { actor: 'alice' });
+    const [status, previous] = await changed;
+    assert.deepEqual([status.mode, previous.mode], ['lockdown', 'normal']);
+  });
+
+  it('ends passage mode at its set time', async () => {
+    const expired = once(doorMode, 'expired');
+    await doorMode.set('passage', { until: new Date(Date.now() + 50).toISOString(), actor: 'alice' });
+    assert.equal(doorMode.mode, 'passage');
+
+    const [status] = await expired;
+
+    assert.deepEqual([status.mode, status.until, status.changedBy], ['normal', null, null]);
+    assert.equal((await new DoorMode(db).load()).mode, 'normal');
+  });
+
+  it('ends passage mode that ran out while the server was down', async () => {
+    await run(db, "INSERT INTO settings(key, value) VALUES('door_mode', ?)",
+        [JSON.stringify({ mode: 'passage', until: '2020-01-01T00:00:00.000Z', changedBy: 'alice' })]);
+    const expired = once(doorMode, 'expired');
+
+    assert.equal((await doorMode.load()).mode, 'passage');
+    assert.equal((await expired)[0].mode, 'normal');
+  });
+
+  it('stops the passage timer when another mode is set', async () => {
+    let expired = 0;
+    doorMode.on('expired', () => expired++);
+    await doorMode.set('passage', { until: new Date(Date.now() + 30).toISOString() });
+    await doorMode.set('lockdown');
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.deepEqual([doorMode.mode, expired], ['lockdown', 0]);
+  });
+
+  it('forgets the end time outside passage mode', async () => {
+    const status = await doorMode.set('lockdown', { until: new Date(Date.now() + 60000).toISOString() });
+    assert.equal(status.until, null);
+  });
+});
+
+describe('AccessControl in lockdown', () => {
+  let db;
+  let doorMode;
+  let pinStore;
+  let access;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    doorMode = new DoorMode(db);
+    pinStore = new PinStore(db, 'test-secret');
+    access = new AccessControl(pinStore, null, new GroupStore(db), doorMode);
+    await pinStore.add('1111');
+    await pinStore.setLockdownOverride(await pinStore.add('2222'), true);
+  });
+
+  afterEach(async () => {
+    doorMode.close();
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  it('denies PINs without the override', async () => {
+    await doorMode.set('lockdown');
+    assert.equal((await access.checkPin('1111', 1)).reason, 'lockdown');
+    assert.equal((await access.checkPin('2222', 1)).granted, true);
+  });
+
+  it('opens for every PIN again once the lockdown ends', async () => {
+    await doorMode.set('lockdown');
+    await doorMode.set('normal');
+    assert.equal((await access.checkPin('1111', 1)).granted, true);
+  });
+
+  it('does not let an override PIN through a door it is not limited to', async () => {
+    await doorMode.set('lockdown');
+    await run(db, "INSERT INTO doors(id, name, servo_pin, created_at) VALUES(2, 'Side door', 18, '2026-01-01')");
+    const { id } = await pinStore.findByPin('2222');
+    await pinStore.setDoors(id, [2]);
+    assert.equal((await access.checkPin('2222', 1)).reason, 'door_not_permitted');
+  });
+});
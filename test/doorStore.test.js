@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../migrations');
+const DoorStore = require('../doorStore');
+const PinStore = require('../pinStore');
+const CardStore = require('../cardStore');
+const GroupStore = require('../groupStore');
+const AccessControl = require('../access');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * The fields of a door with a servo on the given GPIO pin.
+ * @param {string} name - The door name
+ * @param {number} servoPin - The GPIO pin of the servo
+ * @returns {Object} The door, as for DoorStore#create
+ */
+function door(name, servoPin) {
+  return { name, rfidPin: null, servoPin, contactPin: null, alarmPin: null, contactOpenValue: 1, unlockSeconds: 5, heldOpenSeconds: 30 };
+}
+
+describe('DoorStore and door limits', () => {
+  let db;
+  let doorStore;
+  let pinStore;
+  let cardStore;
+  let access;
+  let sideDoor;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    doorStore = new DoorStore(db);
+    pinStore = new PinStore(db, 'test-secret');
+    cardStore = new CardStore(db, 'test-secret');
+    access = new AccessControl(pinStore, cardStore, new GroupStore(db), { mode: 'normal' });
+    sideDoor = await doorStore.create(door('Side door', 18));
+  });
+
+  afterEach(() => new Promise((resolve) => db.close(resolve)));
+
+  it('starts with the main door on the pins it used before', async () => {
+    const [main] = await doorStore.list();
+    assert.deepEqual([main.name, main.rfid_pin, main.servo_pin], ['Main door', 4, 17]);
+  });
+
+  it('finds GPIO pins another door already uses', async () => {
+    assert.deepEqual(await doorStore.pinsInUse([17, 18, 22]), [17, 18]);
+    assert.deepEqual(await doorStore.pinsInUse([18, 22], sideDoor), []);
+  });
+
+  it('finds door ids that belong to no door', async () => {
+    assert.deepEqual(await doorStore.unknownIds([1, sideDoor, 99]), [99]);
+  });
+
+  it('refuses a second door with the same name', async () => {
+    await assert.rejects(doorStore.create(door('Side door', 22)), { code: 'SQLITE_CONSTRAINT' });
+  });
+
+  it('lets credentials without limits open every door', async () => {
+    await pinStore.add('1111');
+    await cardStore.enroll({ key: 'card-1' });
+    for (const doorId of [1, sideDoor]) {
+      assert.equal((await access.checkPin('1111', doorId)).granted, true);
+      assert.equal((await access.checkCard('card-1', doorId)).granted, true);
+    }
+  });
+
+  it('denies credentials at doors they are not limited to', async () => {
+    await pinStore.setDoors(await pinStore.add('1111'), [sideDoor]);
+    await cardStore.setDoors(await cardStore.enroll({ key: 'card-1' }), [sideDoor]);
+
+    assert.equal((await access.checkPin('1111', 1)).reason, 'door_not_permitted');
+    assert.equal((await access.checkCard('card-1', 1)).reason, 'door_not_permitted');
+    assert.equal((await access.checkPin('1111', sideDoor)).granted, true);
+    assert.equal((await access.checkCard('card-1', sideDoor)).granted, true);
+  });
+
+  it('keeps the limit of a credential when its only door is removed', async () => {
+    const pinId = await pinStore.add('1111');
+    await pinStore.setDoors(pinId, [sideDoor]);
+
+    await doorStore.remove(sideDoor);
+
+    assert.deepEqual((await pinStore.get(pinId)).door_ids, [sideDoor]);
+    assert.equal((await access.checkPin('1111', 1)).reason, 'door_not_permitted');
+  });
+
+  it('opens every door again once the limit is cleared', async () => {
+    const pinId = await pinStore.add('1111');
+    await pinStore.setDoors(pinId, [sideDoor]);
+    await pinStore.setDoors(pinId, []);
+    assert.equal((await access.checkPin('1111', 1)).granted, true);
+  });
+});
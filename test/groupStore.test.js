@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { run } = require('../database');
+const { migrate } = require('../migrations');
+const GroupStore = require('../groupStore');
+const PinStore = require('../pinStore');
+const UserStore = require('../userStore');
+const AccessControl = require('../access');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('GroupStore and group access', () => {
+  let db;
+  let groupStore;
+  let pinStore;
+  let access;
+  let userId;
+  let pinId;
+  let sideDoor;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    groupStore = new GroupStore(db);
+    pinStore = new PinStore(db, 'test-secret');
+    access = new AccessControl(pinStore, null, groupStore, { mode: 'normal' });
+    userId = await new UserStore(db).create({ name: 'Alice' });
+    pinId = await pinStore.add('1111', { userId });
+    ({ lastID: sideDoor } = await run(db, "INSERT INTO doors(name, servo_pin, created_at) VALUES('Side door', 18, '2026-01-01')"));
+  });
+
+  afterEach(() => new Promise((resolve) => db.close(resolve)));
+
+  it('applies the groups of the owner to the PIN', async () => {
+    const staff = await groupStore.create({ name: 'Staff' });
+    await groupStore.setDoors(staff, [sideDoor]);
+    assert.equal(await groupStore.addMember(staff, 'user', userId), 'added');
+
+    assert.equal((await access.checkPin('1111', 1)).reason, 'door_not_permitted');
+    assert.equal((await access.checkPin('1111', sideDoor)).granted, true);
+  });
+
+  it('grants a door if any group of the credential allows it', async () => {
+    const staff = await groupStore.create({ name: 'Staff' });
+    await groupStore.setDoors(staff, [sideDoor]);
+    const everywhere = await groupStore.create({ name: 'Everywhere' });
+    await groupStore.addMember(staff, 'pin', pinId);
+    await groupStore.addMember(everywhere, 'user', userId);
+
+    assert.equal((await access.checkPin('1111', 1)).granted, true);
+  });
+
+  it('denies all members of a disabled group, even if another group allows them', async () => {
+    const staff = await groupStore.create({ name: 'Staff' });
+    const cleaning = await groupStore.create({ name: 'Cleaning' });
+    await groupStore.addMember(staff, 'pin', pinId);
+    await groupStore.addMember(cleaning, 'user', userId);
+
+    await groupStore.update(cleaning, { active: false });
+
+    assert.equal((await access.checkPin('1111', 1)).reason, 'group_disabled');
+  });
+
+  it('denies access outside the schedule of the group', async () => {
+    const { lastID: never } = await run(db, "INSERT INTO schedules(name, weekdays, timezone) VALUES('Never', 0, 'UTC')");
+    const staff = await groupStore.create({ name: 'Staff', scheduleId: never });
+    await groupStore.addMember(staff, 'pin', pinId);
+
+    assert.equal((await access.checkPin('1111', 1)).reason, 'outside_schedule');
+    await groupStore.update(staff, { scheduleId: null });
+    assert.equal((await access.checkPin('1111', 1)).granted, true);
+  });
+
+  it('refuses members and groups that do not exist', async () => {
+    const staff = await groupStore.create({ name: 'Staff' });
+    assert.equal(await groupStore.addMember(staff, 'card', 99), 'member_not_found');
+    assert.equal(await groupStore.addMember(99, 'pin', pinId), 'group_not_found');
+  });
+
+  it('removes the memberships of a deleted group', async () => {
+    const staff = await groupStore.create({ name: 'Staff', active: false });
+    await groupStore.addMember(staff, 'pin', pinId);
+
+    await groupStore.remove(staff);
+
+    assert.deepEqual(await groupStore.forCredential('pin', pinId, userId), []);
+    assert.equal((await access.checkPin('1111', 1)).granted, true);
+  });
+});
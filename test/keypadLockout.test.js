@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { run } = require('../database');
+const { migrate } = require('../migrations');
+const KeypadLockout = require('../keypadLockout');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const CLIENT = '192.0.2.1';
+
+describe('KeypadLockout', () => {
+  let db;
+  let lockout;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    lockout = new KeypadLockout(db, { threshold: 3, baseSeconds: 30, maxSeconds: 100 });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  /**
+   * Make the attempts of a client until one starts a lockout.
+   * @returns {Promise<Object>} The lockout the last attempt started
+   */
+  async function failUntilLocked() {
+    for (let i = 1; i < lockout.threshold; i++) {
+      assert.deepEqual(await lockout.beginAttempt(CLIENT), { allowed: true, lockout: null });
+    }
+    const attempt = await lockout.beginAttempt(CLIENT);
+    assert.equal(attempt.allowed, true);
+    return attempt.lockout;
+  }
+
+  /**
+   * Let the current lockout of the client run out.
+   * @returns {Promise<void>}
+   */
+  async function expire() {
+    await run(db, "UPDATE keypad_lockouts SET locked_until = '2020-01-01T00:00:00.000Z' WHERE client_ip = ?", [CLIENT]);
+  }
+
+  it('locks the client out with the attempt reaching the threshold', async () => {
+    const started = await failUntilLocked();
+
+    assert.deepEqual([started.locked, started.retryAfter, started.lockoutCount], [true, 30, 1]);
+    const refused = await lockout.beginAttempt(CLIENT);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.lockout.locked, true);
+    assert.equal((await lockout.status(CLIENT)).locked, true);
+  });
+
+  it('doubles every further lockout up to the maximum', async () => {
+    const durations = [];
+    for (let i = 0; i < 4; i++) {
+      durations.push((await failUntilLocked()).retryAfter);
+      await expire();
+    }
+    assert.deepEqual(durations, [30, 60, 100, 100]);
+  });
+
+  it('starts over after a correct PIN', async () => {
+    await lockout.beginAttempt(CLIENT);
+    await lockout.beginAttempt(CLIENT);
+    await lockout.recordSuccess(CLIENT);
+
+    assert.equal((await failUntilLocked()).retryAfter, 30);
+    const [entry] = await lockout.list();
+    assert.deepEqual([entry.client_ip, entry.failures, entry.lockout_count, entry.locked], [CLIENT, 0, 1, true]);
+  });
+
+  it('lets parallel attempts try no more PINs than the threshold', async () => {
+    const attempts = await Promise.all(Array.from({ length: 10 }, () => lockout.beginAttempt(CLIENT)));
+    assert.equal(attempts.filter((attempt) => attempt.allowed).length, 3);
+  });
+
+  it('lifts a lockout cleared by an admin', async () => {
+    await failUntilLocked();
+    assert.equal(await lockout.clear(CLIENT), true);
+    assert.equal((await lockout.beginAttempt(CLIENT)).allowed, true);
+    assert.equal(await lockout.clear('192.0.2.2'), false);
+  });
+
+  it('counts failures per client', async () => {
+    await failUntilLocked();
+    assert.deepEqual(await lockout.beginAttempt('192.0.2.2'), { allowed: true, lockout: null });
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { run, get, all } = require('../database');
+const { migrate, MIGRATIONS } = require('../migrations');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply the migrations up to a version, as an older release would have.
+ * @param {sqlite3.Database} db - The database
+ * @param {number} version - The last version to apply
+ * @returns {Promise<void>}
+ */
+async function migrateTo(db, version) {
+  await run(db, 'CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, description TEXT NOT NULL, applied_at TEXT NOT NULL)');
+  for (const migration of MIGRATIONS.filter((m) => m.version <= version)) {
+    await migration.up(db);
+    await run(db, 'INSERT INTO schema_migrations(version, description, applied_at) VALUES(?, ?, ?)',
+        [migration.version, migration.description, new Date().toISOString()]);
+  }
+}
+
+describe('migrate', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  it('creates the latest schema and does nothing the second time', async () => {
+    assert.equal(await migrate(db, silentLogger), latest);
+    assert.equal(await migrate(db, silentLogger), latest);
+    const versions = (await all(db, 'SELECT version FROM schema_migrations ORDER BY version')).map((row) => row.version);
+    assert.deepEqual(versions, MIGRATIONS.map((m) => m.version));
+  });
+
+  it('upgrades a database of the first release and keeps its admins and PINs', async () => {
+    await run(db, 'CREATE TABLE admin_users (username TEXT, password TEXT)');
+    await run(db, 'CREATE TABLE valid_pins (pin TEXT)');
+    await run(db, "INSERT INTO admin_users VALUES('alice', 'hash-1'), ('bob', 'hash-2'), ('alice', 'hash-3'), (NULL, 'hash-4')");
+    await run(db, "INSERT INTO valid_pins VALUES('hash-a'), (NULL), ('hash-b')");
+
+    assert.equal(await migrate(db, silentLogger), latest);
+
+    // The oldest row of a duplicated username is the one login used
+    assert.deepEqual(await all(db, 'SELECT username, password, role FROM admin_users ORDER BY username'), [
+      { username: 'alice', password: 'hash-1', role: 'owner' },
+      { username: 'bob', password: 'hash-2', role: 'owner' }
+    ]);
+    // PIN ids keep the rowids the dashboard used
+    assert.deepEqual(await all(db, 'SELECT id, pin, active, use_count, duress, lockdown_override FROM valid_pins ORDER BY id'), [
+      { id: 1, pin: 'hash-a', active: 1, use_count: 0, duress: 0, lockdown_override: 0 },
+      { id: 3, pin: 'hash-b', active: 1, use_count: 0, duress: 0, lockdown_override: 0 }
+    ]);
+    assert.deepEqual(await get(db, 'SELECT name, servo_pin, access_policy FROM doors'), { name: 'Main door', servo_pin: 17, access_policy: 'either' });
+  });
+
+  it('rejects a duplicate admin username after the upgrade', async () => {
+    await run(db, 'CREATE TABLE admin_users (username TEXT, password TEXT)');
+    await migrate(db, silentLogger);
+    await run(db, "INSERT INTO admin_users(username, password) VALUES('alice', 'hash-1')");
+    await assert.rejects(run(db, "INSERT INTO admin_users(username, password) VALUES('alice', 'hash-2')"), { code: 'SQLITE_CONSTRAINT' });
+  });
+
+  it('moves the access policy from the settings to the first door', async () => {
+    await migrateTo(db, 5);
+    await run(db, "INSERT INTO settings VALUES('access_policy', 'card_then_pin'), ('pin_window_seconds', '45')");
+
+    await migrate(db, silentLogger);
+
+    assert.deepEqual(await get(db, 'SELECT access_policy, pin_window_seconds FROM doors'), { access_policy: 'card_then_pin', pin_window_seconds: 45 });
+    assert.equal((await get(db, 'SELECT COUNT(*) AS count FROM settings')).count, 0);
+  });
+
+  it('removes the door and group rows of a deleted PIN', async () => {
+    await migrate(db, silentLogger);
+    await run(db, "INSERT INTO valid_pins(id, pin_hmac) VALUES(1, 'hmac')");
+    await run(db, "INSERT INTO access_groups(id, name, created_at) VALUES(1, 'Staff', '2026-01-01')");
+    await run(db, 'INSERT INTO pin_doors VALUES(1, 1)');
+    await run(db, 'INSERT INTO pin_groups VALUES(1, 1)');
+
+    await run(db, 'DELETE FROM valid_pins WHERE id = 1');
+
+    assert.equal((await get(db, 'SELECT COUNT(*) AS count FROM pin_doors')).count, 0);
+    assert.equal((await get(db, 'SELECT COUNT(*) AS count FROM pin_groups')).count, 0);
+  });
+
+  it('refuses a database from a newer release', async () => {
+    await migrate(db, silentLogger);
+    await run(db, "INSERT INTO schema_migrations VALUES(?, 'From the future', '2030-01-01')", [latest + 1]);
+    await assert.rejects(migrate(db, silentLogger), /newer than the latest version/);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { once } = require('events');
+const net = require('net');
+const mqtt = require('mqtt');
+const MqttBridge = require('../mqttBridge');
+
+const SECRET = 'test-command-secret';
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Sign a command the way senders have to.
+ * @param {Object} command - The command fields
+ * @param {Object} [options] - Overrides for the signing
+ * @param {string} [options.secret=SECRET] - The key of the signature
+ * @param {number} [options.timestamp] - The Unix time of the command, now by default
+ * @param {string} [options.nonce] - The nonce, random by default
+ * @returns {string} The message for the command topic
+ */
+function signedCommand(command, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(8).toString('hex') } = {}) {
+  const payload = JSON.stringify({ ...command, timestamp, nonce });
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+  return JSON.stringify({ payload, signature });
+}
+
+describe('MqttBridge against a local broker', () => {
+  let broker;
+  let server;
+  let url;
+  let bridge;
+  let sender;
+  let results;
+
+  before(async () => {
+    // aedes is an ES module; the broker stands in for mosquitto
+    const { Aedes } = await import('aedes');
+    broker = await Aedes.createBroker();
+    server = net.createServer(broker.handle);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    bridge = new MqttBridge(silentLogger, { url, topicPrefix: 'test', commandSecret: SECRET });
+    bridge.connect();
+    await once(bridge, 'connect');
+
+    sender = mqtt.connect(url);
+    await once(sender, 'connect');
+    await sender.subscribeAsync('test/command/result', { qos: 1 });
+    sender.on('message', (topic, payload) => results.push(JSON.parse(payload.toString())));
+  });
+
+  after(async () => {
+    bridge.close();
+    await sender.endAsync();
+    await new Promise((resolve) => broker.close(resolve));
+    server.close();
+  });
+
+  beforeEach(() => {
+    results = [];
+  });
+
+  /**
+   * Publish a message on the command topic and wait for the bridge to accept or reject it.
+   * @param {string} message - The raw message
+   * @returns {Promise<{event: string, data: Object}>} 'command' or 'rejected', with the event data
+   */
+  async function send(message) {
+    const outcome = Promise.race([
+      once(bridge, 'command').then(([data]) => ({ event: 'command', data })),
+      once(bridge, 'rejected').then(([data]) => ({ event: 'rejected', data }))
+    ]);
+    await sender.publishAsync('test/command', message, { qos: 1 });
+    return outcome;
+  }
+
+  /**
+   * Wait until the bridge published a number of command results.
+   * @param {number} count - The number of results
+   * @returns {Promise<Object[]>} The results
+   */
+  async function waitForResults(count) {
+    for (let i = 0; i < 50 && results.length < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return results;
+  }
+
+  it('publishes its status as online', async () => {
+    const watcher = mqtt.connect(url);
+    await once(watcher, 'connect');
+    const received = once(watcher, 'message');
+    await watcher.subscribeAsync('test/status');
+    const [topic, payload] = await received;
+    assert.equal(topic, 'test/status');
+    assert.equal(payload.toString(), 'online');
+    await watcher.endAsync();
+  });
+
+  it('accepts a signed door command', async () => {
+    const { event, data } = await send(signedCommand({ command: 'unlock', durationSeconds: 10, requestId: 'r1', doorId: 2 }));
+    assert.equal(event, 'command');
+    assert.deepEqual(data, { command: 'unlock', durationSeconds: 10, requestId: 'r1', doorId: 2 });
+  });
+
+  it('accepts lockdown and normal to control the door mode', async () => {
+    assert.equal((await send(signedCommand({ command: 'lockdown', requestId: 'r2' }))).data.command, 'lockdown');
+    assert.equal((await send(signedCommand({ command: 'normal', requestId: 'r3' }))).data.command, 'normal');
+  });
+
+  it('rejects a command signed with another secret and answers on the result topic', async () => {
+    const { event, data } = await send(signedCommand({ command: 'unlock', requestId: 'r4' }, { secret: 'wrong' }));
+    assert.equal(event, 'rejected');
+    assert.deepEqual(data, { requestId: 'r4', reason: 'unauthorized' });
+    assert.deepEqual(await waitForResults(1), [{ requestId: 'r4', success: false, reason: 'unauthorized' }]);
+  });
+
+  it('rejects a command carrying the plain secret instead of a signature', async () => {
+    const { data } = await send(JSON.stringify({ command: 'unlock', secret: SECRET, requestId: 'r5' }));
+    assert.equal(data.reason, 'invalid_json');
+  });
+
+  it('rejects a replayed command', async () => {
+    const message = signedCommand({ command: 'unlock', requestId: 'r6' });
+    assert.equal((await send(message)).event, 'command');
+    const { event, data } = await send(message);
+    assert.equal(event, 'rejected');
+    assert.equal(data.reason, 'replayed');
+  });
+
+  it('rejects a command with an old timestamp', async () => {
+    const { data } = await send(signedCommand({ command: 'unlock', requestId: 'r7' }, { timestamp: Math.floor(Date.now() / 1000) - 120 }));
+    assert.equal(data.reason, 'expired');
+  });
+
+  it('rejects a command without a nonce', async () => {
+    const payload = JSON.stringify({ command: 'unlock', requestId: 'r8', timestamp: Math.floor(Date.now() / 1000) });
+    const signature = `sha256=${crypto.createHmac('sha256', SECRET).update(payload).digest('hex')}`;
+    const { data } = await send(JSON.stringify({ payload, signature }));
+    assert.equal(data.reason, 'invalid_nonce');
+  });
+
+  it('rejects unknown commands and invalid arguments', async () => {
+    assert.equal((await send(signedCommand({ command: 'open_all' }))).data.reason, 'unknown_command');
+    assert.equal((await send(signedCommand({ command: 'unlock', durationSeconds: 0 }))).data.reason, 'invalid_duration');
+    assert.equal((await send(signedCommand({ command: 'lock', doorId: 'main' }))).data.reason, 'invalid_door');
+  });
+
+  it('rejects every command without a configured secret', async () => {
+    const unconfigured = new MqttBridge(silentLogger, { url, topicPrefix: 'test' });
+    const rejected = once(unconfigured, 'rejected');
+    unconfigured.onCommand(Buffer.from(signedCommand({ command: 'unlock', requestId: 'r9' })));
+    assert.deepEqual((await rejected)[0], { requestId: 'r9', reason: 'unauthorized' });
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordPolicy = require('../passwordPolicy');
+
+describe('PasswordPolicy', () => {
+  const policy = new PasswordPolicy();
+
+  it('accepts a long password mixing two kinds of characters', () => {
+    assert.deepEqual(policy.check('correcthorse42'), []);
+  });
+
+  it('lists every problem of a password', () => {
+    assert.deepEqual(policy.check('admin', 'admin'), [
+      'Password must be at least 10 characters long',
+      'Password must mix at least 2 of lowercase letters, uppercase letters, digits, symbols',
+      'Password must not contain the username'
+    ]);
+  });
+
+  it('finds the username regardless of case', () => {
+    assert.deepEqual(policy.check('Manager-Pass-1', 'MANAGER'), ['Password must not contain the username']);
+  });
+
+  it('keeps the number of character classes between one and four', () => {
+    assert.equal(new PasswordPolicy({ minClasses: 9 }).minClasses, 4);
+    assert.equal(new PasswordPolicy({ minClasses: 0 }).minClasses, 1);
+    assert.deepEqual(new PasswordPolicy({ minLength: 4, minClasses: 4 }).check('aB3!'), []);
+  });
+
+  it('checks the username from the body or the session in the validator', () => {
+    const fromBody = policy.validator('username');
+    assert.throws(() => fromBody('alice-secret-1', { req: { body: { username: 'alice' } } }), /must not contain the username/);
+    const fromSession = policy.validator();
+    assert.throws(() => fromSession('bob-secret-12', { req: { body: {}, session: { username: 'bob' } } }), /must not contain the username/);
+    assert.equal(fromSession('correcthorse42', { req: { body: {}, session: { username: 'bob' } } }), true);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const sqlite3 = require('sqlite3');
+const { run, get } = require('../database');
+const { migrate } = require('../migrations');
+const PinStore = require('../pinStore');
+const AccessControl = require('../access');
+const GroupStore = require('../groupStore');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe('PinStore with bcrypt PINs from older versions', () => {
+  let db;
+  let pinStore;
+  let compare;
+
+  before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+  });
+
+  after(() => new Promise((resolve) => db.close(resolve)));
+
+  beforeEach(async () => {
+    await run(db, 'DELETE FROM valid_pins');
+    for (const pin of ['1111', '2222']) {
+      await run(db, 'INSERT INTO valid_pins(pin) VALUES(?)', [await bcrypt.hash(pin, 4)]);
+    }
+    pinStore = new PinStore(db, 'test-secret');
+    compare = mock.method(bcrypt, 'compare');
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('converts a bcrypt PIN when it is entered', async () => {
+    const row = await pinStore.findByPin('2222');
+    assert.ok(row);
+    const stored = await get(db, 'SELECT pin, pin_hmac FROM valid_pins WHERE id = ?', [row.id]);
+    assert.deepEqual(stored, { pin: null, pin_hmac: pinStore.hash('2222') });
+    assert.equal(await pinStore.countLegacy(), 1);
+  });
+
+  it('compares a wrong PIN against the bcrypt rows only once', async () => {
+    assert.equal(await pinStore.findByPin('9999'), undefined);
+    assert.equal(compare.mock.callCount(), 2);
+    assert.equal(await pinStore.findByPin('9999'), undefined);
+    assert.equal(await pinStore.findByPin('9999'), undefined);
+    assert.equal(compare.mock.callCount(), 2);
+  });
+
+  it('keeps remembering wrong PINs while bcrypt rows are converted', async () => {
+    await pinStore.findByPin('9999');
+    assert.ok(await pinStore.findByPin('1111'));
+    const calls = compare.mock.callCount();
+    assert.equal(await pinStore.findByPin('9999'), undefined);
+    assert.equal(compare.mock.callCount(), calls);
+  });
+
+  it('compares again once a bcrypt row is added', async () => {
+    assert.equal(await pinStore.findByPin('3333'), undefined);
+    await run(db, 'INSERT INTO valid_pins(pin) VALUES(?)', [await bcrypt.hash('3333', 4)]);
+    assert.ok(await pinStore.findByPin('3333'));
+  });
+});
+
+describe('PinStore guest PINs', () => {
+  let db;
+  let pinStore;
+  let access;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    pinStore = new PinStore(db, 'test-secret');
+    access = new AccessControl(pinStore, null, new GroupStore(db), { mode: 'normal' });
+  });
+
+  afterEach(() => new Promise((resolve) => db.close(resolve)));
+
+  it('creates a four-digit PIN that opens the door', async () => {
+    const { id, pin } = await pinStore.createGuest({ label: 'Parcel delivery', maxUses: 2 });
+    assert.match(pin, /^\d{4}$/);
+    const result = await access.checkPin(pin, 1);
+    assert.deepEqual([result.granted, result.credentialId, result.guest], [true, id, true]);
+  });
+
+  it('denies a one-time PIN the second time', async () => {
+    const { pin } = await pinStore.createGuest({ label: 'Plumber', maxUses: 1 });
+    assert.equal((await access.checkPin(pin, 1)).granted, true);
+    assert.equal((await access.checkPin(pin, 1)).reason, 'used_up');
+  });
+
+  it('denies a PIN after its expiry', async () => {
+    const { pin } = await pinStore.createGuest({ label: 'Yesterday', expiresAt: '2020-01-01T00:00:00.000Z' });
+    assert.equal((await access.checkPin(pin, 1)).reason, 'expired');
+  });
+
+  it('lists the remaining uses without the codes', async () => {
+    const { id, pin } = await pinStore.createGuest({ label: 'Cleaning', maxUses: 3 });
+    await access.checkPin(pin, 1);
+    const [guest] = await pinStore.listGuests();
+    assert.deepEqual([guest.id, guest.remaining_uses, guest.valid, 'pin' in guest], [id, 2, true, false]);
+  });
+
+  it('purges used up and expired PINs only', async () => {
+    const usedUp = await pinStore.createGuest({ label: 'Used up', maxUses: 1 });
+    await access.checkPin(usedUp.pin, 1);
+    await pinStore.createGuest({ label: 'Expired', expiresAt: '2020-01-01T00:00:00.000Z' });
+    const valid = await pinStore.createGuest({ label: 'Valid', expiresAt: '2099-01-01T00:00:00.000Z' });
+    const permanent = await pinStore.add('1234');
+
+    assert.equal(await pinStore.purgeGuests(), 2);
+    assert.deepEqual((await pinStore.list()).map((pin) => pin.id), [permanent, valid.id]);
+  });
+});
+
+describe('PinStore listing and removing', () => {
+  let db;
+  let pinStore;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    pinStore = new PinStore(db, 'test-secret');
+  });
+
+  afterEach(() => new Promise((resolve) => db.close(resolve)));
+
+  it('lists PINs newest first with their labels and without hashes', async () => {
+    await run(db, 'INSERT INTO valid_pins(pin) VALUES(?)', [await bcrypt.hash('1111', 4)]);
+    const labelled = await pinStore.add('2222', { label: 'Cleaning crew' });
+
+    const pins = await pinStore.list();
+
+    assert.deepEqual(pins.map((pin) => [pin.id, pin.label, pin.legacy]), [[labelled, 'Cleaning crew', false], [1, null, true]]);
+    assert.ok(pins.every((pin) => !('pin' in pin) && !('pin_hmac' in pin)));
+  });
+
+  it('rejects a PIN that is already in use, also as a bcrypt row', async () => {
+    await run(db, 'INSERT INTO valid_pins(pin) VALUES(?)', [await bcrypt.hash('1111', 4)]);
+    await assert.rejects(pinStore.add('1111'), { code: 'SQLITE_CONSTRAINT' });
+    assert.equal((await pinStore.list()).length, 1);
+  });
+
+  it('removes a PIN by its id', async () => {
+    const id = await pinStore.add('1111');
+    assert.equal(await pinStore.remove(id), true);
+    assert.equal(await pinStore.remove(id), false);
+    assert.equal(await pinStore.findByPin('1111'), undefined);
+  });
+
+  it('removes a PIN by entering it, whichever way it is stored', async () => {
+    await run(db, 'INSERT INTO valid_pins(pin) VALUES(?)', [await bcrypt.hash('1111', 4)]);
+    await pinStore.add('2222');
+
+    assert.equal(await pinStore.removeByPin('1111'), true);
+    assert.equal(await pinStore.removeByPin('2222'), true);
+    assert.equal(await pinStore.removeByPin('3333'), false);
+    assert.deepEqual(await pinStore.list(), []);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../migrations');
+const { ROLES, hasPermission } = require('../roles');
+const { createApiV1, createApiErrorHandler } = require('../apiV1');
+const ApiTokenStore = require('../apiTokenStore');
+const AdminStore = require('../adminStore');
+const PasswordPolicy = require('../passwordPolicy');
+const PinStore = require('../pinStore');
+const { DoorMode } = require('../doorMode');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('hasPermission', () => {
+  it('grants managers the credentials and the doors, but no settings', () => {
+    const granted = ['manage_admins', 'manage_backups', 'manage_credentials', 'manage_doors', 'manage_policy', 'manage_webhooks', 'operate_door', 'view_events']
+        .filter((permission) => hasPermission('manager', permission));
+    assert.deepEqual(granted, ['manage_credentials', 'operate_door', 'view_events']);
+  });
+
+  it('grants auditors the access history only', () => {
+    assert.equal(hasPermission('auditor', 'view_events'), true);
+    assert.equal(hasPermission('auditor', 'operate_door'), false);
+  });
+
+  it('grants unknown roles nothing', () => {
+    assert.equal(ROLES.includes('guest'), false);
+    assert.equal(hasPermission('guest', 'view_events'), false);
+  });
+});
+
+describe('API token roles', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let tokens;
+  let apiTokenStore;
+
+  before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    apiTokenStore = new ApiTokenStore(db);
+    tokens = {};
+    for (const role of ROLES) {
+      tokens[role] = (await apiTokenStore.create({ name: role, role, createdBy: 'alice' })).token;
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1', createApiV1({
+      logger: silentLogger,
+      eventLog: { record() {} },
+      apiTokenStore,
+      adminStore: new AdminStore(db),
+      pinStore: new PinStore(db, 'test-secret'),
+      doorMode: new DoorMode(db),
+      passwordPolicy: new PasswordPolicy()
+    }), createApiErrorHandler(silentLogger));
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(async () => {
+    server.close();
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  /**
+   * Send a GET request with a token.
+   * @param {string} path - The path below /api/v1
+   * @param {?string} token - The API token, if any
+   * @returns {Promise<number>} The status of the response
+   */
+  async function statusOf(path, token) {
+    const res = await fetch(`${baseUrl}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    await res.arrayBuffer();
+    return res.status;
+  }
+
+  it('lets every role through only to what its permissions allow', async () => {
+    const expected = {
+      '/pins': { owner: 200, manager: 200, auditor: 403 },
+      '/door-mode': { owner: 200, manager: 200, auditor: 403 },
+      '/admins': { owner: 200, manager: 403, auditor: 403 }
+    };
+    for (const [path, statuses] of Object.entries(expected)) {
+      for (const role of ROLES) {
+        assert.equal(await statusOf(path, tokens[role]), statuses[role], `${role} on ${path}`);
+      }
+    }
+  });
+
+  it('answers 403 in the shared error shape', async () => {
+    const res = await fetch(`${baseUrl}/pins`, { headers: { 'X-API-Key': tokens.auditor } });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error.code, 'forbidden');
+  });
+
+  it('rejects requests without a valid token', async () => {
+    assert.equal(await statusOf('/pins', null), 401);
+    assert.equal(await statusOf('/pins', 'kp_unknown'), 401);
+  });
+
+  it('rejects revoked and expired tokens', async () => {
+    const revoked = await apiTokenStore.create({ name: 'revoked', role: 'owner', createdBy: 'alice' });
+    await apiTokenStore.revoke(revoked.id);
+    const expired = await apiTokenStore.create({ name: 'expired', role: 'owner', createdBy: 'alice', expiresAt: '2020-01-01T00:00:00.000Z' });
+
+    assert.equal(await statusOf('/pins', revoked.token), 401);
+    assert.equal(await statusOf('/pins', expired.token), 401);
+  });
+
+  it('serves the OpenAPI description without a token', async () => {
+    assert.equal(await statusOf('/openapi.json', null), 200);
+  });
+});
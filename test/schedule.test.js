@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { run } = require('../database');
+const { migrate } = require('../migrations');
+const { isValidTimeZone, isWithinSchedule, weekdaysToMask, maskToWeekdays } = require('../schedule');
+const AccessControl = require('../access');
+const GroupStore = require('../groupStore');
+const PinStore = require('../pinStore');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Build a schedule with every weekday and no limits, overridden by the given fields.
+ * @param {Object} fields - The fields to set
+ * @returns {Object} The schedule
+ */
+function schedule(fields) {
+  return { weekdays: 0b1111111, start_time: null, end_time: null, valid_from: null, valid_until: null, timezone: 'Europe/Berlin', ...fields };
+}
+
+describe('isWithinSchedule', () => {
+  // Monday to Friday, 08:00 to 18:00 in Berlin, which is UTC+2 until 25 October 2026
+  const officeHours = schedule({ weekdays: weekdaysToMask([1, 2, 3, 4, 5]), start_time: '08:00', end_time: '18:00' });
+
+  it('allows the daily window in the timezone of the schedule, without its end', () => {
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-19T05:59:00Z')), false);
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-19T06:00:00Z')), true);
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-19T15:59:00Z')), true);
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-19T16:00:00Z')), false);
+  });
+
+  it('denies weekdays outside the mask', () => {
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-24T10:00:00Z')), false);
+  });
+
+  it('follows the change from summer time', () => {
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-26T06:30:00Z')), false);
+    assert.equal(isWithinSchedule(officeHours, new Date('2026-10-26T07:00:00Z')), true);
+  });
+
+  it('counts the hours after midnight towards the day a night window started', () => {
+    const fridayNights = schedule({ weekdays: weekdaysToMask([5]), start_time: '22:00', end_time: '06:00' });
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-23T20:00:00Z')), true);
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-24T02:00:00Z')), true);
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-24T04:00:00Z')), false);
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-23T01:00:00Z')), false);
+  });
+
+  it('compares the valid dates with the local date', () => {
+    const untilMonday = schedule({ valid_until: '2026-10-19', timezone: 'Pacific/Auckland' });
+    assert.equal(isWithinSchedule(untilMonday, new Date('2026-10-19T10:00:00Z')), true);
+    assert.equal(isWithinSchedule(untilMonday, new Date('2026-10-19T12:00:00Z')), false);
+    assert.equal(isWithinSchedule(schedule({ valid_from: '2026-10-20' }), new Date('2026-10-19T21:59:00Z')), false);
+    assert.equal(isWithinSchedule(schedule({ valid_from: '2026-10-20' }), new Date('2026-10-19T22:00:00Z')), true);
+  });
+});
+
+describe('weekday masks', () => {
+  it('converts weekdays to a mask and back', () => {
+    assert.equal(weekdaysToMask([0, 6]), 0b1000001);
+    assert.deepEqual(maskToWeekdays(weekdaysToMask([1, 3, 5])), [1, 3, 5]);
+  });
+
+  it('knows timezones of the runtime only', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  });
+});
+
+describe('AccessControl with schedules', () => {
+  it('denies a PIN outside its schedule', async () => {
+    const db = new sqlite3.Database(':memory:');
+    try {
+      await migrate(db, silentLogger);
+      const { lastID: scheduleId } = await run(db, "INSERT INTO schedules(name, weekdays, timezone) VALUES('Never', 0, 'UTC')");
+      const pinStore = new PinStore(db, 'test-secret');
+      await pinStore.add('1234', { scheduleId });
+      const access = new AccessControl(pinStore, null, new GroupStore(db), { mode: 'normal' });
+
+      assert.equal((await access.checkPin('1234', 1)).reason, 'outside_schedule');
+    } finally {
+      await new Promise((resolve) => db.close(resolve));
+    }
+  });
+});
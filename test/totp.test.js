@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../totp');
+
+// The SHA-1 key of the RFC 6238 test vectors, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('accepts the codes of the RFC 6238 test vectors', () => {
+    assert.equal(totp.verify(RFC_SECRET, '287082', 59 * 1000), 1);
+    assert.equal(totp.verify(RFC_SECRET, '081804', 1111111109 * 1000), 37037036);
+    assert.equal(totp.verify(RFC_SECRET, '050471', 1111111111 * 1000), 37037037);
+  });
+
+  it('accepts the codes of the previous and next step only', () => {
+    const now = 1111111111 * 1000;
+    assert.equal(totp.verify(RFC_SECRET, '081804', now), 37037036);
+    assert.equal(totp.verify(RFC_SECRET, '081804', now + 60 * 1000), null);
+  });
+
+  it('rejects malformed codes', () => {
+    assert.equal(totp.verify(RFC_SECRET, '28708', 59 * 1000), null);
+    assert.equal(totp.verify(RFC_SECRET, '28708a', 59 * 1000), null);
+  });
+
+  it('ignores case, spaces and padding in the secret', () => {
+    assert.equal(totp.verify('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', '287082', 59 * 1000), 1);
+  });
+
+  it('generates 160 bit secrets and an otpauth URI for them', () => {
+    const secret = totp.generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    const uri = new URL(totp.keyUri(secret, 'alice', 'RPI Keypad'));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/RPI Keypad:alice');
+    assert.equal(uri.searchParams.get('secret'), secret);
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
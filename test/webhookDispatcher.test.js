@@ -0,0 +1,127 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../migrations');
+const WebhookStore = require('../webhookStore');
+const { WebhookDispatcher } = require('../webhookDispatcher');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('WebhookDispatcher against a local receiver', () => {
+  let db;
+  let store;
+  let server;
+  let url;
+  let requests;
+  let statuses;
+  let dispatcher;
+  let webhook;
+
+  before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await migrate(db, silentLogger);
+    store = new WebhookStore(db);
+
+    // Answers with the queued statuses in turn, then with 200
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+        res.writeHead(statuses.shift() || 200);
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    server.close();
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  afterEach(async () => {
+    dispatcher.stop();
+    await store.remove(webhook.id);
+  });
+
+  /**
+   * Start a dispatcher with short delays and register a webhook for access events.
+   * @param {number[]} responses - The statuses the receiver answers with before it returns 200
+   * @returns {Promise<{id: number, secret: string}>} The webhook
+   */
+  async function setUp(responses) {
+    requests = [];
+    statuses = [...responses];
+    dispatcher = new WebhookDispatcher(store, silentLogger, { maxAttempts: 3, baseDelayMs: 100, pollMs: 20, timeoutMs: 1000 });
+    dispatcher.start();
+    webhook = await store.create({ url, eventTypes: ['access_granted'] });
+    return webhook;
+  }
+
+  /**
+   * Wait until a delivery is no longer pending.
+   * @param {number} webhookId - The webhook of the delivery
+   * @returns {Promise<Object>} The delivery from the log
+   */
+  async function settled(webhookId) {
+    for (let i = 0; i < 200; i++) {
+      const { deliveries } = await store.listDeliveries({ webhookId });
+      if (deliveries.length > 0 && deliveries[0].status !== 'pending') {
+        return deliveries[0];
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error('The delivery did not settle');
+  }
+
+  it('signs the timestamp and body with the webhook secret', async () => {
+    const { id, secret } = await setUp([]);
+    await dispatcher.dispatch({ id: 1, source: 'keypad', action: 'pin_attempt', outcome: 'granted' });
+    assert.equal((await settled(id)).status, 'delivered');
+
+    const [{ headers, body }] = requests;
+    const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], 'access_granted');
+    assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 5);
+    assert.equal(JSON.parse(body).event.id, 1);
+  });
+
+  it('retries a failed delivery with the same id after the backoff', async () => {
+    const { id } = await setUp([500]);
+    await dispatcher.dispatch({ id: 2, source: 'keypad', action: 'pin_attempt', outcome: 'granted' });
+    const delivery = await settled(id);
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].headers['x-webhook-delivery'], requests[0].headers['x-webhook-delivery']);
+    assert.ok(requests[1].receivedAt - requests[0].receivedAt >= 100);
+  });
+
+  it('doubles the delay between retries and gives up after the last attempt', async () => {
+    const { id } = await setUp([500, 503, 500, 500]);
+    await dispatcher.dispatch({ id: 3, source: 'keypad', action: 'pin_attempt', outcome: 'granted' });
+    const delivery = await settled(id);
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(requests.length, 3);
+    assert.ok(requests[1].receivedAt - requests[0].receivedAt >= 100);
+    assert.ok(requests[2].receivedAt - requests[1].receivedAt >= 200);
+  });
+
+  it('does not deliver events the webhook is not subscribed to', async () => {
+    const { id } = await setUp([]);
+    await dispatcher.dispatch({ id: 4, source: 'keypad', action: 'pin_attempt', outcome: 'denied' });
+    assert.deepEqual((await store.listDeliveries({ webhookId: id })).deliveries, []);
+  });
+});
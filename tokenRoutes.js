@@ -0,0 +1,117 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { ROLES } = require('./roles');
+
+/**
+ * Dashboard routes for the API tokens that integrations use for `/api/v1`.
+ */
+
+/**
+ * Create the router for the API token routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit issued and revoked tokens
+ * @param {ApiTokenStore} deps.apiTokenStore - API tokens
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @returns {express.Router} The router
+ */
+function createTokenRoutes({ logger, eventLog, apiTokenStore, requirePermission }) {
+  const router = express.Router();
+
+  /**
+   * Handle GET requests to list all API tokens. Token values are not included.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/tokens', requirePermission('manage_admins'), async (req, res) => {
+    try {
+      res.json({ tokens: await apiTokenStore.list() });
+    } catch (err) {
+      logger.error(`Failed to list API tokens`, {
+        error_message: err.message,
+        action: 'list_api_tokens',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to issue an API token for `/api/v1`.
+   * The response contains the token, which cannot be read again later.
+   * @param {Request} req - Express request object with name, role and optional expiresInDays in the body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/tokens', requirePermission('manage_admins'), [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+    body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 3650 }).withMessage('expiresInDays must be between 1 and 3650').toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, role, expiresInDays } = req.body;
+    const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null;
+
+    try {
+      const { id, token } = await apiTokenStore.create({ name, role, createdBy: req.session.username, expiresAt });
+      logger.info(`Successfully issued API token`, {
+        token_id: id,
+        role,
+        action: 'add_api_token',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_api_token', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { id, name, role, expiresAt } });
+      res.status(201).json({ message: 'API token issued', id, token, expiresAt });
+    } catch (err) {
+      logger.error(`Failed to issue API token`, {
+        error_message: err.message,
+        action: 'add_api_token',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to revoke an API token. The token stays listed as revoked.
+   * @param {Request} req - Express request object with the token id as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/tokens/:id', requirePermission('manage_admins'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await apiTokenStore.revoke(req.params.id)) {
+        return res.status(404).json({ message: 'No active API token with this id' });
+      }
+      logger.info(`Successfully revoked API token`, {
+        token_id: req.params.id,
+        action: 'revoke_api_token',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'revoke_api_token', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { id: req.params.id } });
+      res.json({ message: 'API token revoked' });
+    } catch (err) {
+      logger.error(`Failed to revoke API token`, {
+        error_message: err.message,
+        action: 'revoke_api_token',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTokenRoutes };
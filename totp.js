@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+ * six digits, a new code every 30 seconds, HMAC-SHA1 over a base32 secret.
+ */
+
+/**
+ * Seconds each code is valid for.
+ * @type {number}
+ */
+const STEP_SECONDS = 30;
+
+/**
+ * The RFC 4648 base32 alphabet used for secrets.
+ * @type {string}
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Create a new random secret.
+ * @returns {string} 160 random bits, base32 encoded
+ */
+function generateSecret() {
+  return toBase32(crypto.randomBytes(20));
+}
+
+/**
+ * Build the URI that authenticator apps read from the enrollment QR code.
+ * @param {string} secret - The base32 secret
+ * @param {string} account - The account name shown in the app, e.g. the username
+ * @param {string} issuer - The service name shown in the app
+ * @returns {string} The otpauth:// URI
+ */
+function keyUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: '6', period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Check a code against a secret. Codes of the previous and next step are
+ * accepted as well, to allow for clock drift.
+ * @param {string} secret - The base32 secret
+ * @param {string} code - The code entered by the admin
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {?number} The time step the code belongs to, or null if it does not match
+ */
+function verify(secret, code, now = Date.now()) {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+  const key = fromBase32(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(key, step)), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute the code of a time step (RFC 4226 dynamic truncation).
+ * @param {Buffer} key - The decoded secret
+ * @param {number} step - The time step
+ * @returns {string} Six digits
+ */
+function codeAt(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 1000000).padStart(6, '0');
+}
+
+/**
+ * Encode bytes as base32 without padding.
+ * @param {Buffer} bytes - The bytes to encode
+ * @returns {string}
+ */
+function toBase32(bytes) {
+  let bits = '';
+  bytes.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return bits.match(/.{1,5}/g).map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding.
+ * @param {string} text - The base32 text
+ * @returns {Buffer}
+ */
+function fromBase32(text) {
+  const bits = text.toUpperCase().replace(/[\s=]/g, '').split('')
+      .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+      .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+}
+
+module.exports = { generateSecret, keyUri, verify };
@@ -0,0 +1,140 @@
+const { run, get, all } = require('./database');
+
+/**
+ * Data access for named users and the PINs and RFID cards they own.
+ * PINs are stored in `valid_pins` (see PinStore) and RFID cards in
+ * `rfid_cards` (see CardStore), both linked through `user_id`.
+ */
+class UserStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List all users with the number of credentials they own.
+   * @returns {Promise<Object[]>} The users, ordered by name
+   */
+  async list() {
+    const rows = await all(this.db, `
+      SELECT users.id, users.name, users.department, users.active, users.created_at,
+             (SELECT COUNT(*) FROM valid_pins WHERE valid_pins.user_id = users.id) AS pin_count,
+             (SELECT COUNT(*) FROM rfid_cards WHERE rfid_cards.user_id = users.id) AS card_count
+      FROM users
+      ORDER BY users.name COLLATE NOCASE`);
+    return rows.map(withActiveFlag);
+  }
+
+  /**
+   * Fetch one user together with their PINs (id, schedule and duress flag) and their cards.
+   * @param {number} id - The user id
+   * @returns {Promise<Object|null>} The user, or null if there is none
+   */
+  async get(id) {
+    const row = await get(this.db, 'SELECT id, name, department, active, created_at FROM users WHERE id = ?', [id]);
+    if (!row) {
+      return null;
+    }
+    const pins = await all(this.db, 'SELECT id, label, created_at, schedule_id, duress FROM valid_pins WHERE user_id = ? ORDER BY id', [id]);
+    const cards = await all(this.db, 'SELECT id, card_suffix, label, active, schedule_id, created_at FROM rfid_cards WHERE user_id = ? ORDER BY id', [id]);
+    return {
+      ...withActiveFlag(row),
+      pins: pins.map((pin) => ({ ...pin, duress: pin.duress === 1 })),
+      cards: cards.map(withActiveFlag)
+    };
+  }
+
+  /**
+   * Create a user.
+   * @param {Object} user - The user fields
+   * @param {string} user.name - Display name
+   * @param {string} [user.department] - Optional department
+   * @param {boolean} [user.active=true] - Whether the user's credentials are accepted
+   * @returns {Promise<number>} The id of the new user
+   */
+  async create({ name, department = null, active = true }) {
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO users(name, department, active, created_at) VALUES(?, ?, ?, ?)',
+        [name, department, active ? 1 : 0, new Date().toISOString()]
+    );
+    return lastID;
+  }
+
+  /**
+   * Update the fields of a user. Fields that are undefined are left unchanged.
+   * @param {number} id - The user id
+   * @param {Object} fields - The fields to change (name, department, active)
+   * @returns {Promise<boolean>} False if the user does not exist
+   */
+  async update(id, { name, department, active }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE users SET
+           name = COALESCE(?, name),
+           department = CASE WHEN ? THEN ? ELSE department END,
+           active = COALESCE(?, active)
+         WHERE id = ?`,
+        [
+          name === undefined ? null : name,
+          department === undefined ? 0 : 1,
+          department === undefined ? null : department,
+          active === undefined ? null : (active ? 1 : 0),
+          id
+        ]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete a user and every credential they own.
+   * @param {number} id - The user id
+   * @returns {Promise<boolean>} False if the user does not exist
+   */
+  async remove(id) {
+    await run(this.db, 'DELETE FROM valid_pins WHERE user_id = ?', [id]);
+    await run(this.db, 'DELETE FROM rfid_cards WHERE user_id = ?', [id]);
+    const { changes } = await run(this.db, 'DELETE FROM users WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * Attach a schedule to one of a user's PINs, or lift it with null.
+   * @param {number} userId - The owning user
+   * @param {number} pinId - The PIN id
+   * @param {?number} scheduleId - The schedule id, or null for unrestricted access
+   * @returns {Promise<boolean>} False if the user has no such PIN
+   */
+  async setPinSchedule(userId, pinId, scheduleId) {
+    const { changes } = await run(
+        this.db,
+        'UPDATE valid_pins SET schedule_id = ? WHERE rowid = ? AND user_id = ?',
+        [scheduleId, pinId, userId]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete one of a user's PINs.
+   * @param {number} userId - The owning user
+   * @param {number} pinId - The PIN id
+   * @returns {Promise<boolean>} False if the user has no such PIN
+   */
+  async removePin(userId, pinId) {
+    const { changes } = await run(this.db, 'DELETE FROM valid_pins WHERE rowid = ? AND user_id = ?', [pinId, userId]);
+    return changes > 0;
+  }
+}
+
+/**
+ * Convert a database row into an object with a boolean `active` flag.
+ * @param {Object} row - The database row of a user or card
+ * @returns {Object} The user or card
+ */
+function withActiveFlag(row) {
+  return { ...row, active: row.active === 1 };
+}
+
+module.exports = UserStore;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+
+/**
+ * Event types webhooks can subscribe to, with a description for the dashboard.
+ * @type {Object<string, string>}
+ */
+const EVENT_TYPES = {
+  access_granted: 'PIN or card accepted',
+  access_denied: 'PIN or card rejected',
+  duress: 'Duress PIN entered',
+  lockout: 'Keypad locked after wrong PINs',
+  door_forced: 'Door forced open',
+  door_held: 'Door held open too long',
+  door_activity: 'Door opened, closed or relocked',
+  admin_login: 'Admin logged in or out',
+  admin_change: 'Admin changed users, credentials, admins, webhooks or the door'
+};
+
+/**
+ * Work out the webhook event type of an access event.
+ * @param {Object} event - The recorded access event
+ * @returns {string} One of the keys of EVENT_TYPES
+ */
+function eventTypeOf(event) {
+  if (event.source === 'admin') {
+    return ['admin_login', 'admin_logout'].includes(event.action) ? 'admin_login' : 'admin_change';
+  }
+  if (event.source === 'door') {
+    return { forced_open: 'door_forced', held_open: 'door_held' }[event.action] || 'door_activity';
+  }
+  if (event.action === 'duress' || event.action === 'lockout') {
+    return event.action;
+  }
+  // A card waiting for its PIN was accepted, although the door stays locked until the PIN follows
+  return ['granted', 'pending'].includes(event.outcome) ? 'access_granted' : 'access_denied';
+}
+
+/**
+ * Sends access events to the registered webhooks.
+ *
+ * Events are first queued in the database and then POSTed by a worker that
+ * polls the queue, so deliveries survive restarts. Every request carries
+ * these headers:
+ * - X-Webhook-Event: the event type
+ * - X-Webhook-Delivery: the delivery id, identical across retries
+ * - X-Webhook-Timestamp: the Unix time of the attempt
+ * - X-Webhook-Signature: `sha256=` and the hex HMAC-SHA256 of `<timestamp>.<body>` under the webhook secret
+ *
+ * Any 2xx response counts as delivered. Otherwise the delivery is retried
+ * with exponential backoff until `maxAttempts` is reached and then marked failed.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {WebhookStore} store - The webhook and delivery store
+   * @param {winston.Logger} logger - Logger used to report failed deliveries
+   * @param {Object} [options] - Delivery settings
+   * @param {number} [options.maxAttempts=8] - Attempts before a delivery is marked failed
+   * @param {number} [options.baseDelayMs=30000] - Delay before the first retry, doubled for each further one
+   * @param {number} [options.maxDelayMs=3600000] - Upper bound for the retry delay
+   * @param {number} [options.timeoutMs=5000] - How long to wait for a response
+   * @param {number} [options.pollMs=5000] - How often the queue is checked for due retries
+   */
+  constructor(store, logger, { maxAttempts = 8, baseDelayMs = 30000, maxDelayMs = 3600000, timeoutMs = 5000, pollMs = 5000 } = {}) {
+    this.store = store;
+    this.logger = logger;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.pollMs = pollMs;
+    this.timer = null;
+    this.processing = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Start sending queued deliveries, including those left over from before a restart.
+   * The poll timer does not keep the process alive; a delivery interrupted by
+   * shutdown is still pending and is sent again after the restart.
+   */
+  start() {
+    this.timer = setInterval(() => this.processQueue(), this.pollMs);
+    this.timer.unref();
+    this.processQueue();
+  }
+
+  /**
+   * Stop sending, e.g. before the database is closed on shutdown.
+   * Deliveries still queued are sent after the next start.
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Queue an access event for every active webhook subscribed to its type.
+   * Failures are logged but never thrown.
+   * @param {Object} event - The recorded access event
+   * @returns {Promise<void>}
+   */
+  async dispatch(event) {
+    const type = eventTypeOf(event);
+    try {
+      const webhookIds = await this.store.subscribersOf(type);
+      for (const webhookId of webhookIds) {
+        await this.store.enqueue(webhookId, type, event.id, { type, event });
+      }
+      if (webhookIds.length > 0) {
+        this.processQueue();
+      }
+    } catch (err) {
+      this.logger.error(`Failed to queue webhook deliveries`, {
+        event_type: type,
+        error_message: err.message,
+        action: 'webhook_delivery',
+        status: 'failure'
+      });
+    }
+  }
+
+  /**
+   * Queue a test delivery to one webhook, regardless of its event types.
+   * @param {number} webhookId - The webhook id
+   * @param {string} actor - The admin who asked for the test
+   * @returns {Promise<number>} The id of the delivery
+   */
+  async sendTest(webhookId, actor) {
+    const id = await this.store.enqueue(webhookId, 'test', null, {
+      type: 'test',
+      event: { timestamp: new Date().toISOString(), actor }
+    });
+    this.processQueue();
+    return id;
+  }
+
+  /**
+   * Send all due deliveries. Only one run happens at a time; a call while
+   * another run is active returns at once, as that run picks up new rows.
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.processing || this.stopped) {
+      return;
+    }
+    this.processing = true;
+    try {
+      let batch;
+      do {
+        batch = await this.store.due();
+        for (const delivery of batch) {
+          if (this.stopped) {
+            return;
+          }
+          await this.deliver(delivery);
+        }
+      } while (batch.length > 0 && !this.stopped);
+    } catch (err) {
+      this.logger.error(`Failed to process the webhook queue`, {
+        error_message: err.message,
+        action: 'webhook_delivery',
+        status: 'failure'
+      });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and store its outcome.
+   * @param {Object} delivery - A due delivery with the webhook's URL and secret
+   * @returns {Promise<void>}
+   */
+  async deliver(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${delivery.payload}`).digest('hex');
+
+    let responseStatus = null;
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signature}`
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        throw new Error(`Webhook responded with status ${response.status}`);
+      }
+      await this.store.recordAttempt(delivery.id, { status: 'delivered', responseStatus, error: null });
+    } catch (err) {
+      const attempts = delivery.attempts + 1;
+      const giveUp = attempts >= this.maxAttempts;
+      const delayMs = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+      this.logger.warn(`Failed to deliver webhook`, {
+        delivery_id: delivery.id,
+        webhook_id: delivery.webhook_id,
+        attempts,
+        error_message: err.message,
+        action: 'webhook_delivery',
+        status: giveUp ? 'failed' : 'retrying'
+      });
+      await this.store.recordAttempt(delivery.id, {
+        status: giveUp ? 'failed' : 'pending',
+        responseStatus,
+        error: err.message,
+        nextAttemptAt: giveUp ? null : new Date(Date.now() + delayMs).toISOString()
+      });
+    }
+  }
+}
+
+module.exports = { WebhookDispatcher, EVENT_TYPES };
@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { EVENT_TYPES } = require('./webhookDispatcher');
+
+/**
+ * Dashboard routes for outbound webhooks and their delivery log.
+ */
+
+/**
+ * Create the router for the webhook routes.
+ * @param {Object} deps - The shared services
+ * @param {winston.Logger} deps.logger - Application logger
+ * @param {EventLog} deps.eventLog - Access history, also used to audit webhook changes
+ * @param {WebhookStore} deps.webhookStore - Webhooks and their delivery queue
+ * @param {WebhookDispatcher} deps.webhookDispatcher - Sends queued deliveries
+ * @param {Function} deps.requirePermission - Creates middleware that checks a permission of the admin's role
+ * @returns {express.Router} The router
+ */
+function createWebhookRoutes({ logger, eventLog, webhookStore, webhookDispatcher, requirePermission }) {
+  const router = express.Router();
+
+  /**
+   * Handle GET requests to list all webhooks and the event types they can subscribe to.
+   * Secrets are not included.
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/webhooks', requirePermission('manage_webhooks'), async (req, res) => {
+    try {
+      res.json({ webhooks: await webhookStore.list(), eventTypes: EVENT_TYPES });
+    } catch (err) {
+      logger.error(`Failed to list webhooks`, {
+        error_message: err.message,
+        action: 'list_webhooks',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to register a webhook.
+   * The response contains the signing secret, which cannot be read again later.
+   * @param {Request} req - Express request object with url, eventTypes and an optional description in the body
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/webhooks', requirePermission('manage_webhooks'), [
+    body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be an http or https URL'),
+    body('eventTypes').isArray({ min: 1 }).withMessage('Select at least one event type'),
+    body('eventTypes.*').isIn(Object.keys(EVENT_TYPES)).withMessage('Unknown event type'),
+    body('description').optional({ values: 'null' }).isString().trim(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { url, eventTypes, description } = req.body;
+
+    try {
+      const { id, secret } = await webhookStore.create({ url, eventTypes, description: description || null });
+      logger.info(`Successfully added webhook`, {
+        webhook_id: id,
+        action: 'add_webhook',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'add_webhook', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { id, url, eventTypes } });
+      res.status(201).json({ message: 'Webhook added successfully', id, secret });
+    } catch (err) {
+      logger.error(`Failed to add webhook`, {
+        error_message: err.message,
+        action: 'add_webhook',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle PUT requests to update a webhook, e.g. to change its event types or disable it.
+   * Deliveries to a disabled webhook stay queued until it is enabled again.
+   * @param {Request} req - Express request object with the webhook id as route parameter and url, eventTypes, description or active in the body
+   * @param {Response} res - Express response object
+   */
+  router.put('/api/webhooks/:id', requirePermission('manage_webhooks'), [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be an http or https URL'),
+    body('eventTypes').optional().isArray({ min: 1 }).withMessage('Select at least one event type'),
+    body('eventTypes.*').isIn(Object.keys(EVENT_TYPES)).withMessage('Unknown event type'),
+    body('description').optional({ values: 'null' }).isString().trim(),
+    body('active').optional().isBoolean().toBoolean(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { url, eventTypes, description, active } = req.body;
+
+    try {
+      if (!await webhookStore.update(req.params.id, { url, eventTypes, description, active })) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+      logger.info(`Successfully updated webhook`, {
+        webhook_id: req.params.id,
+        action: 'update_webhook',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'update_webhook', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { id: req.params.id, url, eventTypes, active } });
+      if (active) {
+        webhookDispatcher.processQueue();
+      }
+      res.json({ message: 'Webhook updated successfully' });
+    } catch (err) {
+      logger.error(`Failed to update webhook`, {
+        error_message: err.message,
+        action: 'update_webhook',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle DELETE requests to remove a webhook together with its deliveries.
+   * @param {Request} req - Express request object with the webhook id as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.delete('/api/webhooks/:id', requirePermission('manage_webhooks'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await webhookStore.remove(req.params.id)) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+      logger.info(`Successfully removed webhook`, {
+        webhook_id: req.params.id,
+        action: 'remove_webhook',
+        status: 'success'
+      });
+      eventLog.record({ source: 'admin', action: 'remove_webhook', outcome: 'success', actor: req.session.username, clientIp: req.ip, details: { id: req.params.id } });
+      res.json({ message: 'Webhook removed successfully' });
+    } catch (err) {
+      logger.error(`Failed to remove webhook`, {
+        error_message: err.message,
+        action: 'remove_webhook',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to send a test delivery to a webhook.
+   * The delivery is queued like any other; its outcome shows up in the delivery log.
+   * @param {Request} req - Express request object with the webhook id as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/webhooks/:id/test', requirePermission('manage_webhooks'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await webhookStore.get(req.params.id)) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+      const deliveryId = await webhookDispatcher.sendTest(req.params.id, req.session.username);
+      res.status(202).json({ message: 'Test delivery queued', deliveryId });
+    } catch (err) {
+      logger.error(`Failed to queue test delivery`, {
+        error_message: err.message,
+        action: 'test_webhook',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle GET requests to query the webhook delivery log.
+   * Supports filtering by webhook and status, and paging via limit and offset.
+   * @param {Request} req - Express request object with optional webhookId, status, limit and offset query parameters
+   * @param {Response} res - Express response object
+   */
+  router.get('/api/webhook-deliveries', requirePermission('manage_webhooks'), [
+    query('webhookId').optional().isInt({ min: 1 }).toInt(),
+    query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('Unknown delivery status'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { webhookId, status, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const { deliveries, total } = await webhookStore.listDeliveries({ webhookId, status, limit, offset });
+      res.json({ deliveries, total, limit, offset });
+    } catch (err) {
+      logger.error(`Failed to query webhook deliveries`, {
+        error_message: err.message,
+        action: 'query_webhook_deliveries',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+
+  /**
+   * Handle POST requests to queue a failed webhook delivery again.
+   * @param {Request} req - Express request object with the delivery id as route parameter
+   * @param {Response} res - Express response object
+   */
+  router.post('/api/webhook-deliveries/:id/retry', requirePermission('manage_webhooks'), [
+    param('id').isInt({ min: 1 }).toInt(),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!await webhookStore.retry(req.params.id)) {
+        return res.status(404).json({ message: 'No failed delivery with this id' });
+      }
+      webhookDispatcher.processQueue();
+      res.status(202).json({ message: 'Delivery queued again' });
+    } catch (err) {
+      logger.error(`Failed to retry webhook delivery`, {
+        error_message: err.message,
+        action: 'retry_webhook_delivery',
+        status: 'failure'
+      });
+      res.status(500).json({ message: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRoutes };
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { run, get, all } = require('./database');
+
+/**
+ * Data access for outbound webhooks and their delivery queue.
+ *
+ * Each webhook has a URL, a signing secret generated on creation and the
+ * event types it subscribes to. Deliveries are queued in `webhook_deliveries`
+ * before they are sent, so pending retries survive a restart, and the rows
+ * stay afterwards as the delivery log.
+ */
+class WebhookStore {
+  /**
+   * @param {sqlite3.Database} db - The open database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List all webhooks without their secrets.
+   * @returns {Promise<Object[]>} The webhooks, newest first
+   */
+  async list() {
+    const rows = await all(this.db, `
+      SELECT id, url, description, event_types, active, created_at
+      FROM webhooks
+      ORDER BY id DESC`);
+    return rows.map(toWebhook);
+  }
+
+  /**
+   * Fetch one webhook without its secret.
+   * @param {number} id - The webhook id
+   * @returns {Promise<Object|null>} The webhook, or null if there is none
+   */
+  async get(id) {
+    const row = await get(this.db, 'SELECT id, url, description, event_types, active, created_at FROM webhooks WHERE id = ?', [id]);
+    return row ? toWebhook(row) : null;
+  }
+
+  /**
+   * Register a webhook with a newly generated signing secret.
+   * @param {Object} webhook - The webhook fields
+   * @param {string} webhook.url - The URL deliveries are POSTed to
+   * @param {string[]} webhook.eventTypes - The event types to deliver
+   * @param {string} [webhook.description] - Optional note, e.g. "Ops chat"
+   * @returns {Promise<{id: number, secret: string}>} The new id and the secret, which is not returned again
+   */
+  async create({ url, eventTypes, description = null }) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const { lastID } = await run(
+        this.db,
+        'INSERT INTO webhooks(url, secret, description, event_types, active, created_at) VALUES(?, ?, ?, ?, 1, ?)',
+        [url, secret, description, JSON.stringify(eventTypes), new Date().toISOString()]
+    );
+    return { id: lastID, secret };
+  }
+
+  /**
+   * Update a webhook. Fields that are undefined are left unchanged.
+   * @param {number} id - The webhook id
+   * @param {Object} fields - The fields to change (url, description, eventTypes, active)
+   * @returns {Promise<boolean>} False if the webhook does not exist
+   */
+  async update(id, { url, description, eventTypes, active }) {
+    const { changes } = await run(
+        this.db,
+        `UPDATE webhooks SET
+           url = COALESCE(?, url),
+           description = CASE WHEN ? THEN ? ELSE description END,
+           event_types = COALESCE(?, event_types),
+           active = COALESCE(?, active)
+         WHERE id = ?`,
+        [
+          url === undefined ? null : url,
+          description === undefined ? 0 : 1,
+          description === undefined ? null : description,
+          eventTypes === undefined ? null : JSON.stringify(eventTypes),
+          active === undefined ? null : (active ? 1 : 0),
+          id
+        ]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete a webhook together with its queued and logged deliveries.
+   * @param {number} id - The webhook id
+   * @returns {Promise<boolean>} False if the webhook does not exist
+   */
+  async remove(id) {
+    await run(this.db, 'DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+    const { changes } = await run(this.db, 'DELETE FROM webhooks WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * List the ids of the active webhooks subscribed to an event type.
+   * @param {string} eventType - The event type
+   * @returns {Promise<number[]>}
+   */
+  async subscribersOf(eventType) {
+    const rows = await all(this.db, 'SELECT id, event_types FROM webhooks WHERE active = 1');
+    return rows.filter((row) => JSON.parse(row.event_types).includes(eventType)).map((row) => row.id);
+  }
+
+  /**
+   * Queue a delivery for immediate sending.
+   * @param {number} webhookId - The receiving webhook
+   * @param {string} eventType - The event type
+   * @param {?number} eventId - The access event being delivered, null for test deliveries
+   * @param {Object} payload - The JSON body to send
+   * @returns {Promise<number>} The id of the delivery
+   */
+  async enqueue(webhookId, eventType, eventId, payload) {
+    const now = new Date().toISOString();
+    const { lastID } = await run(
+        this.db,
+        `INSERT INTO webhook_deliveries(webhook_id, event_type, event_id, payload, status, attempts, next_attempt_at, created_at)
+         VALUES(?, ?, ?, ?, 'pending', 0, ?, ?)`,
+        [webhookId, eventType, eventId, JSON.stringify(payload), now, now]
+    );
+    return lastID;
+  }
+
+  /**
+   * Fetch pending deliveries of active webhooks whose next attempt is due,
+   * together with the URL and secret to send them with.
+   * @param {number} [limit=20] - Maximum number of deliveries
+   * @returns {Promise<Object[]>} The deliveries, oldest due first
+   */
+  async due(limit = 20) {
+    return all(this.db, `
+      SELECT webhook_deliveries.id, webhook_deliveries.webhook_id, webhook_deliveries.event_type,
+             webhook_deliveries.payload, webhook_deliveries.attempts, webhooks.url, webhooks.secret
+      FROM webhook_deliveries
+      JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+      WHERE webhook_deliveries.status = 'pending' AND webhooks.active = 1
+        AND webhook_deliveries.next_attempt_at <= ?
+      ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+      LIMIT ?`, [new Date().toISOString(), limit]);
+  }
+
+  /**
+   * Store the outcome of a delivery attempt.
+   * @param {number} id - The delivery id
+   * @param {Object} attempt - The outcome
+   * @param {string} attempt.status - 'delivered', 'pending' to retry at `nextAttemptAt`, or 'failed' to give up
+   * @param {?number} attempt.responseStatus - The HTTP status of the response, null if there was none
+   * @param {?string} attempt.error - Why the attempt failed, null on success
+   * @param {?string} [attempt.nextAttemptAt] - ISO timestamp of the next attempt when retrying
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(id, { status, responseStatus, error, nextAttemptAt = null }) {
+    const now = new Date().toISOString();
+    await run(
+        this.db,
+        `UPDATE webhook_deliveries SET
+           status = ?, attempts = attempts + 1, last_attempt_at = ?, response_status = ?, last_error = ?,
+           next_attempt_at = COALESCE(?, next_attempt_at), delivered_at = ?
+         WHERE id = ?`,
+        [status, now, responseStatus, error, nextAttemptAt, status === 'delivered' ? now : null, id]
+    );
+  }
+
+  /**
+   * Queue a failed delivery again, starting over with the retries.
+   * @param {number} id - The delivery id
+   * @returns {Promise<boolean>} False if there is no failed delivery with that id
+   */
+  async retry(id) {
+    const { changes } = await run(
+        this.db,
+        "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = 'failed'",
+        [new Date().toISOString(), id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Query the delivery log, newest first.
+   * @param {Object} [filters] - Optional filters
+   * @param {number} [filters.webhookId] - Only deliveries to this webhook
+   * @param {string} [filters.status] - Only deliveries in this state
+   * @param {number} [filters.limit=50] - Page size
+   * @param {number} [filters.offset=0] - Number of deliveries to skip
+   * @returns {Promise<{deliveries: Object[], total: number}>} One page of deliveries and the total number of matches
+   */
+  async listDeliveries({ webhookId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (webhookId) {
+      conditions.push('webhook_deliveries.webhook_id = ?');
+      params.push(webhookId);
+    }
+    if (status) {
+      conditions.push('webhook_deliveries.status = ?');
+      params.push(status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = await get(this.db, `SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+    const deliveries = await all(
+        this.db,
+        `SELECT webhook_deliveries.id, webhook_deliveries.webhook_id, webhooks.url, webhook_deliveries.event_type,
+                webhook_deliveries.event_id, webhook_deliveries.status, webhook_deliveries.attempts,
+                webhook_deliveries.response_status, webhook_deliveries.last_error, webhook_deliveries.created_at,
+                webhook_deliveries.last_attempt_at, webhook_deliveries.next_attempt_at, webhook_deliveries.delivered_at
+         FROM webhook_deliveries
+         JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+         ${where}
+         ORDER BY webhook_deliveries.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+    return { deliveries, total };
+  }
+}
+
+/**
+ * Convert a database row into a webhook with parsed event types and a boolean `active` flag.
+ * @param {Object} row - The database row
+ * @returns {Object} The webhook
+ */
+function toWebhook(row) {
+  return { ...row, event_types: JSON.parse(row.event_types), active: row.active === 1 };
+}
+
+module.exports = WebhookStore;